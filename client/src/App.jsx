@@ -1,30 +1,243 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import TelegraphKey from './TelegraphKey.jsx';
 import DisplayManager from './DisplayManager.jsx';
+import RecordingDropZone from './RecordingDropZone.jsx';
+import StationPanel from './StationPanel.jsx';
 import { AudioEngine } from './AudioEngine.js';
-import { morseToText } from '../../shared/morse-lib.js';
+import { LiveLine } from './LiveLine.js';
+import { morseToText, textToMorse, morseToTiming, morseToSchedule } from '../../shared/morse-lib.js';
+import { parseMorse } from '../../shared/morse-notation.js';
+import { readEventStream } from '../../shared/event-stream.js';
+
+// Telegrams loaded from the archive into the log
+const HISTORY_SIZE = 50;
+
+// Call sign of the operator's office, where telegrams go unless addressed elsewhere
+const OPERATOR_CALL_SIGN = 'WU';
+
+// Where the registered station is kept between visits
+const STATION_STORAGE_KEY = 'telegraph-station';
+
+// Where the conversation with the operator is kept between visits
+const SESSION_STORAGE_KEY = 'telegraph-session';
+
+// Code and notation of Morse sent in plain slash notation
+const SLASH_NOTATION = { code: 'itu', notation: 'slash' };
+
+/**
+ * Reads the station registered on an earlier visit
+ * @returns {Object|null} {call_sign, station_key}, or null when there is none
+ */
+function loadStation() {
+  try {
+    return JSON.parse(localStorage.getItem(STATION_STORAGE_KEY)) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Describes how far a telegram sent to another station has got
+ * @param {Object} telegram - Telegram with its status and updates
+ * @returns {string} Status line for the display
+ */
+function describeProgress({ to, status, updates }) {
+  const { office } = updates[updates.length - 1];
+  switch (status) {
+    case 'filed':
+      return `FILED AT ${office} FOR ${to} STOP`;
+    case 'relayed':
+      return `RELAYED AT ${office} STOP`;
+    case 'held':
+      return `HELD AT ${office} STOP LINE DOWN STOP`;
+    case 'queued':
+      return `QUEUED AT ${office} FOR ${to} STOP DELIVERED WHEN THEY CONNECT STOP`;
+    default:
+      return `DELIVERED TO ${to} STOP`;
+  }
+}
 
 function App() {
   const [currentMorseSequence, setCurrentMorseSequence] = useState('');
   const [isPlayingResponse, setIsPlayingResponse] = useState(false);
   const [responseText, setResponseText] = useState('');
   const [responseMorse, setResponseMorse] = useState('');
+  // Code and notation the response Morse is written in
+  const [responseNotation, setResponseNotation] = useState(SLASH_NOTATION);
+  const [playbackCharIndex, setPlaybackCharIndex] = useState(-1);
   const [isSending, setIsSending] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const [transmissionHistory, setTransmissionHistory] = useState([]);
+  // Conversation the server keeps with the operator; null until the first reply
+  const [sessionId, setSessionId] = useState(() => localStorage.getItem(SESSION_STORAGE_KEY));
+  // Sound the reply word by word as the operator composes it
+  const [streamReplies, setStreamReplies] = useState(false);
+  // Key straight into the server's decoder over the live line
+  const [liveLine, setLiveLine] = useState(false);
+  // Counts new conversations, so the live line starts afresh with each
+  const [conversation, setConversation] = useState(0);
+  // The sender's own station, and the call sign telegrams are addressed to
+  const [station, setStation] = useState(loadStation);
+  const [address, setAddress] = useState(OPERATOR_CALL_SIGN);
   const audioEngineRef = useRef(null);
+  const streamAbortRef = useRef(null);
+  const lineRef = useRef(null);
+  const lineHandlerRef = useRef(null);
+  const linePlaybackRef = useRef(Promise.resolve());
+  const lineReplyRef = useRef([]);
+  const wireHandlerRef = useRef(null);
 
   // Initialize AudioEngine on first use
   if (!audioEngineRef.current) {
     audioEngineRef.current = new AudioEngine();
   }
 
+  // Keep the conversation, so its log can be loaded on the next visit
+  useEffect(() => {
+    if (sessionId) {
+      localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+    } else {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+  }, [sessionId]);
+
+  // Load the log of the conversation left open on the last visit from the
+  // server's archive; it starts empty for a new conversation or when the
+  // archive cannot be reached
+  useEffect(() => {
+    if (!sessionId) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const query = new URLSearchParams({ session_id: sessionId, per_page: HISTORY_SIZE });
+        const response = await fetch(`http://localhost:3001/api/transmissions?${query}`);
+        const { transmissions } = await response.json();
+        if (!cancelled && response.ok && Array.isArray(transmissions)) {
+          // The archive gives the latest first
+          setTransmissionHistory(prev => [...transmissions.reverse(), ...prev]);
+        }
+      } catch (error) {
+        console.error('Failed to load transmission archive:', error);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Hold the live line open while it is switched on
+  useEffect(() => {
+    if (!liveLine) {
+      return undefined;
+    }
+
+    const line = new LiveLine({
+      sessionId,
+      onMessage: message => lineHandlerRef.current(message),
+      onClose: () => {
+        setErrorMessage('LIVE LINE DOWN STOP TRY AGAIN STOP');
+        setIsSending(false);
+        setLiveLine(false);
+      }
+    });
+    lineRef.current = line;
+
+    return () => {
+      line.close();
+      lineRef.current = null;
+    };
+  }, [liveLine, conversation]);
+
+  // Hold the station's wire open, so telegrams from other stations arrive as
+  // they are delivered, and word of those sent as they are relayed; those
+  // queued while away arrive first
+  useEffect(() => {
+    if (!station) {
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    (async () => {
+      try {
+        const response = await fetch(
+          `http://localhost:3001/api/stations/${station.call_sign}/wire?station_key=${encodeURIComponent(station.station_key)}`,
+          { signal: controller.signal }
+        );
+        if (!response.ok) {
+          // The office no longer knows the station; register it again
+          const { error } = await response.json();
+          setErrorMessage(error || 'TELEGRAPH LINE FAILURE STOP');
+          handleRegister(null);
+          return;
+        }
+        for await (const { event, data } of readEventStream(response.body)) {
+          if (event !== 'start') {
+            wireHandlerRef.current(event, JSON.parse(data));
+          }
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Station wire down:', error);
+        }
+      }
+    })();
+
+    return () => {
+      controller.abort();
+    };
+  }, [station]);
+
+  /**
+   * Keep the station registered, or forget it
+   * @param {Object|null} registered - {call_sign, station_key} from /api/stations
+   */
+  const handleRegister = (registered) => {
+    if (registered) {
+      localStorage.setItem(STATION_STORAGE_KEY, JSON.stringify(registered));
+    } else {
+      localStorage.removeItem(STATION_STORAGE_KEY);
+    }
+    setAddress(OPERATOR_CALL_SIGN);
+    setStation(registered);
+  };
+
+  /**
+   * Handle an event on the station's wire
+   * A telegram from another station goes into the log and is sounded like the
+   * operator's replies; the progress of telegrams sent, and their receipts,
+   * are shown as they come.
+   * @param {string} event - 'telegram', 'status' or 'receipt'
+   * @param {Object} data - The telegram, or the receipt
+   */
+  wireHandlerRef.current = (event, data) => {
+    if (event === 'telegram') {
+      setTransmissionHistory(prev => [...prev, { ...data, id: `station-${data.id}` }]);
+      playResponse(morseToTiming(data.morse), data.text, data.morse, morseToSchedule(data.morse));
+    } else if (event === 'status') {
+      setResponseText(describeProgress(data));
+    } else if (event === 'receipt') {
+      setResponseText(`RECEIPT STOP DELIVERED TO ${data.to} VIA ${data.route.join(' ')} STOP`);
+    }
+  };
+
   /**
    * Handle transmission completion from Telegraph Key
    * Sends Morse to backend and handles response playback
    */
   const handleTransmissionComplete = async () => {
-    const morse = currentMorseSequence.trim();
+    // On the live line the server has decoded the keying as it came
+    if (liveLine) {
+      setErrorMessage('');
+      setIsSending(true);
+      lineRef.current?.over();
+      return;
+    }
+
+    // The key writes word gaps as three spaces; send slash notation
+    const morse = parseMorse(currentMorseSequence, { notation: 'spaces' });
     
     if (!morse || morse === '') {
       setErrorMessage('NO TRANSMISSION TO SEND STOP');
@@ -52,25 +265,35 @@ function App() {
     setCurrentMorseSequence('');
 
     try {
+      if (station && address !== OPERATOR_CALL_SIGN) {
+        await sendToStation(morse);
+        return;
+      }
+
+      const transmission = {
+        morse_sequence: morse,
+        ...(sessionId ? { session_id: sessionId } : {})
+      };
+
+      if (streamReplies) {
+        await receiveStreamedReply(transmission);
+        return;
+      }
+
       // Send to backend
       const response = await fetch('http://localhost:3001/api/send-telegram', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          morse_sequence: morse
-        })
+        body: JSON.stringify(transmission)
       });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        const errorMsg = errorData.error || 'TELEGRAPH LINE FAILURE STOP';
-        throw new Error(errorMsg);
-      }
+      await checkResponse(response);
 
       const data = await response.json();
-      const { reply_morse, reply_text, timing_array } = data;
+      const { reply_morse, reply_text, timing_array, timing_schedule } = data;
+      const notation = { code: data.code ?? 'itu', notation: data.reply_notation ?? 'slash' };
+      setSessionId(data.session_id ?? null);
 
       // Add operator response to history (will be displayed after playback)
       const operatorTransmission = {
@@ -78,12 +301,13 @@ function App() {
         morse: reply_morse,
         text: reply_text,
         timestamp: new Date().toISOString(),
-        sender: 'operator'
+        sender: 'operator',
+        ...notation
       };
       setTransmissionHistory(prev => [...prev, operatorTransmission]);
 
       // Start response playback
-      await playResponse(timing_array, reply_text, reply_morse);
+      await playResponse(timing_array, reply_text, reply_morse, timing_schedule, notation);
 
     } catch (error) {
       // Handle network errors with period-appropriate messages
@@ -106,15 +330,225 @@ function App() {
     }
   };
 
+  /**
+   * Throw the server's error when a transmission is refused
+   * @param {Response} response - Server response
+   */
+  const checkResponse = async (response) => {
+    if (!response.ok) {
+      const errorData = await response.json();
+      const errorMsg = errorData.error || 'TELEGRAPH LINE FAILURE STOP';
+      // An expired session is dropped so the next message starts afresh
+      if (errorMsg.startsWith('UNKNOWN SESSION')) {
+        setSessionId(null);
+      }
+      throw new Error(errorMsg);
+    }
+  };
+
+  /**
+   * Send a telegram to another station
+   * The office answers once the telegram is filed; its progress and receipt
+   * come over the station's wire.
+   * @param {string} morse - Morse in slash notation
+   */
+  const sendToStation = async (morse) => {
+    const response = await fetch('http://localhost:3001/api/send-telegram', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        morse_sequence: morse,
+        from: station.call_sign,
+        station_key: station.station_key,
+        to: address
+      })
+    });
+    await checkResponse(response);
+
+    const { telegram } = await response.json();
+    setResponseMorse('');
+    setResponseText(describeProgress(telegram));
+  };
+
+  /**
+   * Send a transmission and sound the reply as it arrives
+   * Each word is keyed as soon as the operator has composed it, while the
+   * rest of the reply is still on its way.
+   * @param {Object} transmission - Request body for the server
+   */
+  const receiveStreamedReply = async (transmission) => {
+    const controller = new AbortController();
+    streamAbortRef.current = controller;
+
+    const response = await fetch('http://localhost:3001/api/send-telegram/stream', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(transmission),
+      signal: controller.signal
+    });
+    await checkResponse(response);
+
+    const audioInitialized = audioEngineRef.current.initialize();
+    if (!audioInitialized) {
+      setErrorMessage('AUDIO UNAVAILABLE STOP VISUAL MODE ONLY STOP');
+    }
+    setIsSending(false);
+    setIsPlayingResponse(true);
+    setResponseText('');
+    setResponseMorse('');
+    setResponseNotation(SLASH_NOTATION);
+
+    const words = [];
+    const morseWords = [];
+    let wordGap = 0;
+    let reply = null;
+    try {
+      for await (const { event, data } of readEventStream(response.body)) {
+        const payload = JSON.parse(data);
+        if (event === 'start') {
+          setSessionId(payload.session_id);
+          wordGap = payload.word_gap_ms;
+        } else if (event === 'word') {
+          if (audioInitialized && words.length > 0) {
+            await new Promise(resolve => setTimeout(resolve, wordGap));
+          }
+          words.push(payload.text);
+          morseWords.push(payload.morse);
+          setResponseMorse(morseWords.join(' / '));
+          if (audioInitialized) {
+            await audioEngineRef.current.playSchedule(payload.timing_schedule, scheduled => {
+              setPlaybackCharIndex(scheduled.charIndex);
+            });
+          }
+        } else if (event === 'done') {
+          reply = payload;
+        } else if (event === 'error') {
+          throw new Error(payload.error);
+        }
+      }
+    } catch (error) {
+      // Cancelled: show what was received before the line was cut
+      if (error.name === 'AbortError') {
+        setResponseText(words.join(' ') || 'TRANSMISSION INTERRUPTED STOP');
+        return;
+      }
+      throw error;
+    } finally {
+      streamAbortRef.current = null;
+      setPlaybackCharIndex(-1);
+      setIsPlayingResponse(false);
+    }
+
+    if (!reply) {
+      throw new Error('TELEGRAPH LINE FAILURE STOP TRY AGAIN STOP');
+    }
+
+    setTransmissionHistory(prev => [...prev, {
+      id: Date.now() + 1,
+      morse: reply.reply_morse,
+      text: reply.reply_text,
+      timestamp: new Date().toISOString(),
+      sender: 'operator'
+    }]);
+    setResponseMorse(reply.reply_morse);
+    setResponseText(reply.reply_text);
+  };
+
+  /**
+   * Sound keying from the live line once what came before it has been sounded
+   * @param {Object[]} schedule - Keying events from morseToSchedule
+   * @param {Function} [onEvent] - Called with each event when it starts
+   */
+  const queueLinePlayback = (schedule, onEvent) => {
+    linePlaybackRef.current = linePlaybackRef.current
+      .then(() => audioEngineRef.current.initialize() && audioEngineRef.current.playSchedule(schedule, onEvent))
+      .catch(error => {
+        console.error('Failed to sound live line keying:', error);
+      });
+  };
+
+  /**
+   * Handle a message from the live line
+   * The server echoes what it decodes, breaks in to have an unreadable word
+   * sent again, and sends the operator's reply a word at a time.
+   * @param {Object} message - Message from the server
+   */
+  lineHandlerRef.current = (message) => {
+    if (message.type === 'ready') {
+      setSessionId(message.session_id);
+    } else if (message.type === 'element') {
+      handleDotDash(message.symbol);
+    } else if (message.type === 'char') {
+      handleCharacterBreak();
+    } else if (message.type === 'word') {
+      handleWordSpace();
+    } else if (message.type === 'break') {
+      // The server has dropped the word; take it off the display too
+      setErrorMessage(message.text);
+      setCurrentMorseSequence(prev => {
+        const wordStart = prev.trimEnd().lastIndexOf('   ');
+        return wordStart === -1 ? '' : prev.slice(0, wordStart + 3);
+      });
+      queueLinePlayback(message.timing_schedule);
+    } else if (message.type === 'reply') {
+      if (message.index === 0) {
+        lineReplyRef.current = [];
+        setIsSending(false);
+        setIsPlayingResponse(true);
+        setResponseText('');
+        setResponseNotation(SLASH_NOTATION);
+      }
+      lineReplyRef.current.push(message.morse);
+      setResponseMorse(lineReplyRef.current.join(' / '));
+      queueLinePlayback(message.timing_schedule, event => {
+        setPlaybackCharIndex(event.charIndex);
+      });
+    } else if (message.type === 'done') {
+      const replyMorse = lineReplyRef.current.join(' / ');
+      setIsSending(false);
+      setCurrentMorseSequence('');
+      linePlaybackRef.current = linePlaybackRef.current.then(() => {
+        setTransmissionHistory(prev => [...prev, {
+          id: Date.now(),
+          morse: textToMorse(message.received_text),
+          text: message.received_text,
+          timestamp: new Date().toISOString(),
+          sender: 'user'
+        }, {
+          id: Date.now() + 1,
+          morse: replyMorse,
+          text: message.reply_text,
+          timestamp: new Date().toISOString(),
+          sender: 'operator'
+        }]);
+        setResponseMorse(replyMorse);
+        setResponseText(message.reply_text);
+        setPlaybackCharIndex(-1);
+        setIsPlayingResponse(false);
+      });
+    } else if (message.type === 'error') {
+      setIsSending(false);
+      setErrorMessage(message.error);
+    }
+  };
+
   /**
    * Play AI response as Morse code audio
    * @param {number[]} timingArray - Array of tone/silence durations
    * @param {string} text - Decoded response text
    * @param {string} morse - Morse code sequence
+   * @param {Object[]} [schedule] - Keying events from morseToSchedule, used
+   *   to highlight each character as it is sounded
+   * @param {Object} [notation] - {code, notation} the Morse is written in
    */
-  const playResponse = async (timingArray, text, morse) => {
+  const playResponse = async (timingArray, text, morse, schedule, notation = SLASH_NOTATION) => {
     // Store morse for display
     setResponseMorse(morse);
+    setResponseNotation(notation);
     
     if (!timingArray || timingArray.length === 0) {
       // No audio - display text immediately
@@ -139,16 +573,24 @@ function App() {
         return;
       }
 
-      // Play the Morse sequence
-      await audioEngineRef.current.playMorseSequence(timingArray);
+      // Play the Morse sequence, following the schedule when there is one
+      if (Array.isArray(schedule) && schedule.length > 0) {
+        await audioEngineRef.current.playSchedule(schedule, event => {
+          setPlaybackCharIndex(event.charIndex);
+        });
+      } else {
+        await audioEngineRef.current.playMorseSequence(timingArray);
+      }
 
       // After playback completes, display the text
+      setPlaybackCharIndex(-1);
       setIsPlayingResponse(false);
       setResponseText(text);
 
     } catch (error) {
       // On playback error, display text immediately with error message
       setErrorMessage('PLAYBACK ERROR STOP DISPLAYING TEXT STOP');
+      setPlaybackCharIndex(-1);
       setIsPlayingResponse(false);
       setResponseText(text);
     }
@@ -159,7 +601,9 @@ function App() {
    */
   const cancelPlayback = () => {
     if (isPlayingResponse) {
+      streamAbortRef.current?.abort();
       audioEngineRef.current.stopTone();
+      setPlaybackCharIndex(-1);
       setIsPlayingResponse(false);
       
       // Get the last operator message from history
@@ -224,12 +668,32 @@ function App() {
    * Handle clear button - reset all display state
    */
   const handleClear = () => {
+    lineRef.current?.clear();
     setCurrentMorseSequence('');
     setResponseText('');
     setResponseMorse('');
     setErrorMessage('');
   };
 
+  /**
+   * Handle new conversation button - end the session and clear the history
+   */
+  const handleNewConversation = async () => {
+    const endedSession = sessionId;
+    setSessionId(null);
+    setConversation(count => count + 1);
+    setTransmissionHistory([]);
+    handleClear();
+
+    if (endedSession) {
+      try {
+        await fetch(`http://localhost:3001/api/sessions/${endedSession}`, { method: 'DELETE' });
+      } catch {
+        // The server forgets idle sessions on its own
+      }
+    }
+  };
+
   return (
     <div className="app-container">
       <header className="app-header">
@@ -261,13 +725,16 @@ function App() {
         )}
 
         {/* Telegraph Key input component */}
+        {/* On the live line the server decodes the keying; pressing the key
+            during the operator's reply breaks in on it */}
         <TelegraphKey 
-          onDotDash={handleDotDash}
-          onCharacterBreak={handleCharacterBreak}
-          onWordSpace={handleWordSpace}
+          onDotDash={liveLine ? undefined : handleDotDash}
+          onCharacterBreak={liveLine ? undefined : handleCharacterBreak}
+          onWordSpace={liveLine ? undefined : handleWordSpace}
           onTransmissionComplete={handleTransmissionComplete}
           onClear={handleClear}
-          disabled={isSending || isPlayingResponse}
+          onKeyEvent={liveLine ? (state, t) => lineRef.current?.key(state, t) : undefined}
+          disabled={isSending || (isPlayingResponse && !liveLine)}
         />
         
         {/* Display Manager for UI rendering */}
@@ -276,9 +743,53 @@ function App() {
           isPlayingResponse={isPlayingResponse}
           responseText={responseText}
           responseMorse={responseMorse}
+          responseCode={responseNotation.code}
+          responseNotation={responseNotation.notation}
+          playbackCharIndex={playbackCharIndex}
           transmissionHistory={transmissionHistory}
         />
 
+        <div className="conversation-controls">
+          <label className="stream-toggle">
+            <input
+              type="checkbox"
+              checked={streamReplies}
+              onChange={event => setStreamReplies(event.target.checked)}
+              disabled={isSending || isPlayingResponse}
+            />
+            KEY REPLY AS COMPOSED
+          </label>
+          <label className="live-toggle">
+            <input
+              type="checkbox"
+              checked={liveLine}
+              onChange={event => setLiveLine(event.target.checked)}
+              disabled={isSending || isPlayingResponse}
+            />
+            LIVE LINE
+          </label>
+          <button
+            onClick={handleNewConversation}
+            className="new-conversation-button"
+            disabled={isSending || isPlayingResponse}
+            aria-label="Start a new conversation"
+          >
+            NEW CONVERSATION
+          </button>
+        </div>
+
+        {/* The sender's station; the live line always reaches the operator */}
+        <StationPanel
+          station={station}
+          address={liveLine ? OPERATOR_CALL_SIGN : address}
+          onRegister={handleRegister}
+          onAddressChange={setAddress}
+          disabled={isSending || isPlayingResponse || liveLine}
+        />
+
+        {/* Transcription of recorded Morse */}
+        <RecordingDropZone disabled={isSending || isPlayingResponse} />
+
         {/* Playback controls */}
         {isPlayingResponse && (
           <div className="playback-controls">
@@ -1,8 +1,12 @@
-import { describe, it, expect } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import App from './App';
 
 describe('App Component', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
   it('should render the app title', () => {
     render(<App />);
     expect(screen.getByText('TELEGRAPH AI AGENT')).toBeInTheDocument();
@@ -20,6 +24,169 @@ describe('App Component', () => {
     const displayManager = document.querySelector('.display-manager');
     expect(displayManager).toBeInTheDocument();
   });
+
+  it('should start a new conversation without calling the server when none is open', () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+    render(<App />);
+
+    fireEvent.click(screen.getByRole('button', { name: /start a new conversation/i }));
+
+    expect(fetchSpy).not.toHaveBeenCalledWith(expect.stringContaining('/api/sessions/'), expect.anything());
+    fetchSpy.mockRestore();
+  });
+
+  it('should load the log of the last conversation from the archive, earliest first', async () => {
+    localStorage.setItem('telegraph-session', 'abc');
+    const archived = [
+      { id: 2, session_id: 'abc', sender: 'operator', morse: '-.--', text: 'YANKEE DOODLE', timestamp: '1865-10-19T10:01:00.000Z' },
+      { id: 1, session_id: 'abc', sender: 'user', morse: '..', text: 'WHO GOES THERE', timestamp: '1865-10-19T10:00:00.000Z' }
+    ];
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(JSON.stringify({ transmissions: archived })));
+    render(<App />);
+
+    await waitFor(() => {
+      expect(screen.getByText('YANKEE DOODLE')).toBeInTheDocument();
+    });
+    const log = document.querySelector('.display-manager').textContent;
+    expect(log.indexOf('WHO GOES THERE')).toBeLessThan(log.indexOf('YANKEE DOODLE'));
+    expect(fetchSpy.mock.calls[0][0]).toBe('http://localhost:3001/api/transmissions?session_id=abc&per_page=50');
+    fetchSpy.mockRestore();
+  });
+
+  it('should not load the archive without a conversation of its own', () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{"transmissions":[]}'));
+    render(<App />);
+
+    expect(fetchSpy).not.toHaveBeenCalledWith(expect.stringContaining('/api/transmissions'));
+    fetchSpy.mockRestore();
+  });
+
+  it('should show a streamed reply word by word and then in full', async () => {
+    const events = [
+      'event: start\ndata: {"session_id":"abc","word_gap_ms":700}\n\n',
+      'event: word\ndata: {"index":0,"text":"HELLO","morse":".... . .-.. .-.. ---","timing_schedule":[]}\n\n',
+      'event: word\ndata: {"index":1,"text":"STOP","morse":"... - --- .--.","timing_schedule":[]}\n\n',
+      'event: done\ndata: {"session_id":"abc","reply_text":"HELLO STOP","reply_morse":".... . .-.. .-.. --- / ... - --- .--."}\n\n'
+    ];
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async url => (
+      url.includes('/api/transmissions') ? new Response('{"transmissions":[]}') : new Response(events.join(''))
+    ));
+    render(<App />);
+
+    fireEvent.click(screen.getByLabelText(/key reply as composed/i));
+    const key = screen.getByRole('button', { name: /telegraph key/i });
+    fireEvent.mouseDown(key);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fireEvent.mouseUp(key);
+    fireEvent.click(await screen.findByText('SEND TRANSMISSION'));
+
+    await waitFor(() => {
+      expect(screen.getAllByText('HELLO STOP').length).toBeGreaterThan(0);
+    });
+    expect(fetchSpy.mock.calls.map(([url]) => url)).toContain('http://localhost:3001/api/send-telegram/stream');
+    fetchSpy.mockRestore();
+  });
+
+  it('should send telegrams to another station and log those it receives', async () => {
+    localStorage.setItem('telegraph-station', JSON.stringify({ call_sign: 'BOS', station_key: 'key' }));
+    const incoming = {
+      id: 7,
+      sender: 'station',
+      from: 'NY',
+      to: 'BOS',
+      morse: '.... ..',
+      text: 'HI',
+      timestamp: '1865-10-19T10:00:00.000Z',
+      status: 'delivered',
+      route: ['NYC', 'BOS'],
+      updates: [{ status: 'delivered', office: 'BOS', at: '1865-10-19T10:00:01.500Z' }]
+    };
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async url => {
+      if (url.includes('/wire')) {
+        return new Response(`event: start\ndata: {"call_sign":"BOS"}\n\nevent: telegram\ndata: ${JSON.stringify(incoming)}\n\n`);
+      }
+      if (url.includes('/api/send-telegram')) {
+        return new Response(JSON.stringify({
+          status: 'filed',
+          telegram: { ...incoming, id: 8, from: 'BOS', to: 'NY', text: 'E', status: 'filed', updates: [{ status: 'filed', office: 'BOS' }] }
+        }));
+      }
+      return new Response('{"transmissions":[]}');
+    });
+    render(<App />);
+
+    await waitFor(() => {
+      expect(screen.getByText('NY:')).toBeInTheDocument();
+    });
+
+    fireEvent.change(screen.getByLabelText(/send to/i), { target: { value: 'ny' } });
+    const key = screen.getByRole('button', { name: /telegraph key/i });
+    fireEvent.mouseDown(key);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    fireEvent.mouseUp(key);
+    fireEvent.click(await screen.findByText('SEND TRANSMISSION'));
+
+    await waitFor(() => {
+      expect(screen.getByText('FILED AT BOS FOR NY STOP')).toBeInTheDocument();
+    });
+    const sent = fetchSpy.mock.calls.find(([url]) => url === 'http://localhost:3001/api/send-telegram');
+    expect(JSON.parse(sent[1].body)).toMatchObject({ from: 'BOS', station_key: 'key', to: 'NY' });
+    expect(fetchSpy.mock.calls.map(([url]) => url)).toContain('http://localhost:3001/api/stations/BOS/wire?station_key=key');
+
+    localStorage.removeItem('telegraph-station');
+    fetchSpy.mockRestore();
+  });
+
+  it('should key over the live line and show the reply it sends back', async () => {
+    const sockets = [];
+    class MockWebSocket {
+      static CONNECTING = 0;
+      static OPEN = 1;
+
+      constructor(url) {
+        this.url = url;
+        this.readyState = MockWebSocket.OPEN;
+        this.sent = [];
+        sockets.push(this);
+      }
+
+      send(data) {
+        this.sent.push(JSON.parse(data));
+      }
+
+      close() {}
+
+      receive(message) {
+        act(() => this.onmessage({ data: JSON.stringify(message) }));
+      }
+    }
+    vi.stubGlobal('WebSocket', MockWebSocket);
+    render(<App />);
+
+    fireEvent.click(screen.getByLabelText(/live line/i));
+    const [line] = sockets;
+    expect(line.url).toBe('ws://localhost:3001/api/live');
+    line.receive({ type: 'ready', session_id: 'abc', wpm: 12 });
+
+    const key = screen.getByRole('button', { name: /telegraph key/i });
+    fireEvent.mouseDown(key);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fireEvent.mouseUp(key);
+    expect(line.sent.map(({ state }) => state)).toEqual(['down', 'up']);
+
+    line.receive({ type: 'element', symbol: '.', wpm: 12 });
+    line.receive({ type: 'char', morse: '.', char: 'E' });
+    fireEvent.click(await screen.findByText('SEND TRANSMISSION'));
+    expect(line.sent[2]).toEqual({ type: 'over' });
+
+    line.receive({ type: 'reply', index: 0, text: 'HELLO', morse: '.... . .-.. .-.. ---', timing_schedule: [] });
+    line.receive({ type: 'done', session_id: 'abc', received_text: 'E', reply_text: 'HELLO' });
+
+    await waitFor(() => {
+      expect(screen.getAllByText('HELLO').length).toBeGreaterThan(0);
+    });
+    vi.unstubAllGlobals();
+  });
 });
 
 /**
@@ -10,6 +10,7 @@ export class AudioEngine {
     this.gainNode = null;
     this.isPlaying = false;
     this.isInitialized = false;
+    this.eventTimers = [];
   }
 
   /**
@@ -78,6 +79,10 @@ export class AudioEngine {
    * Stop the currently playing tone
    */
   stopTone() {
+    // Cancel pending schedule callbacks
+    this.eventTimers.forEach(timer => clearTimeout(timer));
+    this.eventTimers = [];
+
     if (!this.isPlaying || !this.oscillator) {
       return;
     }
@@ -164,6 +169,67 @@ export class AudioEngine {
     });
   }
 
+  /**
+   * Play a Morse code schedule from morseToSchedule
+   * Tones are scheduled on the audio clock; onEvent is called as each event
+   * starts, so a display can highlight the character being sounded.
+   *
+   * @param {{start: number, duration: number, on: boolean}[]} schedule - Keying events in milliseconds
+   * @param {Function} [onEvent] - Called with each event when it starts
+   * @returns {Promise<void>} Resolves when playback completes
+   */
+  async playSchedule(schedule, onEvent) {
+    if (!Array.isArray(schedule) || schedule.length === 0) {
+      return Promise.resolve();
+    }
+
+    if (!this.isInitialized && !this.initialize()) {
+      throw new Error('AudioContext not initialized');
+    }
+
+    // Stop any currently playing tone
+    if (this.isPlaying) {
+      this.stopTone();
+    }
+
+    return new Promise((resolve, reject) => {
+      try {
+        const startTime = this.audioContext.currentTime;
+
+        schedule.forEach(event => {
+          if (event.on && event.duration > 0) {
+            const osc = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+            const toneStart = startTime + event.start / 1000;
+
+            osc.type = 'sine';
+            osc.frequency.setValueAtTime(600, toneStart);
+            gain.gain.setValueAtTime(0.3, toneStart);
+
+            osc.connect(gain);
+            gain.connect(this.audioContext.destination);
+
+            osc.start(toneStart);
+            osc.stop(toneStart + event.duration / 1000);
+          }
+
+          if (onEvent) {
+            this.eventTimers.push(setTimeout(() => onEvent(event), event.start));
+          }
+        });
+
+        const last = schedule[schedule.length - 1];
+        setTimeout(() => {
+          resolve();
+        }, last.start + last.duration);
+
+      } catch (error) {
+        console.error('Failed to play Morse schedule:', error);
+        reject(error);
+      }
+    });
+  }
+
   /**
    * Check if audio is currently playing
    * @returns {boolean}
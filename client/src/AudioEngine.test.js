@@ -242,6 +242,45 @@ describe('AudioEngine Unit Tests', () => {
     });
   });
 
+  describe('Schedule playback', () => {
+    const schedule = [
+      { start: 0, duration: 10, on: true, type: 'dot', charIndex: 0, wordIndex: 0 },
+      { start: 10, duration: 30, on: false, type: 'char-gap', charIndex: 0, wordIndex: 0 },
+      { start: 40, duration: 30, on: true, type: 'dash', charIndex: 1, wordIndex: 0 }
+    ];
+
+    it('should report each event as it starts', async () => {
+      const engine = new AudioEngine();
+      engine.initialize();
+      const onEvent = vi.fn();
+
+      await engine.playSchedule(schedule, onEvent);
+
+      expect(onEvent.mock.calls.map(([event]) => event.charIndex)).toEqual([0, 0, 1]);
+      engine.dispose();
+    });
+
+    it('should schedule an oscillator for each tone only', async () => {
+      const engine = new AudioEngine();
+      engine.initialize();
+      const createOscillator = vi.spyOn(engine.audioContext, 'createOscillator');
+
+      await engine.playSchedule(schedule);
+
+      expect(createOscillator).toHaveBeenCalledTimes(2);
+      engine.dispose();
+    });
+
+    it('should resolve immediately for an empty schedule', async () => {
+      const engine = new AudioEngine();
+      engine.initialize();
+
+      await expect(engine.playSchedule([])).resolves.toBeUndefined();
+      await expect(engine.playSchedule(null)).resolves.toBeUndefined();
+      engine.dispose();
+    });
+  });
+
   describe('Error handling', () => {
     it('should throw error when starting tone without initialization', () => {
       global.window = {}; // No AudioContext available
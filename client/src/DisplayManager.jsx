@@ -1,5 +1,104 @@
 import React, { useState, useEffect } from 'react';
-import { morseToText } from '../../shared/morse-lib.js';
+import { morseToText, decodeMorse } from '../../shared/morse-lib.js';
+import { expandAbbreviations } from '../../shared/codebook.js';
+import { parseMorse } from '../../shared/morse-notation.js';
+
+/**
+ * Reads a Morse sequence written in any notation into slash notation
+ * @param {string} sequence - Morse as written
+ * @param {string} code - 'itu' or 'american'
+ * @param {string} notation - Notation it is written in
+ * @returns {string} Slash notation, or the sequence as written if it cannot be read
+ */
+const readNotation = (sequence, code, notation) => {
+  if (notation === 'slash') {
+    return sequence;
+  }
+  try {
+    return parseMorse(sequence, { notation, code });
+  } catch {
+    return sequence;
+  }
+};
+
+/**
+ * MorseSequence Component
+ * 
+ * Renders a Morse sequence as typed, underlining any character that does not
+ * decode and offering the nearest valid characters as a tooltip.
+ * The last character is only checked once it is complete. A sequence in
+ * another notation is decoded in its code and notation, and shown in slash
+ * notation when a character needs underlining.
+ */
+const MorseSequence = ({ sequence, code = 'itu', notation = 'slash', complete = true }) => {
+  const morse = readNotation(sequence, code, notation);
+  const tokens = decodeMorse(morse, { code });
+  const lastComplete = complete || /\s$/.test(sequence);
+  const flagged = tokens.filter((token, index) =>
+    !token.valid && (lastComplete || index < tokens.length - 1)
+  );
+
+  if (flagged.length === 0) {
+    return sequence;
+  }
+
+  const parts = [];
+  let cursor = 0;
+  flagged.forEach(token => {
+    const hint = token.suggestions.length > 0
+      ? `POSSIBLY ${token.suggestions.map(s => s.char).join(' OR ')}`
+      : 'UNKNOWN CHARACTER';
+
+    parts.push(morse.slice(cursor, token.offset));
+    parts.push(
+      <span key={token.offset} className="morse-invalid" title={hint}>
+        {token.morse}
+      </span>
+    );
+    cursor = token.offset + token.morse.length;
+  });
+  parts.push(morse.slice(cursor));
+
+  return <>{parts}</>;
+};
+
+/**
+ * PlaybackSequence Component
+ *
+ * Renders the part of a Morse sequence sounded so far, highlighting the
+ * character being played. charIndex counts characters only, as in
+ * morseToSchedule. The sequence is shown in slash notation, where each
+ * character stands apart.
+ */
+const PlaybackSequence = ({ sequence, charIndex, code = 'itu', notation = 'slash' }) => {
+  const morse = readNotation(sequence, code, notation);
+  const token = decodeMorse(morse, { code }).filter(t => t.morse !== '/')[charIndex];
+  if (!token) {
+    return null;
+  }
+
+  return (
+    <>
+      {morse.slice(0, token.offset)}
+      <span className="morse-current">{token.morse}</span>
+    </>
+  );
+};
+
+/**
+ * Gloss Component
+ *
+ * Spells out the Q-codes, abbreviations and cut numbers in a decoded
+ * message. Renders nothing when the message has no shorthand.
+ */
+const Gloss = ({ text }) => {
+  const { text: expanded, expansions } = expandAbbreviations(text);
+  if (expansions.length === 0) {
+    return null;
+  }
+
+  return <div className="history-gloss">{expanded}</div>;
+};
 
 /**
  * DisplayManager Component
@@ -12,6 +111,13 @@ import { morseToText } from '../../shared/morse-lib.js';
  * - 2.2: Display decoded character on character breaks
  * - 2.3: Indicate error state for invalid sequences
  * - 2.4: Clear buffer when transmission is sent
+ * 
+ * Mis-keyed characters are underlined in the current input and the log.
+ * During playback the response Morse is shown as it is sounded, with the
+ * current character highlighted. With showGloss, log entries written in
+ * shorthand are spelled out under the decoded text. Morse is read in the code
+ * and notation it was sent in: responseCode and responseNotation for the
+ * response, and each log entry's code and notation (ITU slash by default).
  */
 const DisplayManager = ({
   currentMorseSequence = '',
@@ -20,6 +126,10 @@ const DisplayManager = ({
   isPlayingResponse = false,
   responseText = '',
   responseMorse = '',
+  responseCode = 'itu',
+  responseNotation = 'slash',
+  playbackCharIndex = -1,
+  showGloss = true,
   transmissionHistory = []
 }) => {
   const [decodedCharacter, setDecodedCharacter] = useState('');
@@ -88,7 +198,7 @@ const DisplayManager = ({
       <div className="morse-input-display">
         <div className="display-label">CURRENT INPUT:</div>
         <div className={`display-value ${errorState ? 'error' : ''}`}>
-          {inputBuffer || '—'}
+          {inputBuffer ? <MorseSequence sequence={inputBuffer} complete={false} /> : '—'}
         </div>
       </div>
 
@@ -114,6 +224,16 @@ const DisplayManager = ({
         <div className="playback-status">
           <div className="status-indicator">⚡</div>
           <div className="status-text">RECEIVING TRANSMISSION...</div>
+          {responseMorse && playbackCharIndex >= 0 && (
+            <div className="playback-morse">
+              <PlaybackSequence
+                sequence={responseMorse}
+                charIndex={playbackCharIndex}
+                code={responseCode}
+                notation={responseNotation}
+              />
+            </div>
+          )}
         </div>
       )}
 
@@ -138,10 +258,18 @@ const DisplayManager = ({
                 className={`history-item ${transmission.sender}`}
               >
                 <div className="history-sender">
-                  {transmission.sender === 'user' ? 'YOU' : 'OPERATOR'}:
+                  {transmission.sender === 'user' ? 'YOU'
+                    : transmission.sender === 'station' ? transmission.from : 'OPERATOR'}:
                 </div>
                 <div className="history-text">{transmission.text}</div>
-                <div className="history-morse">{transmission.morse}</div>
+                {showGloss && <Gloss text={transmission.text} />}
+                <div className="history-morse">
+                  <MorseSequence
+                    sequence={transmission.morse}
+                    code={transmission.code}
+                    notation={transmission.notation}
+                  />
+                </div>
               </div>
             ))
           )}
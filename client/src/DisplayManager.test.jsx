@@ -210,6 +210,87 @@ describe('DisplayManager Component', () => {
 
       expect(screen.getByText('TRANSMISSION LOG:')).toBeInTheDocument();
     });
+
+    it('should spell out shorthand under the decoded text', () => {
+      const { container } = render(
+        <DisplayManager 
+          transmissionHistory={[
+            { id: 1, morse: '', text: 'QTH? TNX 73', timestamp: '', sender: 'user' },
+            { id: 2, morse: '', text: 'HELLO STOP', timestamp: '', sender: 'operator' }
+          ]}
+        />
+      );
+
+      const glosses = container.querySelectorAll('.history-gloss');
+      expect(glosses).toHaveLength(1);
+      expect(glosses[0]).toHaveTextContent('WHAT IS YOUR LOCATION? THANKS BEST REGARDS');
+      expect(screen.getByText('QTH? TNX 73')).toBeInTheDocument();
+    });
+
+    it('should hide the gloss when asked', () => {
+      const { container } = render(
+        <DisplayManager 
+          showGloss={false}
+          transmissionHistory={[
+            { id: 1, morse: '', text: 'QSL 73', timestamp: '', sender: 'user' }
+          ]}
+        />
+      );
+
+      expect(container.querySelector('.history-gloss')).toBeNull();
+    });
+  });
+
+  describe('Mis-keyed Character Highlighting', () => {
+    
+    it('should underline a completed character that does not decode', () => {
+      const { container } = render(
+        <DisplayManager currentMorseSequence=".- ..-.-. " />
+      );
+
+      const invalid = container.querySelector('.morse-input-display .morse-invalid');
+      expect(invalid).toHaveTextContent('..-.-.');
+      expect(invalid).toHaveAttribute('title', 'POSSIBLY ; OR @ OR +');
+    });
+
+    it('should not flag a character still being keyed', () => {
+      const { container } = render(
+        <DisplayManager currentMorseSequence=".- ..-.-." />
+      );
+
+      expect(container.querySelector('.morse-invalid')).toBeNull();
+      expect(screen.getByText('.- ..-.-.')).toBeInTheDocument();
+    });
+
+    it('should underline mis-keyed characters in the transmission log', () => {
+      const { container } = render(
+        <DisplayManager 
+          transmissionHistory={[
+            { id: 1, morse: '.... ..-.-.   .-', text: 'H�A', timestamp: '', sender: 'user' }
+          ]}
+        />
+      );
+
+      const history = container.querySelector('.history-morse');
+      expect(history).toHaveTextContent('.... ..-.-. .-');
+      expect(history.querySelector('.morse-invalid')).toHaveTextContent('..-.-.');
+    });
+
+    it('should read log entries in the code and notation they were sent in', () => {
+      const { container } = render(
+        <DisplayManager 
+          transmissionHistory={[
+            { id: 1, morse: '_  . .', text: 'LO', timestamp: '', sender: 'user', code: 'american' },
+            { id: 2, morse: '1010101000101', text: 'HI', timestamp: '', sender: 'operator', notation: 'binary' }
+          ]}
+        />
+      );
+
+      const [american, binary] = container.querySelectorAll('.history-morse');
+      expect(container.querySelector('.morse-invalid')).toBeNull();
+      expect(american.textContent).toBe('_  . .');
+      expect(binary.textContent).toBe('1010101000101');
+    });
   });
 
   describe('AI Response Playback Status', () => {
@@ -271,6 +352,53 @@ describe('DisplayManager Component', () => {
     });
   });
 
+  describe('Playback Highlighting', () => {
+
+    it('should highlight the character being sounded', () => {
+      const { container } = render(
+        <DisplayManager 
+          currentMorseSequence=""
+          onCharacterBreak={mockOnCharacterBreak}
+          onTransmissionSent={mockOnTransmissionSent}
+          isPlayingResponse={true}
+          responseMorse=".... .. / -.-."
+          playbackCharIndex={2}
+        />
+      );
+
+      expect(container.querySelector('.morse-current').textContent).toBe('-.-.');
+      expect(container.querySelector('.playback-morse').textContent).toBe('.... .. / -.-.');
+    });
+
+    it('should keep the highlight in step with a response in another notation', () => {
+      const { container } = render(
+        <DisplayManager 
+          isPlayingResponse={true}
+          responseMorse="101010100010100000001110101110100010111000111010101"
+          responseNotation="binary"
+          playbackCharIndex={2}
+        />
+      );
+
+      expect(container.querySelector('.morse-current').textContent).toBe('-.-.');
+      expect(container.querySelector('.playback-morse').textContent).toBe('.... .. / -.-.');
+    });
+
+    it('should not show the response Morse before playback starts', () => {
+      const { container } = render(
+        <DisplayManager 
+          currentMorseSequence=""
+          onCharacterBreak={mockOnCharacterBreak}
+          onTransmissionSent={mockOnTransmissionSent}
+          isPlayingResponse={true}
+          responseMorse=".... .."
+        />
+      );
+
+      expect(container.querySelector('.playback-morse')).toBeNull();
+    });
+  });
+
   describe('Component Labels', () => {
     
     it('should display current input label', () => {
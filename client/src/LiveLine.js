@@ -0,0 +1,83 @@
+/**
+ * LiveLine - WebSocket connection to the server's live line
+ * Sends each key-down and key-up, with its time, to the server's decoder and
+ * hands each message the server sends back (decoded elements, characters,
+ * word spaces, break-ins and reply words) to a listener.
+ */
+
+export const LIVE_LINE_URL = 'ws://localhost:3001/api/live';
+
+export class LiveLine {
+  /**
+   * @param {Object} options - Line options
+   * @param {Function} options.onMessage - Called with each message from the server
+   * @param {Function} [options.onClose] - Called if the line goes down without close()
+   * @param {string|null} [options.sessionId] - Conversation to carry on
+   * @param {string} [options.url] - Address of the live line
+   */
+  constructor({ onMessage, onClose, sessionId = null, url = LIVE_LINE_URL }) {
+    const query = sessionId ? `?session_id=${encodeURIComponent(sessionId)}` : '';
+    this.socket = new WebSocket(`${url}${query}`);
+    this.queue = [];
+
+    // Messages sent before the line opens go out once it does
+    this.socket.onopen = () => {
+      this.queue.forEach(message => this.socket.send(message));
+      this.queue = [];
+    };
+    this.socket.onmessage = event => {
+      onMessage(JSON.parse(event.data));
+    };
+    this.socket.onclose = () => {
+      if (onClose) {
+        onClose();
+      }
+    };
+  }
+
+  /**
+   * Sends a message to the server
+   * @param {Object} message - Message to send as JSON
+   */
+  send(message) {
+    const data = JSON.stringify(message);
+    if (this.socket.readyState === WebSocket.CONNECTING) {
+      this.queue.push(data);
+    } else if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(data);
+    }
+  }
+
+  /**
+   * Reports the key going down or coming up
+   * @param {string} state - 'down' or 'up'
+   * @param {number} [t=Date.now()] - Time in milliseconds
+   */
+  key(state, t = Date.now()) {
+    this.send({ type: 'key', state, t });
+  }
+
+  /**
+   * Ends the transmission, so the operator replies
+   */
+  over() {
+    this.send({ type: 'over' });
+  }
+
+  /**
+   * Has the server forget what has been keyed
+   */
+  clear() {
+    this.send({ type: 'clear' });
+  }
+
+  /**
+   * Hangs up the line
+   */
+  close() {
+    this.socket.onclose = null;
+    this.socket.close();
+  }
+}
+
+export default LiveLine;
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { LiveLine, LIVE_LINE_URL } from './LiveLine.js';
+
+// Mock WebSocket that records what is sent
+class MockWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 3;
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = MockWebSocket.CONNECTING;
+    this.sent = [];
+    MockWebSocket.last = this;
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = MockWebSocket.CLOSED;
+    this.onclose?.();
+  }
+
+  open() {
+    this.readyState = MockWebSocket.OPEN;
+    this.onopen();
+  }
+}
+
+describe('LiveLine', () => {
+  beforeEach(() => {
+    vi.stubGlobal('WebSocket', MockWebSocket);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should connect to the live line, carrying on a session when given one', () => {
+    new LiveLine({ onMessage: vi.fn() });
+    expect(MockWebSocket.last.url).toBe(LIVE_LINE_URL);
+
+    new LiveLine({ onMessage: vi.fn(), sessionId: 'abc' });
+    expect(MockWebSocket.last.url).toBe(`${LIVE_LINE_URL}?session_id=abc`);
+  });
+
+  it('should hold key events until the line opens', () => {
+    const line = new LiveLine({ onMessage: vi.fn() });
+    line.key('down', 1000);
+    line.key('up', 1100);
+
+    expect(MockWebSocket.last.sent).toEqual([]);
+
+    MockWebSocket.last.open();
+    line.over();
+
+    expect(MockWebSocket.last.sent).toEqual([
+      { type: 'key', state: 'down', t: 1000 },
+      { type: 'key', state: 'up', t: 1100 },
+      { type: 'over' }
+    ]);
+  });
+
+  it('should hand each message from the server to the listener', () => {
+    const onMessage = vi.fn();
+    new LiveLine({ onMessage });
+
+    MockWebSocket.last.onmessage({ data: '{"type":"char","morse":".-","char":"A"}' });
+
+    expect(onMessage).toHaveBeenCalledWith({ type: 'char', morse: '.-', char: 'A' });
+  });
+
+  it('should report the line going down, but not hanging up', () => {
+    const onClose = vi.fn();
+    const line = new LiveLine({ onMessage: vi.fn(), onClose });
+    MockWebSocket.last.onclose();
+    expect(onClose).toHaveBeenCalledTimes(1);
+
+    line.close();
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,112 @@
+import React, { useState, useRef } from 'react';
+
+/**
+ * RecordingDropZone Component
+ *
+ * Accepts a WAV recording of Morse (dropped, or chosen with the file picker),
+ * sends it to /api/decode-audio and shows the transcription with the
+ * sender's estimated speed.
+ */
+const RecordingDropZone = ({ disabled = false }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const [isDecoding, setIsDecoding] = useState(false);
+  const [transcription, setTranscription] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+  const fileInputRef = useRef(null);
+
+  /**
+   * Uploads a recording and shows what was heard
+   * @param {File} file - WAV file
+   */
+  const transcribe = async (file) => {
+    if (!file || disabled) {
+      return;
+    }
+
+    setIsDecoding(true);
+    setErrorMessage('');
+    setTranscription(null);
+
+    try {
+      const response = await fetch('http://localhost:3001/api/decode-audio', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'audio/wav',
+        },
+        body: file
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'TELEGRAPH LINE FAILURE STOP');
+      }
+
+      setTranscription({ name: file.name, ...data });
+    } catch (error) {
+      setErrorMessage(error.message || 'TELEGRAPH LINE DOWN STOP TRY AGAIN STOP');
+    } finally {
+      setIsDecoding(false);
+    }
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = () => {
+    setIsDragging(false);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    transcribe(event.dataTransfer.files[0]);
+  };
+
+  const handleFileChosen = (event) => {
+    transcribe(event.target.files[0]);
+    event.target.value = '';
+  };
+
+  return (
+    <div className="recording-transcriber">
+      <div
+        className={`recording-drop-zone ${isDragging ? 'dragging' : ''} ${disabled ? 'disabled' : ''}`}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+        onClick={() => !disabled && fileInputRef.current && fileInputRef.current.click()}
+        role="button"
+        aria-label="Transcribe a recording"
+        aria-disabled={disabled}
+      >
+        {isDecoding ? 'DECODING RECORDING...' : 'DROP A WAV RECORDING HERE TO TRANSCRIBE'}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="audio/wav,audio/x-wav,.wav"
+          onChange={handleFileChosen}
+          data-testid="recording-input"
+          hidden
+        />
+      </div>
+
+      {errorMessage && (
+        <div className="error-indicator">{errorMessage}</div>
+      )}
+
+      {transcription && (
+        <div className="recording-transcription">
+          <div className="display-label">
+            TRANSCRIPTION OF {transcription.name} ({transcription.wpm} WPM, {transcription.frequency} HZ):
+          </div>
+          <div className="display-value">{transcription.text}</div>
+          <div className="history-morse">{transcription.morse}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecordingDropZone;
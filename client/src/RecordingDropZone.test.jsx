@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import RecordingDropZone from './RecordingDropZone.jsx';
+
+/**
+ * Unit Tests for the Recording Drop Zone
+ *
+ * Tests uploading a dropped or chosen WAV file and showing the transcription.
+ */
+
+describe('RecordingDropZone Component', () => {
+  const recording = new File([new Uint8Array(44)], 'qso.wav', { type: 'audio/wav' });
+
+  beforeEach(() => {
+    global.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('should upload a dropped recording and show the transcription', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ morse: '-.-. --.-', text: 'CQ', wpm: 18, frequency: 700, confidence: 0.9 })
+    });
+    render(<RecordingDropZone />);
+
+    fireEvent.drop(screen.getByRole('button', { name: /transcribe/i }), {
+      dataTransfer: { files: [recording] }
+    });
+
+    await waitFor(() => expect(screen.getByText('CQ')).toBeInTheDocument());
+    expect(screen.getByText(/qso\.wav \(18 WPM, 700 HZ\)/)).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(
+      'http://localhost:3001/api/decode-audio',
+      expect.objectContaining({ method: 'POST', body: recording })
+    );
+  });
+
+  it('should upload a recording chosen with the file picker', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ morse: '...', text: 'S', wpm: 12, frequency: 600, confidence: 1 })
+    });
+    render(<RecordingDropZone />);
+
+    fireEvent.change(screen.getByTestId('recording-input'), { target: { files: [recording] } });
+
+    await waitFor(() => expect(screen.getByText('S')).toBeInTheDocument());
+  });
+
+  it('should show the server error when nothing is heard', async () => {
+    global.fetch.mockResolvedValue({
+      ok: false,
+      json: async () => ({ error: 'NO MORSE HEARD STOP CHECK RECORDING STOP' })
+    });
+    render(<RecordingDropZone />);
+
+    fireEvent.drop(screen.getByRole('button', { name: /transcribe/i }), {
+      dataTransfer: { files: [recording] }
+    });
+
+    await waitFor(() => expect(screen.getByText('NO MORSE HEARD STOP CHECK RECORDING STOP')).toBeInTheDocument());
+  });
+
+  it('should ignore drops while disabled', () => {
+    render(<RecordingDropZone disabled={true} />);
+
+    fireEvent.drop(screen.getByRole('button', { name: /transcribe/i }), {
+      dataTransfer: { files: [recording] }
+    });
+
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
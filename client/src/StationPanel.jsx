@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+
+/**
+ * StationPanel Component
+ *
+ * Registers the sender's station by call sign with /api/stations, then
+ * addresses telegrams: to the operator's office (WU) or to another station's
+ * call sign.
+ */
+const StationPanel = ({ station = null, address = 'WU', onRegister, onAddressChange, disabled = false }) => {
+  const [callSign, setCallSign] = useState('');
+  const [isRegistering, setIsRegistering] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  /**
+   * Registers the call sign typed in
+   * @param {Event} event - Form submission
+   */
+  const register = async (event) => {
+    event.preventDefault();
+    setIsRegistering(true);
+    setErrorMessage('');
+
+    try {
+      const response = await fetch('http://localhost:3001/api/stations', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ call_sign: callSign })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'TELEGRAPH LINE FAILURE STOP');
+      }
+
+      setCallSign('');
+      onRegister && onRegister(data);
+    } catch (error) {
+      setErrorMessage(error.message || 'TELEGRAPH LINE DOWN STOP TRY AGAIN STOP');
+    } finally {
+      setIsRegistering(false);
+    }
+  };
+
+  if (!station) {
+    return (
+      <form className="station-panel" onSubmit={register}>
+        <label className="station-label">
+          CALL SIGN
+          <input
+            className="station-input"
+            value={callSign}
+            onChange={event => setCallSign(event.target.value.toUpperCase())}
+            maxLength={8}
+            disabled={disabled || isRegistering}
+          />
+        </label>
+        <button
+          type="submit"
+          className="station-button"
+          disabled={disabled || isRegistering || callSign.trim() === ''}
+        >
+          {isRegistering ? 'REGISTERING...' : 'REGISTER STATION'}
+        </button>
+        {errorMessage && (
+          <div className="error-indicator">{errorMessage}</div>
+        )}
+      </form>
+    );
+  }
+
+  return (
+    <div className="station-panel">
+      <div className="station-label">STATION {station.call_sign}</div>
+      <label className="station-label">
+        SEND TO
+        <input
+          className="station-input"
+          value={address}
+          onChange={event => onAddressChange && onAddressChange(event.target.value.toUpperCase())}
+          maxLength={8}
+          disabled={disabled}
+        />
+      </label>
+    </div>
+  );
+};
+
+export default StationPanel;
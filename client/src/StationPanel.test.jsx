@@ -0,0 +1,59 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import StationPanel from './StationPanel.jsx';
+
+/**
+ * Unit Tests for the Station Panel
+ *
+ * Tests registering a call sign and addressing telegrams.
+ */
+
+describe('StationPanel Component', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('should register the call sign typed in', async () => {
+    const station = { call_sign: 'BOS', name: '', station_key: 'key' };
+    global.fetch.mockResolvedValue({ ok: true, json: async () => station });
+    const onRegister = vi.fn();
+    render(<StationPanel onRegister={onRegister} />);
+
+    fireEvent.change(screen.getByLabelText(/call sign/i), { target: { value: 'bos' } });
+    fireEvent.click(screen.getByText('REGISTER STATION'));
+
+    await waitFor(() => expect(onRegister).toHaveBeenCalledWith(station));
+    expect(global.fetch).toHaveBeenCalledWith(
+      'http://localhost:3001/api/stations',
+      expect.objectContaining({ method: 'POST', body: JSON.stringify({ call_sign: 'BOS' }) })
+    );
+  });
+
+  it('should show why a call sign was refused', async () => {
+    global.fetch.mockResolvedValue({
+      ok: false,
+      json: async () => ({ error: 'CALL SIGN TAKEN STOP CHOOSE ANOTHER STOP' })
+    });
+    const onRegister = vi.fn();
+    render(<StationPanel onRegister={onRegister} />);
+
+    fireEvent.change(screen.getByLabelText(/call sign/i), { target: { value: 'WU' } });
+    fireEvent.click(screen.getByText('REGISTER STATION'));
+
+    await waitFor(() => expect(screen.getByText('CALL SIGN TAKEN STOP CHOOSE ANOTHER STOP')).toBeInTheDocument());
+    expect(onRegister).not.toHaveBeenCalled();
+  });
+
+  it('should address telegrams once the station is registered', () => {
+    const onAddressChange = vi.fn();
+    render(<StationPanel station={{ call_sign: 'BOS', station_key: 'key' }} address="WU" onAddressChange={onAddressChange} />);
+
+    expect(screen.getByText('STATION BOS')).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText(/send to/i), { target: { value: 'ny' } });
+    expect(onAddressChange).toHaveBeenCalledWith('NY');
+  });
+});
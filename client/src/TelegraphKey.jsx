@@ -1,6 +1,12 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { AudioEngine } from './AudioEngine.js';
 import { morseToText } from '../../shared/morse-lib.js';
+import { AdaptiveTimingDecoder } from '../../shared/timing-decoder.js';
+
+// Pauses that commit a character and a word, as multiples of the decoder's ideal
+// character and word gaps (800ms and 2000ms at 12 WPM)
+const CHARACTER_BREAK_GAPS = 8 / 3;
+const WORD_SPACE_GAPS = 20 / 7;
 
 /**
  * Helper function to calculate character count from morse sequence
@@ -100,12 +106,16 @@ const HelpHints = ({ show, sequenceLength, hasEverSent, onDismiss }) => {
  * Interactive telegraph key button that captures user input and converts
  * timing-based presses into Morse code dots and dashes.
  * 
- * Timing rules:
+ * Timing rules (at the starting speed of 12 WPM):
  * - Press < 200ms = dot (.)
  * - Press >= 200ms = dash (-)
  * - Pause > 800ms = character break
+ * The thresholds follow the operator's speed as estimated by the shared
+ * AdaptiveTimingDecoder, so a faster fist gets shorter dots and pauses.
+ * onKeyEvent is told of each press and release as it happens, with its time,
+ * for decoding elsewhere.
  */
-const TelegraphKey = ({ onDotDash, onCharacterBreak, onWordSpace, onTransmissionComplete, onClear, disabled = false }) => {
+const TelegraphKey = ({ onDotDash, onCharacterBreak, onWordSpace, onTransmissionComplete, onClear, onKeyEvent, disabled = false }) => {
   const [isPressed, setIsPressed] = useState(false);
   const [currentSequence, setCurrentSequence] = useState('');
   const [transmissionStatus, setTransmissionStatus] = useState('idle'); // 'idle' | 'sending' | 'success' | 'error'
@@ -118,6 +128,12 @@ const TelegraphKey = ({ onDotDash, onCharacterBreak, onWordSpace, onTransmission
   const breakTimerRef = useRef(null);
   const wordSpaceTimerRef = useRef(null);
   const sequenceRef = useRef('');
+  const decoderRef = useRef(null);
+  const breakDelayRef = useRef(Infinity);
+
+  if (!decoderRef.current) {
+    decoderRef.current = new AdaptiveTimingDecoder();
+  }
 
   // Initialize AudioEngine and load user preferences on mount
   useEffect(() => {
@@ -157,7 +173,10 @@ const TelegraphKey = ({ onDotDash, onCharacterBreak, onWordSpace, onTransmission
         clearTimeout(wordSpaceTimerRef.current);
       }
 
-      // Set timer for character break detection (800ms)
+      const gaps = decoderRef.current.gapLengths;
+      breakDelayRef.current = gaps.char * CHARACTER_BREAK_GAPS;
+
+      // Set timer for character break detection (800ms at 12 WPM)
       breakTimerRef.current = setTimeout(() => {
         if (sequenceRef.current.length > 0) {
           if (onCharacterBreak) {
@@ -166,14 +185,14 @@ const TelegraphKey = ({ onDotDash, onCharacterBreak, onWordSpace, onTransmission
           // DO NOT clear sequence - keep it for sending
           // User must click SEND or CLEAR explicitly
         }
-      }, 800);
+      }, breakDelayRef.current);
       
-      // Set timer for word space detection (2000ms)
+      // Set timer for word space detection (2000ms at 12 WPM)
       wordSpaceTimerRef.current = setTimeout(() => {
         if (onWordSpace) {
           onWordSpace();
         }
-      }, 2000);
+      }, gaps.word * WORD_SPACE_GAPS);
     }
 
     return () => {
@@ -193,6 +212,16 @@ const TelegraphKey = ({ onDotDash, onCharacterBreak, onWordSpace, onTransmission
 
     setIsPressed(true);
     pressStartTimeRef.current = Date.now();
+    // The pause since the last release teaches the decoder the operator's
+    // spacing, unless the break timer had already closed it: that pause was
+    // waited out rather than keyed, and would only stretch the estimate
+    const pause = pressStartTimeRef.current - lastInputTimeRef.current;
+    if (lastInputTimeRef.current && sequenceRef.current.length > 0 && pause < breakDelayRef.current) {
+      decoderRef.current.addSpace(pause);
+    }
+    if (onKeyEvent) {
+      onKeyEvent('down', pressStartTimeRef.current);
+    }
 
     // Start audio tone
     try {
@@ -221,11 +250,15 @@ const TelegraphKey = ({ onDotDash, onCharacterBreak, onWordSpace, onTransmission
     }
 
     // Calculate press duration
-    const pressDuration = Date.now() - pressStartTimeRef.current;
+    const releaseTime = Date.now();
+    const pressDuration = releaseTime - pressStartTimeRef.current;
     pressStartTimeRef.current = null;
+    if (onKeyEvent) {
+      onKeyEvent('up', releaseTime);
+    }
 
-    // Determine dot or dash based on duration
-    const symbol = pressDuration < 200 ? '.' : '-';
+    // Determine dot or dash based on duration and the operator's speed
+    const symbol = decoderRef.current.addMark(pressDuration);
 
     // Update sequence - sync both state and ref
     const newSequence = sequenceRef.current + symbol;
@@ -263,6 +296,7 @@ const TelegraphKey = ({ onDotDash, onCharacterBreak, onWordSpace, onTransmission
         
         // Only clear sequence on successful transmission - sync both state and ref
         sequenceRef.current = '';
+        decoderRef.current.clearText();
         setCurrentSequence('');
         lastInputTimeRef.current = null;
         
@@ -296,6 +330,7 @@ const TelegraphKey = ({ onDotDash, onCharacterBreak, onWordSpace, onTransmission
   const handleClear = () => {
     // Clear sequence - sync both state and ref
     sequenceRef.current = '';
+    decoderRef.current.clearText();
     setCurrentSequence('');
     lastInputTimeRef.current = null;
     
@@ -110,7 +110,67 @@ describe('TelegraphKey Component', () => {
   });
 
   describe('Character Break Detection', () => {
+
+    it('should wait longer for a character break once the operator spaces widely', async () => {
+      render(
+        <TelegraphKey 
+          onDotDash={mockOnDotDash}
+          onCharacterBreak={mockOnCharacterBreak}
+          onTransmissionComplete={mockOnTransmissionComplete}
+        />
+      );
+
+      const button = screen.getByRole('button', { name: /telegraph key/i });
+
+      // Four dots with long pauses between them, read as wide character gaps
+      for (let i = 0; i < 4; i++) {
+        if (i > 0) {
+          await new Promise(resolve => setTimeout(resolve, 420));
+        }
+        fireEvent.mouseDown(button);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        fireEvent.mouseUp(button);
+      }
+
+      // At standard spacing the break would come 800ms after the last dot
+      await new Promise(resolve => setTimeout(resolve, 850));
+      expect(mockOnCharacterBreak).not.toHaveBeenCalled();
+      await waitFor(() => {
+        expect(mockOnCharacterBreak).toHaveBeenCalledWith('....');
+      }, { timeout: 1500 });
+    });
     
+    it('should keep the word space timeout steady over several words', () => {
+      vi.useFakeTimers();
+      const mockOnWordSpace = vi.fn();
+      try {
+        render(
+          <TelegraphKey 
+            onDotDash={mockOnDotDash}
+            onCharacterBreak={mockOnCharacterBreak}
+            onWordSpace={mockOnWordSpace}
+            onTransmissionComplete={mockOnTransmissionComplete}
+          />
+        );
+
+        const button = screen.getByRole('button', { name: /telegraph key/i });
+
+        // Each word is a dot followed by waiting out the word space
+        for (let word = 1; word <= 6; word++) {
+          fireEvent.mouseDown(button);
+          act(() => { vi.advanceTimersByTime(100); });
+          fireEvent.mouseUp(button);
+
+          act(() => { vi.advanceTimersByTime(1999); });
+          expect(mockOnWordSpace).toHaveBeenCalledTimes(word - 1);
+          act(() => { vi.advanceTimersByTime(1); });
+          expect(mockOnWordSpace).toHaveBeenCalledTimes(word);
+        }
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
     it('should trigger character break after 800ms pause', async () => {
       render(
         <TelegraphKey 
@@ -402,6 +462,21 @@ describe('TelegraphKey Component', () => {
       // Should only register one input
       expect(mockOnDotDash).toHaveBeenCalledTimes(1);
     });
+
+    it('should report each press and release with its time', async () => {
+      const onKeyEvent = vi.fn();
+      render(<TelegraphKey onKeyEvent={onKeyEvent} />);
+
+      const button = screen.getByRole('button', { name: /telegraph key/i });
+
+      fireEvent.mouseDown(button);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      fireEvent.mouseUp(button);
+
+      expect(onKeyEvent.mock.calls.map(([state]) => state)).toEqual(['down', 'up']);
+      const [[, down], [, up]] = onKeyEvent.mock.calls;
+      expect(up - down).toBeGreaterThanOrEqual(90);
+    });
   });
 
   describe('Status Message Generation', () => {
@@ -478,6 +553,29 @@ describe('TelegraphKey Component', () => {
         expect(screen.getByText('READY')).toBeInTheDocument();
       }, { timeout: 1000 });
     });
+
+    it('should show a failed transmission and keep the sequence for a retry', async () => {
+      mockOnTransmissionComplete.mockRejectedValue(new Error('TELEGRAPH LINE DOWN STOP'));
+      render(
+        <TelegraphKey 
+          onDotDash={mockOnDotDash}
+          onCharacterBreak={mockOnCharacterBreak}
+          onTransmissionComplete={mockOnTransmissionComplete}
+        />
+      );
+
+      const button = screen.getByRole('button', { name: /telegraph key/i });
+      fireEvent.mouseDown(button);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      fireEvent.mouseUp(button);
+
+      fireEvent.click(await screen.findByText('SEND TRANSMISSION'));
+
+      await waitFor(() => {
+        expect(screen.getByText('TRANSMISSION FAILED')).toBeInTheDocument();
+      });
+      expect(screen.getByText('SEND TRANSMISSION')).toBeInTheDocument();
+    });
   });
 
   describe('Tooltip Text Generation', () => {
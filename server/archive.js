@@ -0,0 +1,172 @@
+/**
+ * Transmission Archive
+ *
+ * Files every telegram sent to and by the operator, and between stations, as
+ * the office kept its copies. Station telegrams carry the call signs they are
+ * from and to. Telegrams are appended to a JSON Lines file, one per line, and read
+ * back into memory when the archive is first used. An archive without a file
+ * keeps its telegrams in memory only.
+ */
+
+import { mkdir, readFile, appendFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+const SENDERS = ['user', 'operator', 'station'];
+
+/**
+ * Lists who can send a telegram
+ * @returns {string[]} Sender names accepted as options.sender
+ */
+export function getSenders() {
+  return [...SENDERS];
+}
+
+/**
+ * Archive of transmissions, file-backed or in memory
+ */
+export class TransmissionArchive {
+  /**
+   * @param {Object} [options] - Archive options
+   * @param {string|null} [options.file=null] - JSON Lines file to keep telegrams in
+   * @param {Function} [options.now] - Clock, returning a Date
+   */
+  constructor(options = {}) {
+    this.file = options.file ?? null;
+    this.now = options.now ?? (() => new Date());
+    this.transmissions = [];
+    this.loading = null;
+    // Appends are made one after another, so lines are never interleaved
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Reads the file into memory, once
+   * Lines that cannot be read are skipped.
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        if (!this.file) {
+          return;
+        }
+        let contents;
+        try {
+          contents = await readFile(this.file, 'utf8');
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            return;
+          }
+          throw error;
+        }
+        for (const line of contents.split('\n')) {
+          if (line.trim() === '') {
+            continue;
+          }
+          try {
+            this.transmissions.push(JSON.parse(line));
+          } catch {
+            console.error('Skipping unreadable archive line:', line);
+          }
+        }
+      })();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Files telegrams
+   * Each is numbered on from the last and stamped with the time it was filed.
+   * @param {string|null} sessionId - Conversation the telegrams belong to
+   * @param {{sender: string, morse: string, text: string, from?: string, to?: string,
+   *   code?: string, notation?: string}[]} telegrams - Telegrams to file, in order; station
+   *   telegrams give the call signs they are from and to, and Morse other than ITU in slash
+   *   notation gives its code and notation
+   * @returns {Promise<{id: number, session_id: string|null, sender: string, morse: string,
+   *   text: string, timestamp: string, from?: string, to?: string, code?: string,
+   *   notation?: string}[]>} The telegrams as filed
+   */
+  async add(sessionId, telegrams) {
+    await this.load();
+    const timestamp = this.now().toISOString();
+    let id = this.transmissions.length > 0 ? this.transmissions[this.transmissions.length - 1].id : 0;
+
+    const filed = telegrams.map(({ sender, morse, text, from, to, code, notation }) => ({
+      id: ++id,
+      session_id: sessionId ?? null,
+      sender,
+      ...(sender === 'station' && { from, to }),
+      morse,
+      ...(code && code !== 'itu' && { code }),
+      ...(notation && notation !== 'slash' && { notation }),
+      text,
+      timestamp
+    }));
+    this.transmissions.push(...filed);
+
+    if (this.file) {
+      const lines = filed.map(transmission => `${JSON.stringify(transmission)}\n`).join('');
+      this.writing = this.writing.catch(() => {}).then(async () => {
+        await mkdir(dirname(this.file), { recursive: true });
+        await appendFile(this.file, lines);
+      });
+      await this.writing;
+    }
+    return filed.map(transmission => ({ ...transmission }));
+  }
+
+  /**
+   * Finds a telegram by its number
+   * @param {number} id - Telegram number
+   * @returns {Promise<Object|null>} The telegram, or null when there is none
+   */
+  async get(id) {
+    await this.load();
+    const transmission = this.transmissions.find(filed => filed.id === id);
+    return transmission ? { ...transmission } : null;
+  }
+
+  /**
+   * Searches the archive a page at a time
+   * Every word of the query must appear in a telegram's text, in any case.
+   *
+   * @param {Object} [options] - Search options
+   * @param {number} [options.page=1] - Page to return, from 1
+   * @param {number} [options.perPage=20] - Telegrams to a page
+   * @param {Date} [options.from] - Earliest time filed, inclusive
+   * @param {Date} [options.to] - Latest time filed, inclusive
+   * @param {string} [options.sender] - 'user', 'operator' or 'station'
+   * @param {string} [options.sessionId] - Conversation the telegrams belong to
+   * @param {string} [options.station] - Call sign of a station the telegrams are from or to
+   * @param {string} [options.query] - Words to look for in the text
+   * @param {string} [options.order='desc'] - 'desc' for the latest first, 'asc' for the earliest
+   * @returns {Promise<{transmissions: Object[], total: number, page: number, perPage: number,
+   *   totalPages: number}>} The page of telegrams and the number found in all
+   */
+  async search(options = {}) {
+    await this.load();
+    const { page = 1, perPage = 20, from, to, sender, sessionId, station, query, order = 'desc' } = options;
+    const terms = (query ?? '').toUpperCase().split(/\s+/).filter(term => term !== '');
+
+    const found = this.transmissions.filter(transmission => {
+      const filed = Date.parse(transmission.timestamp);
+      return (!from || filed >= from.getTime())
+        && (!to || filed <= to.getTime())
+        && (!sender || transmission.sender === sender)
+        && (!sessionId || transmission.session_id === sessionId)
+        && (!station || transmission.from === station || transmission.to === station)
+        && terms.every(term => transmission.text.toUpperCase().includes(term));
+    });
+    if (order === 'desc') {
+      found.reverse();
+    }
+
+    return {
+      transmissions: found.slice((page - 1) * perPage, page * perPage).map(transmission => ({ ...transmission })),
+      total: found.length,
+      page,
+      perPage,
+      totalPages: Math.ceil(found.length / perPage)
+    };
+  }
+}
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { TransmissionArchive, getSenders } from './archive.js';
+
+/**
+ * Clock that moves on a minute each time it is read
+ * @param {string} start - First time, ISO 8601
+ * @returns {Function} Clock returning a Date
+ */
+function minuteClock(start) {
+  let time = Date.parse(start);
+  return () => {
+    const now = new Date(time);
+    time += 60 * 1000;
+    return now;
+  };
+}
+
+describe('Transmission archive', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'archive-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should list the senders', () => {
+    expect(getSenders()).toEqual(['user', 'operator', 'station']);
+  });
+
+  it('should number and stamp telegrams as they are filed', async () => {
+    const archive = new TransmissionArchive({ now: minuteClock('1865-10-19T10:00:00Z') });
+
+    const filed = await archive.add('abc', [
+      { sender: 'user', morse: '.... ..', text: 'HI' },
+      { sender: 'operator', morse: '.... . .-.. .-.. ---', text: 'HELLO' }
+    ]);
+    const [next] = await archive.add(null, [{ sender: 'user', morse: '...', text: 'S' }]);
+
+    expect(filed).toEqual([
+      { id: 1, session_id: 'abc', sender: 'user', morse: '.... ..', text: 'HI', timestamp: '1865-10-19T10:00:00.000Z' },
+      { id: 2, session_id: 'abc', sender: 'operator', morse: '.... . .-.. .-.. ---', text: 'HELLO', timestamp: '1865-10-19T10:00:00.000Z' }
+    ]);
+    expect(next).toMatchObject({ id: 3, session_id: null, timestamp: '1865-10-19T10:01:00.000Z' });
+    expect(await archive.get(2)).toEqual(filed[1]);
+    expect(await archive.get(4)).toBeNull();
+  });
+
+  it('should file station telegrams with their call signs', async () => {
+    const archive = new TransmissionArchive({ now: minuteClock('1865-10-19T10:00:00Z') });
+
+    const [filed] = await archive.add(null, [{ sender: 'station', from: 'BOS', to: 'NY', morse: '.... ..', text: 'HI' }]);
+    await archive.add('abc', [{ sender: 'user', from: 'BOS', morse: '...', text: 'S' }]);
+
+    expect(filed).toEqual({
+      id: 1, session_id: null, sender: 'station', from: 'BOS', to: 'NY', morse: '.... ..', text: 'HI', timestamp: '1865-10-19T10:00:00.000Z'
+    });
+    expect(await archive.get(2)).not.toHaveProperty('from');
+    expect((await archive.search({ sender: 'station' })).transmissions).toEqual([filed]);
+    expect((await archive.search({ station: 'NY' })).transmissions).toEqual([filed]);
+    expect((await archive.search({ station: 'WU' })).total).toBe(0);
+  });
+
+  it('should note Morse sent in another code or notation', async () => {
+    const archive = new TransmissionArchive();
+
+    const filed = await archive.add('abc', [
+      { sender: 'user', morse: '_', text: 'L', code: 'american' },
+      { sender: 'operator', morse: '10111', text: 'A', code: 'itu', notation: 'binary' },
+      { sender: 'operator', morse: '.-', text: 'A', code: 'itu', notation: 'slash' }
+    ]);
+
+    expect(filed[0]).toMatchObject({ code: 'american' });
+    expect(filed[1]).toMatchObject({ notation: 'binary' });
+    expect(filed[1]).not.toHaveProperty('code');
+    expect(filed[2]).not.toHaveProperty('notation');
+  });
+
+  it('should keep telegrams in its file and read them back', async () => {
+    const file = join(dir, 'office', 'transmissions.jsonl');
+    const archive = new TransmissionArchive({ file });
+    await archive.add('abc', [{ sender: 'user', morse: '.... ..', text: 'HI' }]);
+    await archive.add('abc', [{ sender: 'operator', morse: '-.--', text: 'Y' }]);
+
+    expect(readFileSync(file, 'utf8').trim().split('\n')).toHaveLength(2);
+
+    const reopened = new TransmissionArchive({ file });
+    expect((await reopened.get(1)).text).toBe('HI');
+    const [next] = await reopened.add('abc', [{ sender: 'user', morse: '-', text: 'T' }]);
+    expect(next.id).toBe(3);
+  });
+
+  it('should skip lines it cannot read', async () => {
+    const file = join(dir, 'transmissions.jsonl');
+    writeFileSync(file, '{"id":1,"sender":"user","morse":"-","text":"T","timestamp":"1865-10-19T10:00:00Z"}\nnot json\n');
+    const archive = new TransmissionArchive({ file });
+
+    expect((await archive.search()).total).toBe(1);
+  });
+
+  describe('search', () => {
+    let archive;
+
+    beforeEach(async () => {
+      archive = new TransmissionArchive({ now: minuteClock('1865-10-19T10:00:00Z') });
+      for (const [sessionId, text] of [['a', 'ARRIVED SAFELY'], ['a', 'WIRE MONEY'], ['b', 'MONEY SENT SAFELY']]) {
+        await archive.add(sessionId, [
+          { sender: 'user', morse: '', text },
+          { sender: 'operator', morse: '', text: `RECEIVED ${text}` }
+        ]);
+      }
+    });
+
+    it('should give the latest first, a page at a time', async () => {
+      const first = await archive.search({ perPage: 4 });
+      const second = await archive.search({ perPage: 4, page: 2 });
+
+      expect(first.transmissions.map(({ id }) => id)).toEqual([6, 5, 4, 3]);
+      expect(second.transmissions.map(({ id }) => id)).toEqual([2, 1]);
+      expect(first).toMatchObject({ total: 6, page: 1, perPage: 4, totalPages: 2 });
+    });
+
+    it('should give the earliest first when asked', async () => {
+      const { transmissions } = await archive.search({ perPage: 2, order: 'asc' });
+      expect(transmissions.map(({ id }) => id)).toEqual([1, 2]);
+    });
+
+    it('should filter by sender, session and time filed', async () => {
+      const sent = await archive.search({ sender: 'user', sessionId: 'a' });
+      const later = await archive.search({ from: new Date('1865-10-19T10:01:00Z'), to: new Date('1865-10-19T10:01:00Z') });
+
+      expect(sent.transmissions.map(({ text }) => text)).toEqual(['WIRE MONEY', 'ARRIVED SAFELY']);
+      expect(later.transmissions.map(({ id }) => id)).toEqual([4, 3]);
+    });
+
+    it('should find telegrams with every word of the query, in any case', async () => {
+      const { transmissions } = await archive.search({ query: 'safely  money', sender: 'user' });
+      expect(transmissions.map(({ text }) => text)).toEqual(['MONEY SENT SAFELY']);
+    });
+  });
+});
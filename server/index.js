@@ -1,15 +1,84 @@
 import 'dotenv/config';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
 import express from 'express';
 import cors from 'cors';
 import rateLimit from 'express-rate-limit';
-import { morseToText, textToMorse, morseToTiming } from '../shared/morse-lib.js';
+import {
+  morseToText,
+  textToMorse,
+  morseToTiming,
+  morseToSchedule,
+  getSupportedCodes,
+  getSupportedAlphabets,
+  getElementDurations,
+  decodeMorse
+} from '../shared/morse-lib.js';
+import { timingToMorse } from '../shared/timing-decoder.js';
+import { correctMorse } from '../shared/morse-correction.js';
+import { normalizeText } from '../shared/text-normalizer.js';
+import { parseMorse, formatMorse, getSupportedNotations } from '../shared/morse-notation.js';
+import { renderWav, getAudioOptions } from '../shared/morse-audio.js';
+import { decodeAudio } from '../shared/audio-decoder.js';
+import { expandAbbreviations } from '../shared/codebook.js';
+import { encodeWithCodeBook, decodeWithCodeBook, getSupportedCodeBooks } from '../shared/commercial-codes.js';
+import { encipher, decipher, checkCipher } from '../shared/ciphers.js';
+import { formatTelegram, parseTelegram, isTelegram, stampTelegram } from '../shared/telegram-format.js';
+import { formatEvent } from '../shared/event-stream.js';
 import { invokeOperatorAI } from './operator-persona.js';
+import { streamOperatorWords, keyWords } from './keyed-reply.js';
+import { SessionStore } from './sessions.js';
+import { attachLiveLine } from './live-line.js';
+import { TransmissionArchive, getSenders } from './archive.js';
+import { StationRegistry, checkCallSign, OPERATOR_CALL_SIGN } from './stations.js';
+import { loadNetwork } from './relay.js';
+import { calculateCharge, formatCharge, getTariffClasses, getTariffZones } from './tariff.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Longest transmission accepted before parsing; binary and dit-dah notations
+// take several times as many characters as dots and dashes
+const MAX_NOTATION_LENGTH = 5000;
+
+// Longest transmission once read into dots and dashes, and longest text keyed
+const MAX_MORSE_LENGTH = 500;
+
+// Largest recording accepted by /api/decode-audio
+const MAX_RECORDING_SIZE = '10mb';
+
+// Most key-down/key-up durations decoded from key_timings or a recording
+const MAX_KEY_TIMINGS = 2000;
+
+// Office of origin and signature of the operator's telegrams
+const OPERATOR_OFFICE = 'WESTERN UNION';
+const OPERATOR_SIGNATURE = 'OPERATOR';
+
+// Number of the last telegram the operator sent
+let lastReplyNumber = 0;
+
+// Conversations with the operator, by session ID
+const sessions = new SessionStore();
+
+// Every telegram to and from the operator; kept in memory only under test
+// unless a file is given
+const archive = new TransmissionArchive({
+  file: process.env.TRANSMISSION_ARCHIVE
+    || (process.env.NODE_ENV === 'test' ? null : join(dirname(fileURLToPath(import.meta.url)), 'data', 'transmissions.jsonl'))
+});
+
+// Stations senders can telegraph besides the operator, by call sign, and the
+// offices their telegrams are relayed through
+const network = loadNetwork(process.env.TELEGRAPH_NETWORK
+  || join(dirname(fileURLToPath(import.meta.url)), 'network.json'));
+const stations = new StationRegistry({ network });
+
+// Most telegrams returned by a page of /api/transmissions
+const MAX_PAGE_SIZE = 100;
+
 // Middleware
-app.use(cors());
+// Replies sent as audio carry their text in headers
+app.use(cors({ exposedHeaders: ['X-Reply-Text', 'X-Reply-Morse', 'X-Session-Id'] }));
 app.use(express.json());
 
 // Rate limiting: 10 requests per minute (disabled in test environment)
@@ -23,6 +92,691 @@ if (process.env.NODE_ENV !== 'test') {
   app.use('/api', limiter);
 }
 
+/**
+ * Reads keying speed options from a request body
+ * @param {Object} body - Request body with optional wpm, farnsworth_wpm, weight and dash_ratio
+ * @returns {Object} Options for morseToTiming
+ */
+function readTimingOptions(body) {
+  return {
+    wpm: body.wpm,
+    farnsworthWpm: body.farnsworth_wpm,
+    weight: body.weight,
+    dashRatio: body.dash_ratio
+  };
+}
+
+/**
+ * Reads tone options from a request body
+ * @param {Object} body - Request body with optional frequency, sample_rate, volume and ramp_ms
+ * @returns {Object} Options for renderWav
+ */
+function readAudioOptions(body) {
+  return {
+    frequency: body.frequency,
+    sampleRate: body.sample_rate,
+    volume: body.volume,
+    rampMs: body.ramp_ms
+  };
+}
+
+/**
+ * Reads tariff options from a request body
+ * @param {Object} body - Request body with optional tariff_class, tariff_zone and distance_miles
+ * @returns {Object} Options for calculateCharge
+ */
+function readTariffOptions(body) {
+  return {
+    tariffClass: body.tariff_class,
+    zone: body.tariff_zone,
+    distanceMiles: body.distance_miles
+  };
+}
+
+/**
+ * Writes a cost breakdown for a response
+ * @param {Object} charge - Breakdown from calculateCharge
+ * @returns {Object} Breakdown with snake_case fields and the total in dollars
+ */
+function formatChargeReport(charge) {
+  return {
+    tariff_class: charge.tariffClass,
+    zone: charge.zone,
+    words: charge.words,
+    chargeable_words: charge.chargeableWords,
+    base_words: charge.baseWords,
+    base_cents: charge.baseCents,
+    extra_words: charge.extraWords,
+    extra_cents: charge.extraCents,
+    total_cents: charge.totalCents,
+    total: formatCharge(charge.totalCents)
+  };
+}
+
+/**
+ * Writes a telegram's envelope fields for a response
+ * @param {Object} telegram - Fields from parseTelegram
+ * @returns {Object} Preamble, address and signature
+ */
+function formatTelegramReport(telegram) {
+  return {
+    number: telegram.number,
+    precedence: telegram.precedence,
+    check: telegram.check,
+    origin: telegram.origin,
+    filed: telegram.filed,
+    date: telegram.date,
+    address: telegram.address,
+    signature: telegram.signature
+  };
+}
+
+/**
+ * Reads query string values as the JSON body would carry them
+ * Numeric text becomes a number and 'true'/'false' a boolean.
+ * @param {Object} query - Parsed query string
+ * @returns {Object} Request parameters
+ */
+function readQuery(query) {
+  const params = {};
+  for (const [name, value] of Object.entries(query)) {
+    if (value === 'true' || value === 'false') {
+      params[name] = value === 'true';
+    } else if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      params[name] = Number(value);
+    } else {
+      params[name] = value;
+    }
+  }
+  return params;
+}
+
+/**
+ * Checks a code and alphabet pair
+ * @param {string} code - Code name
+ * @param {string} alphabet - Alphabet name
+ * @returns {string|null} Error message, or null when the pair can be keyed
+ */
+function checkEncoding(code, alphabet) {
+  if (!getSupportedCodes().includes(code)) {
+    return 'UNKNOWN CODE STOP USE ITU OR AMERICAN STOP';
+  }
+  if (!getSupportedAlphabets().includes(alphabet)) {
+    return 'UNKNOWN ALPHABET STOP USE LATIN CYRILLIC GREEK HEBREW ARABIC OR WABUN STOP';
+  }
+  // National alphabets are keyed in ITU Morse only
+  if (alphabet !== 'latin' && code !== 'itu') {
+    return 'ALPHABET KEYED IN ITU ONLY STOP';
+  }
+  return null;
+}
+
+/**
+ * Marks a transmission as refused
+ * @param {Object} body - Error response
+ * @returns {{rejection: Object}} Refusal, sent by the route with status 400
+ */
+function reject(body) {
+  return { rejection: body };
+}
+
+/**
+ * Reads a transmission sent to the operator
+ * Checks the options, decodes the Morse and reads the message out of its
+ * envelope, cipher and code book, ready for the operator to answer.
+ * @param {Object} body - Request body of /api/send-telegram
+ * @returns {Object} The transmission and the options of its reply, or
+ *   {rejection} with the error response when it cannot be answered
+ */
+function readTransmission(body) {
+  // Validate request body
+  if (!body) {
+    return reject({
+      error: 'INVALID TRANSMISSION STOP NO DATA RECEIVED STOP'
+    });
+  }
+
+  const {
+    key_timings,
+    code = 'itu',
+    alphabet = 'latin',
+    notation = 'auto',
+    reply_notation = 'slash',
+    reply_format = 'json',
+    auto_correct = false,
+    extended = false,
+    abbreviate = false,
+    code_book = null,
+    cipher = null,
+    cipher_key,
+    reply_envelope,
+    session_id
+  } = body;
+  let { morse_sequence } = body;
+  let keying = null;
+
+  // Raw key timings may be sent instead of Morse; decode them first
+  if (morse_sequence === undefined && key_timings !== undefined) {
+    if (!Array.isArray(key_timings) || key_timings.length > MAX_KEY_TIMINGS) {
+      return reject({
+        error: 'INVALID TRANSMISSION STOP KEY TIMINGS MUST BE A LIST STOP'
+      });
+    }
+
+    if (code !== 'itu') {
+      return reject({
+        error: 'KEY TIMINGS DECODED IN ITU ONLY STOP'
+      });
+    }
+
+    try {
+      keying = timingToMorse(key_timings);
+    } catch (keyingError) {
+      return reject({
+        error: 'INVALID TRANSMISSION STOP KEY TIMINGS MUST BE MILLISECONDS STOP'
+      });
+    }
+    morse_sequence = keying.morse;
+  }
+
+  // Validate morse_sequence field exists
+  if (!morse_sequence) {
+    return reject({
+      error: 'INVALID TRANSMISSION STOP MORSE SEQUENCE REQUIRED STOP'
+    });
+  }
+
+  // Validate morse_sequence is a string
+  if (typeof morse_sequence !== 'string') {
+    return reject({
+      error: 'INVALID TRANSMISSION STOP MORSE SEQUENCE MUST BE TEXT STOP'
+    });
+  }
+
+  if (morse_sequence.length > MAX_NOTATION_LENGTH) {
+    return reject({
+      error: `TRANSMISSION TOO LONG STOP MAX ${MAX_NOTATION_LENGTH} CHARACTERS STOP`
+    });
+  }
+
+  // Read whichever notation the transmission is written in
+  const keyedMorse = morse_sequence;
+  try {
+    morse_sequence = parseMorse(keyedMorse, { notation, code });
+  } catch (notationError) {
+    return reject({
+      error: 'UNREADABLE TRANSMISSION STOP CHECK NOTATION STOP',
+      details: notationError.message
+    });
+  }
+
+  // Word spaces alone are a transmission, only a blank one is not
+  if (!morse_sequence && keyedMorse.trim() === '') {
+    return reject({
+      error: 'INVALID TRANSMISSION STOP MORSE SEQUENCE REQUIRED STOP'
+    });
+  }
+  morse_sequence = morse_sequence || '/';
+
+  // Validate morse_sequence length once read
+  if (morse_sequence.length > MAX_MORSE_LENGTH) {
+    return reject({
+      error: `TRANSMISSION TOO LONG STOP MAX ${MAX_MORSE_LENGTH} CHARACTERS STOP`
+    });
+  }
+
+  // Validate code and alphabet
+  const encodingError = checkEncoding(code, alphabet);
+  if (encodingError) {
+    return reject({ error: encodingError });
+  }
+
+  // Validate the notation the reply is written in
+  if (!getSupportedNotations(code).includes(reply_notation)) {
+    return reject({
+      error: 'UNKNOWN REPLY NOTATION STOP USE SLASH PIPE SPACES DITDAH OR BINARY STOP'
+    });
+  }
+
+  // Validate the reply format; audio replies are rendered as WAV
+  if (!['json', 'wav'].includes(reply_format)) {
+    return reject({
+      error: 'UNKNOWN REPLY FORMAT STOP USE JSON OR WAV STOP'
+    });
+  }
+
+  // Validate the code book the operator reads and replies in
+  if (code_book !== null && !getSupportedCodeBooks().includes(code_book)) {
+    return reject({
+      error: 'UNKNOWN CODE BOOK STOP USE WESTERN-UNION OR ABC STOP'
+    });
+  }
+
+  // A conversation goes on in its session; without one a new one starts
+  if (session_id !== undefined && !(typeof session_id === 'string' && sessions.has(session_id))) {
+    return reject({
+      error: 'UNKNOWN SESSION STOP START A NEW SESSION STOP'
+    });
+  }
+
+  // Telegram envelopes are separated by BT, which only ITU keys
+  if (reply_envelope === true && code !== 'itu') {
+    return reject({
+      error: 'TELEGRAM FORMAT KEYED IN ITU ONLY STOP'
+    });
+  }
+
+  // Validate the cipher and key shared with the operator
+  if (cipher !== null) {
+    try {
+      checkCipher({ cipher, key: cipher_key });
+    } catch (cipherError) {
+      return reject({
+        error: cipherError.message.startsWith('Unknown cipher')
+          ? 'UNKNOWN CIPHER STOP USE ROUTE VIGENERE OR PLAYFAIR STOP'
+          : 'INVALID CIPHER KEY STOP SEND LETTERS ONLY STOP',
+        details: cipherError.message
+      });
+    }
+
+    if (alphabet !== 'latin') {
+      return reject({
+        error: 'CIPHERS KEYED IN LATIN ONLY STOP'
+      });
+    }
+  }
+  const cipherOptions = { cipher, key: cipher_key };
+
+  // Validate how the telegrams are charged
+  const tariffOptions = readTariffOptions(body);
+  if (tariffOptions.tariffClass !== undefined && !getTariffClasses().includes(tariffOptions.tariffClass)) {
+    return reject({
+      error: 'UNKNOWN TARIFF CLASS STOP USE FULL-RATE DAY-LETTER OR NIGHT-LETTER STOP'
+    });
+  }
+  if (tariffOptions.zone !== undefined
+    && !getTariffZones().some(({ name }) => name === tariffOptions.zone)) {
+    return reject({
+      error: 'UNKNOWN TARIFF ZONE STOP USE LOCAL OR ZONE-1 TO ZONE-5 STOP'
+    });
+  }
+  const { distanceMiles } = tariffOptions;
+  if (distanceMiles !== undefined
+    && (typeof distanceMiles !== 'number' || !Number.isFinite(distanceMiles) || distanceMiles < 0)) {
+    return reject({
+      error: 'INVALID DISTANCE STOP SEND MILES STOP'
+    });
+  }
+  const chargeOptions = {
+    ...tariffOptions,
+    codeBook: code_book ?? undefined,
+    ciphered: cipher !== null
+  };
+
+  const encoding = { code, alphabet, extended: extended === true };
+
+  // Validate keying speed for the reply
+  const timingOptions = { code, ...readTimingOptions(body) };
+  let durations;
+  try {
+    durations = getElementDurations(timingOptions);
+  } catch (timingError) {
+    return reject({
+      error: 'INVALID SPEED STOP CHECK WPM AND WEIGHT STOP',
+      details: timingError.message
+    });
+  }
+
+  const audioOptions = readAudioOptions(body);
+  if (reply_format === 'wav') {
+    try {
+      getAudioOptions(audioOptions);
+    } catch (audioError) {
+      return reject({
+        error: 'INVALID AUDIO STOP CHECK FREQUENCY SAMPLE RATE AND VOLUME STOP',
+        details: audioError.message
+      });
+    }
+  }
+
+  // Decode the incoming Morse transmission, reading prosigns as <NAME> tokens
+  const decoding = { ...encoding, prosigns: true };
+  const tokens = decodeMorse(morse_sequence, decoding);
+  const decodedText = tokens.map(token => token.valid ? token.char : '�').join('');
+  console.log('Received Morse:', morse_sequence);
+  console.log('Decoded text:', decodedText);
+
+  // Propose the intended words of a mis-keyed transmission; cipher groups
+  // are not words, so an enciphered telegram is taken as keyed
+  const correction = cipher
+    ? { words: [], corrected: false, text: decodedText }
+    : correctMorse(morse_sequence, decoding);
+  const corrections = correction.words
+    .filter(word => word.corrected)
+    .map(({ original, text, distance }) => ({ original, corrected: text, distance }));
+  const autoCorrected = auto_correct === true && correction.corrected
+    && !correction.text.includes('�');
+
+  // Report each unknown pattern with where it is and what it may have been
+  const invalidTokens = tokens.filter(token => !token.valid);
+  if (invalidTokens.length > 0 && !autoCorrected) {
+    return reject({
+      error: 'INVALID MORSE SEQUENCE STOP CONTAINS UNKNOWN PATTERNS STOP',
+      partial_decode: decodedText,
+      // Offsets below are into the transmission as read, in slash notation
+      ...(morse_sequence !== keyedMorse && { received_morse: morse_sequence }),
+      errors: invalidTokens.map(token => ({
+        position: tokens.indexOf(token),
+        offset: token.offset,
+        morse: token.morse,
+        suggestions: token.suggestions.map(({ char, morse }) => ({ char, morse }))
+      })),
+      ...(correction.corrected && { suggested_text: correction.text })
+    });
+  }
+
+  const messageText = autoCorrected ? correction.text : decodedText;
+  if (autoCorrected) {
+    console.log('Corrected text:', messageText);
+  }
+
+  // A formal telegram is read out of its envelope and its words counted
+  // against the check
+  let telegram = null;
+  if (isTelegram(messageText)) {
+    try {
+      telegram = parseTelegram(messageText);
+    } catch (telegramError) {
+      return reject({
+        error: 'MALFORMED TELEGRAM STOP CHECK PREAMBLE AND BT SEPARATORS STOP',
+        details: telegramError.message
+      });
+    }
+
+    if (!telegram.checkMatches) {
+      return reject({
+        error: 'CHECK COUNT MISMATCH STOP PLEASE REPEAT STOP',
+        details: `CK ${telegram.check} but ${telegram.wordCount} words in the text`,
+        check: telegram.check,
+        word_count: telegram.wordCount
+      });
+    }
+  }
+  const messageBody = telegram ? telegram.text : messageText;
+
+  // Decipher the message with the shared key
+  let plainMessage = messageBody;
+  if (cipher) {
+    try {
+      plainMessage = decipher(messageBody, cipherOptions);
+    } catch (cipherError) {
+      return reject({
+        error: 'UNREADABLE CIPHER STOP CHECK KEY AND GROUPS STOP',
+        details: cipherError.message
+      });
+    }
+    console.log('Deciphered text:', plainMessage);
+  }
+
+  // Code words in the message are read out of the code book for the operator
+  const received = code_book ? decodeWithCodeBook(plainMessage, { book: code_book }) : null;
+  const operatorMessage = received ? received.text : plainMessage;
+
+  return {
+    code,
+    alphabet,
+    reply_notation,
+    reply_format,
+    abbreviate,
+    code_book,
+    cipher,
+    cipherOptions,
+    reply_envelope,
+    session_id,
+    chargeOptions,
+    encoding,
+    timingOptions,
+    durations,
+    audioOptions,
+    keying,
+    keyedMorse,
+    morse_sequence,
+    messageText,
+    correction,
+    corrections,
+    autoCorrected,
+    telegram,
+    messageBody,
+    received,
+    operatorMessage
+  };
+}
+
+/**
+ * Reads who a transmission is from and to
+ * Telegrams go to the operator unless addressed to another station; only a
+ * registered station, sending its key, can telegraph other stations.
+ * @param {Object} body - Request body with optional to, from and station_key
+ * @returns {{to: string, from: string|null}|{rejection: Object}} Call signs of the
+ *   stations, from being null for senders without one, or {rejection}
+ */
+function readAddress(body) {
+  const { to = OPERATOR_CALL_SIGN, from, station_key } = body;
+  let address;
+  try {
+    address = { to: checkCallSign(to), from: from === undefined ? null : checkCallSign(from) };
+  } catch {
+    return reject({
+      error: 'INVALID CALL SIGN STOP USE 2 TO 8 LETTERS OR FIGURES STOP'
+    });
+  }
+
+  if (address.from && !stations.verify(address.from, station_key)) {
+    return reject({
+      error: 'STATION KEY REFUSED STOP CHECK CALL SIGN AND KEY STOP'
+    });
+  }
+  if (address.to === OPERATOR_CALL_SIGN) {
+    return address;
+  }
+  if (!address.from) {
+    return reject({
+      error: 'NO STATION STOP REGISTER A CALL SIGN TO TELEGRAPH STATIONS STOP'
+    });
+  }
+  if (!stations.has(address.to)) {
+    return reject({
+      error: 'UNKNOWN STATION STOP CHECK THE ADDRESS STOP'
+    });
+  }
+  return address;
+}
+
+/**
+ * Charges the message of a transmission as it was sent
+ * A telegram's address and signature are charged by the tariff's own rules.
+ * @param {Object} transmission - Transmission from readTransmission
+ * @returns {Object} Cost breakdown from formatChargeReport
+ */
+function chargeSent({ messageBody, chargeOptions, telegram }) {
+  return formatChargeReport(calculateCharge(messageBody, {
+    ...chargeOptions,
+    ...(telegram && { address: telegram.address, signature: telegram.signature })
+  }));
+}
+
+/**
+ * Writes the operator's reply to a transmission
+ * Codes, enciphers and wraps the reply as the transmission asks, keys it in
+ * Morse and charges it.
+ * @param {Object} transmission - Transmission from readTransmission
+ * @param {string} plainReply - The operator's reply, in plain words
+ * @param {string} sessionId - Session the exchange belongs to
+ * @returns {{text: string, notated: string, schedule: Object[], body: Object}} Reply text as
+ *   keyed, its Morse in the reply notation, its keying schedule, and the JSON response
+ */
+function composeReply(transmission, plainReply, sessionId) {
+  const {
+    code,
+    alphabet,
+    reply_notation,
+    code_book,
+    cipher,
+    cipherOptions,
+    reply_envelope,
+    chargeOptions,
+    encoding,
+    timingOptions,
+    durations,
+    keying,
+    keyedMorse,
+    morse_sequence,
+    messageText,
+    correction,
+    corrections,
+    autoCorrected,
+    telegram,
+    received,
+    operatorMessage
+  } = transmission;
+
+  // Reply in code to cut the word charge
+  let replyText = plainReply;
+  const coded = code_book ? encodeWithCodeBook(plainReply, { book: code_book }) : null;
+  if (coded) {
+    replyText = coded.text;
+    console.log('Coded reply text:', replyText);
+  }
+
+  // Encipher the reply with the same key
+  if (cipher) {
+    replyText = encipher(replyText, cipherOptions);
+    console.log('Enciphered reply text:', replyText);
+  }
+
+  // Answer a telegram with a telegram, addressed to whoever signed it
+  const replyInEnvelope = code === 'itu' && (reply_envelope ?? telegram !== null) === true;
+  if (replyInEnvelope) {
+    lastReplyNumber += 1;
+    replyText = formatTelegram({
+      number: lastReplyNumber,
+      origin: OPERATOR_OFFICE,
+      ...stampTelegram(),
+      address: telegram ? telegram.signature : 'SENDER',
+      text: replyText.replace(/<BT>|<AR>|[=+]/g, ' '),
+      signature: OPERATOR_SIGNATURE
+    });
+  }
+
+  // Transliterate what the line cannot carry, and note what it still cannot
+  const normalized = normalizeText(replyText, encoding);
+  const unencodable = [...new Set(normalized.unencodable.map(({ char }) => char))];
+  if (unencodable.length > 0) {
+    console.warn('Reply characters not sent:', unencodable.join(' '));
+  }
+
+  // The notation keeps one space between words, and so does the text sent
+  const sentText = normalized.text.split(/\s+/).filter(Boolean).join(' ');
+
+  // Encode AI response to Morse in the same code the user sent
+  const replyMorse = textToMorse(sentText, encoding);
+  console.log('Operator reply Morse:', replyMorse);
+  
+  // Generate timing for response playback: the plain array, and the
+  // schedule of events a display can follow character by character
+  const timingArray = morseToTiming(replyMorse, timingOptions);
+  const timingSchedule = morseToSchedule(replyMorse, timingOptions);
+  const replyNotated = formatMorse(replyMorse, reply_notation, { code });
+
+  // The envelope's preamble, address and signature are not charged or glossed
+  const replyTelegram = replyInEnvelope ? parseTelegram(sentText) : null;
+  const replyBody = replyTelegram ? replyTelegram.text : sentText;
+
+  // Spell out any shorthand in the reply; cipher groups are not shorthand
+  const gloss = cipher ? { text: replyBody, expansions: [] } : expandAbbreviations(replyBody);
+
+  return {
+    text: sentText,
+    notated: replyNotated,
+    schedule: timingSchedule,
+    body: {
+      reply_morse: replyNotated,
+      reply_text: sentText,
+      timing_array: timingArray,
+      timing_schedule: timingSchedule,
+      code,
+      alphabet,
+      reply_notation,
+      wpm: durations.wpm,
+      farnsworth_wpm: durations.farnsworthWpm,
+      session_id: sessionId,
+      charges: {
+        sent: chargeSent(transmission),
+        received: formatChargeReport(calculateCharge(replyBody, {
+          ...chargeOptions,
+          ...(replyTelegram && { address: replyTelegram.address, signature: replyTelegram.signature })
+        }))
+      },
+      ...(telegram && { received_telegram: formatTelegramReport(telegram) }),
+      ...(replyTelegram && { reply_telegram: formatTelegramReport(replyTelegram) }),
+      ...(gloss.expansions.length > 0 && { reply_gloss: gloss.text }),
+      ...((coded || cipher) && { reply_plain_text: plainReply }),
+      ...(cipher && { cipher }),
+      ...(coded && {
+        code_book,
+        code_savings: {
+          plain_words: coded.savings.plainWords,
+          coded_words: coded.savings.codedWords,
+          words_saved: coded.savings.wordsSaved
+        }
+      }),
+      ...((cipher || (received && received.codes.length > 0)) && { received_plain_text: operatorMessage }),
+      ...(unencodable.length > 0 && { unencodable_characters: unencodable }),
+      ...(autoCorrected && { corrected_text: messageText, corrections }),
+      ...(!autoCorrected && correction.corrected && { suggested_text: correction.text }),
+      ...((keying || morse_sequence !== keyedMorse) && { received_morse: morse_sequence }),
+      ...(keying && {
+        keying_wpm: keying.wpm,
+        keying_confidence: keying.confidence
+      })
+    }
+  };
+}
+
+/**
+ * Files a transmission and the operator's reply in the archive
+ * A failure to file is logged; the reply still goes out.
+ * @param {string} sessionId - Session the exchange belongs to
+ * @param {Object} transmission - Transmission from readTransmission
+ * @param {Object} body - JSON response written by composeReply
+ * @returns {Promise<void>}
+ */
+async function archiveExchange(sessionId, transmission, body) {
+  try {
+    await archive.add(sessionId, [
+      { sender: 'user', morse: transmission.morse_sequence, text: transmission.messageText, code: body.code },
+      { sender: 'operator', morse: body.reply_morse, text: body.reply_text, code: body.code, notation: body.reply_notation }
+    ]);
+  } catch (error) {
+    console.error('Failed to archive transmission:', error);
+  }
+}
+
+/**
+ * Files a telegram sent from one station to another in the archive
+ * A failure to file is logged; the telegram still goes out.
+ * @param {string|null} sessionId - Session the sender gave, if any
+ * @param {Object} telegram - Telegram as filed with the station registry
+ * @returns {Promise<void>}
+ */
+async function archiveStationTelegram(sessionId, { from, to, morse, text }) {
+  try {
+    await archive.add(sessionId, [{ sender: 'station', from, to, morse, text }]);
+  } catch (error) {
+    console.error('Failed to archive transmission:', error);
+  }
+}
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
@@ -31,88 +785,573 @@ app.get('/health', (req, res) => {
 // POST /api/send-telegram - Process incoming Morse transmissions
 app.post('/api/send-telegram', async (req, res) => {
   try {
-    // Validate request body
-    if (!req.body) {
+    const transmission = readTransmission(req.body);
+    if (transmission.rejection) {
+      return res.status(400).json(transmission.rejection);
+    }
+    const address = readAddress(req.body);
+    if (address.rejection) {
+      return res.status(400).json(address.rejection);
+    }
+    const { abbreviate, session_id, operatorMessage, reply_format, audioOptions } = transmission;
+
+    // Telegrams for other stations go down their wire, or wait at their office
+    if (address.to !== OPERATOR_CALL_SIGN) {
+      const { telegram, status } = stations.send({
+        from: address.from,
+        to: address.to,
+        morse: transmission.morse_sequence,
+        text: transmission.messageText
+      });
+      await archiveStationTelegram(session_id ?? null, telegram);
+      return res.json({ status, telegram, charges: { sent: chargeSent(transmission) } });
+    }
+
+    // Invoke AI operator with decoded message and the conversation so far
+    const sessionId = session_id ?? sessions.create();
+    let replyText;
+    try {
+      replyText = await invokeOperatorAI(operatorMessage, {
+        abbreviate: abbreviate === true,
+        history: sessions.getHistory(sessionId)
+      });
+    } catch (aiError) {
+      console.error('AI invocation failed:', aiError);
+      // Fallback response when AI is unavailable
+      replyText = 'OPERATOR UNAVAILABLE STOP TRY AGAIN STOP';
+    }
+
+    console.log('Operator reply text:', replyText);
+
+    // Remember the exchange as it was meant, before code and cipher
+    sessions.addExchange(sessionId, operatorMessage, replyText);
+    const reply = composeReply(transmission, replyText, sessionId);
+    await archiveExchange(sessionId, transmission, reply.body);
+
+    // Audio replies carry the text in headers, percent-encoded
+    if (reply_format === 'wav') {
+      res.set({
+        'X-Reply-Text': encodeURIComponent(reply.text),
+        'X-Reply-Morse': encodeURIComponent(reply.notated),
+        'X-Session-Id': sessionId
+      });
+      return res.type('audio/wav').send(Buffer.from(renderWav(reply.schedule, audioOptions)));
+    }
+
+    res.json(reply.body);
+
+  } catch (error) {
+    console.error('Error processing transmission:', error);
+    res.status(500).json({
+      error: 'TELEGRAPH LINE FAILURE STOP TRY AGAIN STOP'
+    });
+  }
+});
+
+// POST /api/send-telegram/stream - Stream the operator's reply as Server-Sent Events
+// Takes the body of /api/send-telegram. Sends a 'start' event with the
+// session and word gap, a 'word' event with the text, Morse and timing of
+// each word as the operator composes it, and a 'done' event with the
+// response /api/send-telegram would have given.
+app.post('/api/send-telegram/stream', async (req, res) => {
+  try {
+    const transmission = readTransmission(req.body);
+    if (transmission.rejection) {
+      return res.status(400).json(transmission.rejection);
+    }
+    const {
+      abbreviate,
+      session_id,
+      operatorMessage,
+      reply_format,
+      reply_notation,
+      code_book,
+      cipher,
+      reply_envelope,
+      encoding,
+      timingOptions,
+      durations
+    } = transmission;
+
+    const address = readAddress(req.body);
+    if (address.rejection) {
+      return res.status(400).json(address.rejection);
+    }
+    if (address.to !== OPERATOR_CALL_SIGN) {
+      return res.status(400).json({
+        error: 'ONLY THE OPERATOR REPLIES STOP SEND TO STATIONS WITHOUT STREAMING STOP'
+      });
+    }
+
+    // Code books, ciphers and envelopes are written over the whole reply
+    if (code_book || cipher || reply_envelope === true || reply_format !== 'json') {
       return res.status(400).json({
-        error: 'INVALID TRANSMISSION STOP NO DATA RECEIVED STOP'
+        error: 'STREAMED REPLIES SENT PLAIN STOP NO CODE BOOK CIPHER ENVELOPE OR AUDIO STOP'
       });
     }
 
-    const { morse_sequence } = req.body;
+    const sessionId = session_id ?? sessions.create();
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+
+    res.write(formatEvent('start', {
+      session_id: sessionId,
+      wpm: durations.wpm,
+      farnsworth_wpm: durations.farnsworthWpm,
+      word_gap_ms: durations.wordGap
+    }));
 
-    // Validate morse_sequence field exists
-    if (!morse_sequence) {
+    // Key each word as it comes
+    const words = [];
+    for await (const word of keyWords(streamOperatorWords(operatorMessage, {
+      abbreviate: abbreviate === true,
+      history: sessions.getHistory(sessionId)
+    }), { encoding, timingOptions, notation: reply_notation })) {
+      if (closed) {
+        return;
+      }
+      words.push(word.text);
+      res.write(formatEvent('word', word));
+    }
+
+    const replyText = words.join(' ');
+    console.log('Operator reply text:', replyText);
+
+    sessions.addExchange(sessionId, operatorMessage, replyText);
+    const { body } = composeReply({ ...transmission, reply_envelope: false }, replyText, sessionId);
+    await archiveExchange(sessionId, transmission, body);
+    res.write(formatEvent('done', body));
+    res.end();
+
+  } catch (error) {
+    console.error('Error streaming transmission:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: 'TELEGRAPH LINE FAILURE STOP TRY AGAIN STOP'
+      });
+    }
+    res.write(formatEvent('error', { error: 'TELEGRAPH LINE FAILURE STOP TRY AGAIN STOP' }));
+    res.end();
+  }
+});
+
+/**
+ * Renders text or Morse as a WAV file
+ * Parameters come from the query string (GET) or JSON body (POST): text or
+ * morse, plus the encoding, speed and tone options of /api/send-telegram.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function sendAudio(req, res) {
+  try {
+    const params = req.method === 'GET' ? readQuery(req.query) : (req.body || {});
+    const {
+      text,
+      morse,
+      code = 'itu',
+      alphabet = 'latin',
+      notation = 'auto',
+      extended = false
+    } = params;
+
+    const input = text ?? morse;
+    if (!input || (text !== undefined && morse !== undefined)) {
       return res.status(400).json({
-        error: 'INVALID TRANSMISSION STOP MORSE SEQUENCE REQUIRED STOP'
+        error: 'INVALID REQUEST STOP SEND TEXT OR MORSE STOP'
       });
     }
 
-    // Validate morse_sequence is a string
-    if (typeof morse_sequence !== 'string') {
+    if (typeof input !== 'string') {
       return res.status(400).json({
-        error: 'INVALID TRANSMISSION STOP MORSE SEQUENCE MUST BE TEXT STOP'
+        error: 'INVALID REQUEST STOP TEXT AND MORSE MUST BE TEXT STOP'
       });
     }
 
-    // Validate morse_sequence length (max 500 characters for security)
-    if (morse_sequence.length > 500) {
+    const maxLength = text !== undefined ? MAX_MORSE_LENGTH : MAX_NOTATION_LENGTH;
+    if (input.length > maxLength) {
       return res.status(400).json({
-        error: 'TRANSMISSION TOO LONG STOP MAX 500 CHARACTERS STOP'
+        error: `TRANSMISSION TOO LONG STOP MAX ${maxLength} CHARACTERS STOP`
       });
     }
 
-    // Decode the incoming Morse transmission
-    const decodedText = morseToText(morse_sequence);
-    console.log('Received Morse:', morse_sequence);
-    console.log('Decoded text:', decodedText);
+    const encodingError = checkEncoding(code, alphabet);
+    if (encodingError) {
+      return res.status(400).json({ error: encodingError });
+    }
+
+    const encoding = { code, alphabet, extended: extended === true };
+    let keyed;
+    if (text !== undefined) {
+      keyed = textToMorse(normalizeText(text, encoding).text, encoding);
+    } else {
+      try {
+        keyed = parseMorse(morse, { notation, code });
+      } catch (notationError) {
+        return res.status(400).json({
+          error: 'UNREADABLE TRANSMISSION STOP CHECK NOTATION STOP',
+          details: notationError.message
+        });
+      }
+
+      if (keyed.length > MAX_MORSE_LENGTH) {
+        return res.status(400).json({
+          error: `TRANSMISSION TOO LONG STOP MAX ${MAX_MORSE_LENGTH} CHARACTERS STOP`
+        });
+      }
+    }
+
+    if (!keyed) {
+      return res.status(400).json({
+        error: 'NOTHING TO SEND STOP NO KEYABLE CHARACTERS STOP'
+      });
+    }
 
-    // Check if decoding resulted in error markers
-    if (decodedText.includes('�')) {
+    let schedule;
+    try {
+      schedule = morseToSchedule(keyed, { code, ...readTimingOptions(params) });
+    } catch (timingError) {
       return res.status(400).json({
-        error: 'INVALID MORSE SEQUENCE STOP CONTAINS UNKNOWN PATTERNS STOP',
-        partial_decode: decodedText
+        error: 'INVALID SPEED STOP CHECK WPM AND WEIGHT STOP',
+        details: timingError.message
       });
     }
 
-    // Invoke AI operator with decoded message
-    let replyText;
+    let wav;
     try {
-      replyText = await invokeOperatorAI(decodedText);
-    } catch (aiError) {
-      console.error('AI invocation failed:', aiError);
-      // Fallback response when AI is unavailable
-      replyText = 'OPERATOR UNAVAILABLE STOP TRY AGAIN STOP';
+      wav = renderWav(schedule, readAudioOptions(params));
+    } catch (audioError) {
+      return res.status(400).json({
+        error: 'INVALID AUDIO STOP CHECK FREQUENCY SAMPLE RATE AND VOLUME STOP',
+        details: audioError.message
+      });
     }
 
-    console.log('Operator reply text:', replyText);
+    res.type('audio/wav').send(Buffer.from(wav));
+  } catch (error) {
+    console.error('Error rendering audio:', error);
+    res.status(500).json({
+      error: 'TELEGRAPH LINE FAILURE STOP TRY AGAIN STOP'
+    });
+  }
+}
+
+// GET/POST /api/audio - Render text or Morse as Morse audio
+app.get('/api/audio', sendAudio);
+app.post('/api/audio', sendAudio);
 
-    // Encode AI response to Morse
-    const replyMorse = textToMorse(replyText);
-    console.log('Operator reply Morse:', replyMorse);
-    
-    // Generate timing array for response playback
-    const timingArray = morseToTiming(replyMorse);
+// POST /api/decode-audio - Transcribe a WAV recording of Morse
+// The body is the WAV file itself; options go in the query string
+app.post(
+  '/api/decode-audio',
+  express.raw({ type: ['audio/*', 'application/octet-stream'], limit: MAX_RECORDING_SIZE }),
+  (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          error: 'NO RECORDING RECEIVED STOP SEND AUDIO/WAV STOP'
+        });
+      }
+
+      const { alphabet = 'latin', extended = false, frequency } = readQuery(req.query);
+      const encodingError = checkEncoding('itu', alphabet);
+      if (encodingError) {
+        return res.status(400).json({ error: encodingError });
+      }
+
+      if (frequency !== undefined && !(typeof frequency === 'number' && frequency > 0)) {
+        return res.status(400).json({
+          error: 'INVALID AUDIO STOP CHECK FREQUENCY SAMPLE RATE AND VOLUME STOP'
+        });
+      }
+
+      let result;
+      try {
+        result = decodeAudio(new Uint8Array(req.body), {
+          alphabet,
+          extended: extended === true,
+          prosigns: true,
+          frequency,
+          maxDurations: MAX_KEY_TIMINGS
+        });
+      } catch (wavError) {
+        if (wavError instanceof RangeError) {
+          return res.status(400).json({
+            error: `RECORDING TOO LONG STOP SEND AT MOST ${MAX_KEY_TIMINGS} KEY EVENTS STOP`
+          });
+        }
+        return res.status(400).json({
+          error: 'UNREADABLE RECORDING STOP SEND PCM WAV STOP',
+          details: wavError.message
+        });
+      }
+
+      if (!result.morse) {
+        return res.status(400).json({
+          error: 'NO MORSE HEARD STOP CHECK RECORDING STOP',
+          frequency: result.frequency
+        });
+      }
+
+      res.json({
+        morse: result.morse,
+        text: result.text,
+        wpm: result.wpm,
+        confidence: result.confidence,
+        frequency: result.frequency,
+        key_timings: result.durations
+      });
+
+    } catch (error) {
+      console.error('Error decoding recording:', error);
+      res.status(500).json({
+        error: 'TELEGRAPH LINE FAILURE STOP TRY AGAIN STOP'
+      });
+    }
+  }
+);
+
+/**
+ * Reads whose telegrams an archive request may see
+ * The session_id of a conversation shows its telegrams; a call_sign with its
+ * station_key shows the telegrams that station sent or received.
+ * @param {Object} query - Query string with session_id, or call_sign and station_key
+ * @returns {{sessionId?: string, station?: string, rejection?: Object}} The session or
+ *   station, or the error to answer with
+ */
+function readArchiveAccess(query) {
+  const { session_id, call_sign, station_key } = query;
+  if (call_sign !== undefined) {
+    const station = String(call_sign).toUpperCase();
+    if (!stations.verify(station, station_key)) {
+      return { rejection: { error: 'STATION KEY REFUSED STOP CHECK CALL SIGN AND KEY STOP' } };
+    }
+    return { station };
+  }
+  if (typeof session_id !== 'string' || session_id === '') {
+    return { rejection: { error: 'SESSION OR STATION REQUIRED STOP GIVE SESSION ID OR CALL SIGN AND KEY STOP' } };
+  }
+  return { sessionId: session_id };
+}
+
+// GET /api/transmissions - Search the archive of telegrams, latest first
+// Takes session_id, or call_sign and station_key, for whose telegrams to
+// search; then page, per_page, from and to (ISO 8601), sender, q (words that
+// must all appear in the text) and order ('desc' or 'asc').
+app.get('/api/transmissions', async (req, res) => {
+  try {
+    const access = readArchiveAccess(req.query);
+    if (access.rejection) {
+      return res.status(400).json(access.rejection);
+    }
+
+    const { page = '1', per_page = '20', from, to, sender, q, order = 'desc' } = req.query;
+    const pageNumber = Number(page);
+    const perPage = Number(per_page);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(perPage) || perPage < 1 || perPage > MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        error: 'INVALID PAGE STOP PAGE FROM 1 AND PER PAGE FROM 1 TO 100 STOP'
+      });
+    }
 
-    // Return complete response package
+    const dates = [from, to].map(date => (date === undefined ? undefined : new Date(date)));
+    if (dates.some(date => date && Number.isNaN(date.getTime()))) {
+      return res.status(400).json({
+        error: 'INVALID DATE STOP USE ISO 8601 STOP'
+      });
+    }
+    if (sender !== undefined && !getSenders().includes(sender)) {
+      return res.status(400).json({
+        error: 'UNKNOWN SENDER STOP USE USER OPERATOR OR STATION STOP'
+      });
+    }
+    if (!['desc', 'asc'].includes(order)) {
+      return res.status(400).json({
+        error: 'UNKNOWN ORDER STOP USE DESC OR ASC STOP'
+      });
+    }
+
+    const found = await archive.search({
+      page: pageNumber,
+      perPage,
+      from: dates[0],
+      to: dates[1],
+      sender,
+      sessionId: access.sessionId,
+      station: access.station,
+      query: typeof q === 'string' ? q : undefined,
+      order
+    });
     res.json({
-      reply_morse: replyMorse,
-      reply_text: replyText,
-      timing_array: timingArray
+      transmissions: found.transmissions,
+      page: found.page,
+      per_page: found.perPage,
+      total: found.total,
+      total_pages: found.totalPages
+    });
+  } catch (error) {
+    console.error('Error searching transmissions:', error);
+    res.status(500).json({
+      error: 'TELEGRAPH LINE FAILURE STOP TRY AGAIN STOP'
     });
+  }
+});
+
+// GET /api/transmissions/:id - One telegram from the archive
+// Takes session_id, or call_sign and station_key, as for the search.
+app.get('/api/transmissions/:id', async (req, res) => {
+  try {
+    const access = readArchiveAccess(req.query);
+    if (access.rejection) {
+      return res.status(400).json(access.rejection);
+    }
 
+    const transmission = await archive.get(Number(req.params.id));
+    const visible = transmission && (access.station
+      ? transmission.from === access.station || transmission.to === access.station
+      : transmission.session_id === access.sessionId);
+    if (!visible) {
+      return res.status(404).json({
+        error: 'NO SUCH TRANSMISSION STOP'
+      });
+    }
+    res.json(transmission);
   } catch (error) {
-    console.error('Error processing transmission:', error);
+    console.error('Error reading transmission:', error);
     res.status(500).json({
       error: 'TELEGRAPH LINE FAILURE STOP TRY AGAIN STOP'
     });
   }
 });
 
+// DELETE /api/sessions/:id - End a conversation with the operator
+app.delete('/api/sessions/:id', (req, res) => {
+  res.json({ session_id: req.params.id, ended: sessions.end(req.params.id) });
+});
+
+/**
+ * Opens the live line (/api/live) on a server running the app, sharing its
+ * conversations with the operator and its archive
+ * @param {import('http').Server} server - Server returned by app.listen
+ * @param {Object} [options] - Further options for attachLiveLine
+ * @returns {import('ws').WebSocketServer} The line's WebSocket server
+ */
+export function openLiveLine(server, options = {}) {
+  return attachLiveLine(server, { ...options, sessions, archive });
+}
+
+// GET /api/network - The relay offices and the wires between them
+app.get('/api/network', (req, res) => {
+  res.json({
+    home_office: network.homeOffice,
+    operator_office: network.operatorOffice,
+    ...network.describe(new Date())
+  });
+});
+
+// POST /api/stations - Register a station by call sign
+// Takes call_sign and an optional name and office (default the home office).
+// The station_key returned is sent as station_key with the station's
+// telegrams and to open its wire.
+app.post('/api/stations', (req, res) => {
+  const { call_sign, name = '', office = network.homeOffice } = req.body || {};
+  if (typeof name !== 'string' || name.length > 40) {
+    return res.status(400).json({
+      error: 'INVALID STATION NAME STOP USE UP TO 40 CHARACTERS STOP'
+    });
+  }
+
+  let callSign;
+  try {
+    callSign = checkCallSign(call_sign);
+  } catch {
+    return res.status(400).json({
+      error: 'INVALID CALL SIGN STOP USE 2 TO 8 LETTERS OR FIGURES STOP'
+    });
+  }
+  if (stations.has(callSign)) {
+    return res.status(400).json({
+      error: 'CALL SIGN TAKEN STOP CHOOSE ANOTHER STOP'
+    });
+  }
+  if (!network.hasOffice(office)) {
+    return res.status(400).json({
+      error: 'UNKNOWN OFFICE STOP CHOOSE ONE ON THE NETWORK STOP'
+    });
+  }
+
+  const { key } = stations.register(callSign, name.trim().toUpperCase(), office);
+  res.json({ call_sign: callSign, name: name.trim().toUpperCase(), office, station_key: key });
+});
+
+// GET /api/stations - List the stations on the network, the operator first
+app.get('/api/stations', (req, res) => {
+  res.json({
+    stations: stations.list().map(({ callSign, name, office, online }) => ({ call_sign: callSign, name, office, online }))
+  });
+});
+
+// GET /api/stations/:call_sign/wire - A station's wire, as Server-Sent Events
+// Takes station_key in the query string. Sends a 'start' event, then a
+// 'telegram' event for each telegram queued for the station and for each
+// delivered while the wire is open, a 'status' event as each telegram the
+// station sent moves on, and a 'receipt' event once it is delivered.
+app.get('/api/stations/:call_sign/wire', (req, res) => {
+  const callSign = req.params.call_sign.toUpperCase();
+  if (!stations.verify(callSign, req.query.station_key)) {
+    return res.status(400).json({
+      error: 'STATION KEY REFUSED STOP CHECK CALL SIGN AND KEY STOP'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(formatEvent('start', { call_sign: callSign }));
+
+  const close = stations.connect(callSign, (event, data) => {
+    res.write(formatEvent(event, data));
+  });
+  res.on('close', close);
+});
+
+// GET /api/stations/:call_sign/telegrams/:id - A telegram the station sent or
+// received, with its route and the time of each step
+// Takes station_key in the query string.
+app.get('/api/stations/:call_sign/telegrams/:id', (req, res) => {
+  const callSign = req.params.call_sign.toUpperCase();
+  if (!stations.verify(callSign, req.query.station_key)) {
+    return res.status(400).json({
+      error: 'STATION KEY REFUSED STOP CHECK CALL SIGN AND KEY STOP'
+    });
+  }
+
+  const telegram = stations.get(Number(req.params.id));
+  if (!telegram || (telegram.from !== callSign && telegram.to !== callSign)) {
+    return res.status(404).json({
+      error: 'NO SUCH TELEGRAM STOP'
+    });
+  }
+  res.json(telegram);
+});
+
 // Only start server if this file is run directly (not imported for testing)
 if (import.meta.url === `file://${process.argv[1]}`) {
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`Telegraph server running on port ${PORT}`);
   });
+  openLiveLine(server);
 }
 
 export default app;
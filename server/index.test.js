@@ -1,13 +1,31 @@
-import { describe, it, expect, beforeAll, afterAll } from 'vitest';
-import { textToMorse } from '../shared/morse-lib.js';
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { textToMorse, morseToTiming, morseToSchedule } from '../shared/morse-lib.js';
+import { formatMorse } from '../shared/morse-notation.js';
+import { renderWav } from '../shared/morse-audio.js';
+import { expandAbbreviations } from '../shared/codebook.js';
+import { encodeWithCodeBook } from '../shared/commercial-codes.js';
+import { calculateCharge } from './tariff.js';
+import { encipher, decipher } from '../shared/ciphers.js';
+import { formatTelegram, parseTelegram } from '../shared/telegram-format.js';
+import { readEventStream } from '../shared/event-stream.js';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
 let app;
 let server;
 const TEST_PORT = 3003;
+// Relay network of two offices a short hop apart
+const networkDir = mkdtempSync(join(tmpdir(), 'network-'));
 
 beforeAll(async () => {
   // Set test environment to disable rate limiting
   process.env.NODE_ENV = 'test';
+  process.env.TELEGRAPH_NETWORK = join(networkDir, 'network.json');
+  writeFileSync(process.env.TELEGRAPH_NETWORK, JSON.stringify({
+    offices: [{ code: 'NYC', name: 'NEW YORK' }, { code: 'CHI', name: 'CHICAGO' }],
+    links: [{ from: 'NYC', to: 'CHI', latency_ms: 20 }]
+  }));
   
   // Import the Express app
   const serverModule = await import('./index.js');
@@ -21,6 +39,7 @@ afterAll(() => {
   if (server) {
     server.close();
   }
+  rmSync(networkDir, { recursive: true, force: true });
 });
 
 describe('Server Setup', () => {
@@ -106,6 +125,302 @@ describe('POST /api/send-telegram - Valid Transmission Handling', () => {
   });
 });
 
+describe('POST /api/send-telegram - Prosigns', () => {
+  it('should accept a transmission signed off with SK', async () => {
+    const morseSequence = textToMorse('73 <SK>');
+    
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: morseSequence }),
+    });
+    
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data).toHaveProperty('reply_text');
+  });
+});
+
+describe('POST /api/send-telegram - American Morse', () => {
+  it('should decode American Morse and reply in American Morse', async () => {
+    const morseSequence = textToMorse('COOL', { code: 'american' });
+    
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: morseSequence, code: 'american' }),
+    });
+    
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.code).toBe('american');
+    expect(data.reply_morse).toBe(textToMorse(data.reply_text, { code: 'american' }));
+  });
+
+  it('should reject an unknown code', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: '.-', code: 'klingon' }),
+    });
+    
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toContain('UNKNOWN CODE');
+  });
+});
+
+describe('POST /api/send-telegram - Alphabets', () => {
+  it('should decode Cyrillic and reply in the same alphabet', async () => {
+    const cyrillic = { alphabet: 'cyrillic' };
+    const morseSequence = textToMorse('ПРИВЕТ', cyrillic);
+    
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: morseSequence, alphabet: 'cyrillic' }),
+    });
+    
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.alphabet).toBe('cyrillic');
+    expect(data.reply_morse).toBe(textToMorse(data.reply_text, cyrillic));
+  });
+
+  it('should reject an unknown alphabet', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: '.-', alphabet: 'klingon' }),
+    });
+    
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toContain('UNKNOWN ALPHABET');
+  });
+
+  it('should reject a national alphabet in American Morse', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: '.-', code: 'american', alphabet: 'greek' }),
+    });
+    
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toContain('ITU ONLY');
+  });
+});
+
+describe('POST /api/send-telegram - Notations', () => {
+  it('should accept the triple-space word gaps of the telegraph key', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: '.... ..   - .... . .-. .' }),
+    });
+    
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.received_morse).toBe('.... .. / - .... . .-. .');
+  });
+
+  it('should answer a transmission of word spaces alone', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: textToMorse(' ') }),
+    });
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(typeof data.reply_text).toBe('string');
+  });
+
+  it('should send the reply text with the single word spaces of its Morse', async () => {
+    // The echoed period becomes STOP, leaving two spaces before it
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: textToMorse('ARRIVED .') }),
+    });
+
+    const data = await response.json();
+    expect(data.reply_text).not.toMatch(/\s{2}/);
+    expect(textToMorse(data.reply_text)).toBe(data.reply_morse);
+  });
+
+  it('should accept binary on-off keying', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: '1010101000101', notation: 'binary' }),
+    });
+    
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.received_morse).toBe('.... ..');
+  });
+
+  it('should reply in the requested notation', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: 'di-di-di-dit di-dit', reply_notation: 'ditdah' }),
+    });
+    
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.reply_notation).toBe('ditdah');
+    expect(data.reply_morse).toBe(formatMorse(textToMorse(data.reply_text), 'ditdah'));
+  });
+
+  it('should reject input that does not fit the notation', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: 'di-doh', notation: 'ditdah' }),
+    });
+    
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toContain('CHECK NOTATION');
+  });
+
+  it('should reject an unknown reply notation', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: '.-', reply_notation: 'semaphore' }),
+    });
+    
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toContain('UNKNOWN REPLY NOTATION');
+  });
+});
+
+describe('POST /api/send-telegram - Keying Speed', () => {
+  it('should return reply timing at the requested speed', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: textToMorse('CQ'), wpm: 25 }),
+    });
+    
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.wpm).toBe(25);
+    expect(data.farnsworth_wpm).toBe(25);
+    expect(data.timing_array).toEqual(morseToTiming(data.reply_morse, { wpm: 25 }));
+    expect(data.timing_schedule).toEqual(morseToSchedule(data.reply_morse, { wpm: 25 }));
+  });
+
+  it('should apply Farnsworth spacing', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: textToMorse('CQ'), wpm: 18, farnsworth_wpm: 5 }),
+    });
+    
+    const data = await response.json();
+    expect(data.farnsworth_wpm).toBe(5);
+    expect(data.timing_array).toEqual(
+      morseToTiming(data.reply_morse, { wpm: 18, farnsworthWpm: 5 })
+    );
+  });
+
+  it('should reject an out-of-range speed', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: textToMorse('CQ'), wpm: 500 }),
+    });
+    
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toContain('INVALID SPEED');
+  });
+});
+
+describe('POST /api/send-telegram - Raw Key Timings', () => {
+  it('should decode key timings in place of a Morse sequence', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ key_timings: morseToTiming(textToMorse('HI'), { wpm: 20 }) }),
+    });
+    
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.received_morse).toBe('.... ..');
+    expect(data.keying_wpm).toBeCloseTo(20, 0);
+    expect(data.keying_confidence).toBe(1);
+  });
+
+  it('should reject key timings that are not durations', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ key_timings: [100, -100] }),
+    });
+    
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toContain('KEY TIMINGS');
+  });
+
+  it('should report a missing transmission when the key timings are silent', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ key_timings: [] }),
+    });
+    
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toContain('MORSE SEQUENCE REQUIRED');
+  });
+});
+
 describe('POST /api/send-telegram - Invalid Morse Sequence Errors', () => {
   it('should reject invalid Morse sequence with error markers', async () => {
     // Invalid morse sequence that doesn't map to valid characters
@@ -125,6 +440,24 @@ describe('POST /api/send-telegram - Invalid Morse Sequence Errors', () => {
     expect(data.error).toContain('INVALID MORSE SEQUENCE');
   });
 
+  it('should point out each unknown pattern with suggestions', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: '.... ..-.-. .-.. .--.-.-.-.-.' }),
+    });
+    
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.partial_decode).toBe('H�L�');
+    expect(data.errors).toHaveLength(2);
+    expect(data.errors[0]).toMatchObject({ position: 1, offset: 5, morse: '..-.-.' });
+    expect(data.errors[0].suggestions[0]).toEqual({ char: ';', morse: '-.-.-.' });
+    expect(data.errors[1]).toMatchObject({ position: 3, offset: 17, suggestions: [] });
+  });
+
   it('should reject missing morse_sequence field', async () => {
     const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
       method: 'POST',
@@ -173,6 +506,22 @@ describe('POST /api/send-telegram - Invalid Morse Sequence Errors', () => {
     expect(data.error).toContain('TOO LONG');
   });
 
+  it('should give the limit of the notation in the error', async () => {
+    const send = morse_sequence => fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence }),
+    });
+
+    const written = await (await send('1'.repeat(5001))).json();
+    const read = await (await send('.- '.repeat(200))).json();
+
+    expect(written.error).toBe('TRANSMISSION TOO LONG STOP MAX 5000 CHARACTERS STOP');
+    expect(read.error).toBe('TRANSMISSION TOO LONG STOP MAX 500 CHARACTERS STOP');
+  });
+
   it('should reject empty request body', async () => {
     const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
       method: 'POST',
@@ -186,6 +535,967 @@ describe('POST /api/send-telegram - Invalid Morse Sequence Errors', () => {
   });
 });
 
+describe('POST /api/send-telegram - Correction', () => {
+  // STOP with P (.--.) keyed as .---.
+  const misKeyed = '... - --- .---.';
+
+  it('should suggest the intended text for a rejected transmission', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: misKeyed }),
+    });
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.partial_decode).toBe('STO�');
+    expect(data.suggested_text).toBe('STOP');
+  });
+
+  it('should auto-correct when asked', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: misKeyed, auto_correct: true }),
+    });
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.corrected_text).toBe('STOP');
+    expect(data.corrections).toEqual([{ original: 'STO�', corrected: 'STOP', distance: 1 }]);
+  });
+
+  it('should suggest, but not apply, corrections to a wrong word', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: textToMorse('I LOFE YOU') }),
+    });
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.suggested_text).toBe('I LOVE YOU');
+    expect(data).not.toHaveProperty('corrected_text');
+  });
+
+  it('should still reject a transmission it cannot correct', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: '... - --- ...........', auto_correct: true }),
+    });
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data).not.toHaveProperty('suggested_text');
+  });
+});
+
+describe('POST /api/send-telegram - Audio Replies', () => {
+  it('should reply with WAV audio and the text in headers', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: textToMorse('CQ'), reply_format: 'wav' }),
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('audio/wav');
+    const wav = Buffer.from(await response.arrayBuffer());
+    expect(wav.toString('ascii', 0, 4)).toBe('RIFF');
+
+    const text = decodeURIComponent(response.headers.get('x-reply-text'));
+    const morse = decodeURIComponent(response.headers.get('x-reply-morse'));
+    expect(morse).toBe(textToMorse(text));
+  });
+
+  it('should reject an unknown reply format', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: textToMorse('CQ'), reply_format: 'mp3' }),
+    });
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toBe('UNKNOWN REPLY FORMAT STOP USE JSON OR WAV STOP');
+  });
+
+  it('should reject out-of-range audio options', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: textToMorse('CQ'), reply_format: 'wav', volume: 3 }),
+    });
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.details).toContain('volume');
+  });
+});
+
+describe('GET/POST /api/audio', () => {
+  it('should render text as WAV audio', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/audio?text=E&sample_rate=16000`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('audio/wav');
+    const wav = Buffer.from(await response.arrayBuffer());
+    // 100 ms dot at 16000 Hz
+    expect(wav.readUInt32LE(24)).toBe(16000);
+    expect(wav.length).toBe(44 + 3200);
+  });
+
+  it('should render Morse in any notation with speed and tone options', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/audio`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse: 'di-dah', wpm: 24, frequency: 800 }),
+    });
+
+    expect(response.status).toBe(200);
+    const wav = Buffer.from(await response.arrayBuffer());
+    // .- at 24 WPM: 50 + 50 + 150 ms at 8000 Hz
+    expect(wav.length).toBe(44 + 2 * 2000);
+  });
+
+  it('should require exactly one of text and morse', async () => {
+    const missing = await fetch(`http://localhost:${TEST_PORT}/api/audio`);
+    const both = await fetch(`http://localhost:${TEST_PORT}/api/audio?text=E&morse=.`);
+
+    expect(missing.status).toBe(400);
+    expect(both.status).toBe(400);
+    expect((await missing.json()).error).toBe('INVALID REQUEST STOP SEND TEXT OR MORSE STOP');
+  });
+
+  it('should reject text with nothing to key', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/audio?text=${encodeURIComponent('☃')}`);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('NOTHING TO SEND STOP NO KEYABLE CHARACTERS STOP');
+  });
+
+  it('should reject out-of-range tone options', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/audio?text=E&frequency=50000`);
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toBe('INVALID AUDIO STOP CHECK FREQUENCY SAMPLE RATE AND VOLUME STOP');
+    expect(data.details).toContain('frequency');
+  });
+});
+
+describe('POST /api/decode-audio', () => {
+  const upload = (body, query = '') => fetch(`http://localhost:${TEST_PORT}/api/decode-audio${query}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'audio/wav',
+    },
+    body,
+  });
+
+  it('should transcribe a WAV recording', async () => {
+    const wav = renderWav(morseToSchedule(textToMorse('QRL?'), { wpm: 15 }), { frequency: 650 });
+    const response = await upload(wav);
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.text).toBe('QRL?');
+    expect(data.morse).toBe(textToMorse('QRL?'));
+    expect(data.frequency).toBe(650);
+    expect(data.key_timings.length).toBeGreaterThan(0);
+  });
+
+  it('should decode to the requested alphabet', async () => {
+    const response = await upload(renderWav(morseToSchedule(textToMorse('DA'))), '?alphabet=cyrillic');
+
+    const data = await response.json();
+    expect(data.text).toBe('ДА');
+  });
+
+  it('should reject an empty upload', async () => {
+    const response = await upload(new Uint8Array(0));
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('NO RECORDING RECEIVED STOP SEND AUDIO/WAV STOP');
+  });
+
+  it('should reject files that are not WAV', async () => {
+    const response = await upload(new TextEncoder().encode('not a recording'));
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toBe('UNREADABLE RECORDING STOP SEND PCM WAV STOP');
+    expect(data.details).toContain('Invalid WAV');
+  });
+
+  it('should refuse a recording with more key events than key_timings allows', async () => {
+    const keyed = Array.from({ length: 201 }, () => 'EEEEE').join(' ');
+    const response = await upload(renderWav(morseToSchedule(textToMorse(keyed), { wpm: 40 })));
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('RECORDING TOO LONG STOP SEND AT MOST 2000 KEY EVENTS STOP');
+  });
+
+  it('should report a recording with no Morse in it', async () => {
+    const silence = renderWav([{ start: 0, duration: 500, on: false }]);
+    const response = await upload(silence);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('NO MORSE HEARD STOP CHECK RECORDING STOP');
+  });
+});
+
+describe('POST /api/send-telegram - Abbreviations', () => {
+  it('should gloss shorthand in the reply', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: textToMorse('QTH?') }),
+    });
+
+    const data = await response.json();
+    const gloss = expandAbbreviations(data.reply_text);
+    if (gloss.expansions.length > 0) {
+      expect(data.reply_gloss).toBe(gloss.text);
+    } else {
+      expect(data).not.toHaveProperty('reply_gloss');
+    }
+  });
+
+  it('should abbreviate the reply when asked', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ morse_sequence: textToMorse('HELLO'), abbreviate: true }),
+    });
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.reply_text).not.toMatch(/\bMESSAGE\b|\bRECEIVED\b/);
+  });
+});
+
+describe('POST /api/send-telegram - Commercial Codes', () => {
+  const send = body => fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  it('should reply in code and report the words saved', async () => {
+    const response = await send({ morse_sequence: textToMorse('ALL WELL'), code_book: 'western-union' });
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    const coded = encodeWithCodeBook(data.reply_plain_text);
+    expect(data.code_book).toBe('western-union');
+    expect(data.reply_text).toBe(coded.text);
+    expect(data.reply_morse).toBe(textToMorse(coded.text));
+    expect(data.code_savings).toEqual({
+      plain_words: coded.savings.plainWords,
+      coded_words: coded.savings.codedWords,
+      words_saved: coded.savings.wordsSaved
+    });
+  });
+
+  it('should read code words in the message for the operator', async () => {
+    const response = await send({ morse_sequence: textToMorse('AMIFU'), code_book: 'abc' });
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.received_plain_text).toBe('ARRIVED SAFELY');
+  });
+
+  it('should leave replies uncoded by default', async () => {
+    const response = await send({ morse_sequence: textToMorse('ALL WELL') });
+
+    const data = await response.json();
+    expect(data).not.toHaveProperty('code_savings');
+    expect(data).not.toHaveProperty('reply_plain_text');
+  });
+
+  it('should reject unknown code books', async () => {
+    const response = await send({ morse_sequence: textToMorse('ALL WELL'), code_book: 'slater' });
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toBe('UNKNOWN CODE BOOK STOP USE WESTERN-UNION OR ABC STOP');
+  });
+});
+
+describe('POST /api/send-telegram - Ciphers', () => {
+  const send = body => fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  it('should decipher the message and encipher the reply with the shared key', async () => {
+    const options = { cipher: 'vigenere', key: 'LINCOLN' };
+    const response = await send({
+      morse_sequence: textToMorse(encipher('ARRIVE AT DAWN', options)),
+      cipher: 'vigenere',
+      cipher_key: 'LINCOLN'
+    });
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.cipher).toBe('vigenere');
+    expect(data.received_plain_text).toBe('ARRIVE AT DAWN');
+    expect(data.reply_text).toBe(encipher(data.reply_plain_text, options));
+    expect(decipher(data.reply_text, options)).toBe(data.reply_plain_text);
+    expect(data.charges.sent.words.every(({ kind }) => kind === 'cipher')).toBe(true);
+  });
+
+  it('should carry a route cipher both ways', async () => {
+    const options = { cipher: 'route', key: 'GRANT' };
+    const response = await send({
+      morse_sequence: textToMorse(encipher('SEND TWO REGIMENTS TO RICHMOND', options)),
+      cipher: 'route',
+      cipher_key: 'GRANT'
+    });
+
+    const data = await response.json();
+    expect(data.received_plain_text).toBe('SEND TWO REGIMENTS TO RICHMOND');
+    expect(decipher(data.reply_text, options)).toBe(data.reply_plain_text);
+  });
+
+  it('should reject unknown ciphers and bad keys', async () => {
+    const unknown = await send({ morse_sequence: textToMorse('HI'), cipher: 'enigma', cipher_key: 'ABC' });
+    const badKey = await send({ morse_sequence: textToMorse('HI'), cipher: 'vigenere', cipher_key: '123' });
+
+    expect(unknown.status).toBe(400);
+    expect((await unknown.json()).error).toBe('UNKNOWN CIPHER STOP USE ROUTE VIGENERE OR PLAYFAIR STOP');
+    expect(badKey.status).toBe(400);
+    expect((await badKey.json()).error).toBe('INVALID CIPHER KEY STOP SEND LETTERS ONLY STOP');
+  });
+
+  it('should reject ciphertext the cipher cannot have made', async () => {
+    const response = await send({ morse_sequence: textToMorse('ABC'), cipher: 'playfair', cipher_key: 'KEY' });
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toBe('UNREADABLE CIPHER STOP CHECK KEY AND GROUPS STOP');
+  });
+});
+
+describe('POST /api/send-telegram - Telegram Envelope', () => {
+  const send = body => fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+  const telegram = {
+    number: 12,
+    origin: 'NEW YORK',
+    filed: '1045',
+    date: 'OCT 19',
+    address: 'OPERATOR BOSTON',
+    text: 'ARRIVED SAFELY STOP LETTER FOLLOWS',
+    signature: 'MARY'
+  };
+
+  it('should read a telegram and answer with one addressed to the sender', async () => {
+    const response = await send({ morse_sequence: textToMorse(formatTelegram(telegram)) });
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.received_telegram).toEqual({
+      number: 12,
+      precedence: 'routine',
+      check: 5,
+      origin: 'NEW YORK',
+      filed: '1045',
+      date: 'OCT 19',
+      address: 'OPERATOR BOSTON',
+      signature: 'MARY'
+    });
+
+    const reply = parseTelegram(data.reply_text);
+    expect(reply.checkMatches).toBe(true);
+    expect(reply).toMatchObject({ address: 'MARY', signature: 'OPERATOR', origin: 'WESTERN UNION' });
+    expect(data.reply_telegram).toMatchObject({ number: reply.number, check: reply.check });
+  });
+
+  it('should charge the text only, carrying address and signature free', async () => {
+    const response = await send({ morse_sequence: textToMorse(formatTelegram(telegram)) });
+
+    const data = await response.json();
+    expect(data.charges.sent.chargeable_words).toBe(5);
+  });
+
+  it('should refuse a telegram whose check does not match its text', async () => {
+    const response = await send({ morse_sequence: textToMorse(formatTelegram({ ...telegram, check: 6 })) });
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toBe('CHECK COUNT MISMATCH STOP PLEASE REPEAT STOP');
+    expect(data).toMatchObject({ check: 6, word_count: 5 });
+  });
+
+  it('should refuse a malformed envelope', async () => {
+    const response = await send({ morse_sequence: textToMorse('NR 12 CK 2 BOSTON <BT> ALL WELL') });
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toBe('MALFORMED TELEGRAM STOP CHECK PREAMBLE AND BT SEPARATORS STOP');
+  });
+
+  it('should answer plain text in an envelope when asked', async () => {
+    const response = await send({ morse_sequence: textToMorse('HELLO'), reply_envelope: true });
+
+    const data = await response.json();
+    expect(parseTelegram(data.reply_text).address).toBe('SENDER');
+    expect(data).not.toHaveProperty('received_telegram');
+  });
+
+  it('should key envelopes in ITU only', async () => {
+    const response = await send({ morse_sequence: '.. .', code: 'american', reply_envelope: true });
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toBe('TELEGRAM FORMAT KEYED IN ITU ONLY STOP');
+  });
+});
+
+describe('POST /api/send-telegram - Sessions', () => {
+  const send = body => fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  it('should start a session and carry it on', async () => {
+    const first = await (await send({ morse_sequence: textToMorse('HELLO') })).json();
+    const second = await (await send({ morse_sequence: textToMorse('AGAIN'), session_id: first.session_id })).json();
+
+    expect(typeof first.session_id).toBe('string');
+    expect(second.session_id).toBe(first.session_id);
+  });
+
+  it('should start a new session for each message sent without one', async () => {
+    const first = await (await send({ morse_sequence: textToMorse('HELLO') })).json();
+    const second = await (await send({ morse_sequence: textToMorse('HELLO') })).json();
+
+    expect(second.session_id).not.toBe(first.session_id);
+  });
+
+  it('should reject unknown and ended sessions', async () => {
+    const { session_id } = await (await send({ morse_sequence: textToMorse('HELLO') })).json();
+    const ended = await fetch(`http://localhost:${TEST_PORT}/api/sessions/${session_id}`, { method: 'DELETE' });
+
+    expect(await ended.json()).toEqual({ session_id, ended: true });
+
+    for (const id of [session_id, 'no-such-session', 42]) {
+      const response = await send({ morse_sequence: textToMorse('HELLO'), session_id: id });
+      expect(response.status).toBe(400);
+      expect((await response.json()).error).toBe('UNKNOWN SESSION STOP START A NEW SESSION STOP');
+    }
+  });
+});
+
+describe('GET /api/transmissions', () => {
+  const send = body => fetch(`http://localhost:${TEST_PORT}/api/send-telegram`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+  const search = query => fetch(`http://localhost:${TEST_PORT}/api/transmissions${query}`);
+
+  it('should file the message and the reply of each exchange', async () => {
+    const { session_id, reply_text, reply_morse } = await (await send({ morse_sequence: textToMorse('ZEBRA') })).json();
+    const found = await (await search(`?session_id=${session_id}`)).json();
+
+    expect(found).toMatchObject({ page: 1, per_page: 20, total: 2, total_pages: 1 });
+    expect(found.transmissions).toEqual([
+      { id: expect.any(Number), session_id, sender: 'operator', morse: reply_morse, text: reply_text, timestamp: expect.any(String) },
+      { id: expect.any(Number), session_id, sender: 'user', morse: textToMorse('ZEBRA'), text: 'ZEBRA', timestamp: expect.any(String) }
+    ]);
+    expect(found.transmissions[0].id).toBe(found.transmissions[1].id + 1);
+
+    const one = await search(`/${found.transmissions[1].id}?session_id=${session_id}`);
+    expect(await one.json()).toEqual(found.transmissions[1]);
+  });
+
+  it('should show only the telegrams of the session or station asked for', async () => {
+    const { session_id } = await (await send({ morse_sequence: textToMorse('IBEX') })).json();
+    const other = await (await send({ morse_sequence: textToMorse('IBEX') })).json();
+    const found = await (await search(`?q=ibex&session_id=${session_id}`)).json();
+    const unasked = await search('?q=ibex');
+    const otherSession = await search(`/${found.transmissions[0].id}?session_id=${other.session_id}`);
+    const refused = await search('?call_sign=WU&station_key=guess');
+
+    expect(found.transmissions.every(transmission => transmission.session_id === session_id)).toBe(true);
+    expect(unasked.status).toBe(400);
+    expect((await unasked.json()).error).toBe('SESSION OR STATION REQUIRED STOP GIVE SESSION ID OR CALL SIGN AND KEY STOP');
+    expect(otherSession.status).toBe(404);
+    expect(refused.status).toBe(400);
+    expect((await refused.json()).error).toBe('STATION KEY REFUSED STOP CHECK CALL SIGN AND KEY STOP');
+  });
+
+  it('should file prosigns as their tokens', async () => {
+    const { session_id } = await (await send({ morse_sequence: textToMorse('WAIT <AS> OVER <KN>') })).json();
+    const found = await (await search(`?session_id=${session_id}&sender=user`)).json();
+
+    expect(found.transmissions.map(({ text }) => text)).toEqual(['WAIT <AS> OVER <KN>']);
+  });
+
+  it('should note the code and notation of an exchange', async () => {
+    const { session_id, reply_morse } = await (await send({ morse_sequence: '_', code: 'american', reply_notation: 'pipe' })).json();
+    const found = await (await search(`?session_id=${session_id}`)).json();
+
+    expect(found.transmissions[0]).toMatchObject({ sender: 'operator', morse: reply_morse, code: 'american', notation: 'pipe' });
+    expect(found.transmissions[1]).toMatchObject({ sender: 'user', morse: '_', code: 'american' });
+  });
+
+  it('should file streamed exchanges', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/send-telegram/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ morse_sequence: textToMorse('QUAGGA') })
+    });
+    const [, session_id] = (await response.text()).match(/"session_id":"([^"]+)"/);
+
+    const found = await (await search(`?q=quagga&sender=user&session_id=${session_id}`)).json();
+    expect(found.transmissions.map(({ text }) => text)).toEqual(['QUAGGA']);
+  });
+
+  it('should search by words, sender and page', async () => {
+    let session_id;
+    for (const word of ['OKAPI ONE', 'OKAPI TWO', 'OKAPI THREE']) {
+      ({ session_id } = await (await send({ morse_sequence: textToMorse(word), session_id })).json());
+    }
+
+    const latest = await (await search(`?q=okapi&sender=user&per_page=2&session_id=${session_id}`)).json();
+    const earliest = await (await search(`?q=okapi&sender=user&per_page=2&page=2&session_id=${session_id}`)).json();
+    const both = await (await search(`?q=OKAPI%20TWO&sender=user&session_id=${session_id}`)).json();
+
+    expect(latest.transmissions.map(({ text }) => text)).toEqual(['OKAPI THREE', 'OKAPI TWO']);
+    expect(earliest.transmissions.map(({ text }) => text)).toEqual(['OKAPI ONE']);
+    expect(latest).toMatchObject({ total: 3, total_pages: 2 });
+    expect(both.total).toBe(1);
+  });
+
+  it('should search by time filed', async () => {
+    const now = new Date();
+    const { session_id } = await (await send({ morse_sequence: textToMorse('ELAND') })).json();
+    const past = await (await search(`?to=1865-10-19T00:00:00Z&session_id=${session_id}`)).json();
+    const recent = await (await search(`?from=${encodeURIComponent(new Date(now.getTime() - 60000).toISOString())}&per_page=1&session_id=${session_id}`)).json();
+
+    expect(past.total).toBe(0);
+    expect(recent.total).toBeGreaterThan(0);
+  });
+
+  it('should refuse bad pages, dates, senders and orders', async () => {
+    for (const [query, error] of [
+      ['?page=0', 'INVALID PAGE STOP PAGE FROM 1 AND PER PAGE FROM 1 TO 100 STOP'],
+      ['?per_page=500', 'INVALID PAGE STOP PAGE FROM 1 AND PER PAGE FROM 1 TO 100 STOP'],
+      ['?from=yesterday', 'INVALID DATE STOP USE ISO 8601 STOP'],
+      ['?sender=clerk', 'UNKNOWN SENDER STOP USE USER OPERATOR OR STATION STOP'],
+      ['?order=sideways', 'UNKNOWN ORDER STOP USE DESC OR ASC STOP']
+    ]) {
+      const response = await search(`${query}&session_id=abc`);
+      expect(response.status).toBe(400);
+      expect((await response.json()).error).toBe(error);
+    }
+  });
+
+  it('should answer 404 for a telegram that was never filed', async () => {
+    const response = await search('/999999?session_id=abc');
+
+    expect(response.status).toBe(404);
+    expect(await response.json()).toEqual({ error: 'NO SUCH TRANSMISSION STOP' });
+  });
+});
+
+describe('Stations', () => {
+  const post = (path, body) => fetch(`http://localhost:${TEST_PORT}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+  const register = async (callSign, office = 'NYC') => (
+    await post('/api/stations', { call_sign: callSign, name: 'Test office', office })
+  ).json();
+  const lookUp = async (station, id) => (await fetch(
+    `http://localhost:${TEST_PORT}/api/stations/${station.call_sign}/telegrams/${id}?station_key=${station.station_key}`
+  )).json();
+
+  /**
+   * Reads a station's wire until a given event arrives
+   * @param {Object} station - Registered station
+   * @param {string} last - Event to stop at
+   * @returns {Promise<{event: string, data: Object}[]>} Events read
+   */
+  const readWire = async (station, last) => {
+    const controller = new AbortController();
+    const wire = await fetch(`http://localhost:${TEST_PORT}/api/stations/${station.call_sign}/wire?station_key=${station.station_key}`, {
+      signal: controller.signal
+    });
+    const events = [];
+    try {
+      for await (const { event, data } of readEventStream(wire.body)) {
+        events.push({ event, data: JSON.parse(data) });
+        if (event === last) {
+          break;
+        }
+      }
+    } finally {
+      controller.abort();
+    }
+    return events;
+  };
+
+  it('should register a station and list it after the operator', async () => {
+    const station = await register('bos');
+    const { stations } = await (await fetch(`http://localhost:${TEST_PORT}/api/stations`)).json();
+
+    expect(station).toEqual({ call_sign: 'BOS', name: 'TEST OFFICE', office: 'NYC', station_key: expect.any(String) });
+    expect(stations[0]).toEqual({ call_sign: 'WU', name: 'WESTERN UNION OPERATOR', office: 'NYC', online: true });
+    expect(stations).toContainEqual({ call_sign: 'BOS', name: 'TEST OFFICE', office: 'NYC', online: false });
+  });
+
+  it('should reject invalid and taken call signs', async () => {
+    const invalid = await post('/api/stations', { call_sign: 'NEW YORK' });
+    const taken = await post('/api/stations', { call_sign: 'WU' });
+    const nowhere = await post('/api/stations', { call_sign: 'LA', office: 'LAX' });
+
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).error).toBe('INVALID CALL SIGN STOP USE 2 TO 8 LETTERS OR FIGURES STOP');
+    expect((await taken.json()).error).toBe('CALL SIGN TAKEN STOP CHOOSE ANOTHER STOP');
+    expect((await nowhere.json()).error).toBe('UNKNOWN OFFICE STOP CHOOSE ONE ON THE NETWORK STOP');
+  });
+
+  it('should describe the relay network', async () => {
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/network`);
+
+    expect(await response.json()).toEqual({
+      home_office: 'NYC',
+      operator_office: 'NYC',
+      offices: [{ code: 'NYC', name: 'NEW YORK' }, { code: 'CHI', name: 'CHICAGO' }],
+      links: [{ from: 'NYC', to: 'CHI', latency_ms: 20, down: false }]
+    });
+  });
+
+  it('should file station telegrams in the archive', async () => {
+    const sender = await register('AR1');
+    const receiver = await register('AR2');
+
+    await post('/api/send-telegram', {
+      morse_sequence: textToMorse('GNU HERD SIGHTED'),
+      from: sender.call_sign,
+      station_key: sender.station_key,
+      to: 'AR2'
+    });
+    const found = await (await fetch(
+      `http://localhost:${TEST_PORT}/api/transmissions?q=gnu&sender=station&call_sign=AR2&station_key=${receiver.station_key}`
+    )).json();
+
+    expect(found.transmissions).toEqual([{
+      id: expect.any(Number),
+      session_id: null,
+      sender: 'station',
+      from: 'AR1',
+      to: 'AR2',
+      morse: textToMorse('GNU HERD SIGHTED'),
+      text: 'GNU HERD SIGHTED',
+      timestamp: expect.any(String)
+    }]);
+  });
+
+  it('should relay a telegram, queue it until the station opens its wire and send a receipt', async () => {
+    const sender = await register('NY1');
+    const receiver = await register('SF1', 'CHI');
+
+    const sent = await (await post('/api/send-telegram', {
+      morse_sequence: textToMorse('ARRIVING TUESDAY'),
+      from: sender.call_sign,
+      station_key: sender.station_key,
+      to: 'sf1'
+    })).json();
+    expect(sent).toEqual({
+      status: 'filed',
+      telegram: {
+        id: expect.any(Number),
+        sender: 'station',
+        from: 'NY1',
+        to: 'SF1',
+        morse: textToMorse('ARRIVING TUESDAY'),
+        text: 'ARRIVING TUESDAY',
+        timestamp: expect.any(String),
+        status: 'filed',
+        route: ['NYC'],
+        updates: [{ status: 'filed', office: 'NYC', at: expect.any(String) }]
+      },
+      charges: { sent: expect.objectContaining({ chargeable_words: 2, total_cents: 20 }) }
+    });
+
+    await vi.waitFor(async () => {
+      expect((await lookUp(sender, sent.telegram.id)).status).toBe('queued');
+    });
+    const [start, delivered] = await readWire(receiver, 'telegram');
+    expect(start).toEqual({ event: 'start', data: { call_sign: 'SF1' } });
+    expect(delivered.data).toMatchObject({ text: 'ARRIVING TUESDAY', status: 'delivered', route: ['NYC', 'CHI'] });
+    expect(delivered.data.updates.map(({ status, office }) => `${status} ${office}`)).toEqual([
+      'filed NYC', 'queued CHI', 'delivered CHI'
+    ]);
+
+    const receipt = (await readWire(sender, 'receipt')).pop();
+    expect(receipt.data).toEqual({
+      telegram_id: sent.telegram.id,
+      to: 'SF1',
+      delivered_at: delivered.data.delivered_at,
+      route: ['NYC', 'CHI']
+    });
+  });
+
+  it('should show a telegram only to the stations that sent or received it', async () => {
+    const sender = await register('BUF');
+    const receiver = await register('DET', 'CHI');
+    const stranger = await register('CLE');
+    const { telegram } = await (await post('/api/send-telegram', {
+      morse_sequence: textToMorse('HI'),
+      from: 'BUF',
+      station_key: sender.station_key,
+      to: 'DET'
+    })).json();
+
+    expect((await lookUp(receiver, telegram.id)).id).toBe(telegram.id);
+    expect((await lookUp(stranger, telegram.id)).error).toBe('NO SUCH TELEGRAM STOP');
+    expect((await lookUp({ ...receiver, station_key: 'guess' }, telegram.id)).error)
+      .toBe('STATION KEY REFUSED STOP CHECK CALL SIGN AND KEY STOP');
+  });
+
+  it('should refuse telegrams to stations without a verified sender', async () => {
+    const receiver = await register('CHI');
+    const anonymous = await post('/api/send-telegram', { morse_sequence: textToMorse('HI'), to: 'CHI' });
+    const forged = await post('/api/send-telegram', {
+      morse_sequence: textToMorse('HI'),
+      from: 'CHI',
+      station_key: 'guess',
+      to: 'CHI'
+    });
+    const unknown = await post('/api/send-telegram', {
+      morse_sequence: textToMorse('HI'),
+      from: 'CHI',
+      station_key: receiver.station_key,
+      to: 'XYZ'
+    });
+
+    expect((await anonymous.json()).error).toBe('NO STATION STOP REGISTER A CALL SIGN TO TELEGRAPH STATIONS STOP');
+    expect((await forged.json()).error).toBe('STATION KEY REFUSED STOP CHECK CALL SIGN AND KEY STOP');
+    expect((await unknown.json()).error).toBe('UNKNOWN STATION STOP CHECK THE ADDRESS STOP');
+  });
+
+  it('should still answer telegrams addressed to the operator', async () => {
+    const station = await register('DEN');
+    const response = await post('/api/send-telegram', {
+      morse_sequence: textToMorse('HELLO'),
+      from: 'DEN',
+      station_key: station.station_key,
+      to: 'WU'
+    });
+
+    expect(response.ok).toBe(true);
+    expect((await response.json()).reply_text).toBeTruthy();
+  });
+
+  it('should refuse a wire without the station key', async () => {
+    await register('ATL');
+    const response = await fetch(`http://localhost:${TEST_PORT}/api/stations/ATL/wire?station_key=guess`);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('STATION KEY REFUSED STOP CHECK CALL SIGN AND KEY STOP');
+  });
+});
+
+describe('POST /api/send-telegram/stream', () => {
+  const stream = body => fetch(`http://localhost:${TEST_PORT}/api/send-telegram/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  const readEvents = async response => {
+    const events = [];
+    for await (const { event, data } of readEventStream(response.body)) {
+      events.push({ event, data: JSON.parse(data) });
+    }
+    return events;
+  };
+
+  it('should stream the reply a word at a time, then the full response', async () => {
+    const response = await stream({ morse_sequence: textToMorse('HELLO') });
+    const events = await readEvents(response);
+
+    const start = events[0];
+    const words = events.filter(({ event }) => event === 'word').map(({ data }) => data);
+    const done = events[events.length - 1];
+
+    expect(response.headers.get('content-type')).toContain('text/event-stream');
+    expect(start.event).toBe('start');
+    expect(start.data).toMatchObject({ wpm: 12, word_gap_ms: 700 });
+    expect(done.event).toBe('done');
+    expect(done.data.session_id).toBe(start.data.session_id);
+    expect(words.map(({ text }) => text).join(' ')).toBe(done.data.reply_text);
+    expect(done.data.reply_text).toBe('RECEIVED YOUR MESSAGE STOP HELLO STOP');
+    expect(words.map(({ index }) => index)).toEqual([0, 1, 2, 3, 4, 5]);
+  });
+
+  it('should key each word in Morse, numbering characters through the reply', async () => {
+    const events = await readEvents(await stream({ morse_sequence: textToMorse('SOS'), wpm: 15 }));
+    const words = events.filter(({ event }) => event === 'word').map(({ data }) => data);
+
+    expect(words[0].morse).toBe(textToMorse('RECEIVED'));
+    expect(words[0].timing_array).toEqual(morseToTiming(textToMorse('RECEIVED'), { wpm: 15 }));
+    expect(words[1].timing_schedule[0]).toMatchObject({ start: 0, charIndex: 8, wordIndex: 1 });
+
+    const done = events[events.length - 1].data;
+    const lastEvents = words[words.length - 1].timing_schedule;
+    expect(lastEvents[lastEvents.length - 1].charIndex)
+      .toBe(done.timing_schedule[done.timing_schedule.length - 1].charIndex);
+  });
+
+  it('should carry on a session', async () => {
+    const [first] = await readEvents(await stream({ morse_sequence: textToMorse('HELLO') }));
+    const [second] = await readEvents(await stream({
+      morse_sequence: textToMorse('AGAIN'),
+      session_id: first.data.session_id
+    }));
+
+    expect(second.data.session_id).toBe(first.data.session_id);
+  });
+
+  it('should refuse transmissions as /api/send-telegram does', async () => {
+    const response = await stream({ morse_sequence: '.-.-.-.-.-.- ...' });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('INVALID MORSE SEQUENCE STOP CONTAINS UNKNOWN PATTERNS STOP');
+  });
+
+  it('should refuse replies written over the whole text', async () => {
+    for (const options of [
+      { code_book: 'abc' },
+      { cipher: 'vigenere', cipher_key: 'KEY' },
+      { reply_envelope: true },
+      { reply_format: 'wav' }
+    ]) {
+      const response = await stream({ morse_sequence: textToMorse('HELLO'), ...options });
+      expect(response.status).toBe(400);
+      expect((await response.json()).error)
+        .toBe('STREAMED REPLIES SENT PLAIN STOP NO CODE BOOK CIPHER ENVELOPE OR AUDIO STOP');
+    }
+  });
+});
+
+describe('POST /api/send-telegram - Charges', () => {
+  const send = (body, path = '/api/send-telegram') => fetch(`http://localhost:${TEST_PORT}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  it('should charge the message sent and the reply received', async () => {
+    const response = await send({ morse_sequence: textToMorse('ARRIVED SAFELY') });
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.charges.sent).toMatchObject({
+      tariff_class: 'full-rate',
+      zone: 'local',
+      chargeable_words: 2,
+      total_cents: 20,
+      total: '$0.20'
+    });
+    expect(data.charges.sent.words).toEqual(calculateCharge('ARRIVED SAFELY').words);
+    expect(data.charges.received.total_cents).toBe(calculateCharge(data.reply_text).totalCents);
+  });
+
+  it('should charge a telegram sent to another station', async () => {
+    const station = await (await send({ call_sign: 'CH1', office: 'NYC' }, '/api/stations')).json();
+    await send({ call_sign: 'CH2', office: 'NYC' }, '/api/stations');
+    const response = await send({
+      morse_sequence: textToMorse('ARRIVED SAFELY'),
+      from: 'CH1',
+      station_key: station.station_key,
+      to: 'CH2',
+      tariff_class: 'night-letter',
+      distance_miles: 2500
+    });
+
+    const data = await response.json();
+    expect(data.telegram.to).toBe('CH2');
+    expect(data.charges.sent).toMatchObject({ tariff_class: 'night-letter', zone: 'zone-5', total_cents: 100 });
+    expect(data.charges.sent.words).toEqual(calculateCharge('ARRIVED SAFELY').words);
+  });
+
+  it('should charge by class and distance', async () => {
+    const response = await send({
+      morse_sequence: textToMorse('ARRIVED SAFELY'),
+      tariff_class: 'night-letter',
+      distance_miles: 2500
+    });
+
+    const data = await response.json();
+    expect(data.charges.sent).toMatchObject({ tariff_class: 'night-letter', zone: 'zone-5', total_cents: 100 });
+  });
+
+  it('should reject unknown classes, zones and distances', async () => {
+    const errors = await Promise.all([
+      { tariff_class: 'urgent' },
+      { tariff_zone: 'moon' },
+      { distance_miles: 'far' }
+    ].map(async options => {
+      const response = await send({ morse_sequence: textToMorse('HI'), ...options });
+      expect(response.status).toBe(400);
+      return (await response.json()).error;
+    }));
+
+    expect(errors).toEqual([
+      'UNKNOWN TARIFF CLASS STOP USE FULL-RATE DAY-LETTER OR NIGHT-LETTER STOP',
+      'UNKNOWN TARIFF ZONE STOP USE LOCAL OR ZONE-1 TO ZONE-5 STOP',
+      'INVALID DISTANCE STOP SEND MILES STOP'
+    ]);
+  });
+});
+
 describe('POST /api/send-telegram - Error Responses', () => {
   it('should return 500 for internal server errors', async () => {
     // This test verifies the error handling structure is in place
@@ -0,0 +1,69 @@
+/**
+ * Keyed Replies
+ *
+ * Keys the operator's reply a word at a time as it is composed, so it can be
+ * sent down the line before the operator has finished: over Server-Sent
+ * Events by /api/send-telegram/stream and over the live line.
+ */
+
+import { textToMorse, morseToTiming, morseToSchedule } from '../shared/morse-lib.js';
+import { normalizeText } from '../shared/text-normalizer.js';
+import { formatMorse } from '../shared/morse-notation.js';
+import { streamOperatorAI } from './operator-persona.js';
+
+/**
+ * Streams the operator's reply a word at a time
+ * @param {string} message - Message for the operator
+ * @param {Object} options - Options for streamOperatorAI
+ * @yields {string} Each word of the reply, or of the fallback when the AI is unavailable
+ */
+export async function* streamOperatorWords(message, options) {
+  try {
+    yield* streamOperatorAI(message, options);
+  } catch (aiError) {
+    console.error('AI invocation failed:', aiError);
+    // Fallback response when AI is unavailable
+    yield* 'OPERATOR UNAVAILABLE STOP TRY AGAIN STOP'.split(' ');
+  }
+}
+
+/**
+ * Keys words as they come
+ * Words with nothing that can be keyed are skipped. Characters are numbered
+ * on from the last word, so the schedules read as one reply.
+ *
+ * @param {AsyncIterable<string>|Iterable<string>} words - Words of the reply
+ * @param {Object} [options] - Keying options
+ * @param {Object} [options.encoding] - Code and alphabet, as for textToMorse
+ * @param {Object} [options.timingOptions] - Speed options, as for morseToTiming
+ * @param {string} [options.notation='slash'] - Notation of each word's Morse
+ * @yields {{index: number, text: string, morse: string, timing_array: number[],
+ *   timing_schedule: Object[]}} Each keyed word
+ */
+export async function* keyWords(words, options = {}) {
+  const { encoding = {}, timingOptions = {}, notation = 'slash' } = options;
+  let index = 0;
+  let charOffset = 0;
+
+  for await (const word of words) {
+    const text = normalizeText(word, encoding).text.trim();
+    if (text === '') {
+      continue;
+    }
+    const morse = textToMorse(text, encoding);
+    const schedule = morseToSchedule(morse, timingOptions);
+    yield {
+      index,
+      text,
+      morse: formatMorse(morse, notation, { code: encoding.code }),
+      timing_array: morseToTiming(morse, timingOptions),
+      timing_schedule: schedule.map(event => ({
+        ...event,
+        charIndex: event.charIndex + charOffset,
+        wordIndex: index
+      }))
+    };
+    index += 1;
+    charOffset += schedule.length > 0 ? schedule[schedule.length - 1].charIndex + 1 : 0;
+  }
+}
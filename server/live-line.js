@@ -0,0 +1,428 @@
+/**
+ * Live Line
+ *
+ * A WebSocket on which any keying device can drive the server's decoder.
+ * The client sends each key-down and key-up with its timestamp; the server
+ * decodes them as they come and sends back each element, character and word
+ * space. Ending the over, with an 'over' message or the AR prosign, hands
+ * what was keyed to the operator, whose reply comes back a word at a time,
+ * paced as it is keyed. Either side can break in: the operator stops the
+ * sender to have an unreadable word sent again, and the sender stops the
+ * operator's reply by pressing the key.
+ *
+ * Client messages, as JSON:
+ *   {type: 'key', state: 'down'|'up', t}   Key pressed or released, t in milliseconds
+ *   {type: 'over'}                         End the transmission
+ *   {type: 'clear'}                        Forget what has been keyed
+ *
+ * Server messages, as JSON:
+ *   {type: 'ready', session_id, wpm}       Line open
+ *   {type: 'element', symbol, wpm}         Each key-up, with the sender's speed
+ *   {type: 'char', morse, char}            Each character, once the gap after it is long enough
+ *   {type: 'word'}                         Each word space
+ *   {type: 'break', text, morse, timing_schedule}   The operator breaks in
+ *   {type: 'reply', index, text, morse, timing_array, timing_schedule}   Each word of the reply
+ *   {type: 'done', session_id, received_text, reply_text, keying_wpm, keying_confidence, broken?}
+ *   {type: 'error', error}
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+import {
+  morseToText,
+  textToMorse,
+  morseToSchedule,
+  getElementDurations,
+  decodeMorse
+} from '../shared/morse-lib.js';
+import { AdaptiveTimingDecoder } from '../shared/timing-decoder.js';
+import { streamOperatorWords, keyWords } from './keyed-reply.js';
+
+// AR, the end of a message, ends the over
+const END_OF_MESSAGE = '.-.-.';
+
+// What the operator keys when breaking in on an unreadable word
+const BREAK_IN_TEXT = 'BREAK STOP REPEAT LAST WORD STOP';
+
+// Largest message accepted from the client, in bytes
+const MAX_MESSAGE_SIZE = 1024;
+
+// Shortest time between two overs the operator answers, in milliseconds
+const MIN_OVER_INTERVAL_MS = 1000;
+
+// Most key-down/key-up durations in one over, as for key_timings
+const MAX_OVER_KEY_EVENTS = 2000;
+
+/**
+ * One sender's connection to the operator
+ */
+class LiveLine {
+  /**
+   * @param {WebSocket} socket - The client's socket
+   * @param {Object} options - Line options
+   * @param {SessionStore} options.sessions - Conversations with the operator
+   * @param {TransmissionArchive|null} options.archive - Archive to file telegrams in
+   * @param {string} options.sessionId - Session the line belongs to
+   * @param {number} options.wpm - Starting speed of the sender and speed of the reply
+   * @param {boolean} options.pace - Whether reply words are sent as fast as they are keyed
+   */
+  constructor(socket, { sessions, archive, sessionId, wpm, pace }) {
+    this.socket = socket;
+    this.sessions = sessions;
+    this.archive = archive;
+    this.sessionId = sessionId;
+    this.wpm = wpm;
+    this.pace = pace;
+    this.timingOptions = { wpm };
+    this.decoder = new AdaptiveTimingDecoder({ wpm });
+    this.downAt = null;
+    this.upAt = null;
+    this.announced = { char: false, word: false };
+    this.timers = [];
+    this.reply = null;
+    this.lastAnsweredAt = null;
+    this.closed = false;
+
+    socket.on('message', data => this.receive(data));
+    socket.on('close', () => this.close());
+    this.send({ type: 'ready', session_id: sessionId, wpm });
+  }
+
+  /**
+   * Sends a message to the client while the socket is open
+   * @param {Object} message - Message to send as JSON
+   */
+  send(message) {
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Handles a message from the client
+   * @param {Buffer} data - Raw message
+   */
+  receive(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      message = null;
+    }
+    if (!message || typeof message !== 'object') {
+      return this.send({ type: 'error', error: 'UNREADABLE MESSAGE STOP SEND JSON STOP' });
+    }
+
+    if (message.type === 'key') {
+      const { state, t } = message;
+      if (!['down', 'up'].includes(state) || typeof t !== 'number' || !Number.isFinite(t)) {
+        return this.send({ type: 'error', error: 'INVALID KEY EVENT STOP SEND STATE DOWN OR UP AND TIME STOP' });
+      }
+      const last = this.downAt ?? this.upAt;
+      if (last !== null && t < last) {
+        return this.send({ type: 'error', error: 'INVALID KEY EVENT STOP TIME RAN BACKWARD STOP' });
+      }
+      return state === 'down' ? this.keyDown(t) : this.keyUp(t);
+    }
+    if (message.type === 'over') {
+      return this.over();
+    }
+    if (message.type === 'clear') {
+      return this.startOver();
+    }
+    this.send({ type: 'error', error: 'UNKNOWN MESSAGE STOP SEND KEY OVER OR CLEAR STOP' });
+  }
+
+  /**
+   * Handles the key going down
+   * The gap before it ends any character and word not yet announced. Pressing
+   * the key while the operator is replying breaks in on the reply.
+   * @param {number} t - Time in milliseconds
+   */
+  keyDown(t) {
+    // Held keys repeat their key-down
+    if (this.downAt !== null) {
+      return;
+    }
+    if (this.reply) {
+      this.reply.broken = true;
+      this.reply.wake?.();
+    }
+    this.clearTimers();
+
+    if (this.upAt !== null) {
+      const pending = this.decoder.currentChar;
+      const gap = this.decoder.addSpace(t - this.upAt);
+      if (gap !== 'element') {
+        this.announceChar(pending);
+      }
+      if (gap === 'word') {
+        this.announceWord();
+      }
+    }
+    this.downAt = t;
+  }
+
+  /**
+   * Handles the key coming up
+   * The press is classified at once; the character and word it belongs to
+   * are announced once the key has been up long enough to end them.
+   * @param {number} t - Time in milliseconds
+   */
+  keyUp(t) {
+    if (this.downAt === null) {
+      return;
+    }
+    const symbol = this.decoder.addMark(t - this.downAt);
+    this.send({ type: 'element', symbol, wpm: this.decoder.wpm });
+
+    if (this.decoder.scores.length >= MAX_OVER_KEY_EVENTS) {
+      this.clearText();
+      return this.send({
+        type: 'error',
+        error: `OVER TOO LONG STOP SEND AT MOST ${MAX_OVER_KEY_EVENTS} KEY EVENTS STOP`
+      });
+    }
+
+    this.downAt = null;
+    this.upAt = t;
+    this.announced = { char: false, word: false };
+
+    const { char, word } = this.decoder.gapThresholds;
+    this.timers = [
+      setTimeout(() => this.announceChar(this.decoder.currentChar), char),
+      setTimeout(() => this.announceWord(), word)
+    ];
+  }
+
+  /**
+   * Announces a finished character
+   * AR ends the over; an unreadable character has the operator break in.
+   * @param {string} morse - The character's Morse
+   * @returns {boolean} False when the character ended the over or was broken in on
+   */
+  announceChar(morse) {
+    if (this.announced.char || morse === '') {
+      return true;
+    }
+    this.announced.char = true;
+
+    if (morse === END_OF_MESSAGE) {
+      this.over();
+      return false;
+    }
+    const [{ char, valid }] = decodeMorse(morse);
+    if (!valid) {
+      this.breakIn();
+      return false;
+    }
+    this.send({ type: 'char', morse, char });
+    return true;
+  }
+
+  /**
+   * Announces a word space
+   */
+  announceWord() {
+    if (this.announced.word) {
+      return;
+    }
+    this.announced.word = true;
+    this.send({ type: 'word' });
+  }
+
+  /**
+   * Breaks in on the sender to have the word being keyed sent again
+   */
+  breakIn() {
+    this.clearTimers();
+    this.decoder.dropWord();
+    this.announced = { char: true, word: true };
+
+    const morse = textToMorse(BREAK_IN_TEXT);
+    this.send({
+      type: 'break',
+      text: BREAK_IN_TEXT,
+      morse,
+      timing_schedule: morseToSchedule(morse, this.timingOptions)
+    });
+  }
+
+  /**
+   * Ends the over and has the operator reply to what was keyed
+   * An over is refused while the operator is still replying, or when it comes
+   * too soon after the last one answered; what was keyed is kept for the next.
+   * A character still being keyed is announced first, so one that cannot be
+   * read is broken in on rather than passed to the operator.
+   */
+  over() {
+    if (this.reply) {
+      return this.send({ type: 'error', error: 'OPERATOR SENDING STOP WAIT OR BREAK IN STOP' });
+    }
+    if (this.lastAnsweredAt !== null && Date.now() - this.lastAnsweredAt < MIN_OVER_INTERVAL_MS) {
+      return this.send({ type: 'error', error: 'OVER TOO SOON STOP WAIT A MOMENT STOP' });
+    }
+    if (!this.announceChar(this.decoder.currentChar)) {
+      return;
+    }
+
+    const morse = this.decoder.morse.replace(/(?:^|\s+(?:\/\s+)?)\.-\.-\.$/, '');
+    const message = morseToText(morse, { prosigns: true }).trim();
+    const keying = { morse, wpm: this.decoder.wpm, confidence: this.decoder.confidence };
+    this.clearText();
+
+    if (message === '') {
+      return this.send({ type: 'error', error: 'NOTHING KEYED STOP KEY A MESSAGE FIRST STOP' });
+    }
+    this.lastAnsweredAt = Date.now();
+    this.answer(message, keying);
+  }
+
+  /**
+   * Forgets what has been keyed and the sender's speed
+   */
+  startOver() {
+    this.clearTimers();
+    this.decoder = new AdaptiveTimingDecoder({ wpm: this.wpm });
+    this.downAt = null;
+    this.upAt = null;
+  }
+
+  /**
+   * Forgets what has been keyed, keeping the sender's speed and spacing for
+   * the next over
+   */
+  clearText() {
+    this.clearTimers();
+    this.decoder.clearText();
+    this.downAt = null;
+    this.upAt = null;
+  }
+
+  /**
+   * Sends the operator's reply a word at a time
+   * With pacing, each word waits for the one before it to be keyed. The
+   * sender breaking in stops the reply; what was sent of it is remembered.
+   * @param {string} message - What the sender keyed
+   * @param {{morse: string, wpm: number, confidence: number}} keying - Its Morse and how it was keyed
+   */
+  async answer(message, keying) {
+    const reply = { broken: false, wake: null };
+    this.reply = reply;
+    const words = [];
+    const morse = [];
+
+    try {
+      const { wordGap } = getElementDurations(this.timingOptions);
+      const composed = streamOperatorWords(message, {
+        history: this.sessions.getHistory(this.sessionId)
+      });
+
+      for await (const word of keyWords(composed, { timingOptions: this.timingOptions })) {
+        if (reply.broken || this.closed) {
+          break;
+        }
+        this.send({ type: 'reply', ...word });
+        words.push(word.text);
+        morse.push(word.morse);
+
+        if (this.pace) {
+          const last = word.timing_schedule[word.timing_schedule.length - 1];
+          await new Promise(resolve => {
+            const timer = setTimeout(resolve, last.start + last.duration + wordGap);
+            reply.wake = () => {
+              clearTimeout(timer);
+              resolve();
+            };
+          });
+        }
+      }
+
+      const replyText = words.join(' ');
+      console.log('Operator reply text:', replyText);
+      this.sessions.addExchange(this.sessionId, message, replyText);
+      if (this.archive) {
+        await this.archive.add(this.sessionId, [
+          { sender: 'user', morse: keying.morse, text: message },
+          { sender: 'operator', morse: morse.join(' / '), text: replyText }
+        ]).catch(error => console.error('Failed to archive transmission:', error));
+      }
+      this.send({
+        type: 'done',
+        session_id: this.sessionId,
+        received_text: message,
+        reply_text: replyText,
+        keying_wpm: keying.wpm,
+        keying_confidence: keying.confidence,
+        ...(reply.broken && { broken: true })
+      });
+    } catch (error) {
+      console.error('Error answering on the live line:', error);
+      this.send({ type: 'error', error: 'TELEGRAPH LINE FAILURE STOP TRY AGAIN STOP' });
+    } finally {
+      this.reply = null;
+    }
+  }
+
+  /**
+   * Stops the character and word timers
+   */
+  clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+  }
+
+  /**
+   * Lets go of the line when the client hangs up
+   */
+  close() {
+    this.closed = true;
+    this.clearTimers();
+    if (this.reply) {
+      this.reply.broken = true;
+      this.reply.wake?.();
+    }
+  }
+}
+
+/**
+ * Opens the live line on an HTTP server
+ * Clients connect to the path with optional wpm (the sender's starting speed
+ * and the speed of the reply, default 12) and session_id query parameters;
+ * a new session is started when none is given.
+ *
+ * @param {import('http').Server} server - Server to take WebSocket upgrades from
+ * @param {Object} options - Line options
+ * @param {SessionStore} options.sessions - Conversations with the operator
+ * @param {TransmissionArchive} [options.archive] - Archive to file telegrams in
+ * @param {string} [options.path='/api/live'] - Path of the line
+ * @param {boolean} [options.pace=true] - Send reply words as fast as they are keyed,
+ *   rather than as fast as they are composed
+ * @returns {WebSocketServer} The line's WebSocket server
+ */
+export function attachLiveLine(server, { sessions, archive = null, path = '/api/live', pace = true }) {
+  const wss = new WebSocketServer({ server, path, maxPayload: MAX_MESSAGE_SIZE });
+
+  wss.on('connection', (socket, request) => {
+    const query = new URL(request.url, 'http://localhost').searchParams;
+    const refuse = error => {
+      socket.send(JSON.stringify({ type: 'error', error }));
+      socket.close(1008);
+    };
+
+    const wpm = query.has('wpm') ? Number(query.get('wpm')) : 12;
+    try {
+      getElementDurations({ wpm });
+    } catch {
+      return refuse('INVALID SPEED STOP CHECK WPM AND WEIGHT STOP');
+    }
+
+    const sessionId = query.get('session_id') ?? sessions.create();
+    if (!sessions.has(sessionId)) {
+      return refuse('UNKNOWN SESSION STOP START A NEW SESSION STOP');
+    }
+
+    new LiveLine(socket, { sessions, archive, sessionId, wpm, pace });
+  });
+
+  return wss;
+}
@@ -0,0 +1,306 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { WebSocket } from 'ws';
+
+let servers;
+const PORT = 3004;
+const PACED_PORT = 3005;
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+
+  const { default: app, openLiveLine } = await import('./index.js');
+  const server = app.listen(PORT);
+  const paced = app.listen(PACED_PORT);
+  openLiveLine(server, { pace: false });
+  openLiveLine(paced);
+  servers = [server, paced];
+});
+
+afterAll(() => {
+  servers.forEach(server => server.close());
+});
+
+/**
+ * Opens the live line and collects what comes down it
+ * @param {string} [query=''] - Query string
+ * @param {number} [port=PORT] - Port of the server
+ * @returns {Promise<{socket: WebSocket, messages: Object[], send: Function}>}
+ */
+async function openLine(query = '', port = PORT) {
+  const socket = new WebSocket(`ws://localhost:${port}/api/live${query}`);
+  const messages = [];
+  socket.on('message', data => messages.push(JSON.parse(data.toString())));
+  await new Promise((resolve, reject) => {
+    socket.on('open', resolve);
+    socket.on('error', reject);
+  });
+  await vi.waitFor(() => expect(messages.length).toBeGreaterThan(0));
+  return { socket, messages, send: message => socket.send(JSON.stringify(message)) };
+}
+
+/**
+ * Keys a timing array as key events: on and off durations, starting with on
+ * @param {Function} send - Sends a message down the line
+ * @param {number[]} durations - Durations in milliseconds
+ * @param {number} [start=0] - Time of the first key-down
+ * @returns {number} Time after the last key-up
+ */
+function key(send, durations, start = 0) {
+  let t = start;
+  durations.forEach((duration, i) => {
+    if (i % 2 === 0) {
+      send({ type: 'key', state: 'down', t });
+      t += duration;
+      send({ type: 'key', state: 'up', t });
+    } else {
+      t += duration;
+    }
+  });
+  return t;
+}
+
+/**
+ * Waits for a message of a type
+ * @param {Object[]} messages - Messages received
+ * @param {string} type - Message type
+ * @returns {Promise<Object>} The first message of the type
+ */
+async function waitFor(messages, type) {
+  await vi.waitFor(() => expect(messages.map(message => message.type)).toContain(type), { timeout: 3000 });
+  return messages.find(message => message.type === type);
+}
+
+describe('Live line', () => {
+  it('should open with a new session at 12 WPM', async () => {
+    const { socket, messages } = await openLine();
+
+    expect(messages[0]).toEqual({ type: 'ready', session_id: expect.any(String), wpm: 12 });
+    socket.close();
+  });
+
+  it('should decode elements, characters and word spaces as they are keyed', async () => {
+    const { socket, messages, send } = await openLine();
+
+    // E, a word space, then T
+    key(send, [100, 700, 300]);
+    await vi.waitFor(() => expect(messages.filter(message => message.type === 'char')).toHaveLength(2));
+
+    expect(messages.slice(1)).toEqual([
+      { type: 'element', symbol: '.', wpm: 12 },
+      { type: 'char', morse: '.', char: 'E' },
+      { type: 'word' },
+      { type: 'element', symbol: '-', wpm: 12 },
+      { type: 'char', morse: '-', char: 'T' }
+    ]);
+    socket.close();
+  });
+
+  it('should have the operator reply word by word at the end of the over', async () => {
+    const { socket, messages, send } = await openLine();
+
+    // SOS
+    key(send, [100, 100, 100, 100, 100, 300, 300, 100, 300, 100, 300, 300, 100, 100, 100, 100, 100]);
+    send({ type: 'over' });
+    const done = await waitFor(messages, 'done');
+    const replies = messages.filter(message => message.type === 'reply');
+
+    expect(done).toMatchObject({
+      session_id: messages[0].session_id,
+      received_text: 'SOS',
+      reply_text: 'RECEIVED YOUR MESSAGE STOP SOS STOP',
+      keying_wpm: 12
+    });
+    expect(replies.map(reply => reply.text)).toEqual(['RECEIVED', 'YOUR', 'MESSAGE', 'STOP', 'SOS', 'STOP']);
+    expect(replies[1]).toMatchObject({ index: 1, morse: '-.-- --- ..- .-.' });
+    expect(replies[1].timing_schedule[0]).toMatchObject({ charIndex: 8, wordIndex: 1 });
+    socket.close();
+  });
+
+  it('should end the over on AR', async () => {
+    const { socket, messages, send } = await openLine();
+
+    // E, then AR after a character gap
+    key(send, [100, 300, 100, 100, 300, 100, 100, 100, 300, 100, 100]);
+    const done = await waitFor(messages, 'done');
+
+    expect(done.received_text).toBe('E');
+    socket.close();
+  });
+
+  it('should share its sessions with /api/send-telegram', async () => {
+    const { socket, messages, send } = await openLine();
+    key(send, [300]);
+    send({ type: 'over' });
+    await waitFor(messages, 'done');
+    socket.close();
+
+    const response = await fetch(`http://localhost:${PORT}/api/send-telegram`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ morse_sequence: '....', session_id: messages[0].session_id })
+    });
+    expect(response.status).toBe(200);
+    expect((await response.json()).session_id).toBe(messages[0].session_id);
+
+    const again = await openLine(`?session_id=${messages[0].session_id}`);
+    expect(again.messages[0].session_id).toBe(messages[0].session_id);
+    again.socket.close();
+  });
+
+  it('should break in on an unreadable word and drop it', async () => {
+    const { socket, messages, send } = await openLine();
+
+    // E, a word space, then .-.-.-.-.-.-
+    const garbled = [100, 100, 300, 100, 100, 100, 300, 100, 100, 100, 300, 100, 100, 100, 300, 100, 100, 100, 300, 100, 100, 100, 300];
+    const end = key(send, [100, 700, ...garbled]);
+    const breakIn = await waitFor(messages, 'break');
+
+    expect(breakIn).toMatchObject({ text: 'BREAK STOP REPEAT LAST WORD STOP', morse: expect.stringMatching(/^-\.\.\. /) });
+    expect(breakIn.timing_schedule.length).toBeGreaterThan(0);
+
+    // T sent again in its place
+    key(send, [300], end + 700);
+    send({ type: 'over' });
+    const done = await waitFor(messages, 'done');
+
+    expect(done.received_text).toBe('E T');
+    socket.close();
+  });
+
+  it('should break in on a character still being keyed at the end of the over', async () => {
+    const { socket, messages, send } = await openLine();
+
+    // E, a word space, then ..--.-. ended at once
+    key(send, [100, 700, 100, 100, 100, 100, 300, 100, 300, 100, 100, 100, 300, 100, 100]);
+    send({ type: 'over' });
+    await waitFor(messages, 'break');
+    key(send, [300], 10000);
+    send({ type: 'over' });
+    const done = await waitFor(messages, 'done');
+
+    expect(done.received_text).toBe('E T');
+    expect(messages.filter(message => message.type === 'done')).toHaveLength(1);
+    socket.close();
+  });
+
+  it('should keep the sender\'s speed but not the message for the next over', async () => {
+    const { socket, messages, send } = await openLine();
+
+    // E at 20 WPM
+    const end = key(send, [60]);
+    send({ type: 'over' });
+    const first = await waitFor(messages, 'done');
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    key(send, [180], end + 1000);
+    send({ type: 'over' });
+    await vi.waitFor(() => expect(messages.filter(message => message.type === 'done')).toHaveLength(2));
+    const second = messages.filter(message => message.type === 'done')[1];
+
+    expect(second.received_text).toBe('T');
+    // A fresh decoder would read the dash at the same speed as the dot
+    expect(second.keying_wpm).toBeGreaterThan(first.keying_wpm);
+    socket.close();
+  });
+
+  it('should refuse an over longer than the key events allowed', async () => {
+    const { socket, messages, send } = await openLine();
+
+    key(send, new Array(2001).fill(100));
+    const error = await waitFor(messages, 'error');
+    send({ type: 'over' });
+    await vi.waitFor(() => expect(messages.filter(message => message.type === 'error')).toHaveLength(2));
+
+    expect(error.error).toBe('OVER TOO LONG STOP SEND AT MOST 2000 KEY EVENTS STOP');
+    expect(messages.filter(message => message.type === 'error')[1].error).toBe('NOTHING KEYED STOP KEY A MESSAGE FIRST STOP');
+    socket.close();
+  });
+
+  it('should forget what was keyed on clear', async () => {
+    const { socket, messages, send } = await openLine();
+    key(send, [100]);
+    send({ type: 'clear' });
+    send({ type: 'over' });
+
+    const error = await waitFor(messages, 'error');
+    expect(error.error).toBe('NOTHING KEYED STOP KEY A MESSAGE FIRST STOP');
+    socket.close();
+  });
+
+  it('should let the sender break in on the reply', async () => {
+    const { socket, messages, send } = await openLine('', PACED_PORT);
+
+    const end = key(send, [100]);
+    send({ type: 'over' });
+    await waitFor(messages, 'reply');
+    send({ type: 'key', state: 'down', t: end + 1000 });
+    const done = await waitFor(messages, 'done');
+
+    expect(done.broken).toBe(true);
+    expect(done.reply_text).toBe('RECEIVED');
+    expect(messages.filter(message => message.type === 'reply')).toHaveLength(1);
+    socket.close();
+  });
+
+  it('should refuse an over while the operator is replying', async () => {
+    const { socket, messages, send } = await openLine('', PACED_PORT);
+
+    key(send, [100]);
+    send({ type: 'over' });
+    await waitFor(messages, 'reply');
+    send({ type: 'over' });
+    const error = await waitFor(messages, 'error');
+
+    expect(error.error).toBe('OPERATOR SENDING STOP WAIT OR BREAK IN STOP');
+    socket.close();
+  });
+
+  it('should refuse overs that come too fast and keep what was keyed', async () => {
+    const { socket, messages, send } = await openLine();
+
+    const end = key(send, [100]);
+    send({ type: 'over' });
+    await waitFor(messages, 'done');
+    key(send, [300], end + 1000);
+    send({ type: 'over' });
+    const error = await waitFor(messages, 'error');
+
+    expect(error.error).toBe('OVER TOO SOON STOP WAIT A MOMENT STOP');
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    send({ type: 'over' });
+    await vi.waitFor(() => expect(messages.filter(message => message.type === 'done')).toHaveLength(2));
+    expect(messages.filter(message => message.type === 'done')[1].received_text).toBe('T');
+    socket.close();
+  });
+
+  it('should refuse unreadable and out of order messages', async () => {
+    const { socket, messages, send } = await openLine();
+
+    socket.send('not json');
+    send({ type: 'key', state: 'sideways', t: 0 });
+    send({ type: 'key', state: 'down', t: 500 });
+    send({ type: 'key', state: 'up', t: 400 });
+    send({ type: 'hello' });
+    await vi.waitFor(() => expect(messages.filter(message => message.type === 'error')).toHaveLength(4));
+
+    expect(messages.filter(message => message.type === 'error').map(message => message.error)).toEqual([
+      'UNREADABLE MESSAGE STOP SEND JSON STOP',
+      'INVALID KEY EVENT STOP SEND STATE DOWN OR UP AND TIME STOP',
+      'INVALID KEY EVENT STOP TIME RAN BACKWARD STOP',
+      'UNKNOWN MESSAGE STOP SEND KEY OVER OR CLEAR STOP'
+    ]);
+    socket.close();
+  });
+
+  it('should refuse unknown sessions and speeds', async () => {
+    for (const [query, error] of [
+      ['?session_id=nope', 'UNKNOWN SESSION STOP START A NEW SESSION STOP'],
+      ['?wpm=500', 'INVALID SPEED STOP CHECK WPM AND WEIGHT STOP']
+    ]) {
+      const { socket, messages } = await openLine(query);
+      const code = await new Promise(resolve => socket.on('close', resolve));
+
+      expect(messages).toEqual([{ type: 'error', error }]);
+      expect(code).toBe(1008);
+    }
+  });
+});
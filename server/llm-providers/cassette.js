@@ -0,0 +1,150 @@
+/**
+ * Cassette Provider
+ *
+ * Records model calls to disk and plays them back. In record mode each
+ * request goes to the wrapped provider and the request and reply are saved
+ * as <key>.json, where the key is a hash of the normalized request; in replay
+ * mode replies come from those files and nothing is sent over the network.
+ * A bad reply can so be reproduced exactly, and the file shared. A request
+ * with no cassette fails with the code CASSETTE_MISS, which the operator
+ * passes on rather than answering in its place.
+ *
+ * Requests are normalized before hashing, in upper case with runs of
+ * whitespace as single spaces, so the same conversation finds its cassette
+ * whatever the spacing or case it was keyed in.
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+const MODES = ['record', 'replay'];
+
+/**
+ * Normalizes text for the cassette key
+ * @param {string} text - Text
+ * @returns {string} Upper-case text with single spaces
+ */
+function normalize(text) {
+  return String(text ?? '').trim().split(/\s+/).join(' ').toUpperCase();
+}
+
+/**
+ * Computes the cassette key of a request
+ * @param {Object} request - Generation request
+ * @param {string} [request.instructions] - Operator instructions
+ * @param {{role: string, text: string}[]} [request.turns=[]] - Earlier turns
+ * @param {string} request.message - The sender's message
+ * @returns {string} 16 hex digits of the SHA-256 hash of the normalized request
+ */
+export function cassetteKey({ instructions, turns = [], message }) {
+  const normalized = JSON.stringify({
+    instructions: normalize(instructions),
+    turns: turns.map(({ role, text }) => [role, normalize(text)]),
+    message: normalize(message)
+  });
+  return createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+}
+
+export class CassetteProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.mode - 'record' or 'replay'
+   * @param {string} options.dir - Directory of the cassettes
+   * @param {{name: string, generate: Function}} [options.provider] - Provider to record;
+   *   not needed to replay
+   * @throws {Error} If the mode is unknown, or there is nothing to record
+   */
+  constructor({ mode, dir, provider } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown cassette mode: ${mode}`);
+    }
+    if (mode === 'record' && !provider) {
+      throw new Error('Cassette recording needs a provider to record');
+    }
+    this.name = `${provider ? provider.name : 'cassette'} (${mode})`;
+    this.mode = mode;
+    this.dir = dir;
+    this.provider = provider;
+  }
+
+  /**
+   * Gets the reply, recording or replaying it
+   * @param {Object} request - Generation request, as for GeminiProvider.generate
+   * @returns {Promise<string>} Reply text
+   * @throws {Error} If replaying and no cassette holds the request, or the
+   *   recorded provider fails
+   */
+  async generate(request) {
+    if (this.mode === 'replay') {
+      return this.play(request);
+    }
+    const reply = await this.provider.generate(request);
+    await this.save(request, reply);
+    return reply;
+  }
+
+  /**
+   * Gets the reply as it is written, recording or replaying it
+   * A replayed reply comes a word at a time. A recording is saved only once
+   * the provider has written the whole reply; one the reader stops early, as
+   * when the sender breaks in, or that fails is not saved.
+   * @param {Object} request - Generation request, as for GeminiProvider.generate
+   * @yields {string} Each piece of the reply text
+   * @throws {Error} As for generate
+   */
+  async *stream(request) {
+    if (this.mode === 'replay') {
+      for (const word of (await this.play(request)).split(' ')) {
+        yield `${word} `;
+      }
+      return;
+    }
+    if (!this.provider.stream) {
+      yield await this.generate(request);
+      return;
+    }
+
+    let reply = '';
+    for await (const chunk of this.provider.stream(request)) {
+      reply += chunk;
+      yield chunk;
+    }
+    await this.save(request, reply.trim());
+  }
+
+  /**
+   * Reads the reply recorded for a request
+   * @param {Object} request - Generation request
+   * @returns {Promise<string>} Recorded reply
+   * @throws {Error} With code CASSETTE_MISS if no cassette holds the request
+   */
+  async play(request) {
+    const key = cassetteKey(request);
+    try {
+      return JSON.parse(await readFile(join(this.dir, `${key}.json`), 'utf8')).reply;
+    } catch (error) {
+      const miss = new Error(`No cassette for this request: ${key} (${error.code ?? error.message})`);
+      miss.code = 'CASSETTE_MISS';
+      throw miss;
+    }
+  }
+
+  /**
+   * Records a request and its reply
+   * @param {Object} request - Generation request
+   * @param {string} reply - Reply text
+   * @returns {Promise<void>}
+   */
+  async save(request, reply) {
+    const key = cassetteKey(request);
+    await mkdir(this.dir, { recursive: true });
+    await writeFile(join(this.dir, `${key}.json`), `${JSON.stringify({
+      key,
+      provider: this.provider.name,
+      recorded_at: new Date().toISOString(),
+      request,
+      reply
+    }, null, 2)}\n`);
+  }
+}
@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { CassetteProvider, cassetteKey } from './cassette.js';
+import { MockProvider } from './mock.js';
+
+const request = {
+  instructions: 'BE BRIEF',
+  turns: [{ role: 'user', text: 'HELLO' }, { role: 'operator', text: 'HELLO STOP' }],
+  message: 'HOW IS THE WEATHER'
+};
+
+describe('Cassette provider', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'cassettes-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should key requests the same whatever their spacing or case', () => {
+    const respaced = {
+      instructions: ' be  brief ',
+      turns: [{ role: 'user', text: 'hello' }, { role: 'operator', text: 'HELLO\tSTOP' }],
+      message: 'how is   the weather'
+    };
+
+    expect(cassetteKey(respaced)).toBe(cassetteKey(request));
+    expect(cassetteKey(request)).toMatch(/^[0-9a-f]{16}$/);
+    expect(cassetteKey({ ...request, message: 'HOW IS THE WIND' })).not.toBe(cassetteKey(request));
+    expect(cassetteKey({ ...request, turns: [] })).not.toBe(cassetteKey(request));
+  });
+
+  it('should save each request with its reply', async () => {
+    const recorder = new CassetteProvider({ mode: 'record', dir: join(dir, 'new'), provider: new MockProvider() });
+
+    const reply = await recorder.generate(request);
+
+    const [file] = readdirSync(join(dir, 'new'));
+    const cassette = JSON.parse(readFileSync(join(dir, 'new', file), 'utf8'));
+    expect(file).toBe(`${cassetteKey(request)}.json`);
+    expect(cassette).toMatchObject({ key: cassetteKey(request), provider: 'mock', request, reply });
+  });
+
+  it('should replay a recording exactly', async () => {
+    const recorder = new CassetteProvider({
+      mode: 'record',
+      dir,
+      provider: new MockProvider({ script: { replies: ['FIRST STOP', 'SECOND STOP'] } })
+    });
+    const player = new CassetteProvider({ mode: 'replay', dir });
+
+    await recorder.generate(request);
+
+    expect(await player.generate(request)).toBe('FIRST STOP');
+    expect(await player.generate({ ...request, message: 'how is the weather' })).toBe('FIRST STOP');
+  });
+
+  it('should record a streamed reply once it is complete, and replay it as a stream', async () => {
+    const recorder = new CassetteProvider({
+      mode: 'record',
+      dir,
+      provider: new MockProvider({ script: { replies: ['FAIR AND COLD STOP'] } })
+    });
+    const player = new CassetteProvider({ mode: 'replay', dir });
+    const collect = async pieces => {
+      let text = '';
+      for await (const piece of pieces) {
+        text += piece;
+      }
+      return text;
+    };
+
+    expect(await collect(recorder.stream(request))).toBe('FAIR AND COLD STOP ');
+    expect(await player.generate(request)).toBe('FAIR AND COLD STOP');
+    expect(await collect(player.stream(request))).toBe('FAIR AND COLD STOP ');
+  });
+
+  it('should not save a streamed reply the reader stops early', async () => {
+    const recorder = new CassetteProvider({
+      mode: 'record',
+      dir,
+      provider: new MockProvider({ script: { replies: ['FAIR AND COLD STOP'] } })
+    });
+    const player = new CassetteProvider({ mode: 'replay', dir });
+
+    for await (const piece of recorder.stream(request)) {
+      expect(piece).toBe('FAIR ');
+      break;
+    }
+
+    expect(readdirSync(dir)).toEqual([]);
+    await expect(player.generate(request)).rejects.toMatchObject({ code: 'CASSETTE_MISS' });
+  });
+
+  it('should not save a streamed reply that fails', async () => {
+    const recorder = new CassetteProvider({
+      mode: 'record',
+      dir,
+      provider: {
+        name: 'breaking',
+        stream: async function* () {
+          yield 'FAIR ';
+          throw new Error('line down');
+        }
+      }
+    });
+
+    await expect((async () => {
+      for await (const piece of recorder.stream(request)) {
+        expect(piece).toBe('FAIR ');
+      }
+    })()).rejects.toThrow('line down');
+    expect(readdirSync(dir)).toEqual([]);
+  });
+
+  it('should fail to replay a request never recorded', async () => {
+    const player = new CassetteProvider({ mode: 'replay', dir });
+
+    await expect(player.generate(request)).rejects.toThrow(`No cassette for this request: ${cassetteKey(request)}`);
+    await expect(player.generate(request)).rejects.toMatchObject({ code: 'CASSETTE_MISS' });
+  });
+
+  it('should reject unknown modes and recording without a provider', () => {
+    expect(() => new CassetteProvider({ mode: 'rewind', dir })).toThrow('Unknown cassette mode: rewind');
+    expect(() => new CassetteProvider({ mode: 'record', dir })).toThrow('needs a provider to record');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Echo Provider
+ *
+ * Answers without a model by acknowledging the message and sending it back.
+ * Used when no provider is configured, and as the fallback when a provider
+ * fails.
+ */
+
+export class EchoProvider {
+  constructor() {
+    this.name = 'echo';
+  }
+
+  /**
+   * Acknowledges the message
+   * @param {Object} request - Generation request
+   * @param {string} request.message - The sender's message
+   * @returns {Promise<string>} The message, acknowledged
+   */
+  async generate({ message }) {
+    return `RECEIVED YOUR MESSAGE STOP ${message} STOP`;
+  }
+
+  /**
+   * Acknowledges the message, a word at a time
+   * @param {Object} request - Generation request, as for generate
+   * @yields {string} Each word of the reply, with a space after it
+   */
+  async *stream(request) {
+    for (const word of (await this.generate(request)).split(' ')) {
+      yield `${word} `;
+    }
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Gemini Provider
+ *
+ * Generates replies with the Google Gemini generateContent API. Earlier turns
+ * are sent as user and model contents; the operator's instructions go with
+ * the sender's message in the last user turn.
+ */
+
+import { readEventStream } from '../../shared/event-stream.js';
+
+const DEFAULT_MODEL = 'gemini-2.0-flash-001';
+
+/**
+ * Builds the Gemini contents: the earlier turns, then the prompt
+ * @param {{role: string, text: string}[]} turns - Conversation so far, oldest first
+ * @param {string} prompt - Prompt for this message
+ * @returns {Object[]} Gemini contents, alternating user and model turns
+ */
+export function buildContents(turns, prompt) {
+  return [
+    ...turns.map(({ role, text }) => ({
+      role: role === 'operator' ? 'model' : 'user',
+      parts: [{ text }]
+    })),
+    { role: 'user', parts: [{ text: prompt }] }
+  ];
+}
+
+/**
+ * Finds the reply text in a generateContent response
+ * @param {Object} data - Response body
+ * @returns {string} Reply text
+ * @throws {Error} If the response has no text
+ */
+function readReply(data) {
+  const candidate = data.candidates?.[0];
+  if (!candidate) {
+    throw new Error('No candidates in Gemini API response');
+  }
+
+  const text = candidate.content?.parts?.[0]?.text ?? candidate.content?.text ?? candidate.output ?? candidate.text;
+  if (typeof text !== 'string') {
+    throw new Error('Unexpected response format from Gemini API');
+  }
+  return text.trim();
+}
+
+/**
+ * Finds the text of a streamed response chunk
+ * @param {Object} data - Response chunk
+ * @returns {string} Text of the chunk, empty when it carries none
+ */
+function readChunk(data) {
+  return (data.candidates?.[0]?.content?.parts ?? []).map(part => part.text ?? '').join('');
+}
+
+export class GeminiProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Gemini API key
+   * @param {string} [options.model='gemini-2.0-flash-001'] - Model name
+   * @throws {Error} If no API key is given
+   */
+  constructor({ apiKey, model = DEFAULT_MODEL } = {}) {
+    if (!apiKey) {
+      throw new Error('Gemini provider needs an API key');
+    }
+    this.name = 'gemini';
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  /**
+   * Generates the operator's reply
+   * @param {Object} request - Generation request
+   * @param {string} request.instructions - Operator instructions
+   * @param {{role: string, text: string}[]} [request.turns=[]] - Earlier turns, oldest first
+   * @param {string} request.message - The sender's message
+   * @returns {Promise<string>} Reply text
+   * @throws {Error} If the API refuses the request or answers without text
+   */
+  async generate(request) {
+    const response = await this.post('generateContent', request);
+    return readReply(await response.json());
+  }
+
+  /**
+   * Generates the operator's reply as it is written
+   * @param {Object} request - Generation request, as for generate
+   * @yields {string} Each piece of the reply text
+   * @throws {Error} If the API refuses the request
+   */
+  async *stream(request) {
+    const response = await this.post('streamGenerateContent', request, 'alt=sse&');
+    for await (const { data } of readEventStream(response.body)) {
+      yield readChunk(JSON.parse(data));
+    }
+  }
+
+  /**
+   * Sends a request to the API
+   * @param {string} method - API method, generateContent or streamGenerateContent
+   * @param {Object} request - Generation request, as for generate
+   * @param {string} [query=''] - Query parameters to add before the key
+   * @returns {Promise<Response>} The API's response
+   * @throws {Error} If the API refuses the request
+   */
+  async post(method, { instructions, turns = [], message }, query = '') {
+    const apiUrl = `https://generativelanguage.googleapis.com/v1/models/${this.model}:${method}?${query}key=${this.apiKey}`;
+    const requestBody = {
+      contents: buildContents(turns, `${instructions}
+User message: ${message}
+
+Respond as the telegraph operator:`),
+      generationConfig: {
+        temperature: 0.7,
+        maxOutputTokens: 100,
+        topP: 0.9,
+        topK: 20
+      },
+      safetySettings: [
+        'HARM_CATEGORY_HARASSMENT',
+        'HARM_CATEGORY_HATE_SPEECH',
+        'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+        'HARM_CATEGORY_DANGEROUS_CONTENT'
+      ].map(category => ({ category, threshold: 'BLOCK_NONE' }))
+    };
+
+    const response = await fetch(apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(requestBody)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
+    }
+    return response;
+  }
+}
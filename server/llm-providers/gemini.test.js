@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { GeminiProvider, buildContents } from './gemini.js';
+
+const respond = (body, ok = true, status = 200) => vi.fn().mockResolvedValue({
+  ok,
+  status,
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+describe('Gemini provider', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should send earlier turns as alternating user and model turns', () => {
+    expect(buildContents([
+      { role: 'user', text: 'HELLO' },
+      { role: 'operator', text: 'HELLO STOP' }
+    ], 'PROMPT')).toEqual([
+      { role: 'user', parts: [{ text: 'HELLO' }] },
+      { role: 'model', parts: [{ text: 'HELLO STOP' }] },
+      { role: 'user', parts: [{ text: 'PROMPT' }] }
+    ]);
+  });
+
+  it('should call the configured model and read the reply', async () => {
+    const fetchMock = respond({ candidates: [{ content: { parts: [{ text: ' FAIR WEATHER STOP \n' }] } }] });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const provider = new GeminiProvider({ apiKey: 'key', model: 'gemini-test' });
+    const reply = await provider.generate({ instructions: 'BE BRIEF', turns: [], message: 'WEATHER' });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(reply).toBe('FAIR WEATHER STOP');
+    expect(url).toContain('/models/gemini-test:generateContent?key=key');
+    expect(JSON.parse(init.body).contents[0].parts[0].text).toMatch(/^BE BRIEF\nUser message: WEATHER/);
+  });
+
+  it('should fail on API errors and replies without text', async () => {
+    const provider = new GeminiProvider({ apiKey: 'key' });
+
+    vi.stubGlobal('fetch', respond({ error: 'quota' }, false, 429));
+    await expect(provider.generate({ instructions: '', message: 'HI' })).rejects.toThrow('Gemini API error: 429');
+
+    vi.stubGlobal('fetch', respond({ candidates: [] }));
+    await expect(provider.generate({ instructions: '', message: 'HI' })).rejects.toThrow('No candidates');
+  });
+
+  it('should stream the reply as the API writes it', async () => {
+    const events = [
+      { candidates: [{ content: { parts: [{ text: 'FAIR ' }] } }] },
+      { candidates: [{ content: { parts: [{ text: 'WEATHER STOP' }] } }] },
+      { candidates: [{ finishReason: 'STOP' }] }
+    ].map(event => `data: ${JSON.stringify(event)}\r\n\r\n`).join('');
+    const fetchMock = vi.fn().mockResolvedValue(new Response(events));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const pieces = [];
+    for await (const piece of new GeminiProvider({ apiKey: 'key' }).stream({ instructions: '', message: 'WEATHER' })) {
+      pieces.push(piece);
+    }
+
+    expect(pieces).toEqual(['FAIR ', 'WEATHER STOP', '']);
+    expect(fetchMock.mock.calls[0][0]).toContain(':streamGenerateContent?alt=sse&key=key');
+  });
+
+  it('should need an API key', () => {
+    expect(() => new GeminiProvider({})).toThrow('Gemini provider needs an API key');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * LLM Providers
+ *
+ * The operator's replies come from a provider: any object with a name and
+ * an async generate({instructions, turns, message}) that resolves to the
+ * reply text, and optionally an async generator stream(request) that yields
+ * the text piece by piece as it is written. Which one is used is set in the
+ * environment:
+ *
+ *   LLM_PROVIDER     gemini, openai, mock or echo (default gemini when
+ *                    GEMINI_API_KEY is set, otherwise echo)
+ *   GEMINI_API_KEY   GEMINI_MODEL
+ *   OPENAI_BASE_URL  OPENAI_API_KEY  OPENAI_MODEL
+ *   LLM_MOCK_SCRIPT  path to a JSON mock script
+ *   LLM_CASSETTE     record or replay the calls (see cassette.js)
+ *   LLM_CASSETTE_DIR where cassettes are kept (default server/cassettes)
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CassetteProvider } from './cassette.js';
+import { EchoProvider } from './echo.js';
+import { GeminiProvider } from './gemini.js';
+import { MockProvider } from './mock.js';
+import { OpenAIProvider } from './openai.js';
+
+const PROVIDERS = {
+  gemini: options => new GeminiProvider(options),
+  openai: options => new OpenAIProvider(options),
+  mock: options => new MockProvider(options),
+  echo: () => new EchoProvider()
+};
+
+const DEFAULT_CASSETTE_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'cassettes');
+
+// Provider made for the environment last seen, and that environment
+let configured = { key: null, provider: null };
+
+/**
+ * Lists the providers
+ * @returns {string[]} Provider names accepted as LLM_PROVIDER
+ */
+export function getSupportedProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Makes a provider
+ * @param {string} name - Provider name
+ * @param {Object} [options] - Options for the provider's constructor
+ * @returns {{name: string, generate: Function}} Provider
+ * @throws {Error} If the provider is unknown or its options are invalid
+ */
+export function createProvider(name, options = {}) {
+  const create = PROVIDERS[name];
+  if (!create) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return create(options);
+}
+
+/**
+ * Reads the provider settings from the environment
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {{name: string, options: Object, cassette: {mode: string, dir: string}|null}} Provider
+ *   name and options, and the cassette settings when calls are recorded or replayed
+ */
+export function readProviderConfig(env = process.env) {
+  const name = env.LLM_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'echo');
+  const options = {
+    gemini: () => ({ apiKey: env.GEMINI_API_KEY, model: env.GEMINI_MODEL || undefined }),
+    openai: () => ({
+      baseUrl: env.OPENAI_BASE_URL || undefined,
+      apiKey: env.OPENAI_API_KEY || undefined,
+      model: env.OPENAI_MODEL || undefined
+    }),
+    mock: () => (env.LLM_MOCK_SCRIPT ? { scriptPath: env.LLM_MOCK_SCRIPT } : {})
+  }[name]?.() ?? {};
+  const cassette = env.LLM_CASSETTE
+    ? { mode: env.LLM_CASSETTE, dir: env.LLM_CASSETTE_DIR || DEFAULT_CASSETTE_DIR }
+    : null;
+  return { name, options, cassette };
+}
+
+/**
+ * Gets the provider the environment asks for
+ * The provider is made once and kept while the environment stays the same,
+ * so a mock provider sends its replies in turn across requests. Replaying
+ * cassettes does not make the provider at all, so needs no keys.
+ *
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {{name: string, generate: Function}} Provider
+ * @throws {Error} If the provider or cassette mode is unknown, the options
+ *   are invalid, or the mock script cannot be read
+ */
+export function getConfiguredProvider(env = process.env) {
+  const config = readProviderConfig(env);
+  const key = JSON.stringify(config);
+  if (configured.key !== key) {
+    const { name, options, cassette } = config;
+    let provider = null;
+    if (cassette?.mode !== 'replay') {
+      const { scriptPath, ...rest } = options;
+      const script = scriptPath ? JSON.parse(readFileSync(scriptPath, 'utf8')) : undefined;
+      provider = createProvider(name, script ? { ...rest, script } : rest);
+    }
+    if (cassette) {
+      provider = new CassetteProvider({ ...cassette, provider });
+    }
+    configured = { key, provider };
+  }
+  return configured.provider;
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  getSupportedProviders,
+  createProvider,
+  readProviderConfig,
+  getConfiguredProvider
+} from './index.js';
+
+describe('LLM providers', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), 'llm-providers-'));
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should list the providers', () => {
+    expect(getSupportedProviders()).toEqual(['gemini', 'openai', 'mock', 'echo']);
+  });
+
+  it('should reject unknown providers', () => {
+    expect(() => createProvider('telepathy')).toThrow('Unknown LLM provider: telepathy');
+  });
+
+  it('should use Gemini when its key is set and echo otherwise', () => {
+    expect(readProviderConfig({ GEMINI_API_KEY: 'key' })).toEqual({
+      name: 'gemini',
+      options: { apiKey: 'key', model: undefined },
+      cassette: null
+    });
+    expect(readProviderConfig({})).toEqual({ name: 'echo', options: {}, cassette: null });
+  });
+
+  it('should read the OpenAI-compatible settings', () => {
+    expect(readProviderConfig({
+      LLM_PROVIDER: 'openai',
+      GEMINI_API_KEY: 'unused',
+      OPENAI_BASE_URL: 'http://localhost:11434/v1',
+      OPENAI_MODEL: 'llama3.1'
+    })).toEqual({
+      name: 'openai',
+      options: { baseUrl: 'http://localhost:11434/v1', apiKey: undefined, model: 'llama3.1' },
+      cassette: null
+    });
+  });
+
+  it('should echo without any configuration', async () => {
+    const provider = getConfiguredProvider({});
+
+    expect(provider.name).toBe('echo');
+    expect(await provider.generate({ message: 'HELLO' })).toBe('RECEIVED YOUR MESSAGE STOP HELLO STOP');
+  });
+
+  it('should keep the provider while the configuration stays the same', async () => {
+    const script = join(dir, 'script.json');
+    writeFileSync(script, JSON.stringify({ replies: ['ONE STOP', 'TWO STOP'] }));
+    const env = { LLM_PROVIDER: 'mock', LLM_MOCK_SCRIPT: script };
+
+    const provider = getConfiguredProvider(env);
+
+    expect(getConfiguredProvider({ ...env })).toBe(provider);
+    expect(await provider.generate({ message: 'A' })).toBe('ONE STOP');
+    expect(await getConfiguredProvider(env).generate({ message: 'B' })).toBe('TWO STOP');
+    expect(getConfiguredProvider({ LLM_PROVIDER: 'mock' })).not.toBe(provider);
+  });
+
+  it('should record the configured provider and replay without it', async () => {
+    const cassettes = join(dir, 'cassettes');
+    const request = { instructions: 'BE BRIEF', turns: [], message: 'HELLO' };
+
+    const recorder = getConfiguredProvider({ LLM_PROVIDER: 'mock', LLM_CASSETTE: 'record', LLM_CASSETTE_DIR: cassettes });
+    const recorded = await recorder.generate(request);
+
+    // Replaying needs no key even though the provider would
+    const player = getConfiguredProvider({ LLM_PROVIDER: 'gemini', LLM_CASSETTE: 'replay', LLM_CASSETTE_DIR: cassettes });
+
+    expect(recorder.name).toBe('mock (record)');
+    expect(player.name).toBe('cassette (replay)');
+    expect(await player.generate(request)).toBe(recorded);
+  });
+
+  it('should reject unknown cassette modes', () => {
+    expect(() => getConfiguredProvider({ LLM_CASSETTE: 'rewind' })).toThrow('Unknown cassette mode: rewind');
+  });
+
+  it('should fail when the mock script cannot be read', () => {
+    expect(() => getConfiguredProvider({ LLM_PROVIDER: 'mock', LLM_MOCK_SCRIPT: join(dir, 'missing.json') }))
+      .toThrow('ENOENT');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Mock Provider
+ *
+ * Answers from a script instead of a model, so the whole stack runs offline
+ * and in CI with replies that are the same on every run. A script has rules,
+ * tried in order against the sender's message, and replies sent in turn when
+ * no rule matches:
+ *
+ *   {
+ *     "rules": [{ "match": "WEATHER", "reply": "FAIR AND COLD STOP" }],
+ *     "replies": ["MESSAGE NOTED STOP", "STANDING BY STOP"]
+ *   }
+ *
+ * Rules are regular expressions, matched without regard to case.
+ */
+
+// Script used when none is given: in character for the most common messages
+export const DEFAULT_MOCK_SCRIPT = {
+  rules: [
+    { match: '\\bSOS\\b', reply: 'RECEIVED STOP HELP IS BEING SUMMONED STOP STAND BY STOP' },
+    { match: '\\b(EMAIL|INTERNET|COMPUTER|PHONE|TELEPHONE)\\b', reply: 'RECEIVED STOP WHAT IN TARNATION IS THAT STOP SEND TELEGRAM STOP' },
+    { match: '\\b(HELLO|HI|GREETINGS)\\b', reply: 'RECEIVED STOP HELLO STOP OPERATOR STANDING BY STOP' },
+    { match: '\\?|\\b(WHAT|WHEN|WHERE|WHO|WHY|HOW)\\b', reply: 'RECEIVED STOP WILL INQUIRE AND ADVISE STOP' }
+  ],
+  replies: ['RECEIVED STOP MESSAGE NOTED STOP OPERATOR STANDING BY STOP']
+};
+
+/**
+ * Checks a mock script
+ * @param {*} script - Script to check
+ * @returns {{rules: {match: RegExp, reply: string}[], replies: string[]}} Script with its rules compiled
+ * @throws {Error} If the script is malformed
+ */
+function compileScript(script) {
+  const { rules = [], replies = [] } = script ?? {};
+  if (!Array.isArray(rules) || !Array.isArray(replies)) {
+    throw new Error('Invalid mock script: rules and replies must be lists');
+  }
+  if (rules.length === 0 && replies.length === 0) {
+    throw new Error('Invalid mock script: give rules or replies');
+  }
+  if (replies.some(reply => typeof reply !== 'string')) {
+    throw new Error('Invalid mock script: replies must be text');
+  }
+
+  return {
+    rules: rules.map(({ match, reply } = {}) => {
+      if (typeof match !== 'string' || typeof reply !== 'string') {
+        throw new Error('Invalid mock script: each rule needs a match and a reply');
+      }
+      try {
+        return { match: new RegExp(match, 'i'), reply };
+      } catch {
+        throw new Error(`Invalid mock script: bad match ${match}`);
+      }
+    }),
+    replies
+  };
+}
+
+export class MockProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {{rules?: {match: string, reply: string}[], replies?: string[]}} [options.script] - Script
+   *   to answer from (default DEFAULT_MOCK_SCRIPT)
+   * @throws {Error} If the script is malformed
+   */
+  constructor({ script = DEFAULT_MOCK_SCRIPT } = {}) {
+    this.name = 'mock';
+    this.script = compileScript(script);
+    this.nextReply = 0;
+    // Every request answered, for tests to inspect
+    this.requests = [];
+  }
+
+  /**
+   * Answers from the script
+   * @param {Object} request - Generation request, as for GeminiProvider.generate
+   * @returns {Promise<string>} The first matching rule's reply, or else the next reply in turn
+   */
+  async generate(request) {
+    this.requests.push(request);
+
+    const rule = this.script.rules.find(({ match }) => match.test(request.message));
+    if (rule) {
+      return rule.reply;
+    }
+    if (this.script.replies.length === 0) {
+      return `RECEIVED YOUR MESSAGE STOP ${request.message} STOP`;
+    }
+    return this.script.replies[this.nextReply++ % this.script.replies.length];
+  }
+
+  /**
+   * Answers from the script, a word at a time
+   * @param {Object} request - Generation request, as for generate
+   * @yields {string} Each word of the reply, with a space after it
+   */
+  async *stream(request) {
+    for (const word of (await this.generate(request)).split(' ')) {
+      yield `${word} `;
+    }
+  }
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { MockProvider } from './mock.js';
+
+const ask = (provider, message) => provider.generate({ instructions: '', turns: [], message });
+
+describe('Mock provider', () => {
+  it('should answer common messages in character by default', async () => {
+    const provider = new MockProvider();
+
+    expect(await ask(provider, 'HELLO')).toBe('RECEIVED STOP HELLO STOP OPERATOR STANDING BY STOP');
+    expect(await ask(provider, 'SEND AN EMAIL')).toBe('RECEIVED STOP WHAT IN TARNATION IS THAT STOP SEND TELEGRAM STOP');
+    expect(await ask(provider, 'SOS')).toBe('RECEIVED STOP HELP IS BEING SUMMONED STOP STAND BY STOP');
+    expect(await ask(provider, 'ARRIVING TUESDAY')).toBe('RECEIVED STOP MESSAGE NOTED STOP OPERATOR STANDING BY STOP');
+  });
+
+  it('should try rules in order, without regard to case', async () => {
+    const provider = new MockProvider({
+      script: {
+        rules: [
+          { match: 'weather', reply: 'FAIR STOP' },
+          { match: 'WEATHER|RAIN', reply: 'NEVER SENT STOP' }
+        ]
+      }
+    });
+
+    expect(await ask(provider, 'HOW IS THE WEATHER')).toBe('FAIR STOP');
+    expect(await ask(provider, 'RAIN')).toBe('NEVER SENT STOP');
+  });
+
+  it('should send replies in turn when no rule matches, and the same on every run', async () => {
+    const script = { rules: [{ match: 'SOS', reply: 'HELP COMING STOP' }], replies: ['ONE STOP', 'TWO STOP'] };
+    const run = async () => {
+      const provider = new MockProvider({ script });
+      return [await ask(provider, 'A'), await ask(provider, 'SOS'), await ask(provider, 'B'), await ask(provider, 'C')];
+    };
+
+    expect(await run()).toEqual(['ONE STOP', 'HELP COMING STOP', 'TWO STOP', 'ONE STOP']);
+    expect(await run()).toEqual(await run());
+  });
+
+  it('should echo messages no rule matches when the script has no replies', async () => {
+    const provider = new MockProvider({ script: { rules: [{ match: 'SOS', reply: 'HELP COMING STOP' }] } });
+
+    expect(await ask(provider, 'HELLO')).toBe('RECEIVED YOUR MESSAGE STOP HELLO STOP');
+  });
+
+  it('should stream its reply a word at a time', async () => {
+    const provider = new MockProvider({ script: { replies: ['FAIR AND COLD STOP'] } });
+
+    const pieces = [];
+    for await (const piece of provider.stream({ instructions: '', turns: [], message: 'WEATHER' })) {
+      pieces.push(piece);
+    }
+
+    expect(pieces).toEqual(['FAIR ', 'AND ', 'COLD ', 'STOP ']);
+  });
+
+  it('should record each request', async () => {
+    const provider = new MockProvider();
+    const request = { instructions: 'BE BRIEF', turns: [{ role: 'user', text: 'HI' }], message: 'HELLO' };
+
+    await provider.generate(request);
+
+    expect(provider.requests).toEqual([request]);
+  });
+
+  it('should reject malformed scripts', () => {
+    expect(() => new MockProvider({ script: {} })).toThrow('Invalid mock script: give rules or replies');
+    expect(() => new MockProvider({ script: { replies: 'HELLO' } })).toThrow('must be lists');
+    expect(() => new MockProvider({ script: { replies: [42] } })).toThrow('replies must be text');
+    expect(() => new MockProvider({ script: { rules: [{ match: 'A' }] } })).toThrow('needs a match and a reply');
+    expect(() => new MockProvider({ script: { rules: [{ match: '(', reply: 'X' }] } })).toThrow('bad match (');
+  });
+});
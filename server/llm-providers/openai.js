@@ -0,0 +1,107 @@
+/**
+ * OpenAI-compatible Provider
+ *
+ * Generates replies with a Chat Completions endpoint. Besides OpenAI this
+ * covers local servers that speak the same API, such as Ollama
+ * (http://localhost:11434/v1) and the llama.cpp server
+ * (http://localhost:8080/v1), which need no API key.
+ */
+
+import { readEventStream } from '../../shared/event-stream.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * Builds the chat messages: the instructions, the earlier turns, then the message
+ * @param {string} instructions - Operator instructions
+ * @param {{role: string, text: string}[]} turns - Conversation so far, oldest first
+ * @param {string} message - The sender's message
+ * @returns {{role: string, content: string}[]} Chat messages
+ */
+export function buildMessages(instructions, turns, message) {
+  return [
+    { role: 'system', content: instructions },
+    ...turns.map(({ role, text }) => ({
+      role: role === 'operator' ? 'assistant' : 'user',
+      content: text
+    })),
+    { role: 'user', content: message }
+  ];
+}
+
+export class OpenAIProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {string} [options.baseUrl='https://api.openai.com/v1'] - API base URL
+   * @param {string} [options.apiKey] - API key; local servers need none
+   * @param {string} [options.model='gpt-4o-mini'] - Model name
+   */
+  constructor({ baseUrl = DEFAULT_BASE_URL, apiKey, model = DEFAULT_MODEL } = {}) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  /**
+   * Generates the operator's reply
+   * @param {Object} request - Generation request, as for GeminiProvider.generate
+   * @returns {Promise<string>} Reply text
+   * @throws {Error} If the endpoint refuses the request or answers without text
+   */
+  async generate(request) {
+    const data = await (await this.post(request)).json();
+    const text = data.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('Unexpected response format from OpenAI-compatible API');
+    }
+    return text.trim();
+  }
+
+  /**
+   * Generates the operator's reply as it is written
+   * @param {Object} request - Generation request, as for GeminiProvider.generate
+   * @yields {string} Each piece of the reply text
+   * @throws {Error} If the endpoint refuses the request
+   */
+  async *stream(request) {
+    const response = await this.post(request, true);
+    for await (const { data } of readEventStream(response.body)) {
+      if (data === '[DONE]') {
+        return;
+      }
+      yield JSON.parse(data).choices?.[0]?.delta?.content ?? '';
+    }
+  }
+
+  /**
+   * Sends a chat completion request
+   * @param {Object} request - Generation request, as for GeminiProvider.generate
+   * @param {boolean} [stream=false] - Ask for the reply as a stream of events
+   * @returns {Promise<Response>} The endpoint's response
+   * @throws {Error} If the endpoint refuses the request
+   */
+  async post({ instructions, turns = [], message }, stream = false) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages: buildMessages(instructions, turns, message),
+        temperature: 0.7,
+        max_tokens: 100,
+        ...(stream && { stream: true })
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`OpenAI-compatible API error: ${response.status} - ${errorText}`);
+    }
+    return response;
+  }
+}
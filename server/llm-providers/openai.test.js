@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { OpenAIProvider, buildMessages } from './openai.js';
+
+const respond = (body, ok = true, status = 200) => vi.fn().mockResolvedValue({
+  ok,
+  status,
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+describe('OpenAI-compatible provider', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should send the instructions as the system message, then the conversation', () => {
+    expect(buildMessages('BE BRIEF', [
+      { role: 'user', text: 'HELLO' },
+      { role: 'operator', text: 'HELLO STOP' }
+    ], 'GOODBYE')).toEqual([
+      { role: 'system', content: 'BE BRIEF' },
+      { role: 'user', content: 'HELLO' },
+      { role: 'assistant', content: 'HELLO STOP' },
+      { role: 'user', content: 'GOODBYE' }
+    ]);
+  });
+
+  it('should call a local server without an API key', async () => {
+    const fetchMock = respond({ choices: [{ message: { content: 'STANDING BY STOP\n' } }] });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const provider = new OpenAIProvider({ baseUrl: 'http://localhost:11434/v1/', model: 'llama3.1' });
+    const reply = await provider.generate({ instructions: 'BE BRIEF', message: 'HELLO' });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(reply).toBe('STANDING BY STOP');
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(init.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(init.body).model).toBe('llama3.1');
+  });
+
+  it('should send the API key as a bearer token', async () => {
+    const fetchMock = respond({ choices: [{ message: { content: 'OK' } }] });
+    vi.stubGlobal('fetch', fetchMock);
+
+    await new OpenAIProvider({ apiKey: 'secret' }).generate({ instructions: '', message: 'HELLO' });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://api.openai.com/v1/chat/completions');
+    expect(init.headers.Authorization).toBe('Bearer secret');
+  });
+
+  it('should stream the reply as the endpoint writes it', async () => {
+    const events = [
+      { choices: [{ delta: { role: 'assistant' } }] },
+      { choices: [{ delta: { content: 'STANDING ' } }] },
+      { choices: [{ delta: { content: 'BY STOP' } }] }
+    ].map(event => `data: ${JSON.stringify(event)}\n\n`).join('') + 'data: [DONE]\n\n';
+    const fetchMock = vi.fn().mockResolvedValue(new Response(events));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const pieces = [];
+    for await (const piece of new OpenAIProvider().stream({ instructions: '', message: 'HELLO' })) {
+      pieces.push(piece);
+    }
+
+    expect(pieces).toEqual(['', 'STANDING ', 'BY STOP']);
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).stream).toBe(true);
+  });
+
+  it('should fail on API errors and replies without text', async () => {
+    const provider = new OpenAIProvider();
+
+    vi.stubGlobal('fetch', respond({ error: 'unauthorized' }, false, 401));
+    await expect(provider.generate({ instructions: '', message: 'HI' })).rejects.toThrow('OpenAI-compatible API error: 401');
+
+    vi.stubGlobal('fetch', respond({ choices: [] }));
+    await expect(provider.generate({ instructions: '', message: 'HI' })).rejects.toThrow('Unexpected response format');
+  });
+});
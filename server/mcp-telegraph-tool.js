@@ -5,7 +5,22 @@
  * Enables AI agents to transmit messages via Morse code over the virtual telegraph line
  */
 
-import { textToMorse, morseToTiming } from '../shared/morse-lib.js';
+import {
+  textToMorse,
+  morseToTiming,
+  morseToSchedule,
+  getSupportedCodes,
+  getSupportedAlphabets
+} from '../shared/morse-lib.js';
+import { normalizeText } from '../shared/text-normalizer.js';
+import { renderWav } from '../shared/morse-audio.js';
+import {
+  formatTelegram,
+  parseTelegram,
+  isTelegram,
+  stampTelegram,
+  getPrecedences
+} from '../shared/telegram-format.js';
 
 // MCP Server implementation
 class TelegraphLineMCPServer {
@@ -20,6 +35,80 @@ class TelegraphLineMCPServer {
             message: {
               type: 'string',
               description: 'The message to transmit in Morse code'
+            },
+            code: {
+              type: 'string',
+              enum: getSupportedCodes(),
+              description: 'Morse code to transmit in: International (itu) or American railroad (american). Defaults to itu'
+            },
+            alphabet: {
+              type: 'string',
+              enum: getSupportedAlphabets(),
+              description: 'Letters to key: latin, or a national alphabet keyed in ITU Morse. Defaults to latin'
+            },
+            wpm: {
+              type: 'number',
+              minimum: 5,
+              maximum: 60,
+              description: 'Character speed in words per minute (PARIS standard). Defaults to 12'
+            },
+            farnsworth_wpm: {
+              type: 'number',
+              minimum: 5,
+              maximum: 60,
+              description: 'Farnsworth effective speed for character and word spacing, at most wpm'
+            },
+            weight: {
+              type: 'number',
+              minimum: 25,
+              maximum: 75,
+              description: 'Mark/space weighting percentage. Defaults to 50'
+            },
+            dash_ratio: {
+              type: 'number',
+              minimum: 2,
+              maximum: 5,
+              description: 'Dash length in dot units'
+            },
+            extended: {
+              type: 'boolean',
+              description: 'Key non-English letters (É, Ü, Ñ, ...) with extended ITU codes instead of transliterating them'
+            },
+            audio: {
+              type: 'boolean',
+              description: 'Also return the transmission as WAV audio'
+            },
+            frequency: {
+              type: 'number',
+              minimum: 100,
+              maximum: 3000,
+              description: 'Tone frequency of the audio in Hz. Defaults to 600'
+            },
+            sample_rate: {
+              type: 'number',
+              minimum: 8000,
+              maximum: 48000,
+              description: 'Audio sample rate. Defaults to 8000'
+            },
+            volume: {
+              type: 'number',
+              minimum: 0,
+              maximum: 1,
+              description: 'Audio volume as a fraction of full scale. Defaults to 0.5'
+            },
+            envelope: {
+              type: 'object',
+              description: 'Send the message as a formal telegram with a preamble, address and signature, separated by BT. Time filed and date default to now',
+              properties: {
+                number: { type: 'integer', minimum: 1, description: 'Message number' },
+                precedence: { type: 'string', enum: getPrecedences(), description: 'Defaults to routine' },
+                origin: { type: 'string', description: 'Office of origin' },
+                filed: { type: 'string', description: 'Time filed as HHMM' },
+                date: { type: 'string', description: 'Date such as OCT 19' },
+                address: { type: 'string', description: 'Addressee and address' },
+                signature: { type: 'string', description: "Sender's signature" }
+              },
+              required: ['number', 'origin', 'address', 'signature']
             }
           },
           required: ['message']
@@ -31,26 +120,89 @@ class TelegraphLineMCPServer {
   /**
    * Handles the transmit_telegram tool invocation
    * @param {string} message - The text message to transmit
-   * @returns {Object} Response with morse, text, and timing fields
+   * @param {Object} [options] - Transmission options
+   * @param {string} [options.code='itu'] - Morse code to transmit in
+   * @param {string} [options.alphabet='latin'] - Alphabet to key
+   * @param {number} [options.wpm] - Character speed in words per minute
+   * @param {number} [options.farnsworthWpm] - Farnsworth effective speed
+   * @param {number} [options.weight] - Mark/space weighting percentage
+   * @param {number} [options.dashRatio] - Dash length in dot units
+   * @param {boolean} [options.extended=false] - Key extended ITU letters
+   * @param {boolean} [options.audio=false] - Render the transmission as WAV audio
+   * @param {number} [options.frequency] - Audio tone frequency in Hz
+   * @param {number} [options.sampleRate] - Audio sample rate
+   * @param {number} [options.volume] - Audio volume (0-1)
+   * @param {Object} [options.envelope] - Telegram preamble, address and signature,
+   *   as for formatTelegram; the message is its text
+   * @returns {Object} Response with morse, text, timing, and code fields, plus
+   *   unencodable when characters had to be left out, audio (base64 WAV)
+   *   when requested, and telegram when the message is a formal telegram
    */
-  transmitTelegram(message) {
+  transmitTelegram(message, options = {}) {
     try {
       // Validate input
       if (typeof message !== 'string') {
         throw new Error('Message must be a string');
       }
 
+      const code = options.code || 'itu';
+      if (!getSupportedCodes().includes(code)) {
+        throw new Error(`Unknown Morse code: ${code}`);
+      }
+
+      // Transliterate characters the line cannot carry
+      const encoding = {
+        code,
+        alphabet: options.alphabet || 'latin',
+        extended: options.extended === true
+      };
+      const normalized = normalizeText(message, encoding);
+
+      // Wrap the message in a telegram envelope, or check one already written
+      let text = normalized.text;
+      if (options.envelope) {
+        text = formatTelegram({ ...stampTelegram(), ...options.envelope, text });
+      }
+      const telegram = isTelegram(text) ? parseTelegram(text) : null;
+      if (telegram && code !== 'itu') {
+        throw new Error('Telegram format is keyed in ITU only');
+      }
+      if (telegram && !telegram.checkMatches) {
+        throw new Error(`Check count mismatch: CK ${telegram.check} but ${telegram.wordCount} words in the text`);
+      }
+
       // Convert text to Morse code
-      const morse = textToMorse(message);
+      const morse = textToMorse(text, encoding);
       
       // Generate timing array for audio playback
-      const timing = morseToTiming(morse);
+      const timing = morseToTiming(morse, { ...options, code });
       
+      // Render audio for consumers that cannot synthesize the timing
+      const audio = options.audio === true
+        ? Buffer.from(renderWav(morseToSchedule(morse, { ...options, code }), options)).toString('base64')
+        : null;
+
       // Return formatted response
+      const unencodable = [...new Set(normalized.unencodable.map(({ char }) => char))];
       return {
         morse: morse,
-        text: message.toUpperCase(),
-        timing: timing
+        text: text.toUpperCase(),
+        timing: timing,
+        code: code,
+        ...(unencodable.length > 0 && { unencodable }),
+        ...(telegram && {
+          telegram: {
+            number: telegram.number,
+            precedence: telegram.precedence,
+            check: telegram.check,
+            origin: telegram.origin,
+            filed: telegram.filed,
+            date: telegram.date,
+            address: telegram.address,
+            signature: telegram.signature
+          }
+        }),
+        ...(audio && { audio })
       };
     } catch (error) {
       throw new Error(`Telegraph transmission failed: ${error.message}`);
@@ -74,13 +226,30 @@ class TelegraphLineMCPServer {
         const { name, arguments: args } = request.params;
         
         if (name === 'transmit_telegram') {
-          const result = this.transmitTelegram(args.message);
+          const result = this.transmitTelegram(args.message, {
+            code: args.code,
+            alphabet: args.alphabet,
+            wpm: args.wpm,
+            farnsworthWpm: args.farnsworth_wpm,
+            weight: args.weight,
+            dashRatio: args.dash_ratio,
+            extended: args.extended,
+            audio: args.audio,
+            frequency: args.frequency,
+            sampleRate: args.sample_rate,
+            volume: args.volume,
+            envelope: args.envelope
+          });
+
+          // Audio goes in its own content item rather than the JSON text
+          const { audio, ...transmission } = result;
           return {
             content: [
               {
                 type: 'text',
-                text: JSON.stringify(result, null, 2)
-              }
+                text: JSON.stringify(transmission, null, 2)
+              },
+              ...(audio ? [{ type: 'audio', data: audio, mimeType: 'audio/wav' }] : [])
             ]
           };
         }
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import { TelegraphLineMCPServer } from './mcp-telegraph-tool.js';
+import { textToMorse } from '../shared/morse-lib.js';
 
 describe('MCP Telegraph Tool - Unit Tests', () => {
   describe('transmitTelegram', () => {
@@ -65,6 +66,204 @@ describe('MCP Telegraph Tool - Unit Tests', () => {
     });
   });
 
+  describe('American Morse', () => {
+    it('should transmit in American Morse when requested', () => {
+      const server = new TelegraphLineMCPServer();
+      const result = server.transmitTelegram('CO', { code: 'american' });
+      
+      expect(result.morse).toBe('.. .  . .');
+      expect(result.code).toBe('american');
+      expect(result.timing).toEqual([100, 100, 100, 200, 100, 300, 100, 200, 100]);
+    });
+
+    it('should default to ITU', () => {
+      const server = new TelegraphLineMCPServer();
+      expect(server.transmitTelegram('C').code).toBe('itu');
+    });
+
+    it('should reject an unknown code', () => {
+      const server = new TelegraphLineMCPServer();
+      expect(() => server.transmitTelegram('C', { code: 'klingon' })).toThrow('Unknown Morse code');
+    });
+
+    it('should pass the code argument through tools/call', () => {
+      const server = new TelegraphLineMCPServer();
+      const response = server.handleRequest({
+        method: 'tools/call',
+        params: {
+          name: 'transmit_telegram',
+          arguments: { message: 'L', code: 'american' }
+        }
+      });
+      
+      expect(JSON.parse(response.content[0].text).morse).toBe('_');
+    });
+  });
+
+  describe('Keying speed', () => {
+    it('should generate timing at the requested speed', () => {
+      const server = new TelegraphLineMCPServer();
+      const result = server.transmitTelegram('A', { wpm: 20 });
+      
+      expect(result.timing).toEqual([60, 60, 180]);
+    });
+
+    it('should pass speed arguments through tools/call', () => {
+      const server = new TelegraphLineMCPServer();
+      const response = server.handleRequest({
+        method: 'tools/call',
+        params: {
+          name: 'transmit_telegram',
+          arguments: { message: 'E E', wpm: 20, farnsworth_wpm: 10 }
+        }
+      });
+      
+      // Word gap: 7 spacing units of (6000 - 31 * 60) / 19 ms
+      expect(JSON.parse(response.content[0].text).timing).toEqual([60, 0, 1525, 60]);
+    });
+
+    it('should reject an out-of-range speed', () => {
+      const server = new TelegraphLineMCPServer();
+      expect(() => server.transmitTelegram('A', { wpm: 100 })).toThrow('Invalid timing option');
+    });
+  });
+
+  describe('Unicode text', () => {
+    it('should transliterate characters with no Morse code', () => {
+      const server = new TelegraphLineMCPServer();
+      const result = server.transmitTelegram('Café — ½');
+
+      expect(result.text).toBe('CAFE - 1/2');
+      expect(result.morse).toBe(textToMorse('CAFE - 1/2'));
+      expect(result).not.toHaveProperty('unencodable');
+    });
+
+    it('should report characters it had to leave out', () => {
+      const server = new TelegraphLineMCPServer();
+      const result = server.transmitTelegram('SNOW ☃ ☃');
+
+      expect(result.unencodable).toEqual(['☃']);
+    });
+
+    it('should key extended letters when asked', () => {
+      const server = new TelegraphLineMCPServer();
+      const result = server.transmitTelegram('É', { extended: true });
+
+      expect(result.morse).toBe('..-..');
+    });
+  });
+
+  describe('Alphabets', () => {
+    it('should transmit in a national alphabet', () => {
+      const server = new TelegraphLineMCPServer();
+      const result = server.transmitTelegram('Да', { alphabet: 'cyrillic' });
+
+      expect(result.text).toBe('ДА');
+      expect(result.morse).toBe('-.. .-');
+    });
+
+    it('should reject an unknown alphabet', () => {
+      const server = new TelegraphLineMCPServer();
+      expect(() => server.transmitTelegram('A', { alphabet: 'klingon' })).toThrow('Unknown alphabet');
+    });
+  });
+
+  describe('Audio', () => {
+    it('should return the transmission as base64 WAV when asked', () => {
+      const server = new TelegraphLineMCPServer();
+      const result = server.transmitTelegram('E', { audio: true });
+      const wav = Buffer.from(result.audio, 'base64');
+
+      expect(wav.toString('ascii', 0, 4)).toBe('RIFF');
+      // 100 ms dot at the default 8000 Hz
+      expect(wav.length).toBe(44 + 1600);
+    });
+
+    it('should leave audio out unless asked', () => {
+      const server = new TelegraphLineMCPServer();
+
+      expect(server.transmitTelegram('E')).not.toHaveProperty('audio');
+    });
+
+    it('should send audio as its own content item', () => {
+      const server = new TelegraphLineMCPServer();
+      const response = server.handleRequest({
+        method: 'tools/call',
+        params: { name: 'transmit_telegram', arguments: { message: 'E', audio: true, frequency: 700 } }
+      });
+
+      expect(response.content).toHaveLength(2);
+      expect(response.content[1]).toMatchObject({ type: 'audio', mimeType: 'audio/wav' });
+      expect(JSON.parse(response.content[0].text)).not.toHaveProperty('audio');
+    });
+  });
+
+  describe('Telegram envelope', () => {
+    const envelope = {
+      number: 7,
+      origin: 'Richmond',
+      filed: '0915',
+      date: 'APR 3',
+      address: 'War Department Washington',
+      signature: 'Grant'
+    };
+
+    it('should wrap the message in a telegram envelope', () => {
+      const server = new TelegraphLineMCPServer();
+      const result = server.transmitTelegram('Richmond has fallen', { envelope });
+
+      expect(result.text).toBe(
+        'NR 7 CK 3 RICHMOND 0915 APR 3 <BT> WAR DEPARTMENT WASHINGTON <BT> RICHMOND HAS FALLEN <BT> GRANT <AR>'
+      );
+      expect(result.morse).toContain(' / -...- / ');
+      expect(result.telegram).toEqual({
+        number: 7,
+        precedence: 'routine',
+        check: 3,
+        origin: 'RICHMOND',
+        filed: '0915',
+        date: 'APR 3',
+        address: 'WAR DEPARTMENT WASHINGTON',
+        signature: 'GRANT'
+      });
+    });
+
+    it('should stamp the time and date when left out', () => {
+      const server = new TelegraphLineMCPServer();
+      const { filed, date, ...unstamped } = envelope;
+      const result = server.transmitTelegram('ALL WELL', { envelope: unstamped });
+
+      expect(result.telegram.filed).toMatch(/^\d{4}$/);
+      expect(result.telegram.date).toMatch(/^[A-Z]{3} \d{1,2}$/);
+    });
+
+    it('should check the count of a telegram already written', () => {
+      const server = new TelegraphLineMCPServer();
+      const written = 'NR 7 CK 2 RICHMOND = GRANT = ALL WELL = LEE';
+
+      expect(server.transmitTelegram(written).telegram.check).toBe(2);
+      expect(() => server.transmitTelegram(written.replace('CK 2', 'CK 3')))
+        .toThrow('Check count mismatch: CK 3 but 2 words in the text');
+    });
+
+    it('should key telegrams in ITU only', () => {
+      const server = new TelegraphLineMCPServer();
+
+      expect(() => server.transmitTelegram('ALL WELL', { envelope, code: 'american' }))
+        .toThrow('keyed in ITU only');
+    });
+
+    it('should pass the envelope through tools/call', () => {
+      const server = new TelegraphLineMCPServer();
+      const response = server.handleRequest({
+        method: 'tools/call',
+        params: { name: 'transmit_telegram', arguments: { message: 'ALL WELL', envelope } }
+      });
+
+      expect(JSON.parse(response.content[0].text).telegram.number).toBe(7);
+    });
+  });
+
   describe('Response format validation', () => {
     it('should return object with morse, text, and timing fields', () => {
       const server = new TelegraphLineMCPServer();
@@ -5,6 +5,17 @@
  * on AI-generated responses according to the steering rules.
  */
 
+import { compressText, getAbbreviations } from '../shared/codebook.js';
+import { getConfiguredProvider } from './llm-providers/index.js';
+import { EchoProvider } from './llm-providers/echo.js';
+
+// Office abbreviations the operator may use; Q-codes and CW shorthand
+// came after his time
+const OPERATOR_ABBREVIATIONS = ['telegraph'];
+
+// Longest reply the operator sends, in words, before breaking off with STOP
+const MAX_REPLY_WORDS = 20;
+
 /**
  * Enforces uppercase on all text
  * @param {string} text - Input text
@@ -64,12 +75,26 @@ export function countWords(text) {
   return words.length;
 }
 
+/**
+ * Abbreviates text the way the operator would, to save words
+ * @param {string} text - Input text
+ * @returns {string} - Text with telegraph office abbreviations (MSG, RECD, ...)
+ */
+export function abbreviateForWire(text) {
+  if (typeof text !== 'string') {
+    return '';
+  }
+  return compressText(text, { types: OPERATOR_ABBREVIATIONS }).text;
+}
+
 /**
  * Applies all operator persona transformations
  * @param {string} text - Input text
+ * @param {Object} [options] - Persona options
+ * @param {boolean} [options.abbreviate=false] - Use telegraph office abbreviations
  * @returns {string} - Transformed text
  */
-export function applyOperatorPersona(text) {
+export function applyOperatorPersona(text, options = {}) {
   if (typeof text !== 'string') {
     return '';
   }
@@ -77,165 +102,169 @@ export function applyOperatorPersona(text) {
   let transformed = text;
   transformed = enforceUppercase(transformed);
   transformed = replacePeriods(transformed);
+  if (options.abbreviate) {
+    transformed = abbreviateForWire(transformed);
+  }
   
   return transformed;
 }
 
 /**
- * Invokes the AI operator with a user message
- * Integrates with Google Gemini (FREE) to generate contextual responses with operator persona
- * 
- * @param {string} userMessage - The decoded user message
- * @returns {Promise<string>} - The AI operator's response
+ * Writes the operator's instructions for the model
+ * @param {string} [summary=''] - Summary of the earlier conversation
+ * @returns {string} Instructions
  */
-export async function invokeOperatorAI(userMessage) {
-  if (typeof userMessage !== 'string' || userMessage.trim() === '') {
-    throw new Error('Invalid user message');
-  }
-
-  // Check if Gemini API key is available
-  const apiKey = process.env.GEMINI_API_KEY;
-  
-  console.log('API Key present:', apiKey ? 'YES' : 'NO');
-  console.log('User message:', userMessage);
-  
-  if (!apiKey) {
-    console.log('No API key found - using fallback echo mode');
-    // Fallback to simple echo response if no API key
-    let response = `RECEIVED YOUR MESSAGE STOP ${userMessage} STOP`;
-    response = applyOperatorPersona(response);
-    const words = response.split(/\s+/);
-    if (words.length > 20) {
-      response = words.slice(0, 20).join(' ') + ' STOP';
-    }
-    return response;
-  }
-  
-  console.log('Using Gemini API...');
-
-  try {
-    // Call Google Gemini API with operator persona
-    // Using gemini-2.0-flash-001 - stable version without thinking tokens overhead
-    const apiUrl = `https://generativelanguage.googleapis.com/v1/models/gemini-2.0-flash-001:generateContent?key=${apiKey}`;
-    console.log('Calling Gemini API...');
-
-    const requestBody = {
-      contents: [{
-        parts: [{
-          text: `You are a Western Union Telegraph Operator from 1865. Follow these rules strictly:
+export function buildOperatorInstructions(summary = '') {
+  return `You are a Western Union Telegraph Operator from 1865. Follow these rules strictly:
 1. Use ONLY UPPERCASE letters
 2. Replace periods with "STOP"
 3. Maximum 20 words per response
 4. Be concise - charge by the word
 5. If users mention modern concepts (internet, email, computer, phone), express confusion in character
 6. Use 1860s language and professional telegraph operator tone
-7. Use abbreviations: REC'D, MSG, XMIT
+7. Use abbreviations: ${getAbbreviations(OPERATOR_ABBREVIATIONS).map(({ abbreviation }) => abbreviation).join(', ')}
 8. Acknowledge receipt: "RECEIVED STOP [response] STOP"
 
 Examples:
 - User: "Hello" → "RECEIVED STOP HELLO STOP OPERATOR STANDING BY STOP"
 - User: "What time is it?" → "RECEIVED STOP TIME IS [current time] STOP"
 - User: "Email me" → "WHAT IN TARNATION IS EMAIL STOP SEND TELEGRAM STOP"
+${summary ? `\nEarlier in this conversation: ${summary}\n` : ''}`;
+}
 
-User message: ${userMessage}
-
-Respond as the telegraph operator:`
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 100,
-        topP: 0.9,
-        topK: 20
-      },
-      safetySettings: [
-        {
-          category: "HARM_CATEGORY_HARASSMENT",
-          threshold: "BLOCK_NONE"
-        },
-        {
-          category: "HARM_CATEGORY_HATE_SPEECH",
-          threshold: "BLOCK_NONE"
-        },
-        {
-          category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-          threshold: "BLOCK_NONE"
-        },
-        {
-          category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-          threshold: "BLOCK_NONE"
-        }
-      ]
-    };
-    
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
+/**
+ * Holds a reply to the persona: applies the transformations and cuts it to
+ * twenty words
+ * @param {string} reply - Reply as generated
+ * @param {Object} [options] - Persona options, as for applyOperatorPersona
+ * @returns {string} Reply as sent
+ */
+function enforcePersona(reply, options) {
+  let response = applyOperatorPersona(reply, options);
+  const words = response.split(/\s+/);
+  if (words.length > MAX_REPLY_WORDS) {
+    response = words.slice(0, MAX_REPLY_WORDS).join(' ') + ' STOP';
+  }
+  return response;
+}
+
+/**
+ * Invokes the AI operator with a user message
+ * The reply comes from the provider configured in the environment (see
+ * llm-providers/index.js); when it fails the operator echoes the message.
+ * A replay with no cassette for the message is not echoed but thrown, so a
+ * missing recording is not taken for a reply.
+ * 
+ * @param {string} userMessage - The decoded user message
+ * @param {Object} [options] - Persona options, as for applyOperatorPersona
+ * @param {{summary: string, turns: {role: string, text: string}[]}} [options.history] - Earlier
+ *   conversation, from the sender's session
+ * @param {{name: string, generate: Function}} [options.provider] - Provider to use instead of
+ *   the configured one
+ * @returns {Promise<string>} - The AI operator's response
+ * @throws {Error} If the message is empty, or no cassette holds the request
+ */
+export async function invokeOperatorAI(userMessage, options = {}) {
+  if (typeof userMessage !== 'string' || userMessage.trim() === '') {
+    throw new Error('Invalid user message');
+  }
+
+  const history = options.history || { summary: '', turns: [] };
+  console.log('User message:', userMessage);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Gemini API error response:', errorText);
-      throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
+  let reply;
+  try {
+    const provider = options.provider || getConfiguredProvider();
+    console.log(`Using ${provider.name} provider...`);
+    reply = await provider.generate({
+      instructions: buildOperatorInstructions(history.summary),
+      turns: history.turns,
+      message: userMessage
+    });
+  } catch (error) {
+    if (error.code === 'CASSETTE_MISS') {
+      throw error;
     }
+    console.error('AI invocation error:', error);
+    // Fallback response on error
+    reply = await new EchoProvider().generate({ message: userMessage });
+  }
 
-    const data = await response.json();
-    console.log('Gemini API response received');
-    console.log('Response data:', JSON.stringify(data, null, 2));
-    
-    // Parse the response - handle different response formats
-    let aiResponse = '';
-    if (data.candidates && data.candidates[0]) {
-      const candidate = data.candidates[0];
-      
-      // Check if content.parts exists
-      if (candidate.content && candidate.content.parts && candidate.content.parts[0]) {
-        aiResponse = candidate.content.parts[0].text.trim();
-      } 
-      // Check if text is directly in content
-      else if (candidate.content && candidate.content.text) {
-        aiResponse = candidate.content.text.trim();
-      }
-      // Check if output exists (alternative format)
-      else if (candidate.output) {
-        aiResponse = candidate.output.trim();
-      }
-      // Check if text is directly in candidate
-      else if (candidate.text) {
-        aiResponse = candidate.text.trim();
-      }
-      else {
-        console.error('Could not find text in response structure');
-        throw new Error('Unexpected response format from Gemini API');
+  // Apply operator persona transformations as safety net
+  return enforcePersona(reply, options);
+}
+
+/**
+ * Streams the AI operator's reply a word at a time
+ * Words are passed on as soon as the provider has finished writing them,
+ * held to the persona as invokeOperatorAI holds the whole reply. Providers
+ * that cannot stream give their reply at once. When the provider fails
+ * before a word is sent the operator echoes the message; a reply broken off
+ * part way is closed with STOP. A missing cassette is thrown, as by
+ * invokeOperatorAI.
+ *
+ * @param {string} userMessage - The decoded user message
+ * @param {Object} [options] - Options, as for invokeOperatorAI
+ * @yields {string} Each word of the reply, as sent
+ * @throws {Error} If the message is empty, or no cassette holds the request
+ */
+export async function* streamOperatorAI(userMessage, options = {}) {
+  if (typeof userMessage !== 'string' || userMessage.trim() === '') {
+    throw new Error('Invalid user message');
+  }
+
+  const history = options.history || { summary: '', turns: [] };
+  const request = {
+    instructions: buildOperatorInstructions(history.summary),
+    turns: history.turns,
+    message: userMessage
+  };
+
+  let sent = 0;
+  let lastWord = '';
+  // Passes on the persona's words of a piece of the reply, breaking off
+  // with STOP past the word limit
+  function* wordsOf(text) {
+    for (const word of applyOperatorPersona(text, options).split(/\s+/).filter(word => word !== '')) {
+      sent += 1;
+      if (sent > MAX_REPLY_WORDS) {
+        yield 'STOP';
+        return;
       }
-    } else {
-      throw new Error('No candidates in Gemini API response');
+      lastWord = word;
+      yield word;
     }
-    
-    // Apply operator persona transformations as safety net
-    aiResponse = applyOperatorPersona(aiResponse);
-    
-    // Ensure brevity (truncate if needed)
-    const words = aiResponse.split(/\s+/);
-    if (words.length > 20) {
-      aiResponse = words.slice(0, 20).join(' ') + ' STOP';
+  }
+
+  // Text not yet ended by a space may be part of a longer word
+  let pending = '';
+  try {
+    const provider = options.provider || getConfiguredProvider();
+    console.log(`Streaming from ${provider.name} provider...`);
+    const pieces = provider.stream ? provider.stream(request) : [await provider.generate(request)];
+
+    for await (const piece of pieces) {
+      pending += piece;
+      const end = pending.search(/\s\S*$/);
+      if (end >= 0) {
+        yield* wordsOf(pending.slice(0, end));
+        pending = pending.slice(end + 1);
+        if (sent > MAX_REPLY_WORDS) {
+          return;
+        }
+      }
     }
-    
-    return aiResponse;
-    
   } catch (error) {
+    if (error.code === 'CASSETTE_MISS') {
+      throw error;
+    }
     console.error('AI invocation error:', error);
-    
-    // Fallback response on error
-    let response = `RECEIVED YOUR MESSAGE STOP ${userMessage} STOP`;
-    response = applyOperatorPersona(response);
-    const words = response.split(/\s+/);
-    if (words.length > 20) {
-      response = words.slice(0, 20).join(' ') + ' STOP';
+    if (sent === 0) {
+      pending = await new EchoProvider().generate({ message: userMessage });
+    } else {
+      pending = lastWord === 'STOP' ? '' : 'STOP';
     }
-    return response;
   }
-}
\ No newline at end of file
+
+  yield* wordsOf(pending);
+}
@@ -0,0 +1,222 @@
+/**
+ * Relay Network
+ *
+ * The offices telegrams are relayed through and the wires between them, as
+ * read from a network file:
+ *
+ *   {
+ *     "home_office": "NYC",
+ *     "operator_office": "NYC",
+ *     "retry_ms": 5000,
+ *     "offices": [{ "code": "NYC", "name": "NEW YORK" }, { "code": "PHL", "name": "PHILADELPHIA" }],
+ *     "links": [{ "from": "NYC", "to": "PHL", "latency_ms": 1500 }],
+ *     "outages": [{ "from": "NYC", "to": "PHL", "start": "2025-01-01T00:00:00Z", "end": "2025-01-01T01:00:00Z" }]
+ *   }
+ *
+ * Wires carry telegrams both ways, each hop taking the link's latency. A link
+ * marked "down" is out until the file is changed; an outage takes it out from
+ * start to end, either of which may be left open. Stations register at the
+ * home office unless they name another, and telegrams held for want of an open
+ * wire are tried again every retry_ms.
+ */
+
+import { readFileSync } from 'node:fs';
+
+const OFFICE_CODE = /^[A-Z0-9]{2,4}$/;
+
+// A network of one office, where every telegram is delivered where it is filed
+export const SINGLE_OFFICE_NETWORK = {
+  offices: [{ code: 'HQ', name: 'MAIN OFFICE' }],
+  links: []
+};
+
+/**
+ * Names the wire between two offices, whichever end it is seen from
+ * @param {string} a - Office code
+ * @param {string} b - Office code
+ * @returns {string} Key of the link
+ */
+function linkKey(a, b) {
+  return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+/**
+ * Reads a time from the network file
+ * @param {*} value - ISO 8601 time, or undefined for none
+ * @param {string} what - What the time is, for the error
+ * @returns {number|null} Milliseconds since the epoch, or null
+ * @throws {Error} If the time cannot be read
+ */
+function readTime(value, what) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (typeof value !== 'string' || Number.isNaN(time)) {
+    throw new Error(`Invalid network: ${what} is not an ISO 8601 time`);
+  }
+  return time;
+}
+
+/**
+ * Checks a network description
+ * @param {*} config - Network as read from the file
+ * @returns {{offices: Map<string, string>, links: Map<string, Object>, outages: Object[],
+ *   homeOffice: string, operatorOffice: string, retryMs: number}} The network, checked
+ * @throws {Error} If the network is malformed
+ */
+function checkNetwork(config) {
+  const { offices, links = [], outages = [], retry_ms: retryMs = 5000 } = config ?? {};
+  if (!Array.isArray(offices) || offices.length === 0) {
+    throw new Error('Invalid network: list at least one office');
+  }
+  if (!Array.isArray(links) || !Array.isArray(outages)) {
+    throw new Error('Invalid network: links and outages must be lists');
+  }
+
+  const names = new Map();
+  for (const { code, name = '' } of offices) {
+    if (typeof code !== 'string' || !OFFICE_CODE.test(code)) {
+      throw new Error(`Invalid network: bad office code ${code}`);
+    }
+    if (names.has(code)) {
+      throw new Error(`Invalid network: office ${code} listed twice`);
+    }
+    names.set(code, String(name));
+  }
+
+  const wires = new Map();
+  for (const { from, to, latency_ms: latencyMs, down = false } of links) {
+    if (!names.has(from) || !names.has(to) || from === to) {
+      throw new Error(`Invalid network: link ${from}-${to} must join two offices`);
+    }
+    if (!Number.isFinite(latencyMs) || latencyMs < 0) {
+      throw new Error(`Invalid network: link ${from}-${to} needs a latency_ms of 0 or more`);
+    }
+    wires.set(linkKey(from, to), { from, to, latencyMs, down: down === true });
+  }
+
+  const checkedOutages = outages.map(({ from, to, start, end }) => {
+    if (!wires.has(linkKey(from, to))) {
+      throw new Error(`Invalid network: outage on ${from}-${to}, which is not a link`);
+    }
+    return { key: linkKey(from, to), start: readTime(start, 'outage start'), end: readTime(end, 'outage end') };
+  });
+
+  const [first] = names.keys();
+  const homeOffice = config.home_office ?? first;
+  const operatorOffice = config.operator_office ?? homeOffice;
+  for (const office of [homeOffice, operatorOffice]) {
+    if (!names.has(office)) {
+      throw new Error(`Invalid network: unknown office ${office}`);
+    }
+  }
+  if (!Number.isFinite(retryMs) || retryMs <= 0) {
+    throw new Error('Invalid network: retry_ms must be above 0');
+  }
+
+  return { offices: names, links: wires, outages: checkedOutages, homeOffice, operatorOffice, retryMs };
+}
+
+/**
+ * Reads a network file
+ * @param {string} file - Path to the JSON network file
+ * @returns {RelayNetwork} The network
+ * @throws {Error} If the file cannot be read or the network is malformed
+ */
+export function loadNetwork(file) {
+  return new RelayNetwork(JSON.parse(readFileSync(file, 'utf8')));
+}
+
+/**
+ * Offices and the wires between them
+ */
+export class RelayNetwork {
+  /**
+   * @param {Object} config - Network, in the shape of the network file
+   * @throws {Error} If the network is malformed
+   */
+  constructor(config) {
+    Object.assign(this, checkNetwork(config));
+  }
+
+  /**
+   * Tells whether an office is on the network
+   * @param {string} code - Office code
+   * @returns {boolean}
+   */
+  hasOffice(code) {
+    return this.offices.has(code);
+  }
+
+  /**
+   * Tells whether a wire is out
+   * @param {string} key - Key of the link
+   * @param {Date} at - Time to check
+   * @returns {boolean} True if the link is down or in an outage
+   */
+  isDown(key, at) {
+    const time = at.getTime();
+    return this.links.get(key).down || this.outages.some(outage => outage.key === key
+      && (outage.start === null || time >= outage.start)
+      && (outage.end === null || time < outage.end));
+  }
+
+  /**
+   * Finds the quickest route between two offices over wires that are up
+   * @param {string} from - Office the telegram is at
+   * @param {string} to - Office it is for
+   * @param {Date} at - Time the route is taken
+   * @returns {{offices: string[], latencies: number[]}|null} Offices from first to last,
+   *   and the latency of each hop, or null when no route is open
+   */
+  route(from, to, at) {
+    const open = [...this.links].filter(([key]) => !this.isDown(key, at)).map(([, link]) => link);
+    const best = new Map([[from, { time: 0, previous: null, latency: 0 }]]);
+    const done = new Set();
+
+    while (!done.has(to)) {
+      const next = [...best].filter(([office]) => !done.has(office)).sort(([, a], [, b]) => a.time - b.time)[0];
+      if (!next) {
+        return null;
+      }
+      const [office, { time }] = next;
+      done.add(office);
+
+      for (const { from: a, to: b, latencyMs } of open) {
+        const neighbour = a === office ? b : b === office ? a : null;
+        if (neighbour && !done.has(neighbour) && (!best.has(neighbour) || time + latencyMs < best.get(neighbour).time)) {
+          best.set(neighbour, { time: time + latencyMs, previous: office, latency: latencyMs });
+        }
+      }
+    }
+
+    const offices = [];
+    const latencies = [];
+    for (let office = to; office !== null; office = best.get(office).previous) {
+      offices.unshift(office);
+      if (office !== from) {
+        latencies.unshift(best.get(office).latency);
+      }
+    }
+    return { offices, latencies };
+  }
+
+  /**
+   * Describes the network as it stands
+   * @param {Date} at - Time to describe it at
+   * @returns {{offices: {code: string, name: string}[], links: {from: string, to: string,
+   *   latency_ms: number, down: boolean}[]}}
+   */
+  describe(at) {
+    return {
+      offices: [...this.offices].map(([code, name]) => ({ code, name })),
+      links: [...this.links].map(([key, { from, to, latencyMs }]) => ({
+        from,
+        to,
+        latency_ms: latencyMs,
+        down: this.isDown(key, at)
+      }))
+    };
+  }
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { RelayNetwork, loadNetwork } from './relay.js';
+
+describe('Relay network', () => {
+  const config = {
+    offices: [
+      { code: 'NYC', name: 'NEW YORK' },
+      { code: 'PHL', name: 'PHILADELPHIA' },
+      { code: 'PIT', name: 'PITTSBURGH' },
+      { code: 'CHI', name: 'CHICAGO' }
+    ],
+    links: [
+      { from: 'NYC', to: 'PHL', latency_ms: 1000 },
+      { from: 'PHL', to: 'PIT', latency_ms: 2000 },
+      { from: 'PIT', to: 'CHI', latency_ms: 2000 },
+      { from: 'NYC', to: 'CHI', latency_ms: 9000 }
+    ],
+    outages: [{ from: 'PHL', to: 'PIT', start: '1865-10-19T12:00:00Z' }]
+  };
+  const morning = new Date('1865-10-19T10:00:00Z');
+  const afternoon = new Date('1865-10-19T13:00:00Z');
+
+  it('should take the quickest route over wires that are up', () => {
+    const network = new RelayNetwork(config);
+
+    expect(network.route('NYC', 'CHI', morning)).toEqual({
+      offices: ['NYC', 'PHL', 'PIT', 'CHI'],
+      latencies: [1000, 2000, 2000]
+    });
+    expect(network.route('CHI', 'PHL', afternoon)).toEqual({ offices: ['CHI', 'NYC', 'PHL'], latencies: [9000, 1000] });
+    expect(network.route('NYC', 'NYC', morning)).toEqual({ offices: ['NYC'], latencies: [] });
+  });
+
+  it('should find no route when every wire to an office is out', () => {
+    const network = new RelayNetwork({
+      ...config,
+      links: config.links.map(link => (link.to === 'CHI' ? { ...link, down: true } : link))
+    });
+
+    expect(network.route('NYC', 'CHI', morning)).toBeNull();
+  });
+
+  it('should default the home and operator offices to the first office', () => {
+    const network = new RelayNetwork(config);
+
+    expect(network.homeOffice).toBe('NYC');
+    expect(network.operatorOffice).toBe('NYC');
+    expect(network.retryMs).toBe(5000);
+    expect(network.describe(afternoon).links).toContainEqual({ from: 'PHL', to: 'PIT', latency_ms: 2000, down: true });
+  });
+
+  it('should refuse malformed networks', () => {
+    expect(() => new RelayNetwork({ offices: [] })).toThrow('Invalid network');
+    expect(() => new RelayNetwork({ ...config, links: [{ from: 'NYC', to: 'BOS', latency_ms: 1 }] })).toThrow('link NYC-BOS');
+    expect(() => new RelayNetwork({ ...config, links: [{ from: 'NYC', to: 'PHL' }] })).toThrow('latency_ms');
+    expect(() => new RelayNetwork({ ...config, outages: [{ from: 'NYC', to: 'PIT' }] })).toThrow('not a link');
+    expect(() => new RelayNetwork({ ...config, outages: [{ from: 'NYC', to: 'PHL', end: 'soon' }] })).toThrow('ISO 8601');
+    expect(() => new RelayNetwork({ ...config, home_office: 'BOS' })).toThrow('unknown office BOS');
+  });
+
+  it('should load the network shipped with the server', () => {
+    const network = loadNetwork(join(dirname(fileURLToPath(import.meta.url)), 'network.json'));
+    const { offices } = network.describe(morning);
+
+    expect(offices.length).toBeGreaterThan(1);
+    offices.forEach(({ code }) => {
+      expect(network.route(network.homeOffice, code, morning)).not.toBeNull();
+    });
+  });
+});
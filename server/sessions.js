@@ -0,0 +1,163 @@
+/**
+ * Conversation Sessions
+ *
+ * Keeps what was said between a sender and the operator, so each telegram
+ * can be answered with the earlier ones in mind. Recent turns are kept word
+ * for word; older ones are folded into a short summary once a conversation
+ * runs long. Sessions idle for too long are forgotten.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+// Words of each turn kept in the summary, and of the summary as a whole
+const SUMMARY_TURN_WORDS = 8;
+const SUMMARY_WORDS = 60;
+
+/**
+ * Folds turns into a running summary
+ * Each turn is cut to its first few words; the summary keeps its latest words.
+ * @param {{role: string, text: string}[]} turns - Turns to fold in, oldest first
+ * @param {string} [summary=''] - Summary of the turns before them
+ * @returns {string} Summary of everything up to the last of the turns
+ */
+export function summarizeTurns(turns, summary = '') {
+  const lines = turns.map(({ role, text }) => {
+    const words = text.split(/\s+/).filter(word => word !== '');
+    const cut = words.slice(0, SUMMARY_TURN_WORDS).join(' ');
+    return `${role === 'operator' ? 'OPERATOR' : 'SENDER'}: ${cut}${words.length > SUMMARY_TURN_WORDS ? ' ...' : ''}`;
+  });
+  const words = [summary, ...lines].filter(line => line !== '').join(' / ').split(' ');
+  return words.slice(-SUMMARY_WORDS).join(' ');
+}
+
+/**
+ * In-memory store of conversation sessions
+ */
+export class SessionStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {number} [options.idleMs=1800000] - Idle time after which a session expires
+   * @param {number} [options.maxTurns=12] - Turns kept word for word before older ones are summarized
+   * @param {number} [options.keepTurns=6] - Recent turns kept word for word after summarizing
+   * @param {number} [options.maxSessions=500] - Sessions kept at once; the longest idle go first
+   * @param {Function} [options.summarize=summarizeTurns] - Folds turns into the summary
+   * @param {Function} [options.now=Date.now] - Clock, in milliseconds
+   */
+  constructor(options = {}) {
+    this.idleMs = options.idleMs ?? 30 * 60 * 1000;
+    this.maxTurns = options.maxTurns ?? 12;
+    this.keepTurns = options.keepTurns ?? 6;
+    this.maxSessions = options.maxSessions ?? 500;
+    this.summarize = options.summarize ?? summarizeTurns;
+    this.now = options.now ?? Date.now;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Starts a session
+   * @returns {string} Session ID
+   */
+  create() {
+    this.prune();
+
+    // Make room by forgetting the longest idle session
+    while (this.sessions.size >= this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+
+    const id = randomUUID();
+    this.sessions.set(id, { summary: '', turns: [], lastActive: this.now() });
+    return id;
+  }
+
+  /**
+   * Tells whether a session is live
+   * @param {string} id - Session ID
+   * @returns {boolean} True when the session exists and has not expired
+   */
+  has(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return false;
+    }
+    if (this.now() - session.lastActive > this.idleMs) {
+      this.sessions.delete(id);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Gets the conversation so far
+   * @param {string} id - Session ID
+   * @returns {{summary: string, turns: {role: string, text: string}[]}|null} Summary of older
+   *   turns and recent turns, oldest first, or null when the session is not live
+   */
+  getHistory(id) {
+    if (!this.has(id)) {
+      return null;
+    }
+    const { summary, turns } = this.sessions.get(id);
+    return { summary, turns: turns.map(turn => ({ ...turn })) };
+  }
+
+  /**
+   * Records a message and the operator's reply
+   * @param {string} id - Session ID
+   * @param {string} message - What the sender said
+   * @param {string} reply - What the operator answered
+   * @returns {boolean} False when the session is not live
+   */
+  addExchange(id, message, reply) {
+    if (!this.has(id)) {
+      return false;
+    }
+
+    const session = this.sessions.get(id);
+    session.turns.push({ role: 'user', text: message }, { role: 'operator', text: reply });
+    if (session.turns.length > this.maxTurns) {
+      const split = session.turns.length - this.keepTurns;
+      session.summary = this.summarize(session.turns.slice(0, split), session.summary);
+      session.turns = session.turns.slice(split);
+    }
+
+    // Keep sessions in order of last use, longest idle first
+    session.lastActive = this.now();
+    this.sessions.delete(id);
+    this.sessions.set(id, session);
+    return true;
+  }
+
+  /**
+   * Ends a session
+   * @param {string} id - Session ID
+   * @returns {boolean} True when a live session was ended
+   */
+  end(id) {
+    const live = this.has(id);
+    this.sessions.delete(id);
+    return live;
+  }
+
+  /**
+   * Forgets sessions that have been idle too long
+   * @returns {number} Number of sessions forgotten
+   */
+  prune() {
+    let removed = 0;
+    for (const id of [...this.sessions.keys()]) {
+      if (!this.has(id)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Number of sessions held, live or not yet pruned
+   * @returns {number}
+   */
+  get size() {
+    return this.sessions.size;
+  }
+}
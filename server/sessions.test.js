@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import { SessionStore, summarizeTurns } from './sessions.js';
+
+describe('Sessions - Unit Tests', () => {
+  const clock = () => {
+    let time = 0;
+    const now = () => time;
+    now.advance = ms => { time += ms; };
+    return now;
+  };
+
+  describe('SessionStore', () => {
+    it('should keep the exchanges of a session in order', () => {
+      const store = new SessionStore();
+      const id = store.create();
+
+      store.addExchange(id, 'HELLO', 'RECEIVED STOP HELLO STOP');
+      store.addExchange(id, 'HOW ARE YOU', 'WELL STOP');
+
+      expect(store.getHistory(id)).toEqual({
+        summary: '',
+        turns: [
+          { role: 'user', text: 'HELLO' },
+          { role: 'operator', text: 'RECEIVED STOP HELLO STOP' },
+          { role: 'user', text: 'HOW ARE YOU' },
+          { role: 'operator', text: 'WELL STOP' }
+        ]
+      });
+    });
+
+    it('should keep sessions apart', () => {
+      const store = new SessionStore();
+      const first = store.create();
+      const second = store.create();
+
+      store.addExchange(first, 'HELLO', 'HELLO STOP');
+
+      expect(first).not.toBe(second);
+      expect(store.getHistory(second).turns).toEqual([]);
+    });
+
+    it('should summarize older turns once the conversation runs long', () => {
+      const store = new SessionStore({ maxTurns: 4, keepTurns: 2 });
+      const id = store.create();
+
+      store.addExchange(id, 'ONE', 'FIRST STOP');
+      store.addExchange(id, 'TWO', 'SECOND STOP');
+      store.addExchange(id, 'THREE', 'THIRD STOP');
+
+      const history = store.getHistory(id);
+      expect(history.turns).toEqual([
+        { role: 'user', text: 'THREE' },
+        { role: 'operator', text: 'THIRD STOP' }
+      ]);
+      expect(history.summary).toBe('SENDER: ONE / OPERATOR: FIRST STOP / SENDER: TWO / OPERATOR: SECOND STOP');
+    });
+
+    it('should use the summarizer it is given', () => {
+      const summarize = (turns, summary) => `${summary}${turns.length}`;
+      const store = new SessionStore({ maxTurns: 2, keepTurns: 0, summarize });
+      const id = store.create();
+
+      store.addExchange(id, 'A', 'B');
+      store.addExchange(id, 'C', 'D');
+
+      expect(store.getHistory(id)).toEqual({ summary: '4', turns: [] });
+    });
+
+    it('should expire idle sessions', () => {
+      const now = clock();
+      const store = new SessionStore({ idleMs: 1000, now });
+      const idle = store.create();
+      const busy = store.create();
+
+      now.advance(800);
+      store.addExchange(busy, 'HELLO', 'HELLO STOP');
+      now.advance(800);
+
+      expect(store.has(idle)).toBe(false);
+      expect(store.getHistory(idle)).toBeNull();
+      expect(store.addExchange(idle, 'HELLO', 'HELLO STOP')).toBe(false);
+      expect(store.has(busy)).toBe(true);
+    });
+
+    it('should prune expired sessions', () => {
+      const now = clock();
+      const store = new SessionStore({ idleMs: 1000, now });
+      store.create();
+      store.create();
+
+      now.advance(2000);
+
+      expect(store.prune()).toBe(2);
+      expect(store.size).toBe(0);
+    });
+
+    it('should forget the longest idle session when full', () => {
+      const store = new SessionStore({ maxSessions: 2 });
+      const first = store.create();
+      const second = store.create();
+
+      store.addExchange(first, 'HELLO', 'HELLO STOP');
+      store.create();
+
+      expect(store.has(first)).toBe(true);
+      expect(store.has(second)).toBe(false);
+    });
+
+    it('should end a session', () => {
+      const store = new SessionStore();
+      const id = store.create();
+
+      expect(store.end(id)).toBe(true);
+      expect(store.end(id)).toBe(false);
+      expect(store.has(id)).toBe(false);
+    });
+  });
+
+  describe('summarizeTurns', () => {
+    it('should cut long turns and keep the latest words', () => {
+      const long = Array.from({ length: 12 }, (_, i) => `W${i}`).join(' ');
+      const summary = summarizeTurns([{ role: 'user', text: long }], 'EARLIER');
+
+      expect(summary).toBe('EARLIER / SENDER: W0 W1 W2 W3 W4 W5 W6 W7 ...');
+
+      const many = Array.from({ length: 20 }, () => ({ role: 'operator', text: 'ALL WELL STOP' }));
+      expect(summarizeTurns(many).split(' ').length).toBe(60);
+    });
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Telegraph Stations
+ *
+ * Stations registered by call sign, so senders can telegraph one another as
+ * well as the operator. Each station belongs to an office of the relay
+ * network; a telegram is filed at the sender's office and relayed office to
+ * office over the quickest open wire, held wherever it is while no wire is
+ * open. At the recipient's office it is queued until the station opens its
+ * wire, and passed straight down the wire when it is open, and the sender is
+ * sent a receipt. The operator is a station too, always on the wire, whose
+ * telegrams are answered by the operator persona rather than relayed.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { RelayNetwork, SINGLE_OFFICE_NETWORK } from './relay.js';
+
+// Call sign of the operator's office
+export const OPERATOR_CALL_SIGN = 'WU';
+
+const CALL_SIGN = /^[A-Z0-9]{2,8}$/;
+
+/**
+ * Checks a call sign
+ * @param {*} callSign - Call sign as given
+ * @returns {string} The call sign in upper case
+ * @throws {Error} If it is not two to eight letters or figures
+ */
+export function checkCallSign(callSign) {
+  const normalized = typeof callSign === 'string' ? callSign.trim().toUpperCase() : '';
+  if (!CALL_SIGN.test(normalized)) {
+    throw new Error(`Invalid call sign: ${callSign}`);
+  }
+  return normalized;
+}
+
+/**
+ * Copies a telegram, so callers cannot change the registry's record
+ * @param {Object} telegram - Telegram record
+ * @returns {Object} The copy
+ */
+function copyTelegram(telegram) {
+  return { ...telegram, route: [...telegram.route], updates: telegram.updates.map(update => ({ ...update })) };
+}
+
+/**
+ * In-memory registry of stations and the telegrams relayed between them
+ */
+export class StationRegistry {
+  /**
+   * @param {Object} [options] - Registry options
+   * @param {Function} [options.now] - Clock, returning a Date
+   * @param {RelayNetwork} [options.network] - Offices telegrams are relayed through
+   *   (default a single office, where they are delivered as soon as they are filed)
+   */
+  constructor(options = {}) {
+    this.now = options.now ?? (() => new Date());
+    this.network = options.network ?? new RelayNetwork(SINGLE_OFFICE_NETWORK);
+    this.stations = new Map();
+    this.telegrams = new Map();
+    this.lastId = 0;
+  }
+
+  /**
+   * Registers a station
+   * @param {string} callSign - Call sign, two to eight letters or figures
+   * @param {string} [name=''] - Name of the station or its keeper
+   * @param {string} [office] - Code of the station's office (default the network's home office)
+   * @returns {{callSign: string, key: string, office: string}} The call sign in upper case,
+   *   the key the station sends with its telegrams and opens its wire with, and its office
+   * @throws {Error} If the call sign is invalid or already taken, or the office unknown
+   */
+  register(callSign, name = '', office = this.network.homeOffice) {
+    const normalized = checkCallSign(callSign);
+    if (this.has(normalized)) {
+      throw new Error(`Call sign taken: ${normalized}`);
+    }
+    if (!this.network.hasOffice(office)) {
+      throw new Error(`Unknown office: ${office}`);
+    }
+
+    const key = randomUUID();
+    this.stations.set(normalized, { name, key, office, queue: [], wires: new Set() });
+    return { callSign: normalized, key, office };
+  }
+
+  /**
+   * Tells whether a call sign is taken
+   * @param {string} callSign - Call sign in upper case
+   * @returns {boolean} True for registered stations and the operator
+   */
+  has(callSign) {
+    return callSign === OPERATOR_CALL_SIGN || this.stations.has(callSign);
+  }
+
+  /**
+   * Checks a station's key
+   * @param {string} callSign - Call sign in upper case
+   * @param {string} key - Key given by the sender
+   * @returns {boolean} True when the station is registered with the key
+   */
+  verify(callSign, key) {
+    const station = this.stations.get(callSign);
+    return Boolean(station) && typeof key === 'string' && station.key === key;
+  }
+
+  /**
+   * Lists the stations, the operator first
+   * @returns {{callSign: string, name: string, office: string, online: boolean}[]}
+   */
+  list() {
+    return [
+      { callSign: OPERATOR_CALL_SIGN, name: 'WESTERN UNION OPERATOR', office: this.network.operatorOffice, online: true },
+      ...[...this.stations].map(([callSign, { name, office, wires }]) => ({
+        callSign,
+        name,
+        office,
+        online: wires.size > 0
+      }))
+    ];
+  }
+
+  /**
+   * Finds a telegram by its number
+   * @param {number} id - Telegram number
+   * @returns {Object|null} The telegram, or null when there is none
+   */
+  get(id) {
+    const telegram = this.telegrams.get(id);
+    return telegram ? copyTelegram(telegram) : null;
+  }
+
+  /**
+   * Files a telegram for a registered station
+   * It is relayed from the sender's office to the recipient's, where it goes
+   * down the station's wire if it is open and is queued if not. Each step is
+   * noted in the telegram's updates, with the office and time, and the offices
+   * it has passed through in its route.
+   * @param {Object} telegram - Telegram to send
+   * @param {string} telegram.from - Sending station's call sign
+   * @param {string} telegram.to - Receiving station's call sign
+   * @param {string} telegram.morse - Morse as keyed
+   * @param {string} telegram.text - Decoded text
+   * @returns {{telegram: Object, status: string}} The telegram, in the shape of the
+   *   transmission history, and its status: 'filed', or 'delivered' or 'queued'
+   *   when both stations are at the same office
+   * @throws {Error} If the receiving station is not registered
+   */
+  send({ from, to, morse, text }) {
+    if (!this.stations.has(to)) {
+      throw new Error(`Unknown station: ${to}`);
+    }
+
+    const office = this.stations.get(from)?.office ?? this.network.homeOffice;
+    const telegram = {
+      id: ++this.lastId,
+      sender: 'station',
+      from,
+      to,
+      morse,
+      text,
+      timestamp: this.now().toISOString(),
+      status: null,
+      route: [office],
+      updates: []
+    };
+    this.telegrams.set(telegram.id, telegram);
+    this.update(telegram, 'filed', office);
+    this.forward(telegram, office);
+
+    return { telegram: copyTelegram(telegram), status: telegram.status };
+  }
+
+  /**
+   * Opens a station's wire
+   * Telegrams and receipts queued for the station are passed down it at once;
+   * later ones as they come. The listener is called with the event name,
+   * 'telegram', 'status' or 'receipt', and its data.
+   * @param {string} callSign - Call sign in upper case
+   * @param {Function} listener - Called with each event on the wire
+   * @returns {Function} Closes the wire
+   * @throws {Error} If the station is not registered
+   */
+  connect(callSign, listener) {
+    const station = this.stations.get(callSign);
+    if (!station) {
+      throw new Error(`Unknown station: ${callSign}`);
+    }
+
+    station.wires.add(listener);
+    const queued = station.queue;
+    station.queue = [];
+    queued.forEach(({ telegram, receipt }) => {
+      if (telegram) {
+        this.deliver(station, telegram);
+      } else {
+        listener('receipt', { ...receipt });
+      }
+    });
+
+    return () => {
+      station.wires.delete(listener);
+    };
+  }
+
+  /**
+   * Moves a telegram on from an office toward the recipient's
+   * With no open route it is held at the office and tried again later.
+   * @param {Object} telegram - Telegram record
+   * @param {string} office - Office the telegram is at
+   */
+  forward(telegram, office) {
+    const destination = this.stations.get(telegram.to).office;
+    if (office === destination) {
+      this.arrive(telegram);
+      return;
+    }
+
+    const route = this.network.route(office, destination, this.now());
+    if (!route) {
+      if (telegram.status !== 'held') {
+        this.update(telegram, 'held', office);
+      }
+      setTimeout(() => this.forward(telegram, office), this.network.retryMs).unref?.();
+      return;
+    }
+
+    const next = route.offices[1];
+    setTimeout(() => {
+      telegram.route.push(next);
+      if (next !== destination) {
+        this.update(telegram, 'relayed', next);
+      }
+      this.forward(telegram, next);
+    }, route.latencies[0]).unref?.();
+  }
+
+  /**
+   * Hands a telegram that has reached the recipient's office to the station
+   * @param {Object} telegram - Telegram record
+   */
+  arrive(telegram) {
+    const station = this.stations.get(telegram.to);
+    if (station.wires.size === 0) {
+      this.update(telegram, 'queued', station.office);
+      station.queue.push({ telegram });
+      return;
+    }
+    this.deliver(station, telegram);
+  }
+
+  /**
+   * Passes a telegram down every open wire of a station, and sends its
+   * sender a receipt
+   * @param {Object} station - Station record
+   * @param {Object} telegram - Telegram record
+   */
+  deliver(station, telegram) {
+    this.update(telegram, 'delivered', station.office);
+    telegram.delivered_at = telegram.updates[telegram.updates.length - 1].at;
+    station.wires.forEach(listener => listener('telegram', copyTelegram(telegram)));
+
+    const sender = this.stations.get(telegram.from);
+    if (!sender) {
+      return;
+    }
+    const receipt = {
+      telegram_id: telegram.id,
+      to: telegram.to,
+      delivered_at: telegram.delivered_at,
+      route: [...telegram.route]
+    };
+    if (sender.wires.size === 0) {
+      sender.queue.push({ receipt });
+    } else {
+      sender.wires.forEach(listener => listener('receipt', { ...receipt }));
+    }
+  }
+
+  /**
+   * Notes a step in a telegram's progress, and tells the sender if they are on the wire
+   * @param {Object} telegram - Telegram record
+   * @param {string} status - 'filed', 'relayed', 'held', 'queued' or 'delivered'
+   * @param {string} office - Office the telegram is at
+   */
+  update(telegram, status, office) {
+    telegram.status = status;
+    telegram.updates.push({ status, office, at: this.now().toISOString() });
+    this.stations.get(telegram.from)?.wires.forEach(listener => listener('status', copyTelegram(telegram)));
+  }
+}
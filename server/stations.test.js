@@ -0,0 +1,193 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { StationRegistry, checkCallSign, OPERATOR_CALL_SIGN } from './stations.js';
+import { RelayNetwork } from './relay.js';
+
+describe('Stations', () => {
+  it('should accept call signs of two to eight letters or figures', () => {
+    expect(checkCallSign(' w1aw ')).toBe('W1AW');
+    expect(checkCallSign('NY')).toBe('NY');
+    expect(() => checkCallSign('N')).toThrow('Invalid call sign');
+    expect(() => checkCallSign('NEW YORK')).toThrow('Invalid call sign');
+    expect(() => checkCallSign(42)).toThrow('Invalid call sign');
+  });
+
+  it('should register a station with a key, once', () => {
+    const registry = new StationRegistry();
+    const { callSign, key } = registry.register('bos', 'BOSTON OFFICE');
+
+    expect(callSign).toBe('BOS');
+    expect(registry.verify('BOS', key)).toBe(true);
+    expect(registry.verify('BOS', 'guess')).toBe(false);
+    expect(registry.verify('NY', key)).toBe(false);
+    expect(() => registry.register('BOS')).toThrow('Call sign taken: BOS');
+    expect(() => registry.register(OPERATOR_CALL_SIGN)).toThrow('Call sign taken');
+    expect(() => registry.register('NY', '', 'NOWHERE')).toThrow('Unknown office: NOWHERE');
+  });
+
+  it('should list the operator first, always online', () => {
+    const registry = new StationRegistry();
+    registry.register('BOS', 'BOSTON OFFICE');
+    registry.connect('BOS', vi.fn());
+    registry.register('NY');
+
+    expect(registry.list()).toEqual([
+      { callSign: 'WU', name: 'WESTERN UNION OPERATOR', office: 'HQ', online: true },
+      { callSign: 'BOS', name: 'BOSTON OFFICE', office: 'HQ', online: true },
+      { callSign: 'NY', name: '', office: 'HQ', online: false }
+    ]);
+  });
+
+  it('should queue telegrams until the station opens its wire', () => {
+    const registry = new StationRegistry({ now: () => new Date('1865-10-19T10:00:00Z') });
+    registry.register('BOS');
+
+    const { telegram, status } = registry.send({ from: 'NY', to: 'BOS', morse: '.... ..', text: 'HI' });
+    expect(status).toBe('queued');
+    expect(telegram).toEqual({
+      id: 1,
+      sender: 'station',
+      from: 'NY',
+      to: 'BOS',
+      morse: '.... ..',
+      text: 'HI',
+      timestamp: '1865-10-19T10:00:00.000Z',
+      status: 'queued',
+      route: ['HQ'],
+      updates: [
+        { status: 'filed', office: 'HQ', at: '1865-10-19T10:00:00.000Z' },
+        { status: 'queued', office: 'HQ', at: '1865-10-19T10:00:00.000Z' }
+      ]
+    });
+
+    const listener = vi.fn();
+    registry.connect('BOS', listener);
+    expect(listener).toHaveBeenCalledWith('telegram', expect.objectContaining({
+      id: 1,
+      status: 'delivered',
+      delivered_at: '1865-10-19T10:00:00.000Z'
+    }));
+    expect(registry.get(1).updates.map(({ status }) => status)).toEqual(['filed', 'queued', 'delivered']);
+  });
+
+  it('should pass telegrams straight down an open wire until it closes', () => {
+    const registry = new StationRegistry();
+    registry.register('BOS');
+    const listener = vi.fn();
+    const close = registry.connect('BOS', listener);
+
+    expect(registry.send({ from: 'NY', to: 'BOS', morse: '-', text: 'T' }).status).toBe('delivered');
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    close();
+    expect(registry.send({ from: 'NY', to: 'BOS', morse: '.', text: 'E' }).status).toBe('queued');
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse telegrams and wires for unknown stations', () => {
+    const registry = new StationRegistry();
+
+    expect(() => registry.send({ from: 'NY', to: 'BOS', morse: '-', text: 'T' })).toThrow('Unknown station: BOS');
+    expect(() => registry.connect('BOS', vi.fn())).toThrow('Unknown station: BOS');
+  });
+});
+
+describe('Relaying', () => {
+  const network = {
+    offices: [
+      { code: 'NYC', name: 'NEW YORK' },
+      { code: 'PHL', name: 'PHILADELPHIA' },
+      { code: 'PIT', name: 'PITTSBURGH' },
+      { code: 'CHI', name: 'CHICAGO' }
+    ],
+    links: [
+      { from: 'NYC', to: 'PHL', latency_ms: 1000 },
+      { from: 'PHL', to: 'PIT', latency_ms: 2000 },
+      { from: 'PIT', to: 'CHI', latency_ms: 2000 },
+      { from: 'NYC', to: 'CHI', latency_ms: 9000, down: true }
+    ],
+    retry_ms: 5000
+  };
+  let registry;
+  let sender;
+  let closeSender;
+  let wire;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('1865-10-19T10:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  /**
+   * Sets up a sender in New York with its wire open and a receiver in Chicago
+   * @param {Object} [config] - Network to relay through
+   */
+  const setUp = (config = network) => {
+    registry = new StationRegistry({ network: new RelayNetwork(config) });
+    registry.register('NY', '', 'NYC');
+    registry.register('CH', '', 'CHI');
+    sender = vi.fn();
+    closeSender = registry.connect('NY', sender);
+    wire = vi.fn();
+    registry.connect('CH', wire);
+  };
+
+  it('should relay a telegram office to office and send the sender a receipt', () => {
+    setUp();
+    const { telegram, status } = registry.send({ from: 'NY', to: 'CH', morse: '.... ..', text: 'HI' });
+    expect(status).toBe('filed');
+    expect(telegram.route).toEqual(['NYC']);
+
+    vi.advanceTimersByTime(3000);
+    expect(registry.get(telegram.id).route).toEqual(['NYC', 'PHL', 'PIT']);
+    expect(wire).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(2000);
+    expect(registry.get(telegram.id).updates).toEqual([
+      { status: 'filed', office: 'NYC', at: '1865-10-19T10:00:00.000Z' },
+      { status: 'relayed', office: 'PHL', at: '1865-10-19T10:00:01.000Z' },
+      { status: 'relayed', office: 'PIT', at: '1865-10-19T10:00:03.000Z' },
+      { status: 'delivered', office: 'CHI', at: '1865-10-19T10:00:05.000Z' }
+    ]);
+    expect(wire).toHaveBeenCalledWith('telegram', expect.objectContaining({ text: 'HI', route: ['NYC', 'PHL', 'PIT', 'CHI'] }));
+    expect(sender.mock.calls.filter(([event]) => event === 'status')).toHaveLength(4);
+    expect(sender).toHaveBeenLastCalledWith('receipt', {
+      telegram_id: telegram.id,
+      to: 'CH',
+      delivered_at: '1865-10-19T10:00:05.000Z',
+      route: ['NYC', 'PHL', 'PIT', 'CHI']
+    });
+  });
+
+  it('should hold a telegram while the line is out, then relay it', () => {
+    setUp({
+      ...network,
+      outages: [{ from: 'PHL', to: 'PIT', start: '1865-10-19T10:00:00.500Z', end: '1865-10-19T10:00:08Z' }]
+    });
+    const { telegram } = registry.send({ from: 'NY', to: 'CH', morse: '-', text: 'T' });
+
+    vi.advanceTimersByTime(6000);
+    expect(registry.get(telegram.id)).toMatchObject({ status: 'held', route: ['NYC', 'PHL'] });
+
+    vi.advanceTimersByTime(10000);
+    const updates = registry.get(telegram.id).updates;
+    expect(updates.map(({ status, office }) => `${status} ${office}`)).toEqual([
+      'filed NYC', 'relayed PHL', 'held PHL', 'relayed PIT', 'delivered CHI'
+    ]);
+    expect(updates[3].at).toBe('1865-10-19T10:00:13.000Z');
+  });
+
+  it('should keep the receipt until the sender opens their wire', () => {
+    setUp();
+    closeSender();
+    const { telegram } = registry.send({ from: 'NY', to: 'CH', morse: '-', text: 'T' });
+    vi.advanceTimersByTime(5000);
+
+    const listener = vi.fn();
+    registry.connect('NY', listener);
+    expect(listener).toHaveBeenCalledWith('receipt', expect.objectContaining({ telegram_id: telegram.id }));
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Telegraph Tariff
+ *
+ * Charges telegrams by the counting rules of the Western Union tariff books:
+ * a base rate covers the first words, further words are charged extra, and
+ * the address and signature go free. Plain-language words are counted up to
+ * fifteen letters to the word, code words, cipher and groups of figures
+ * five characters to the word. Amounts are in cents.
+ */
+
+import { getCodeBook } from '../shared/commercial-codes.js';
+
+// Characters to the chargeable word
+const PLAIN_WORD_LENGTH = 15;
+const CODE_WORD_LENGTH = 5;
+
+// Distance zones, nearest first: the full-rate charge for the first ten
+// words and for each word after
+const ZONES = [
+  { name: 'local', maxMiles: 25, baseCents: 20, perWordCents: 1 },
+  { name: 'zone-1', maxMiles: 100, baseCents: 25, perWordCents: 2 },
+  { name: 'zone-2', maxMiles: 500, baseCents: 40, perWordCents: 3 },
+  { name: 'zone-3', maxMiles: 1000, baseCents: 60, perWordCents: 4 },
+  { name: 'zone-4', maxMiles: 2000, baseCents: 90, perWordCents: 6 },
+  { name: 'zone-5', maxMiles: Infinity, baseCents: 100, perWordCents: 7 }
+];
+
+// Service classes. Full-rate telegrams pay the zone's rate per extra word;
+// day and night letters carry fifty words for a multiple of the ten-word
+// rate, and each ten words after cost a fifth of that.
+const CLASSES = {
+  'full-rate': { baseWords: 10, baseFactor: 1 },
+  'day-letter': { baseWords: 50, baseFactor: 1.5, blockWords: 10, blockFactor: 0.2 },
+  'night-letter': { baseWords: 50, baseFactor: 1, blockWords: 10, blockFactor: 0.2 }
+};
+
+/**
+ * Lists the service classes
+ * @returns {string[]} Class names accepted as options.tariffClass, 'full-rate' first
+ */
+export function getTariffClasses() {
+  return Object.keys(CLASSES);
+}
+
+/**
+ * Lists the distance zones
+ * @returns {{name: string, maxMiles: number, baseCents: number, perWordCents: number}[]}
+ *   Zones, nearest first; the last has no upper distance
+ */
+export function getTariffZones() {
+  return ZONES.map(zone => ({ ...zone }));
+}
+
+/**
+ * Finds the zone a distance falls in
+ * @param {number} distanceMiles - Distance between offices in miles
+ * @returns {string} Zone name
+ * @throws {RangeError} If the distance is not a number of miles
+ */
+export function getZoneForDistance(distanceMiles) {
+  if (typeof distanceMiles !== 'number' || !Number.isFinite(distanceMiles) || distanceMiles < 0) {
+    throw new RangeError('Invalid distance: must be a number of miles');
+  }
+  return ZONES.find(zone => distanceMiles <= zone.maxMiles).name;
+}
+
+/**
+ * Counts the chargeable words of a telegram body
+ * Punctuation and prosigns are free. Groups of figures, groups mixing
+ * letters and figures, words of the code book and cipher are counted five
+ * characters to the word; other words fifteen letters to the word.
+ *
+ * @param {string} text - Telegram body
+ * @param {Object} [options] - Counting options
+ * @param {string} [options.codeBook] - Code book whose words are counted as code
+ * @param {boolean} [options.ciphered=false] - Count every word as cipher, five letters to the word
+ * @returns {{words: {word: string, kind: string, count: number}[], total: number}} Each word
+ *   with its kind ('plain', 'code', 'cipher' or 'figures') and chargeable count, and the total
+ * @throws {Error} If the code book is unknown
+ */
+export function countChargeableWords(text, options = {}) {
+  const codeWords = new Set(options.codeBook ? getCodeBook(options.codeBook).map(({ code }) => code) : []);
+  if (typeof text !== 'string') {
+    return { words: [], total: 0 };
+  }
+
+  const words = [];
+  for (const token of text.trim().split(/\s+/)) {
+    // Prosigns are operating signals, not part of the message
+    if (/^<[A-Z]+>$/.test(token)) {
+      continue;
+    }
+    const word = token.toUpperCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    if (word === '') {
+      continue;
+    }
+
+    let kind = 'plain';
+    if (/^[\d.,/:-]+$/.test(word)) {
+      kind = 'figures';
+    } else if (options.ciphered === true) {
+      kind = 'cipher';
+    } else if (codeWords.has(word) || /\d/.test(word)) {
+      kind = 'code';
+    }
+    const perWord = kind === 'plain' ? PLAIN_WORD_LENGTH : CODE_WORD_LENGTH;
+    words.push({ word, kind, count: Math.ceil([...word].length / perWord) });
+  }
+
+  return { words, total: words.reduce((sum, { count }) => sum + count, 0) };
+}
+
+/**
+ * Charges a telegram
+ *
+ * @param {string} text - Telegram body
+ * @param {Object} [options] - Tariff options
+ * @param {string} [options.tariffClass='full-rate'] - 'full-rate', 'day-letter' or 'night-letter'
+ * @param {string} [options.zone] - Distance zone name (default 'local')
+ * @param {number} [options.distanceMiles] - Distance in miles, used when no zone is given
+ * @param {string} [options.codeBook] - Code book whose words are counted as code
+ * @param {boolean} [options.ciphered=false] - Count the body as cipher
+ * @param {string} [options.address] - Address, carried free
+ * @param {string} [options.signature] - Signature, carried free
+ * @returns {{tariffClass: string, zone: string, words: {word: string, kind: string, count: number}[],
+ *   chargeableWords: number, freeWords: number, baseWords: number, baseCents: number,
+ *   extraWords: number, extraCents: number, totalCents: number}} Cost breakdown
+ * @throws {Error} If the class, zone or code book is unknown
+ * @throws {RangeError} If the distance is not a number of miles
+ */
+export function calculateCharge(text, options = {}) {
+  const tariffClass = options.tariffClass ?? 'full-rate';
+  const rates = CLASSES[tariffClass];
+  if (!rates) {
+    throw new Error(`Unknown tariff class: ${tariffClass}`);
+  }
+
+  const zoneName = options.zone ?? (options.distanceMiles !== undefined
+    ? getZoneForDistance(options.distanceMiles)
+    : 'local');
+  const zone = ZONES.find(({ name }) => name === zoneName);
+  if (!zone) {
+    throw new Error(`Unknown tariff zone: ${zoneName}`);
+  }
+
+  const { words, total } = countChargeableWords(text, {
+    codeBook: options.codeBook,
+    ciphered: options.ciphered
+  });
+  const freeWords = [options.address, options.signature]
+    .reduce((sum, part) => sum + countChargeableWords(part).total, 0);
+
+  const baseCents = Math.round(zone.baseCents * rates.baseFactor);
+  const extraWords = Math.max(0, total - rates.baseWords);
+  const extraCents = rates.blockWords
+    ? Math.ceil(extraWords / rates.blockWords) * Math.round(baseCents * rates.blockFactor)
+    : extraWords * zone.perWordCents;
+
+  return {
+    tariffClass,
+    zone: zone.name,
+    words,
+    chargeableWords: total,
+    freeWords,
+    baseWords: rates.baseWords,
+    baseCents,
+    extraWords,
+    extraCents,
+    totalCents: baseCents + extraCents
+  };
+}
+
+/**
+ * Writes an amount in cents as dollars
+ * @param {number} cents - Amount in cents
+ * @returns {string} Amount such as '$1.05'
+ */
+export function formatCharge(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+  countChargeableWords,
+  calculateCharge,
+  getZoneForDistance,
+  getTariffClasses,
+  getTariffZones,
+  formatCharge
+} from './tariff.js';
+
+describe('Tariff - Unit Tests', () => {
+  const words = count => Array(count).fill('WORD').join(' ');
+
+  describe('countChargeableWords', () => {
+    it('should count plain words fifteen letters to the word', () => {
+      const result = countChargeableWords('CONGRATULATIONS ANTIDISESTABLISHMENTARIANISM');
+
+      expect(result.words).toEqual([
+        { word: 'CONGRATULATIONS', kind: 'plain', count: 1 },
+        { word: 'ANTIDISESTABLISHMENTARIANISM', kind: 'plain', count: 2 }
+      ]);
+      expect(result.total).toBe(3);
+    });
+
+    it('should count figures and mixed groups five characters to the word', () => {
+      const result = countChargeableWords('SEND 12345678 RST 5NN');
+
+      expect(result.words.map(({ kind, count }) => [kind, count])).toEqual([
+        ['plain', 1], ['figures', 2], ['plain', 1], ['code', 1]
+      ]);
+      expect(result.total).toBe(5);
+    });
+
+    it('should count code book words as code', () => {
+      const result = countChargeableWords('BAKUL STOP', { codeBook: 'western-union' });
+
+      expect(result.words[0]).toEqual({ word: 'BAKUL', kind: 'code', count: 1 });
+      expect(countChargeableWords('BAKUL').words[0].kind).toBe('plain');
+    });
+
+    it('should count cipher five letters to the word', () => {
+      const result = countChargeableWords('BMODZ BXDNABEKUD', { ciphered: true });
+
+      expect(result.words.map(({ kind, count }) => [kind, count])).toEqual([['cipher', 1], ['cipher', 2]]);
+    });
+
+    it('should carry punctuation and prosigns free', () => {
+      expect(countChargeableWords('ARRIVED, SAFE. ? <AR>').total).toBe(2);
+      expect(countChargeableWords(null)).toEqual({ words: [], total: 0 });
+    });
+  });
+
+  describe('calculateCharge', () => {
+    it('should charge the base rate for the first ten words', () => {
+      const charge = calculateCharge('ARRIVED SAFELY STOP');
+
+      expect(charge).toMatchObject({
+        tariffClass: 'full-rate',
+        zone: 'local',
+        chargeableWords: 3,
+        baseWords: 10,
+        baseCents: 20,
+        extraWords: 0,
+        extraCents: 0,
+        totalCents: 20
+      });
+    });
+
+    it('should charge the zone rate for each word over ten', () => {
+      const charge = calculateCharge(words(12), { zone: 'zone-2' });
+
+      expect(charge.extraWords).toBe(2);
+      expect(charge.totalCents).toBe(40 + 2 * 3);
+    });
+
+    it('should charge letters for fifty words and each ten after', () => {
+      const day = calculateCharge(words(61), { tariffClass: 'day-letter' });
+      const night = calculateCharge(words(50), { tariffClass: 'night-letter', zone: 'zone-5' });
+
+      expect(day).toMatchObject({ baseWords: 50, baseCents: 30, extraWords: 11, extraCents: 12, totalCents: 42 });
+      expect(night).toMatchObject({ baseCents: 100, extraCents: 0, totalCents: 100 });
+    });
+
+    it('should find the zone from the distance', () => {
+      expect(calculateCharge('HELLO', { distanceMiles: 750 }).zone).toBe('zone-3');
+      expect(calculateCharge('HELLO', { zone: 'zone-1', distanceMiles: 750 }).zone).toBe('zone-1');
+    });
+
+    it('should carry the address and signature free', () => {
+      const charge = calculateCharge('ALL WELL', { address: 'JOHN SMITH 12 MAIN ST BOSTON', signature: 'MARY' });
+
+      expect(charge.chargeableWords).toBe(2);
+      expect(charge.freeWords).toBe(7);
+    });
+
+    it('should reject unknown classes and zones', () => {
+      expect(() => calculateCharge('HI', { tariffClass: 'urgent' })).toThrow('Unknown tariff class: urgent');
+      expect(() => calculateCharge('HI', { zone: 'moon' })).toThrow('Unknown tariff zone: moon');
+      expect(() => calculateCharge('HI', { distanceMiles: -1 })).toThrow(RangeError);
+    });
+  });
+
+  describe('zones and classes', () => {
+    it('should place distances in the nearest zone that covers them', () => {
+      expect(getZoneForDistance(0)).toBe('local');
+      expect(getZoneForDistance(100)).toBe('zone-1');
+      expect(getZoneForDistance(3000)).toBe('zone-5');
+    });
+
+    it('should list the classes and zones', () => {
+      expect(getTariffClasses()).toEqual(['full-rate', 'day-letter', 'night-letter']);
+      expect(getTariffZones().map(({ name }) => name)).toEqual(
+        ['local', 'zone-1', 'zone-2', 'zone-3', 'zone-4', 'zone-5']
+      );
+    });
+
+    it('should write cents as dollars', () => {
+      expect(formatCharge(105)).toBe('$1.05');
+      expect(formatCharge(20)).toBe('$0.20');
+    });
+  });
+});
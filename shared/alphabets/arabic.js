@@ -0,0 +1,19 @@
+// Arabic Morse alphabet
+// Keyed with ITU timing. Hamza and taa marbuta forms are keyed as the
+// letter they are written on.
+
+export default {
+  name: 'arabic',
+  description: 'Arabic',
+  letters: {
+    'ا': '.-',    'ب': '-...',  'ت': '-',     'ث': '-.-.',  'ج': '.---',
+    'ح': '....',  'خ': '---',   'د': '-..',   'ذ': '--..',  'ر': '.-.',
+    'ز': '---.',  'س': '...',   'ش': '----',  'ص': '-..-',  'ض': '...-',
+    'ط': '..-',   'ظ': '-.--',  'ع': '.-.-',  'غ': '--.',   'ف': '..-.',
+    'ق': '--.-',  'ك': '-.-',   'ل': '.-..',  'م': '--',    'ن': '-.',
+    'ه': '..-..', 'و': '.--',   'ي': '..',    'ء': '.'
+  },
+  aliases: {
+    'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا', 'ى': 'ي', 'ئ': 'ي', 'ؤ': 'و', 'ة': 'ه'
+  }
+};
@@ -0,0 +1,19 @@
+// Russian Cyrillic Morse alphabet
+// Keyed with ITU timing; letters reuse the Latin patterns they were
+// transliterated from, so А is .- like A.
+
+export default {
+  name: 'cyrillic',
+  description: 'Russian Cyrillic',
+  letters: {
+    'А': '.-',    'Б': '-...',  'В': '.--',   'Г': '--.',   'Д': '-..',
+    'Е': '.',     'Ж': '...-',  'З': '--..',  'И': '..',    'Й': '.---',
+    'К': '-.-',   'Л': '.-..',  'М': '--',    'Н': '-.',    'О': '---',
+    'П': '.--.',  'Р': '.-.',   'С': '...',   'Т': '-',     'У': '..-',
+    'Ф': '..-.',  'Х': '....',  'Ц': '-.-.',  'Ч': '---.',  'Ш': '----',
+    'Щ': '--.-',  'Ъ': '--.--', 'Ы': '-.--',  'Ь': '-..-',  'Э': '..-..',
+    'Ю': '..--',  'Я': '.-.-'
+  },
+  // Ё is keyed as Е
+  aliases: { 'Ё': 'Е' }
+};
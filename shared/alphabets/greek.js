@@ -0,0 +1,24 @@
+// Greek Morse alphabet
+// Keyed with ITU timing. Accents (tonos, dialytika) are not keyed.
+
+export default {
+  name: 'greek',
+  description: 'Greek',
+  letters: {
+    'Α': '.-',    'Β': '-...',  'Γ': '--.',   'Δ': '-..',   'Ε': '.',
+    'Ζ': '--..',  'Η': '....',  'Θ': '-.-.',  'Ι': '..',    'Κ': '-.-',
+    'Λ': '.-..',  'Μ': '--',    'Ν': '-.',    'Ξ': '-..-',  'Ο': '---',
+    'Π': '.--.',  'Ρ': '.-.',   'Σ': '...',   'Τ': '-',     'Υ': '-.--',
+    'Φ': '..-.',  'Χ': '----',  'Ψ': '--.-',  'Ω': '.--'
+  },
+  aliases: {},
+
+  /**
+   * Removes accents so Ά is keyed as Α
+   * @param {string} text - Text to encode
+   * @returns {string} Text without combining marks
+   */
+  prepare(text) {
+    return text.normalize('NFD').replace(/\p{M}/gu, '');
+  }
+};
@@ -0,0 +1,15 @@
+// Hebrew Morse alphabet
+// Keyed with ITU timing. Final letter forms are keyed as their base letter.
+
+export default {
+  name: 'hebrew',
+  description: 'Hebrew',
+  letters: {
+    'א': '.-',    'ב': '-...',  'ג': '--.',   'ד': '-..',   'ה': '---',
+    'ו': '.',     'ז': '--..',  'ח': '....',  'ט': '..-',   'י': '..',
+    'כ': '-.-',   'ל': '.-..',  'מ': '--',    'נ': '-.',    'ס': '-.-.',
+    'ע': '.---',  'פ': '.--.',  'צ': '.--',   'ק': '--.-',  'ר': '.-.',
+    'ש': '...',   'ת': '-'
+  },
+  aliases: { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' }
+};
@@ -0,0 +1,65 @@
+// Japanese Wabun code
+// Katakana keyed with ITU timing. Wabun reuses the Latin patterns, so a
+// message switches into it with the DO prosign (-..---) and back to Latin
+// letters with SN (...-.). Voiced kana are keyed as the base kana followed by
+// the dakuten (..) or handakuten (..--.) mark.
+
+// Small kana are keyed full size
+const SMALL_KANA = {
+  'ァ': 'ア', 'ィ': 'イ', 'ゥ': 'ウ', 'ェ': 'エ', 'ォ': 'オ', 'ッ': 'ツ',
+  'ャ': 'ヤ', 'ュ': 'ユ', 'ョ': 'ヨ', 'ヮ': 'ワ', 'ヵ': 'カ', 'ヶ': 'ケ'
+};
+
+// Combining voicing marks, as produced by NFD, and their spacing forms
+const DAKUTEN = '゛';
+const HANDAKUTEN = '゜';
+const COMBINING_DAKUTEN = '\u3099';
+const COMBINING_HANDAKUTEN = '\u309a';
+
+export default {
+  name: 'wabun',
+  description: 'Japanese Wabun (katakana)',
+  letters: {
+    'イ': '.-',    'ロ': '.-.-',  'ハ': '-...',  'ニ': '-.-.',  'ホ': '-..',
+    'ヘ': '.',     'ト': '..-..', 'チ': '..-.',  'リ': '--.',   'ヌ': '....',
+    'ル': '-.--.', 'ヲ': '.---',  'ワ': '-.-',   'カ': '.-..',  'ヨ': '--',
+    'タ': '-.',    'レ': '---',   'ソ': '---.',  'ツ': '.--.',  'ネ': '--.-',
+    'ナ': '.-.',   'ラ': '...',   'ム': '-',     'ウ': '..-',   'ヰ': '.-..-',
+    'ノ': '..--',  'オ': '.-...', 'ク': '...-',  'ヤ': '.--',   'マ': '-..-',
+    'ケ': '-.--',  'フ': '--..',  'コ': '----',  'エ': '-.---', 'テ': '.-.--',
+    'ア': '--.--', 'サ': '-.-.-', 'キ': '-.-..', 'ユ': '-..--', 'メ': '-...-',
+    'ミ': '..-.-', 'シ': '--.-.', 'ヱ': '.--..', 'ヒ': '--..-', 'モ': '-..-.',
+    'セ': '.---.', 'ス': '---.-', 'ン': '.-.-.',
+    [DAKUTEN]: '..', [HANDAKUTEN]: '..--.', 'ー': '.--.-', '、': '.-.-.-'
+  },
+  aliases: {
+    ...SMALL_KANA,
+    [COMBINING_DAKUTEN]: DAKUTEN,
+    [COMBINING_HANDAKUTEN]: HANDAKUTEN
+  },
+  shift: { into: 'DO', out: 'SN' },
+
+  /**
+   * Converts hiragana to katakana and splits voiced kana into base and mark
+   * @param {string} text - Text to encode
+   * @returns {string} Katakana text with separate voicing marks
+   */
+  prepare(text) {
+    return text
+      .replace(/[ぁ-ゖ]/g, char => String.fromCharCode(char.charCodeAt(0) + 0x60))
+      .normalize('NFD');
+  },
+
+  /**
+   * Joins decoded voicing marks back onto the kana they follow
+   * @param {string} text - Decoded text
+   * @returns {string} Text with voiced kana composed where possible
+   */
+  finish(text) {
+    return text.replace(/.[゛゜]/g, pair => {
+      const mark = pair[1] === DAKUTEN ? COMBINING_DAKUTEN : COMBINING_HANDAKUTEN;
+      const composed = (pair[0] + mark).normalize('NFC');
+      return composed.length === 1 ? composed : pair;
+    });
+  }
+};
@@ -0,0 +1,298 @@
+// Audio Decoder - reads Morse from a recording
+//
+// A WAV file is read into mono samples, the strongest tone between 200 and
+// 2000 Hz is found, and a Goertzel filter tuned to it measures the tone level
+// every few milliseconds. The level is split into key-down and key-up with a
+// threshold set from the recording itself, and the resulting durations go to
+// the adaptive timing decoder.
+
+import { timingToMorse } from './timing-decoder.js';
+import { morseToText } from './morse-lib.js';
+
+// Tone search range and step in Hz
+const MIN_FREQUENCY = 200;
+const MAX_FREQUENCY = 2000;
+const FREQUENCY_STEP = 10;
+
+// Loudest 50 ms windows used to find the tone
+const SEARCH_WINDOW_MS = 50;
+const SEARCH_WINDOWS = 16;
+
+// Key-down and key-up shorter than this are treated as noise
+const MIN_RUN_MS = 10;
+
+// The tone must stand this far above the background to count as keying
+const MIN_SIGNAL_TO_NOISE = 4;
+
+/**
+ * Reads a WAV (RIFF) file into mono samples
+ * PCM at 8, 16, 24 and 32 bits and 32-bit float are supported; channels are
+ * mixed down.
+ * @param {Uint8Array|ArrayBuffer} bytes - WAV file contents
+ * @returns {{samples: Float32Array, sampleRate: number}} Samples between -1 and 1
+ * @throws {Error} If the file is not a WAV file or uses another encoding
+ */
+export function parseWav(bytes) {
+  const data = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+  if (!(data instanceof Uint8Array) || data.length < 12) {
+    throw new Error('Invalid WAV: not a RIFF/WAVE file');
+  }
+
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const tag = offset => String.fromCharCode(...data.subarray(offset, offset + 4));
+  if (tag(0) !== 'RIFF' || tag(8) !== 'WAVE') {
+    throw new Error('Invalid WAV: not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let samplesStart = -1;
+  let samplesSize = 0;
+  for (let offset = 12; offset + 8 <= data.length;) {
+    const id = tag(offset);
+    const size = view.getUint32(offset + 4, true);
+
+    if (id === 'fmt ' && offset + 24 <= data.length) {
+      format = {
+        encoding: view.getUint16(offset + 8, true),
+        channels: view.getUint16(offset + 10, true),
+        sampleRate: view.getUint32(offset + 12, true),
+        bits: view.getUint16(offset + 22, true)
+      };
+      // WAVE_FORMAT_EXTENSIBLE keeps the real encoding in its sub-format
+      if (format.encoding === 0xFFFE && size >= 26 && offset + 34 <= data.length) {
+        format.encoding = view.getUint16(offset + 32, true);
+      }
+    } else if (id === 'data') {
+      samplesStart = offset + 8;
+      samplesSize = Math.min(size, data.length - samplesStart);
+    }
+
+    // Chunks are padded to an even length
+    offset += 8 + size + (size % 2);
+  }
+
+  if (!format || samplesStart < 0) {
+    throw new Error('Invalid WAV: missing fmt or data chunk');
+  }
+
+  const { encoding, channels, sampleRate, bits } = format;
+  const read = {
+    '1:8': offset => (view.getUint8(offset) - 128) / 128,
+    '1:16': offset => view.getInt16(offset, true) / 32768,
+    '1:24': offset => ((view.getInt8(offset + 2) << 16) | view.getUint16(offset, true)) / 8388608,
+    '1:32': offset => view.getInt32(offset, true) / 2147483648,
+    '3:32': offset => view.getFloat32(offset, true)
+  }[`${encoding}:${bits}`];
+
+  if (!read || channels < 1 || sampleRate < 1) {
+    throw new Error(`Unsupported WAV encoding: format ${encoding}, ${bits} bits`);
+  }
+
+  const bytesPerSample = bits / 8;
+  const frameSize = bytesPerSample * channels;
+  const samples = new Float32Array(Math.floor(samplesSize / frameSize));
+  for (let i = 0; i < samples.length; i++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += read(samplesStart + i * frameSize + channel * bytesPerSample);
+    }
+    samples[i] = sum / channels;
+  }
+
+  return { samples, sampleRate };
+}
+
+/**
+ * Measures the power of one frequency in a run of samples (Goertzel algorithm)
+ * @param {Float32Array} samples - Samples
+ * @param {number} start - First sample
+ * @param {number} length - Number of samples
+ * @param {number} coefficient - 2 cos(2π f / sampleRate)
+ * @returns {number} Power at the frequency
+ */
+function goertzel(samples, start, length, coefficient) {
+  let previous = 0;
+  let beforePrevious = 0;
+  for (let i = start; i < start + length; i++) {
+    const current = samples[i] + coefficient * previous - beforePrevious;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous * previous + beforePrevious * beforePrevious - coefficient * previous * beforePrevious;
+}
+
+/**
+ * Finds the frequency of the keyed tone
+ * Only the loudest windows are searched, so long silences cost nothing.
+ * @param {Float32Array} samples - Samples
+ * @param {number} sampleRate - Samples per second
+ * @returns {number|null} Tone frequency in Hz, or null for a silent recording
+ */
+export function detectToneFrequency(samples, sampleRate) {
+  const windowLength = Math.max(1, Math.round(sampleRate * SEARCH_WINDOW_MS / 1000));
+  const windows = [];
+  for (let start = 0; start + windowLength <= samples.length; start += windowLength) {
+    let energy = 0;
+    for (let i = start; i < start + windowLength; i++) {
+      energy += samples[i] * samples[i];
+    }
+    if (energy > 0) {
+      windows.push({ start, energy });
+    }
+  }
+  if (windows.length === 0) {
+    return null;
+  }
+
+  const loudest = windows.sort((a, b) => b.energy - a.energy).slice(0, SEARCH_WINDOWS);
+  const highest = Math.min(MAX_FREQUENCY, sampleRate / 2 - FREQUENCY_STEP);
+  let best = null;
+  let bestPower = 0;
+
+  for (let frequency = MIN_FREQUENCY; frequency <= highest; frequency += FREQUENCY_STEP) {
+    const coefficient = 2 * Math.cos(2 * Math.PI * frequency / sampleRate);
+    const power = loudest.reduce((sum, { start }) =>
+      sum + goertzel(samples, start, windowLength, coefficient), 0);
+    if (power > bestPower) {
+      best = frequency;
+      bestPower = power;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Splits tone levels into low and high by iterating the midpoint of their means
+ * @param {number[]} levels - Tone levels
+ * @returns {{low: number, high: number}} Mean background and tone levels
+ */
+function splitLevels(levels) {
+  let low = levels.reduce((min, level) => Math.min(min, level), Infinity);
+  let high = levels.reduce((max, level) => Math.max(max, level), -Infinity);
+
+  for (let i = 0; i < 20; i++) {
+    const threshold = (low + high) / 2;
+    const below = levels.filter(level => level <= threshold);
+    const above = levels.filter(level => level > threshold);
+    if (below.length === 0 || above.length === 0) {
+      break;
+    }
+    low = below.reduce((sum, level) => sum + level, 0) / below.length;
+    high = above.reduce((sum, level) => sum + level, 0) / above.length;
+  }
+
+  return { low, high };
+}
+
+/**
+ * Converts a recording into alternating key-down/key-up durations
+ *
+ * @param {Float32Array} samples - Mono samples between -1 and 1
+ * @param {number} sampleRate - Samples per second
+ * @param {Object} [options] - Detector options
+ * @param {number} [options.frequency] - Tone frequency in Hz (detected when left out)
+ * @param {number} [options.blockMs=5] - Length of each tone measurement in ms
+ * @returns {{durations: number[], frequency: number|null}} Durations in milliseconds,
+ *   starting with key-down, and the tone frequency; no durations when no tone is heard
+ */
+export function audioToTiming(samples, sampleRate, options = {}) {
+  const frequency = options.frequency ?? detectToneFrequency(samples, sampleRate);
+  if (!frequency) {
+    return { durations: [], frequency: null };
+  }
+
+  const blockLength = Math.max(1, Math.round(sampleRate * (options.blockMs ?? 5) / 1000));
+  const blockMs = blockLength * 1000 / sampleRate;
+  const coefficient = 2 * Math.cos(2 * Math.PI * frequency / sampleRate);
+  const levels = [];
+  for (let start = 0; start + blockLength <= samples.length; start += blockLength) {
+    levels.push(Math.sqrt(goertzel(samples, start, blockLength, coefficient)));
+  }
+  if (levels.length === 0) {
+    return { durations: [], frequency };
+  }
+
+  const { low, high } = splitLevels(levels);
+  if (high === 0 || high < low * MIN_SIGNAL_TO_NOISE) {
+    return { durations: [], frequency };
+  }
+
+  // Hysteresis keeps a level hovering at the threshold from chattering
+  const onLevel = low + (high - low) * 0.6;
+  const offLevel = low + (high - low) * 0.4;
+  const runs = [];
+  let on = false;
+  for (const level of levels) {
+    on = on ? level >= offLevel : level > onLevel;
+    if (runs.length > 0 && runs[runs.length - 1].on === on) {
+      runs[runs.length - 1].blocks++;
+    } else {
+      runs.push({ on, blocks: 1 });
+    }
+  }
+
+  // Fold runs too short to be keying into their neighbours
+  const minBlocks = Math.ceil(MIN_RUN_MS / blockMs);
+  const merged = [];
+  runs.forEach((run, i) => {
+    const last = merged[merged.length - 1];
+    const isGlitch = run.blocks < minBlocks && i > 0 && i < runs.length - 1;
+    if (last && (isGlitch || last.on === run.on)) {
+      last.blocks += run.blocks;
+    } else {
+      merged.push({ ...run });
+    }
+  });
+
+  // Leading and trailing silence is not part of the keying
+  const first = merged.findIndex(run => run.on);
+  const last = merged.length - 1 - [...merged].reverse().findIndex(run => run.on);
+  if (first < 0) {
+    return { durations: [], frequency };
+  }
+
+  return {
+    durations: merged.slice(first, last + 1).map(run => Math.round(run.blocks * blockMs)),
+    frequency
+  };
+}
+
+/**
+ * Decodes Morse from a recording
+ * The tone is found and measured, then the timing is classified with the
+ * sender's speed estimated from the recording, as timingToMorse does.
+ *
+ * @param {Uint8Array|ArrayBuffer|{samples: Float32Array, sampleRate: number}} input - WAV file
+ *   contents, or samples already read
+ * @param {Object} [options] - Decoder options
+ * @param {number} [options.frequency] - Tone frequency in Hz (detected when left out)
+ * @param {number} [options.blockMs=5] - Length of each tone measurement in ms
+ * @param {string} [options.alphabet='latin'] - Letters to decode to, as for morseToText
+ * @param {boolean} [options.extended=false] - Decode non-English letters
+ * @param {boolean} [options.prosigns=false] - Decode prosigns as <NAME> tokens, as for morseToText
+ * @param {number} [options.maxDurations=Infinity] - Most key-down/key-up durations to decode
+ * @returns {{morse: string, text: string, wpm: number|null, confidence: number,
+ *   frequency: number|null, durations: number[]}} ITU Morse and its text, estimated speed,
+ *   classification confidence (0-1), tone frequency and key-down/key-up durations
+ * @throws {Error} If the WAV file cannot be read
+ * @throws {RangeError} If the recording holds more than maxDurations durations
+ */
+export function decodeAudio(input, options = {}) {
+  const { samples, sampleRate } = input && input.samples ? input : parseWav(input);
+  const { durations, frequency } = audioToTiming(samples, sampleRate, options);
+  const { maxDurations = Infinity } = options;
+  if (durations.length > maxDurations) {
+    throw new RangeError(`Recording too long: ${durations.length} key events, at most ${maxDurations}`);
+  }
+  const { morse, wpm, confidence } = timingToMorse(durations);
+
+  return {
+    morse,
+    text: morseToText(morse, { alphabet: options.alphabet, extended: options.extended, prosigns: options.prosigns }),
+    wpm,
+    confidence,
+    frequency,
+    durations
+  };
+}
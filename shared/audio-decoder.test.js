@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import { parseWav, detectToneFrequency, audioToTiming, decodeAudio } from './audio-decoder.js';
+import { renderWav, renderSamples } from './morse-audio.js';
+import { textToMorse, morseToSchedule } from './morse-lib.js';
+
+/**
+ * Renders text as Morse samples between -1 and 1
+ * @param {string} text - Text to key
+ * @param {Object} timing - Timing options
+ * @param {Object} audio - Audio options
+ * @returns {Float32Array} Samples
+ */
+function keyText(text, timing = {}, audio = {}) {
+  const samples = renderSamples(morseToSchedule(textToMorse(text), timing), audio);
+  return Float32Array.from(samples, sample => sample / 32768);
+}
+
+/**
+ * Builds a WAV header around raw sample bytes
+ * @param {number[]} sampleBytes - Sample data
+ * @param {Object} format - encoding, channels, sampleRate and bits
+ * @returns {Uint8Array} WAV file
+ */
+function wavFile(sampleBytes, { encoding = 1, channels = 1, sampleRate = 8000, bits = 16 }) {
+  const bytes = new Uint8Array(44 + sampleBytes.length);
+  const view = new DataView(bytes.buffer);
+  const tag = (offset, text) => [...text].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+  tag(0, 'RIFF');
+  view.setUint32(4, 36 + sampleBytes.length, true);
+  tag(8, 'WAVE');
+  tag(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, encoding, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint16(34, bits, true);
+  tag(36, 'data');
+  view.setUint32(40, sampleBytes.length, true);
+  bytes.set(sampleBytes, 44);
+  return bytes;
+}
+
+describe('Audio Decoder - Unit Tests', () => {
+  describe('parseWav', () => {
+    it('should read a WAV file written by renderWav', () => {
+      const { samples, sampleRate } = parseWav(renderWav(morseToSchedule('.'), { sampleRate: 16000 }));
+
+      expect(sampleRate).toBe(16000);
+      expect(samples.length).toBe(1600);
+      expect(Math.max(...samples)).toBeCloseTo(0.5, 2);
+    });
+
+    it('should mix 8-bit stereo down to mono', () => {
+      // Left at full positive, right at silence (128)
+      const { samples } = parseWav(wavFile([255, 128, 255, 128], { channels: 2, bits: 8 }));
+
+      expect(Array.from(samples)).toEqual([127 / 256, 127 / 256]);
+    });
+
+    it('should read 32-bit float samples', () => {
+      const data = new Uint8Array(new Float32Array([0.25, -0.5]).buffer);
+      const { samples } = parseWav(wavFile([...data], { encoding: 3, bits: 32 }));
+
+      expect(Array.from(samples)).toEqual([0.25, -0.5]);
+    });
+
+    it('should reject files that are not WAV', () => {
+      expect(() => parseWav(new TextEncoder().encode('ID3 not a wave file'))).toThrow('Invalid WAV');
+    });
+
+    it('should reject compressed WAV encodings', () => {
+      expect(() => parseWav(wavFile([0, 0], { encoding: 85, bits: 0 }))).toThrow('Unsupported WAV encoding');
+    });
+  });
+
+  describe('detectToneFrequency', () => {
+    it('should find the keyed tone', () => {
+      expect(detectToneFrequency(keyText('TEST', {}, { frequency: 730 }), 8000)).toBe(730);
+    });
+
+    it('should return null for silence', () => {
+      expect(detectToneFrequency(new Float32Array(8000), 8000)).toBeNull();
+    });
+  });
+
+  describe('audioToTiming', () => {
+    it('should measure key-down and key-up durations', () => {
+      const { durations } = audioToTiming(keyText('A'), 8000);
+
+      expect(durations).toHaveLength(3);
+      [100, 100, 300].forEach((expected, i) => {
+        expect(Math.abs(durations[i] - expected)).toBeLessThanOrEqual(10);
+      });
+    });
+
+    it('should trim silence before and after the keying', () => {
+      const padded = new Float32Array(16000);
+      padded.set(keyText('E'), 4000);
+
+      expect(audioToTiming(padded, 8000).durations).toHaveLength(1);
+    });
+
+    it('should hear nothing in background noise alone', () => {
+      let seed = 7;
+      const noise = Float32Array.from({ length: 8000 }, () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648 - 0.5;
+      });
+
+      expect(audioToTiming(noise, 8000).durations).toEqual([]);
+    });
+  });
+
+  describe('decodeAudio', () => {
+    it('should decode a WAV recording to text', () => {
+      const wav = renderWav(morseToSchedule(textToMorse('CQ DE W1AW K'), { wpm: 20 }), { frequency: 750 });
+      const result = decodeAudio(wav);
+
+      expect(result.text).toBe('CQ DE W1AW K');
+      expect(result.frequency).toBe(750);
+      expect(result.wpm).toBeGreaterThan(18);
+      expect(result.wpm).toBeLessThan(23);
+    });
+
+    it('should decode through noise and mains hum', () => {
+      let seed = 1;
+      const keyed = keyText('PARIS PARIS', { wpm: 18 }, { volume: 0.3 });
+      const samples = Float32Array.from({ length: keyed.length + 8000 }, (_, i) => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        const signal = i >= 4000 && i < 4000 + keyed.length ? keyed[i - 4000] : 0;
+        return signal + (seed / 2147483648 - 0.5) * 0.3 + 0.1 * Math.sin(2 * Math.PI * 60 * i / 8000);
+      });
+
+      expect(decodeAudio({ samples, sampleRate: 8000 }).text).toBe('PARIS PARIS');
+    });
+
+    it('should decode at a given tone frequency', () => {
+      const samples = keyText('SOS', {}, { frequency: 1200 });
+
+      expect(decodeAudio({ samples, sampleRate: 8000 }, { frequency: 1200 }).morse).toBe('... --- ...');
+    });
+
+    it('should decode to a national alphabet', () => {
+      // DA is keyed -.. .-, which is ДА in Cyrillic
+      const samples = keyText('DA');
+
+      expect(decodeAudio({ samples, sampleRate: 8000 }, { alphabet: 'cyrillic' }).text).toBe('ДА');
+    });
+
+    it('should refuse recordings with more key events than allowed', () => {
+      const samples = keyText('SOS');
+
+      expect(() => decodeAudio({ samples, sampleRate: 8000 }, { maxDurations: 10 }))
+        .toThrow(new RangeError('Recording too long: 17 key events, at most 10'));
+      expect(decodeAudio({ samples, sampleRate: 8000 }, { maxDurations: 17 }).text).toBe('SOS');
+    });
+
+    it('should return empty results for a silent recording', () => {
+      const result = decodeAudio({ samples: new Float32Array(8000), sampleRate: 8000 });
+
+      expect(result).toMatchObject({ morse: '', text: '', wpm: null, frequency: null, durations: [] });
+    });
+  });
+});
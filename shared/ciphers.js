@@ -0,0 +1,274 @@
+// Ciphers - period field ciphers for enciphered telegrams
+//
+// Text is enciphered before textToMorse and deciphered after morseToText.
+// 'route' is the word transposition of the Union military telegraph: words
+// are written in rows under the key and read off up and down the columns.
+// 'vigenere' shifts each letter by the next letter of the key. 'playfair'
+// enciphers letter pairs with a 5×5 square built from the key. All three
+// work on the Latin letters A-Z.
+
+const CIPHERS = ['route', 'vigenere', 'playfair'];
+
+const A = 'A'.charCodeAt(0);
+
+// Words that fill out the last row of a route cipher; the clerk reading it
+// knows to drop them
+const ROUTE_NULLS = ['ADAMS', 'BLUE', 'CORN', 'DOVE', 'ELM', 'FERN', 'GALE', 'HAWK', 'IVY'];
+
+/**
+ * Lists the supported ciphers
+ * @returns {string[]} Cipher names accepted as options.cipher
+ */
+export function getSupportedCiphers() {
+  return [...CIPHERS];
+}
+
+/**
+ * Checks a cipher name and key
+ * Keys are letters; a route key needs at least two, one per column.
+ * @param {Object} options - Cipher options
+ * @param {string} options.cipher - Cipher name
+ * @param {string} options.key - Key
+ * @returns {string} The key in upper case
+ * @throws {Error} If the cipher is unknown or the key is not letters
+ */
+export function checkCipher({ cipher, key } = {}) {
+  if (!CIPHERS.includes(cipher)) {
+    throw new Error(`Unknown cipher: ${cipher}`);
+  }
+  if (typeof key !== 'string' || !/^[A-Za-z]+$/.test(key)) {
+    throw new Error('Invalid cipher key: must be letters A-Z');
+  }
+  if (cipher === 'route' && key.length < 2) {
+    throw new Error('Invalid cipher key: a route needs at least two columns');
+  }
+  return key.toUpperCase();
+}
+
+/**
+ * Shifts each letter by the next letter of the key; other characters pass
+ * through without using up the key
+ * @param {string} text - Upper-case text
+ * @param {string} key - Upper-case key
+ * @param {number} direction - 1 to encipher, -1 to decipher
+ * @returns {string} Shifted text
+ */
+function vigenere(text, key, direction) {
+  let position = 0;
+  return [...text].map(char => {
+    if (!/[A-Z]/.test(char)) {
+      return char;
+    }
+    const shift = key.charCodeAt(position++ % key.length) - A;
+    return String.fromCharCode(A + (char.charCodeAt(0) - A + direction * shift + 26) % 26);
+  }).join('');
+}
+
+/**
+ * Builds the Playfair square: the key's letters, then the rest of the
+ * alphabet, with J written as I
+ * @param {string} key - Upper-case key
+ * @returns {string} The 25 letters of the square, row by row
+ */
+function playfairSquare(key) {
+  const letters = new Set(`${key}ABCDEFGHIKLMNOPQRSTUVWXYZ`.replace(/J/g, 'I'));
+  return [...letters].join('');
+}
+
+/**
+ * Splits text into Playfair pairs: letters only, J as I, an X between
+ * doubled letters and after an odd last letter (Q where the letter is X)
+ * @param {string} text - Upper-case text
+ * @returns {string[][]} Letter pairs
+ */
+function playfairPairs(text) {
+  const letters = text.replace(/[^A-Z]/g, '').replace(/J/g, 'I');
+  const pairs = [];
+  for (let i = 0; i < letters.length;) {
+    const first = letters[i];
+    const second = letters[i + 1];
+    if (second === undefined || second === first) {
+      pairs.push([first, first === 'X' ? 'Q' : 'X']);
+      i += 1;
+    } else {
+      pairs.push([first, second]);
+      i += 2;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Enciphers or deciphers Playfair pairs
+ * @param {string[][]} pairs - Letter pairs
+ * @param {string} key - Upper-case key
+ * @param {number} direction - 1 to encipher, -1 to decipher
+ * @returns {string} Letters, without spacing
+ */
+function playfair(pairs, key, direction) {
+  const square = playfairSquare(key);
+  const at = (row, column) => square[((row + 5) % 5) * 5 + (column + 5) % 5];
+
+  return pairs.map(([first, second]) => {
+    const a = square.indexOf(first);
+    const b = square.indexOf(second);
+    const [rowA, columnA, rowB, columnB] = [Math.floor(a / 5), a % 5, Math.floor(b / 5), b % 5];
+
+    if (rowA === rowB) {
+      return at(rowA, columnA + direction) + at(rowB, columnB + direction);
+    }
+    if (columnA === columnB) {
+      return at(rowA + direction, columnA) + at(rowB + direction, columnB);
+    }
+    return at(rowA, columnB) + at(rowB, columnA);
+  }).join('');
+}
+
+/**
+ * Drops the fillers a Playfair sender put between doubled letters and at the end
+ * @param {string} letters - Deciphered letters
+ * @returns {string} Letters without fillers
+ */
+function removePlayfairFillers(letters) {
+  let text = '';
+  for (let i = 0; i < letters.length; i++) {
+    const filler = letters[i - 1] === 'X' ? 'Q' : 'X';
+    const isFiller = i % 2 === 1 && letters[i] === filler
+      && (letters[i + 1] === letters[i - 1] || i === letters.length - 1);
+    if (!isFiller) {
+      text += letters[i];
+    }
+  }
+  return text;
+}
+
+/**
+ * Orders the route's columns by the alphabetical order of the key's letters
+ * @param {string} key - Upper-case key
+ * @returns {number[]} Column indexes in the order they are read
+ */
+function routeColumns(key) {
+  return [...key].map((letter, column) => ({ letter, column }))
+    .sort((a, b) => a.letter.localeCompare(b.letter) || a.column - b.column)
+    .map(({ column }) => column);
+}
+
+/**
+ * Lists the grid cells in the order the route visits them: down the first
+ * column in key order, up the next, and so on
+ * @param {number} rows - Number of rows
+ * @param {string} key - Upper-case key
+ * @returns {number[]} Cell indexes, row by row
+ */
+function routeCells(rows, key) {
+  const columns = key.length;
+  return routeColumns(key).flatMap((column, turn) => {
+    const cells = Array.from({ length: rows }, (_, row) => row * columns + column);
+    return turn % 2 === 0 ? cells : cells.reverse();
+  });
+}
+
+/**
+ * Enciphers a route: words in rows, read off along the route
+ * @param {string} text - Upper-case text
+ * @param {string} key - Upper-case key
+ * @returns {string} Transposed words
+ */
+function encipherRoute(text, key) {
+  const words = text.split(/\s+/).filter(word => word !== '');
+  if (words.length === 0) {
+    return '';
+  }
+  const rows = Math.ceil(words.length / key.length);
+  const grid = Array.from({ length: rows * key.length },
+    (_, cell) => words[cell] ?? ROUTE_NULLS[(cell - words.length) % ROUTE_NULLS.length]);
+  return routeCells(rows, key).map(cell => grid[cell]).join(' ');
+}
+
+/**
+ * Deciphers a route: words laid back along the route, read by rows
+ * @param {string} text - Upper-case transposed words
+ * @param {string} key - Upper-case key
+ * @returns {string} Words in their order, without the nulls
+ * @throws {Error} If the words do not fill the grid
+ */
+function decipherRoute(text, key) {
+  const words = text.split(/\s+/).filter(word => word !== '');
+  if (words.length % key.length !== 0) {
+    throw new Error(`Invalid route cipher: ${words.length} words do not fill ${key.length} columns`);
+  }
+  const grid = [];
+  routeCells(words.length / key.length, key).forEach((cell, i) => {
+    grid[cell] = words[i];
+  });
+
+  // Nulls only ever fill out the last row
+  let end = grid.length;
+  while (end > grid.length - key.length + 1 && ROUTE_NULLS.includes(grid[end - 1])) {
+    end--;
+  }
+  return grid.slice(0, end).join(' ');
+}
+
+/**
+ * Enciphers text
+ * Vigenère keeps spacing and punctuation; Playfair sends letters only, in
+ * groups of five; a route transposes whole words.
+ *
+ * @param {string} text - Plain text
+ * @param {Object} options - Cipher options
+ * @param {string} options.cipher - 'route', 'vigenere' or 'playfair'
+ * @param {string} options.key - Key, letters A-Z
+ * @returns {string} Upper-case ciphertext
+ * @throws {Error} If the cipher is unknown or the key is not letters
+ */
+export function encipher(text, options = {}) {
+  const key = checkCipher(options);
+  if (typeof text !== 'string') {
+    return '';
+  }
+
+  const plain = text.toUpperCase();
+  if (options.cipher === 'vigenere') {
+    return vigenere(plain, key, 1);
+  }
+  if (options.cipher === 'playfair') {
+    return playfair(playfairPairs(plain), key, 1).match(/.{1,5}/g)?.join(' ') ?? '';
+  }
+  return encipherRoute(plain, key);
+}
+
+/**
+ * Deciphers text
+ * Playfair gives letters without spacing, with its fillers dropped; a route
+ * drops the nulls that filled its last row.
+ *
+ * @param {string} text - Ciphertext
+ * @param {Object} options - Cipher options, as for encipher
+ * @returns {string} Upper-case plain text
+ * @throws {Error} If the cipher is unknown, the key is not letters, or the
+ *   ciphertext cannot have come from the cipher
+ */
+export function decipher(text, options = {}) {
+  const key = checkCipher(options);
+  if (typeof text !== 'string') {
+    return '';
+  }
+
+  const ciphertext = text.toUpperCase();
+  if (options.cipher === 'vigenere') {
+    return vigenere(ciphertext, key, -1);
+  }
+  if (options.cipher === 'playfair') {
+    const letters = ciphertext.replace(/[^A-Z]/g, '');
+    if (letters.length % 2 !== 0 || letters.includes('J')) {
+      throw new Error('Invalid Playfair cipher: letters must come in pairs without J');
+    }
+    const pairs = letters.match(/../g) ?? [];
+    if (pairs.some(([first, second]) => first === second)) {
+      throw new Error('Invalid Playfair cipher: a pair repeats its letter');
+    }
+    return removePlayfairFillers(playfair(pairs, key, -1));
+  }
+  return decipherRoute(ciphertext, key);
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { encipher, decipher, checkCipher, getSupportedCiphers } from './ciphers.js';
+import { textToMorse, morseToText } from './morse-lib.js';
+
+describe('Ciphers - Unit Tests', () => {
+  describe('vigenere', () => {
+    const options = { cipher: 'vigenere', key: 'lemon' };
+
+    it('should shift letters by the key and keep spacing', () => {
+      expect(encipher('Attack at dawn', options)).toBe('LXFOPV EF RNHR');
+      expect(decipher('LXFOPV EF RNHR', options)).toBe('ATTACK AT DAWN');
+    });
+
+    it('should pass figures and punctuation through without using the key', () => {
+      expect(encipher('AT 10, AT', options)).toBe('LX 10, MH');
+    });
+  });
+
+  describe('playfair', () => {
+    const options = { cipher: 'playfair', key: 'PLAYFAIREXAMPLE' };
+
+    it('should encipher pairs in groups of five', () => {
+      expect(encipher('Hide the gold in the tree stump', options)).toBe('BMODZ BXDNA BEKUD MUIXM MOUVI F');
+    });
+
+    it('should decipher to letters without the fillers', () => {
+      expect(decipher('BMODZ BXDNA BEKUD MUIXM MOUVI F', options)).toBe('HIDETHEGOLDINTHETREESTUMP');
+      expect(decipher(encipher('BALLOON EXXON', options), options)).toBe('BALLOONEXXON');
+    });
+
+    it('should reject text that cannot be Playfair', () => {
+      expect(() => decipher('ABC', options)).toThrow('letters must come in pairs');
+      expect(() => decipher('AA', options)).toThrow('a pair repeats its letter');
+    });
+  });
+
+  describe('route', () => {
+    const options = { cipher: 'route', key: 'GRANT' };
+    const order = 'ENEMY ADVANCING ON RICHMOND SEND REINFORCEMENTS AT ONCE STOP';
+
+    it('should read the words off up and down the columns in key order', () => {
+      // Columns read A, G, N, R, T: down, up, down, up, down
+      expect(encipher(order, options))
+        .toBe('ON ONCE REINFORCEMENTS ENEMY RICHMOND STOP AT ADVANCING SEND ADAMS');
+    });
+
+    it('should lay the words back and drop the nulls', () => {
+      expect(decipher(encipher(order, options), options)).toBe(order);
+    });
+
+    it('should reject words that do not fill the grid', () => {
+      expect(() => decipher('ONE TWO THREE', options)).toThrow('3 words do not fill 5 columns');
+    });
+  });
+
+  describe('checkCipher', () => {
+    it('should reject unknown ciphers and keys that are not letters', () => {
+      expect(() => checkCipher({ cipher: 'enigma', key: 'ABC' })).toThrow('Unknown cipher: enigma');
+      expect(() => checkCipher({ cipher: 'vigenere', key: 'ABC1' })).toThrow('must be letters A-Z');
+      expect(() => checkCipher({ cipher: 'route', key: 'A' })).toThrow('at least two columns');
+      expect(checkCipher({ cipher: 'playfair', key: 'key' })).toBe('KEY');
+    });
+  });
+
+  it('should survive a trip through Morse', () => {
+    for (const cipher of getSupportedCiphers()) {
+      const options = { cipher, key: 'LINCOLN' };
+      const sent = encipher('ARRIVE AT DAWN WITH TWO REGIMENTS', options);
+
+      expect(decipher(morseToText(textToMorse(sent)), options).replace(/ /g, ''))
+        .toBe('ARRIVEATDAWNWITHTWOREGIMENTS');
+    }
+  });
+});
@@ -0,0 +1,243 @@
+// Codebook - the shorthand of telegraph and CW traffic
+//
+// Q-codes (QTH, QSL, QRX ...) have a statement meaning, and a question
+// meaning when sent with '?'. CW abbreviations (TNX, GM, 73 ...) and
+// telegraph office abbreviations (MSG, RECD ...) stand for a word or phrase.
+// Cut numbers key digits as short letters: 1 A, 2 U, 3 V, 5 E, 7 B, 8 D,
+// 9 N, 0 T, so 599 is sent 5NN and 190 ANT.
+
+// Abbreviation types; telegraph office abbreviations are preferred for sending
+const TYPES = ['telegraph', 'cw', 'q-code'];
+
+const Q_CODES = [
+  ['QRL', 'THIS FREQUENCY IS BUSY', 'IS THIS FREQUENCY BUSY'],
+  ['QRM', 'I AM BEING INTERFERED WITH', 'ARE YOU BEING INTERFERED WITH'],
+  ['QRN', 'I AM TROUBLED BY STATIC', 'ARE YOU TROUBLED BY STATIC'],
+  ['QRO', 'INCREASE POWER', 'SHALL I INCREASE POWER'],
+  ['QRP', 'DECREASE POWER', 'SHALL I DECREASE POWER'],
+  ['QRQ', 'SEND FASTER', 'SHALL I SEND FASTER'],
+  ['QRS', 'SEND MORE SLOWLY', 'SHALL I SEND MORE SLOWLY'],
+  ['QRT', 'STOP SENDING', 'SHALL I STOP SENDING'],
+  ['QRU', 'I HAVE NOTHING FOR YOU', 'HAVE YOU ANYTHING FOR ME'],
+  ['QRV', 'I AM READY', 'ARE YOU READY'],
+  ['QRX', 'STAND BY', 'WHEN WILL YOU CALL AGAIN'],
+  ['QRZ', 'YOU ARE BEING CALLED BY', 'WHO IS CALLING ME'],
+  ['QSB', 'YOUR SIGNALS ARE FADING', 'ARE MY SIGNALS FADING'],
+  ['QSL', 'I ACKNOWLEDGE RECEIPT', 'CAN YOU ACKNOWLEDGE RECEIPT'],
+  ['QSO', 'I CAN COMMUNICATE WITH', 'CAN YOU COMMUNICATE WITH'],
+  ['QSY', 'CHANGE FREQUENCY', 'SHALL I CHANGE FREQUENCY'],
+  ['QTH', 'MY LOCATION IS', 'WHAT IS YOUR LOCATION'],
+  ['QTR', 'THE TIME IS', 'WHAT IS THE CORRECT TIME']
+];
+
+// Where two abbreviations share a meaning, the first is used for sending
+const CW_ABBREVIATIONS = [
+  ['73', 'BEST REGARDS'],
+  ['88', 'LOVE AND KISSES'],
+  ['TNX', 'THANKS'],
+  ['TKS', 'THANKS'],
+  ['TU', 'THANK YOU'],
+  ['GM', 'GOOD MORNING'],
+  ['GA', 'GOOD AFTERNOON'],
+  ['GE', 'GOOD EVENING'],
+  ['GN', 'GOOD NIGHT'],
+  ['CUL', 'SEE YOU LATER'],
+  ['BCNU', 'BE SEEING YOU'],
+  ['CQ', 'CALLING ANY STATION'],
+  ['DE', 'FROM'],
+  ['FB', 'FINE BUSINESS'],
+  ['OM', 'OLD MAN'],
+  ['YL', 'YOUNG LADY'],
+  ['OP', 'OPERATOR'],
+  ['UR', 'YOUR'],
+  ['HR', 'HERE'],
+  ['ES', 'AND'],
+  ['PSE', 'PLEASE'],
+  ['AGN', 'AGAIN'],
+  ['SRI', 'SORRY'],
+  ['VY', 'VERY'],
+  ['WID', 'WITH'],
+  ['ABT', 'ABOUT'],
+  ['HW', 'HOW'],
+  ['NW', 'NOW'],
+  ['NR', 'NUMBER'],
+  ['WX', 'WEATHER'],
+  ['CPY', 'COPY'],
+  ['SIG', 'SIGNAL'],
+  ['PWR', 'POWER'],
+  ['RPT', 'REPEAT'],
+  ['HPE', 'HOPE'],
+  ['B4', 'BEFORE'],
+  ['BK', 'BREAK']
+];
+
+const TELEGRAPH_ABBREVIATIONS = [
+  ['MSG', 'MESSAGE'],
+  ['RECD', 'RECEIVED'],
+  ['REC\'D', 'RECEIVED'],
+  ['XMIT', 'TRANSMIT'],
+  ['ACK', 'ACKNOWLEDGE'],
+  ['ANS', 'ANSWER'],
+  ['ADV', 'ADVISE'],
+  ['CFM', 'CONFIRM'],
+  ['IMMED', 'IMMEDIATELY'],
+  ['TMRW', 'TOMORROW']
+];
+
+const CUT_DIGITS = { A: '1', U: '2', V: '3', E: '5', B: '7', D: '8', N: '9', T: '0' };
+const DIGIT_CUTS = Object.fromEntries(Object.entries(CUT_DIGITS).map(([letter, digit]) => [digit, letter]));
+
+const ENTRIES = [
+  ...TELEGRAPH_ABBREVIATIONS.map(([abbreviation, expansion]) => ({ abbreviation, expansion, type: 'telegraph' })),
+  ...CW_ABBREVIATIONS.map(([abbreviation, expansion]) => ({ abbreviation, expansion, type: 'cw' })),
+  ...Q_CODES.map(([abbreviation, expansion, question]) => ({ abbreviation, expansion, question, type: 'q-code' }))
+];
+
+/**
+ * Lists the codebook entries
+ * @param {string[]} [types] - Types to list: 'telegraph', 'cw' and 'q-code' (default all)
+ * @returns {{abbreviation: string, expansion: string, question?: string, type: string}[]} Entries;
+ *   Q-codes also give their question meaning
+ */
+export function getAbbreviations(types = TYPES) {
+  return ENTRIES.filter(entry => types.includes(entry.type)).map(entry => ({ ...entry }));
+}
+
+/**
+ * Splits a word from the punctuation that follows it
+ * @param {string} word - Word as written
+ * @returns {{core: string, punctuation: string}} Upper-case word and trailing punctuation
+ */
+function splitPunctuation(word) {
+  const [, core, punctuation] = word.match(/^(.*?)([?.,!:;]*)$/);
+  return { core: core.toUpperCase(), punctuation };
+}
+
+/**
+ * Reads a cut-number group as digits
+ * @param {string} word - Upper-case word
+ * @param {boolean} lettersOnly - Also read groups without a digit in them
+ * @returns {string|null} Digits, or null when the word is not a cut-number group
+ */
+function readCutNumber(word, lettersOnly) {
+  if (!/^[0-9AUVEBDNT]+$/.test(word) || (!lettersOnly && !/[0-9]/.test(word)) || !/[A-Z]/.test(word)) {
+    return null;
+  }
+  // Ordinals such as 2ND are not cut numbers
+  if (/^[0-9]+(ND|TH)$/.test(word)) {
+    return null;
+  }
+  return [...word].map(char => CUT_DIGITS[char] || char).join('');
+}
+
+/**
+ * Expands abbreviations for display
+ * Q-codes followed by '?' take their question meaning. Groups of digits and
+ * cut-number letters, such as 5NN, are read as numbers; groups of letters
+ * alone are only read as cut numbers with options.cutNumbers, since most of
+ * them are also words.
+ *
+ * @param {string} text - Text as received
+ * @param {Object} [options] - Expansion options
+ * @param {string[]} [options.types] - Abbreviation types to expand (default all)
+ * @param {boolean} [options.cutNumbers=false] - Read letter-only groups (ANT) as cut numbers
+ * @returns {{text: string, expansions: {abbreviation: string, expansion: string, type: string}[]}}
+ *   Text with abbreviations written out, and each expansion made
+ */
+export function expandAbbreviations(text, options = {}) {
+  if (typeof text !== 'string') {
+    return { text: '', expansions: [] };
+  }
+
+  const lookup = new Map(getAbbreviations(options.types).map(entry => [entry.abbreviation, entry]));
+  const expansions = [];
+
+  const expanded = text.split(/(\s+)/).map(part => {
+    const { core, punctuation } = splitPunctuation(part);
+    const entry = lookup.get(core);
+
+    if (entry) {
+      const expansion = entry.question && punctuation.includes('?') ? entry.question : entry.expansion;
+      expansions.push({ abbreviation: core, expansion, type: entry.type });
+      return expansion + punctuation;
+    }
+
+    const digits = readCutNumber(core, options.cutNumbers === true);
+    if (digits) {
+      expansions.push({ abbreviation: core, expansion: digits, type: 'cut-number' });
+      return digits + punctuation;
+    }
+
+    return part;
+  }).join('');
+
+  return { text: expanded, expansions };
+}
+
+/**
+ * Compresses plain English into abbreviations for sending
+ * The longest matching phrase is replaced first. A Q-code question meaning is
+ * only matched when the phrase ends in '?'. Words are rejoined with single
+ * spaces.
+ *
+ * @param {string} text - Plain text
+ * @param {Object} [options] - Compression options
+ * @param {string[]} [options.types] - Abbreviation types to use (default all)
+ * @param {boolean} [options.cutNumbers=false] - Send numbers as cut numbers (190 → ANT)
+ * @returns {{text: string, abbreviations: {phrase: string, abbreviation: string, type: string}[]}}
+ *   Compressed text, and each phrase replaced
+ */
+export function compressText(text, options = {}) {
+  if (typeof text !== 'string') {
+    return { text: '', abbreviations: [] };
+  }
+
+  // Phrase → abbreviation; the first entry for a phrase wins
+  const phrases = new Map();
+  for (const entry of getAbbreviations(options.types)) {
+    if (!phrases.has(entry.expansion)) {
+      phrases.set(entry.expansion, { abbreviation: entry.abbreviation, type: entry.type });
+    }
+    if (entry.question && !phrases.has(`${entry.question}?`)) {
+      phrases.set(`${entry.question}?`, { abbreviation: entry.abbreviation, type: entry.type });
+    }
+  }
+  const longest = Math.max(0, ...[...phrases.keys()].map(phrase => phrase.split(' ').length));
+
+  const words = text.trim().split(/\s+/).filter(word => word !== '');
+  const abbreviations = [];
+  const output = [];
+
+  for (let i = 0; i < words.length;) {
+    let matched = false;
+
+    for (let length = Math.min(longest, words.length - i); length > 0 && !matched; length--) {
+      const group = words.slice(i, i + length);
+      const { core, punctuation } = splitPunctuation(group[length - 1]);
+      const phrase = [...group.slice(0, -1).map(word => word.toUpperCase()), core].join(' ');
+      const asked = punctuation.includes('?');
+      const match = (asked && phrases.get(`${phrase}?`)) || phrases.get(phrase);
+
+      if (match) {
+        abbreviations.push({ phrase, abbreviation: match.abbreviation, type: match.type });
+        output.push(match.abbreviation + punctuation);
+        i += length;
+        matched = true;
+      }
+    }
+
+    if (!matched) {
+      const { core, punctuation } = splitPunctuation(words[i]);
+      if (options.cutNumbers === true && /^[0-9]+$/.test(core)) {
+        const cut = [...core].map(digit => DIGIT_CUTS[digit] || digit).join('');
+        abbreviations.push({ phrase: core, abbreviation: cut, type: 'cut-number' });
+        output.push(cut + punctuation);
+      } else {
+        output.push(words[i]);
+      }
+      i++;
+    }
+  }
+
+  return { text: output.join(' '), abbreviations };
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { expandAbbreviations, compressText, getAbbreviations } from './codebook.js';
+
+describe('Codebook - Unit Tests', () => {
+  describe('expandAbbreviations', () => {
+    it('should spell out CW abbreviations', () => {
+      const result = expandAbbreviations('TNX FER CALL ES 73');
+
+      expect(result.text).toBe('THANKS FER CALL AND BEST REGARDS');
+      expect(result.expansions).toEqual([
+        { abbreviation: 'TNX', expansion: 'THANKS', type: 'cw' },
+        { abbreviation: 'ES', expansion: 'AND', type: 'cw' },
+        { abbreviation: '73', expansion: 'BEST REGARDS', type: 'cw' }
+      ]);
+    });
+
+    it('should give a Q-code its question meaning when followed by ?', () => {
+      expect(expandAbbreviations('QTH?').text).toBe('WHAT IS YOUR LOCATION?');
+      expect(expandAbbreviations('QTH BOSTON').text).toBe('MY LOCATION IS BOSTON');
+    });
+
+    it('should keep punctuation and spacing', () => {
+      expect(expandAbbreviations('MSG RECD,  QRX.').text).toBe('MESSAGE RECEIVED,  STAND BY.');
+    });
+
+    it('should read cut numbers mixed with digits', () => {
+      const result = expandAbbreviations('UR RST 5NN');
+
+      expect(result.text).toBe('YOUR RST 599');
+      expect(result.expansions[1]).toEqual({ abbreviation: '5NN', expansion: '599', type: 'cut-number' });
+    });
+
+    it('should only read letter-only cut numbers when asked', () => {
+      expect(expandAbbreviations('ANT').text).toBe('ANT');
+      expect(expandAbbreviations('ANT', { cutNumbers: true }).text).toBe('190');
+    });
+
+    it('should leave ordinals and call signs alone', () => {
+      expect(expandAbbreviations('2ND TRAIN DE W1AW').text).toBe('2ND TRAIN FROM W1AW');
+    });
+
+    it('should expand only the requested types', () => {
+      expect(expandAbbreviations('MSG QSL', { types: ['telegraph'] }).text).toBe('MESSAGE QSL');
+    });
+
+    it('should return empty results for non-string input', () => {
+      expect(expandAbbreviations(null)).toEqual({ text: '', expansions: [] });
+    });
+  });
+
+  describe('compressText', () => {
+    it('should replace the longest phrases first', () => {
+      const result = compressText('THANK YOU AND GOOD NIGHT');
+
+      expect(result.text).toBe('TU ES GN');
+      expect(result.abbreviations.map(({ phrase }) => phrase)).toEqual(['THANK YOU', 'AND', 'GOOD NIGHT']);
+    });
+
+    it('should ask Q-code questions only for questions', () => {
+      expect(compressText('What is your location?').text).toBe('QTH?');
+      expect(compressText('Stand by.').text).toBe('QRX.');
+    });
+
+    it('should prefer telegraph office abbreviations', () => {
+      expect(compressText('Message received').text).toBe('MSG RECD');
+    });
+
+    it('should leave words with no abbreviation as they are', () => {
+      expect(compressText('Arriving Boston tonight').text).toBe('Arriving Boston tonight');
+    });
+
+    it('should send numbers as cut numbers when asked', () => {
+      expect(compressText('ROOM 190').text).toBe('ROOM 190');
+      expect(compressText('ROOM 190', { cutNumbers: true }).text).toBe('ROOM ANT');
+    });
+
+    it('should round-trip through expandAbbreviations', () => {
+      const plain = 'PLEASE REPEAT YOUR MESSAGE AGAIN';
+
+      expect(expandAbbreviations(compressText(plain).text).text).toBe(plain);
+    });
+
+    it('should use only the requested types', () => {
+      expect(compressText('MESSAGE AND THANKS', { types: ['telegraph'] }).text).toBe('MSG AND THANKS');
+    });
+  });
+
+  describe('getAbbreviations', () => {
+    it('should list entries by type', () => {
+      const qCodes = getAbbreviations(['q-code']);
+
+      expect(qCodes.every(({ type }) => type === 'q-code')).toBe(true);
+      expect(qCodes.find(({ abbreviation }) => abbreviation === 'QSL')).toEqual({
+        abbreviation: 'QSL',
+        expansion: 'I ACKNOWLEDGE RECEIPT',
+        question: 'CAN YOU ACKNOWLEDGE RECEIPT',
+        type: 'q-code'
+      });
+    });
+  });
+});
@@ -0,0 +1,190 @@
+// Commercial Codes - phrase code books for cutting word charges
+//
+// Telegrams were charged by the word, so senders used code books that stood
+// a single code word for a whole phrase: ALL WELL AT HOME went as one word.
+// A code book is bundled per file in ./commercial-codes and registered here.
+
+import westernUnion from './commercial-codes/western-union.js';
+import abc from './commercial-codes/abc.js';
+
+// Code books by name
+const CODE_BOOKS = {};
+
+/**
+ * Adds a code book that the encode and decode functions accept as options.book
+ * @param {Object} definition - Code book definition
+ * @param {string} definition.name - Name used as options.book
+ * @param {string} [definition.description] - Human-readable name
+ * @param {Object} definition.words - Code word to phrase mapping, both upper case
+ * @throws {Error} If the definition is incomplete, a phrase has two code words,
+ *   or the name is taken
+ */
+export function registerCodeBook(definition) {
+  const { name, words } = definition || {};
+  if (typeof name !== 'string' || !name || !words) {
+    throw new Error('Invalid code book: name and words are required');
+  }
+  if (CODE_BOOKS[name]) {
+    throw new Error(`Code book already registered: ${name}`);
+  }
+
+  const phrases = new Map();
+  for (const [codeWord, phrase] of Object.entries(words)) {
+    if (!/^[A-Z]+$/.test(codeWord)) {
+      throw new Error(`Invalid code book: code word ${codeWord} must be letters A-Z`);
+    }
+    if (phrases.has(phrase)) {
+      throw new Error(`Invalid code book: ${phrase} has two code words`);
+    }
+    phrases.set(phrase, codeWord);
+  }
+
+  CODE_BOOKS[name] = {
+    name,
+    description: definition.description || name,
+    words: new Map(Object.entries(words)),
+    phrases,
+    longest: Math.max(0, ...[...phrases.keys()].map(phrase => phrase.split(' ').length))
+  };
+}
+
+[westernUnion, abc].forEach(registerCodeBook);
+
+/**
+ * Lists the names of the bundled and registered code books
+ * @returns {string[]} Code book names accepted by options.book, 'western-union' first
+ */
+export function getSupportedCodeBooks() {
+  return Object.keys(CODE_BOOKS);
+}
+
+/**
+ * Lists the phrases of a code book
+ * @param {string} [name='western-union'] - Code book name
+ * @returns {{code: string, phrase: string}[]} Code words and their phrases
+ * @throws {Error} If the code book is unknown
+ */
+export function getCodeBook(name = 'western-union') {
+  return [...findCodeBook(name).words].map(([code, phrase]) => ({ code, phrase }));
+}
+
+/**
+ * Looks up a code book
+ * @param {string} name - Code book name
+ * @returns {Object} Registered code book
+ * @throws {Error} If the code book is unknown
+ */
+function findCodeBook(name) {
+  const book = CODE_BOOKS[name];
+  if (!book) {
+    throw new Error(`Unknown code book: ${name}`);
+  }
+  return book;
+}
+
+/**
+ * Splits a word from the punctuation that follows it
+ * @param {string} word - Word as written
+ * @returns {{core: string, punctuation: string}} Upper-case word and trailing punctuation
+ */
+function splitPunctuation(word) {
+  const [, core, punctuation] = word.match(/^(.*?)([?.,!:;]*)$/);
+  return { core: core.toUpperCase(), punctuation };
+}
+
+/**
+ * Counts chargeable words, as checkBrevity does
+ * @param {string} text - Text
+ * @returns {number} Number of words
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(word => word !== '').length;
+}
+
+/**
+ * Encodes the phrases of a telegram as code words
+ * The longest matching phrase is replaced first. Words are rejoined with
+ * single spaces.
+ *
+ * @param {string} text - Plain text
+ * @param {Object} [options] - Encoding options
+ * @param {string} [options.book='western-union'] - Code book to use
+ * @returns {{text: string, codes: {phrase: string, code: string}[],
+ *   savings: {plainWords: number, codedWords: number, wordsSaved: number}}}
+ *   Coded text, each phrase replaced, and the words saved on the charge
+ * @throws {Error} If the code book is unknown
+ */
+export function encodeWithCodeBook(text, options = {}) {
+  const book = findCodeBook(options.book ?? 'western-union');
+  if (typeof text !== 'string') {
+    return { text: '', codes: [], savings: { plainWords: 0, codedWords: 0, wordsSaved: 0 } };
+  }
+
+  const words = text.trim().split(/\s+/).filter(word => word !== '');
+  const codes = [];
+  const output = [];
+
+  for (let i = 0; i < words.length;) {
+    let matched = false;
+
+    for (let length = Math.min(book.longest, words.length - i); length > 0 && !matched; length--) {
+      const group = words.slice(i, i + length);
+      const { core, punctuation } = splitPunctuation(group[length - 1]);
+      const phrase = [...group.slice(0, -1).map(word => word.toUpperCase()), core].join(' ');
+      const code = book.phrases.get(phrase);
+
+      if (code) {
+        codes.push({ phrase, code });
+        output.push(code + punctuation);
+        i += length;
+        matched = true;
+      }
+    }
+
+    if (!matched) {
+      output.push(words[i]);
+      i++;
+    }
+  }
+
+  const coded = output.join(' ');
+  const plainWords = words.length;
+  const codedWords = countWords(coded);
+  return {
+    text: coded,
+    codes,
+    savings: { plainWords, codedWords, wordsSaved: plainWords - codedWords }
+  };
+}
+
+/**
+ * Decodes the code words of a telegram back into their phrases
+ * Words that are not in the code book are left as sent.
+ *
+ * @param {string} text - Coded text
+ * @param {Object} [options] - Decoding options
+ * @param {string} [options.book='western-union'] - Code book to use
+ * @returns {{text: string, codes: {code: string, phrase: string}[]}} Plain text,
+ *   and each code word read
+ * @throws {Error} If the code book is unknown
+ */
+export function decodeWithCodeBook(text, options = {}) {
+  const book = findCodeBook(options.book ?? 'western-union');
+  if (typeof text !== 'string') {
+    return { text: '', codes: [] };
+  }
+
+  const codes = [];
+  const decoded = text.split(/(\s+)/).map(part => {
+    const { core, punctuation } = splitPunctuation(part);
+    const phrase = book.words.get(core);
+
+    if (phrase) {
+      codes.push({ code: core, phrase });
+      return phrase + punctuation;
+    }
+    return part;
+  }).join('');
+
+  return { text: decoded, codes };
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  encodeWithCodeBook,
+  decodeWithCodeBook,
+  getSupportedCodeBooks,
+  getCodeBook,
+  registerCodeBook
+} from './commercial-codes.js';
+
+describe('Commercial Codes - Unit Tests', () => {
+  describe('encodeWithCodeBook', () => {
+    it('should replace phrases with code words and report the words saved', () => {
+      const result = encodeWithCodeBook('ARRIVED SAFELY STOP ALL WELL AT HOME STOP');
+
+      expect(result.text).toBe('BAKUL STOP BAMIX STOP');
+      expect(result.codes).toEqual([
+        { phrase: 'ARRIVED SAFELY', code: 'BAKUL' },
+        { phrase: 'ALL WELL AT HOME', code: 'BAMIX' }
+      ]);
+      expect(result.savings).toEqual({ plainWords: 8, codedWords: 4, wordsSaved: 4 });
+    });
+
+    it('should prefer the longest phrase', () => {
+      expect(encodeWithCodeBook('send money at once').text).toBe('BEFOL');
+      expect(encodeWithCodeBook('send money today').text).toBe('BEDUF today');
+    });
+
+    it('should keep punctuation after a phrase', () => {
+      expect(encodeWithCodeBook('All well, letter follows.').text).toBe('BALOT, BIDUM.');
+    });
+
+    it('should use the book asked for', () => {
+      expect(encodeWithCodeBook('VESSEL SAILED TODAY', { book: 'abc' }).text).toBe('ABOFA');
+      expect(encodeWithCodeBook('VESSEL SAILED TODAY').text).toBe('VESSEL SAILED TODAY');
+    });
+
+    it('should save nothing on text without phrases', () => {
+      expect(encodeWithCodeBook('HELLO FROM BOSTON').savings.wordsSaved).toBe(0);
+      expect(encodeWithCodeBook(null)).toEqual({
+        text: '',
+        codes: [],
+        savings: { plainWords: 0, codedWords: 0, wordsSaved: 0 }
+      });
+    });
+
+    it('should reject unknown code books', () => {
+      expect(() => encodeWithCodeBook('ALL WELL', { book: 'slater' })).toThrow('Unknown code book: slater');
+    });
+  });
+
+  describe('decodeWithCodeBook', () => {
+    it('should write code words out as their phrases', () => {
+      const result = decodeWithCodeBook('BAKUL STOP bamix.');
+
+      expect(result.text).toBe('ARRIVED SAFELY STOP ALL WELL AT HOME.');
+      expect(result.codes).toEqual([
+        { code: 'BAKUL', phrase: 'ARRIVED SAFELY' },
+        { code: 'BAMIX', phrase: 'ALL WELL AT HOME' }
+      ]);
+    });
+
+    it('should read back what encodeWithCodeBook wrote', () => {
+      for (const book of getSupportedCodeBooks()) {
+        for (const { phrase } of getCodeBook(book)) {
+          const text = `${phrase} STOP`;
+          expect(decodeWithCodeBook(encodeWithCodeBook(text, { book }).text, { book }).text).toBe(text);
+        }
+      }
+    });
+  });
+
+  describe('code books', () => {
+    it('should bundle the Western Union and ABC codes', () => {
+      expect(getSupportedCodeBooks()).toEqual(['western-union', 'abc']);
+      expect(getCodeBook('abc')).toContainEqual({ code: 'AMEDO', phrase: 'ALL WELL' });
+    });
+
+    it('should keep code words to five letters', () => {
+      for (const book of getSupportedCodeBooks()) {
+        for (const { code } of getCodeBook(book)) {
+          expect(code).toMatch(/^[A-Z]{5}$/);
+        }
+      }
+    });
+
+    it('should register a code book', () => {
+      registerCodeBook({ name: 'test-book', words: { ZYXAB: 'SHIP THE GOODS' } });
+
+      expect(getSupportedCodeBooks()).toContain('test-book');
+      expect(encodeWithCodeBook('SHIP THE GOODS', { book: 'test-book' }).text).toBe('ZYXAB');
+    });
+
+    it('should reject incomplete and conflicting code books', () => {
+      expect(() => registerCodeBook({ name: 'empty' })).toThrow('name and words are required');
+      expect(() => registerCodeBook({ name: 'abc', words: {} })).toThrow('already registered');
+      expect(() => registerCodeBook({ name: 'twice', words: { AAAAA: 'GO', BBBBB: 'GO' } }))
+        .toThrow('GO has two code words');
+      expect(() => registerCodeBook({ name: 'digits', words: { A1: 'GO' } })).toThrow('letters A-Z');
+    });
+  });
+});
@@ -0,0 +1,35 @@
+// ABC style commercial code
+// Shipping and freight phrases after the ABC Telegraphic Code (1873), one
+// five-letter code word each. The code words are made up for this project
+// and are not words in plain English.
+
+export default {
+  name: 'abc',
+  description: 'ABC shipping code',
+  words: {
+    ABEKO: 'VESSEL ARRIVED',
+    ABIDU: 'VESSEL SAILED',
+    ABOFA: 'VESSEL SAILED TODAY',
+    ACADI: 'CARGO DISCHARGED',
+    ACEBU: 'CARGO DAMAGED',
+    ACIFO: 'CARGO INSURED',
+    ADAGO: 'FREIGHT PAID',
+    ADEKU: 'FREIGHT RATES ADVANCING',
+    ADIMA: 'FREIGHT RATES DECLINING',
+    AFABU: 'CHARTER CONCLUDED',
+    AFEDO: 'CHARTER FAILED',
+    AFIGU: 'DETAINED BY WEATHER',
+    AGAKO: 'IN QUARANTINE',
+    AGEMU: 'CAPTAIN ILL',
+    AGINO: 'CREW COMPLETE',
+    AKAPU: 'SHIP IN GOOD ORDER',
+    AKERO: 'SEND PARTICULARS',
+    AKISU: 'AWAIT INSTRUCTIONS',
+    ALATO: 'ACCEPT YOUR OFFER',
+    ALEVU: 'DECLINE YOUR OFFER',
+    ALIXO: 'WIRE REPLY',
+    AMABU: 'LETTER FOLLOWS',
+    AMEDO: 'ALL WELL',
+    AMIFU: 'ARRIVED SAFELY'
+  }
+};
@@ -0,0 +1,42 @@
+// Western Union style commercial code
+// Family and general business phrases, one five-letter code word each.
+// The phrases follow the Western Union codes of the 1900s; the code words
+// are made up for this project and are not words in plain English.
+
+export default {
+  name: 'western-union',
+  description: 'Western Union general code',
+  words: {
+    BAKUL: 'ARRIVED SAFELY',
+    BALOT: 'ALL WELL',
+    BAMIX: 'ALL WELL AT HOME',
+    BEDUF: 'SEND MONEY',
+    BEFOL: 'SEND MONEY AT ONCE',
+    BEKAP: 'MONEY RECEIVED',
+    BIDUM: 'LETTER FOLLOWS',
+    BIFAX: 'WIRE REPLY',
+    BIGOL: 'REPLY PAID',
+    BOKUN: 'CANNOT COME',
+    BOLIR: 'WILL ARRIVE TOMORROW',
+    BOMAF: 'WILL ARRIVE TONIGHT',
+    BOPUZ: 'MEET ME AT THE STATION',
+    BUDAK: 'TRAIN DELAYED',
+    BUFEL: 'COME AT ONCE',
+    BUGOM: 'MOTHER SERIOUSLY ILL',
+    BUHAV: 'FATHER SERIOUSLY ILL',
+    CADEP: 'BABY BORN',
+    CAFIB: 'MOTHER AND CHILD DOING WELL',
+    CAGUL: 'CONGRATULATIONS ON YOUR MARRIAGE',
+    CEBUX: 'ACCEPT YOUR OFFER',
+    CEDAM: 'DECLINE YOUR OFFER',
+    CIFOL: 'GOODS SHIPPED TODAY',
+    CIGAB: 'ORDER RECEIVED',
+    COBEM: 'AWAIT INSTRUCTIONS',
+    CODAK: 'MARKET FIRM',
+    COFIN: 'MARKET DULL',
+    CUBAL: 'PRICE TOO HIGH',
+    CUDEX: 'REMIT BY DRAFT',
+    CUFOM: 'HAPPY NEW YEAR',
+    CUGAL: 'MERRY CHRISTMAS'
+  }
+};
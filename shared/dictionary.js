@@ -0,0 +1,67 @@
+// Word lists for correcting mis-keyed transmissions
+//
+// Telegraph vocabulary is preferred when two candidates are equally close.
+// Common English words are listed most frequent first.
+
+// Words and abbreviations of telegraph traffic
+export const TELEGRAPH_VOCABULARY = [
+  'STOP', 'RECD', 'MSG', 'XMIT', 'TELEGRAM', 'TELEGRAPH', 'OPERATOR', 'WIRE',
+  'RECEIVED', 'REPLY', 'ANSWER', 'PAID', 'COLLECT', 'RUSH', 'URGENT', 'ARRIVE',
+  'ARRIVING', 'ARRIVED', 'DEPART', 'DEPARTING', 'TRAIN', 'STATION', 'OFFICE',
+  'LINE', 'KEY', 'SIGNAL', 'SOUNDER', 'RELAY', 'BATTERY', 'REPEAT', 'ACKNOWLEDGE',
+  'CONFIRM', 'ADVISE', 'REGARDS', 'SAFE', 'WELL', 'MONEY', 'FUNDS', 'SEND',
+  'SENT', 'DELAYED', 'CANCEL', 'POSTPONED', 'TONIGHT', 'TOMORROW', 'TODAY',
+  'MORNING', 'EVENING', 'NOON', 'MIDNIGHT', 'DEAR', 'SIR', 'MADAM', 'MOTHER',
+  'FATHER', 'BROTHER', 'SISTER', 'WIFE', 'HUSBAND', 'SON', 'DAUGHTER', 'BABY',
+  'BORN', 'DIED', 'ILL', 'FUNERAL', 'WEDDING', 'CONGRATULATIONS', 'LOVE',
+  'WESTERN', 'UNION', 'COMPANY', 'ORDER', 'ORDERS', 'GOODS', 'SHIPPED',
+  'PRICE', 'MARKET', 'GOLD', 'COTTON', 'WHEAT', 'CATTLE', 'BANK', 'DRAFT',
+  'HELLO', 'TEST', 'EMAIL', 'INTERNET', 'COMPUTER', 'PHONE', 'TARNATION'
+];
+
+// Common English words, most frequent first
+export const COMMON_WORDS = [
+  'THE', 'OF', 'AND', 'TO', 'A', 'IN', 'IS', 'IT', 'YOU', 'THAT', 'HE', 'WAS',
+  'FOR', 'ON', 'ARE', 'WITH', 'AS', 'I', 'HIS', 'THEY', 'BE', 'AT', 'ONE',
+  'HAVE', 'THIS', 'FROM', 'OR', 'HAD', 'BY', 'NOT', 'WORD', 'BUT', 'WHAT',
+  'SOME', 'WE', 'CAN', 'OUT', 'OTHER', 'WERE', 'ALL', 'THERE', 'WHEN', 'UP',
+  'USE', 'YOUR', 'HOW', 'SAID', 'AN', 'EACH', 'SHE', 'WHICH', 'DO', 'THEIR',
+  'TIME', 'IF', 'WILL', 'WAY', 'ABOUT', 'MANY', 'THEN', 'THEM', 'WRITE',
+  'WOULD', 'LIKE', 'SO', 'THESE', 'HER', 'LONG', 'MAKE', 'THING', 'SEE', 'HIM',
+  'TWO', 'HAS', 'LOOK', 'MORE', 'DAY', 'COULD', 'GO', 'COME', 'DID', 'NUMBER',
+  'SOUND', 'NO', 'MOST', 'PEOPLE', 'MY', 'OVER', 'KNOW', 'WATER', 'THAN',
+  'CALL', 'FIRST', 'WHO', 'MAY', 'DOWN', 'SIDE', 'BEEN', 'NOW', 'FIND', 'ANY',
+  'NEW', 'WORK', 'PART', 'TAKE', 'GET', 'PLACE', 'MADE', 'LIVE', 'WHERE',
+  'AFTER', 'BACK', 'LITTLE', 'ONLY', 'ROUND', 'MAN', 'YEAR', 'CAME', 'SHOW',
+  'EVERY', 'GOOD', 'ME', 'GIVE', 'OUR', 'UNDER', 'NAME', 'VERY', 'THROUGH',
+  'JUST', 'FORM', 'MUCH', 'GREAT', 'THINK', 'SAY', 'HELP', 'LOW', 'LINE',
+  'BEFORE', 'TURN', 'CAUSE', 'SAME', 'MEAN', 'DIFFER', 'MOVE', 'RIGHT', 'BOY',
+  'OLD', 'TOO', 'DOES', 'TELL', 'SET', 'THREE', 'WANT', 'AIR', 'WELL', 'ALSO',
+  'PLAY', 'SMALL', 'END', 'PUT', 'HOME', 'READ', 'HAND', 'PORT', 'LARGE',
+  'SPELL', 'ADD', 'EVEN', 'LAND', 'HERE', 'MUST', 'BIG', 'HIGH', 'SUCH',
+  'FOLLOW', 'ACT', 'WHY', 'ASK', 'MEN', 'CHANGE', 'WENT', 'LIGHT', 'KIND',
+  'OFF', 'NEED', 'HOUSE', 'PICTURE', 'TRY', 'US', 'AGAIN', 'ANIMAL', 'POINT',
+  'FATHER', 'TREE', 'NEVER', 'START', 'CITY', 'EARTH', 'EYE',
+  'THOUGHT', 'HEAD', 'STORY', 'SAW', 'LEFT', 'FEW', 'WHILE', 'ALONG',
+  'MIGHT', 'CLOSE', 'SOMETHING', 'SEEM', 'NEXT', 'HARD', 'OPEN', 'EXAMPLE',
+  'BEGIN', 'LIFE', 'ALWAYS', 'THOSE', 'BOTH', 'PAPER', 'TOGETHER', 'GOT',
+  'GROUP', 'OFTEN', 'RUN', 'IMPORTANT', 'UNTIL', 'CHILDREN', 'FEET', 'CAR',
+  'MILE', 'NIGHT', 'WALK', 'WHITE', 'SEA', 'BEGAN', 'GROW', 'TOOK', 'RIVER',
+  'FOUR', 'CARRY', 'STATE', 'ONCE', 'BOOK', 'HEAR', 'STOP', 'WITHOUT',
+  'SECOND', 'LATE', 'MISS', 'IDEA', 'ENOUGH', 'EAT', 'FACE', 'WATCH', 'FAR',
+  'REAL', 'ALMOST', 'LET', 'ABOVE', 'GIRL', 'SOMETIMES', 'MOUNTAIN', 'CUT',
+  'YOUNG', 'TALK', 'SOON', 'LIST', 'SONG', 'BEING', 'LEAVE', 'FAMILY', 'BODY',
+  'MUSIC', 'COLOR', 'STAND', 'SUN', 'QUESTION', 'FISH', 'AREA', 'MARK', 'DOG',
+  'HORSE', 'BIRD', 'PROBLEM', 'COMPLETE', 'ROOM', 'KNEW', 'SINCE', 'EVER',
+  'PIECE', 'TOLD', 'USUALLY', 'FRIEND', 'FRIENDS', 'EASY', 'HEARD', 'RED',
+  'DOOR', 'SURE', 'BECOME', 'TOP', 'SHIP', 'ACROSS', 'TODAY', 'DURING',
+  'SHORT', 'BETTER', 'BEST', 'HOWEVER', 'HOURS', 'BLACK', 'WHOLE', 'MEASURE',
+  'REMEMBER', 'EARLY', 'WAVES', 'REACHED', 'LISTEN', 'WIND', 'ROCK', 'SPACE',
+  'COVERED', 'FAST', 'SEVERAL', 'HOLD', 'HIMSELF', 'TOWARD', 'FIVE', 'STEP',
+  'MORNING', 'PASSED', 'TRUE', 'HUNDRED', 'AGAINST', 'PATTERN', 'TABLE',
+  'NORTH', 'SOUTH', 'EAST', 'WEST', 'SLOWLY', 'MONEY', 'MAP', 'FARM', 'PULLED',
+  'DRAW', 'VOICE', 'SEEN', 'COLD', 'CRIED', 'PLAN', 'NOTICE', 'GROUND', 'FIRE',
+  'UPON', 'YES', 'WAR', 'KING', 'QUEEN', 'WEATHER', 'RAIN', 'SNOW', 'STORM',
+  'PLEASE', 'THANK', 'THANKS', 'SORRY', 'HAPPY', 'COMING', 'GOING', 'WAIT',
+  'WAITING', 'SOS', 'HI', 'OK', 'WEEK', 'MONTH', 'HOUR'
+];
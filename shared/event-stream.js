@@ -0,0 +1,97 @@
+// Event Stream - Server-Sent Events over a fetch response
+//
+// A text/event-stream is a series of events separated by blank lines, each
+// with an optional 'event:' line naming it and 'data:' lines carrying it:
+//
+//   event: word
+//   data: {"text":"HELLO"}
+//
+// The server writes the operator's streamed reply this way, and model APIs
+// stream theirs the same way. EventSource only makes GET requests, so the
+// stream is read from a fetch response body instead.
+
+/**
+ * Writes an event
+ * @param {string} event - Event name
+ * @param {*} data - Event data, sent as JSON
+ * @returns {string} The event as written to the stream
+ */
+export function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Reads one event block
+ * @param {string} block - Lines of one event
+ * @returns {{event: string, data: string}|null} Event name ('message' when not
+ *   named) and its data lines joined, or null when the block has no data
+ */
+function parseEvent(block) {
+  let event = 'message';
+  const data = [];
+  for (const line of block.split(/\r?\n/)) {
+    // Lines starting with a colon are comments
+    const [, field, value = ''] = line.match(/^([^:]*)(?::\s?(.*))?$/);
+    if (field === 'event') {
+      event = value;
+    } else if (field === 'data') {
+      data.push(value);
+    }
+  }
+  return data.length > 0 ? { event, data: data.join('\n') } : null;
+}
+
+/**
+ * Splits a stream into events as its text arrives
+ */
+export class EventStreamParser {
+  constructor() {
+    this.buffer = '';
+  }
+
+  /**
+   * Adds text from the stream
+   * @param {string} text - Next piece of the stream
+   * @returns {{event: string, data: string}[]} Events completed by the text
+   */
+  push(text) {
+    this.buffer += text;
+    const blocks = this.buffer.split(/\r?\n\r?\n/);
+    this.buffer = blocks.pop();
+    return blocks.map(parseEvent).filter(Boolean);
+  }
+
+  /**
+   * Ends the stream
+   * @returns {{event: string, data: string}[]} An event left unterminated, if any
+   */
+  end() {
+    const event = parseEvent(this.buffer);
+    this.buffer = '';
+    return event ? [event] : [];
+  }
+}
+
+/**
+ * Reads the events of a response body as they arrive
+ * @param {ReadableStream<Uint8Array>} body - Response body
+ * @yields {{event: string, data: string}} Each event, data as text
+ */
+export async function* readEventStream(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const parser = new EventStreamParser();
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      yield* parser.push(decoder.decode(value, { stream: true }));
+    }
+    yield* parser.push(decoder.decode());
+    yield* parser.end();
+  } finally {
+    reader.releaseLock();
+  }
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { formatEvent, EventStreamParser, readEventStream } from './event-stream.js';
+
+/**
+ * Makes a response body delivering the text in the given pieces
+ * @param {string[]} pieces - Text of each chunk
+ * @returns {ReadableStream<Uint8Array>} Body
+ */
+function bodyOf(pieces) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      pieces.forEach(piece => controller.enqueue(encoder.encode(piece)));
+      controller.close();
+    }
+  });
+}
+
+describe('Event Stream', () => {
+  it('should write named events with JSON data', () => {
+    expect(formatEvent('word', { text: 'HELLO' })).toBe('event: word\ndata: {"text":"HELLO"}\n\n');
+  });
+
+  it('should read events split across pieces', () => {
+    const parser = new EventStreamParser();
+
+    expect(parser.push('event: word\nda')).toEqual([]);
+    expect(parser.push('ta: {"text":"HI"}\n\ndata: [DONE]\n')).toEqual([{ event: 'word', data: '{"text":"HI"}' }]);
+    expect(parser.push('\n')).toEqual([{ event: 'message', data: '[DONE]' }]);
+  });
+
+  it('should join data lines and skip comments and events without data', () => {
+    const parser = new EventStreamParser();
+
+    expect(parser.push(': keep-alive\n\nevent: ping\n\ndata: one\r\ndata:two\r\n\r\n')).toEqual([
+      { event: 'message', data: 'one\ntwo' }
+    ]);
+  });
+
+  it('should read a response body, including an unterminated last event', async () => {
+    const events = [];
+    for await (const event of readEventStream(bodyOf(['event: start\ndata: 1\n\nevent: wo', 'rd\ndata: 2\n\ndata: 3']))) {
+      events.push(event);
+    }
+
+    expect(events).toEqual([
+      { event: 'start', data: '1' },
+      { event: 'word', data: '2' },
+      { event: 'message', data: '3' }
+    ]);
+  });
+
+  it('should read characters split between chunks', async () => {
+    const bytes = new TextEncoder().encode('data: ПРИВЕТ\n\n');
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(bytes.slice(0, 7));
+        controller.enqueue(bytes.slice(7));
+        controller.close();
+      }
+    });
+
+    const events = [];
+    for await (const event of readEventStream(body)) {
+      events.push(event);
+    }
+
+    expect(events).toEqual([{ event: 'message', data: 'ПРИВЕТ' }]);
+  });
+});
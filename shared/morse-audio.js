@@ -0,0 +1,130 @@
+// Morse Audio - renders a keying schedule as PCM samples and WAV files
+//
+// Tones are sine waves shaped with a raised-cosine rise and fall, so they
+// start and stop without clicks. Output is 16-bit mono PCM.
+
+const AUDIO_LIMITS = {
+  frequency: { min: 100, max: 3000, default: 600 },
+  sampleRate: { min: 8000, max: 48000, default: 8000 },
+  volume: { min: 0, max: 1, default: 0.5 },
+  rampMs: { min: 0, max: 20, default: 5 }
+};
+
+/**
+ * Checks that an audio option is a number within its limits
+ * @param {string} name - Option name
+ * @param {*} value - Option value
+ * @param {{min: number, max: number}} limits - Allowed range
+ * @throws {RangeError} If the value is not a number in range
+ */
+function checkAudioOption(name, value, { min, max }) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new RangeError(`Invalid audio option: ${name} must be between ${min} and ${max}`);
+  }
+}
+
+/**
+ * Resolves audio options against their defaults and limits
+ * @param {Object} [options] - Audio options, as for renderSamples
+ * @returns {{frequency: number, sampleRate: number, volume: number, rampMs: number}}
+ * @throws {RangeError} If an option is out of range
+ */
+export function getAudioOptions(options = {}) {
+  const resolved = {};
+  for (const [name, limits] of Object.entries(AUDIO_LIMITS)) {
+    resolved[name] = options[name] ?? limits.default;
+    checkAudioOption(name, resolved[name], limits);
+  }
+  resolved.sampleRate = Math.round(resolved.sampleRate);
+  return resolved;
+}
+
+/**
+ * Renders a keying schedule as PCM samples
+ *
+ * @param {{start: number, duration: number, on: boolean}[]} schedule - Events from morseToSchedule
+ * @param {Object} [options] - Audio options
+ * @param {number} [options.frequency=600] - Tone frequency in Hz (100-3000)
+ * @param {number} [options.sampleRate=8000] - Samples per second (8000-48000)
+ * @param {number} [options.volume=0.5] - Peak amplitude as a fraction of full scale (0-1)
+ * @param {number} [options.rampMs=5] - Rise and fall time of each tone in ms (0-20),
+ *   at most half the tone
+ * @returns {Int16Array} 16-bit mono samples
+ * @throws {RangeError} If an option is out of range
+ */
+export function renderSamples(schedule, options = {}) {
+  const { frequency, sampleRate, volume, rampMs } = getAudioOptions(options);
+  if (!Array.isArray(schedule) || schedule.length === 0) {
+    return new Int16Array(0);
+  }
+
+  const toSamples = ms => Math.round(ms * sampleRate / 1000);
+  const last = schedule[schedule.length - 1];
+  const samples = new Int16Array(toSamples(last.start + last.duration));
+  const peak = volume * 32767;
+  const step = 2 * Math.PI * frequency / sampleRate;
+
+  for (const event of schedule) {
+    if (!event.on) {
+      continue;
+    }
+
+    const first = toSamples(event.start);
+    const length = Math.min(toSamples(event.duration), samples.length - first);
+    const ramp = Math.min(toSamples(rampMs), Math.floor(length / 2));
+
+    for (let i = 0; i < length; i++) {
+      const edge = Math.min(i, length - 1 - i);
+      const envelope = edge < ramp ? (1 - Math.cos(Math.PI * edge / ramp)) / 2 : 1;
+      samples[first + i] = Math.round(peak * envelope * Math.sin(step * i));
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * Wraps 16-bit mono samples in a WAV (RIFF) file
+ * @param {Int16Array} samples - PCM samples
+ * @param {number} sampleRate - Samples per second
+ * @returns {Uint8Array} WAV file bytes
+ */
+function encodeWav(samples, sampleRate) {
+  const dataSize = samples.length * 2;
+  const bytes = new Uint8Array(44 + dataSize);
+  const view = new DataView(bytes.buffer);
+  const writeTag = (offset, tag) => {
+    for (let i = 0; i < tag.length; i++) {
+      view.setUint8(offset + i, tag.charCodeAt(i));
+    }
+  };
+
+  writeTag(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, 16, true);             // fmt chunk size
+  view.setUint16(20, 1, true);              // PCM
+  view.setUint16(22, 1, true);              // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true);              // block align
+  view.setUint16(34, 16, true);             // bits per sample
+  writeTag(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  samples.forEach((sample, i) => view.setInt16(44 + i * 2, sample, true));
+  return bytes;
+}
+
+/**
+ * Renders a keying schedule as a WAV file
+ * @param {{start: number, duration: number, on: boolean}[]} schedule - Events from morseToSchedule
+ * @param {Object} [options] - Audio options, as for renderSamples
+ * @returns {Uint8Array} WAV file bytes, 16-bit mono PCM
+ * @throws {RangeError} If an option is out of range
+ */
+export function renderWav(schedule, options = {}) {
+  const { sampleRate } = getAudioOptions(options);
+  return encodeWav(renderSamples(schedule, options), sampleRate);
+}
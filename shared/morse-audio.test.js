@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { renderSamples, renderWav, getAudioOptions } from './morse-audio.js';
+import { morseToSchedule } from './morse-lib.js';
+
+const readTag = (bytes, offset) => String.fromCharCode(...bytes.slice(offset, offset + 4));
+
+describe('Morse Audio - Unit Tests', () => {
+  describe('renderSamples', () => {
+    it('should last as long as the schedule', () => {
+      // .- : 100 + 100 + 300 ms
+      const samples = renderSamples(morseToSchedule('.-'), { sampleRate: 8000 });
+
+      expect(samples.length).toBe(4000);
+    });
+
+    it('should be silent between tones', () => {
+      const samples = renderSamples(morseToSchedule('. .'), { sampleRate: 8000 });
+      const gap = samples.slice(800, 3200);
+
+      expect(gap.every(sample => sample === 0)).toBe(true);
+      expect(samples.slice(0, 800).some(sample => sample !== 0)).toBe(true);
+    });
+
+    it('should peak at the requested volume', () => {
+      const samples = renderSamples(morseToSchedule('-'), { volume: 0.25, sampleRate: 8000 });
+      const peak = Math.max(...samples.map(Math.abs));
+
+      expect(peak).toBeLessThanOrEqual(Math.round(0.25 * 32767));
+      expect(peak).toBeGreaterThan(0.24 * 32767);
+    });
+
+    it('should rise and fall gently at each end of a tone', () => {
+      const samples = renderSamples(morseToSchedule('-'), { rampMs: 10, sampleRate: 8000 });
+      const edge = Math.max(...samples.slice(0, 8).map(Math.abs));
+      const middle = Math.max(...samples.slice(1000, 1100).map(Math.abs));
+
+      expect(edge).toBeLessThan(middle / 10);
+      expect(samples[samples.length - 1]).toBe(0);
+    });
+
+    it('should sound at the requested frequency', () => {
+      const samples = renderSamples(morseToSchedule('-'), { frequency: 1000, rampMs: 0, sampleRate: 8000 });
+      let crossings = 0;
+      for (let i = 1; i < samples.length; i++) {
+        if (samples[i - 1] < 0 && samples[i] >= 0) {
+          crossings++;
+        }
+      }
+
+      // 300 ms at 1000 Hz
+      expect(crossings).toBeGreaterThanOrEqual(299);
+      expect(crossings).toBeLessThanOrEqual(300);
+    });
+
+    it('should return no samples for an empty schedule', () => {
+      expect(renderSamples([]).length).toBe(0);
+    });
+  });
+
+  describe('renderWav', () => {
+    it('should write a 16-bit mono PCM WAV header', () => {
+      const wav = renderWav(morseToSchedule('.'), { sampleRate: 16000 });
+      const view = new DataView(wav.buffer);
+
+      expect(readTag(wav, 0)).toBe('RIFF');
+      expect(readTag(wav, 8)).toBe('WAVE');
+      expect(readTag(wav, 36)).toBe('data');
+      expect(view.getUint16(20, true)).toBe(1);
+      expect(view.getUint16(22, true)).toBe(1);
+      expect(view.getUint32(24, true)).toBe(16000);
+      expect(view.getUint16(34, true)).toBe(16);
+      // 100 ms at 16000 Hz, two bytes a sample
+      expect(view.getUint32(40, true)).toBe(3200);
+      expect(wav.length).toBe(44 + 3200);
+    });
+  });
+
+  describe('getAudioOptions', () => {
+    it('should fill in defaults', () => {
+      expect(getAudioOptions()).toEqual({ frequency: 600, sampleRate: 8000, volume: 0.5, rampMs: 5 });
+    });
+
+    it('should reject out-of-range options', () => {
+      expect(() => getAudioOptions({ frequency: 20 })).toThrow(RangeError);
+      expect(() => getAudioOptions({ sampleRate: 96000 })).toThrow('sampleRate');
+      expect(() => getAudioOptions({ volume: 2 })).toThrow('volume');
+      expect(() => getAudioOptions({ rampMs: 'soft' })).toThrow('rampMs');
+    });
+  });
+});
@@ -0,0 +1,160 @@
+// Morse Correction - proposes the intended text of a mis-keyed transmission
+//
+// Each decoded word that is not in the dictionary is compared, character by
+// character, against dictionary words of the same length. The cost of a
+// candidate is the total dot/dash edit distance between what was keyed and
+// what the word would have been, so '..-.' (F) keyed for '...-' (V) costs 1.
+
+import { decodeMorse, morseEditDistance, textToMorse } from './morse-lib.js';
+import { TELEGRAPH_VOCABULARY, COMMON_WORDS } from './dictionary.js';
+
+// Dictionary indexes by code name, built on first use
+const indexes = {};
+
+/**
+ * Builds (or returns the cached) dictionary index for a code
+ * Words are grouped by length and carry the Morse for each letter.
+ * @param {string} codeName - 'itu' or 'american'
+ * @returns {Map<number, {word: string, rank: number, morseChars: string[]}[]>} Words by length
+ */
+function getIndex(codeName) {
+  if (indexes[codeName]) {
+    return indexes[codeName];
+  }
+
+  const index = new Map();
+  const seen = new Set();
+  [...TELEGRAPH_VOCABULARY, ...COMMON_WORDS].forEach((word, rank) => {
+    if (seen.has(word)) {
+      return;
+    }
+    seen.add(word);
+
+    const entries = index.get(word.length) || [];
+    entries.push({
+      word,
+      rank,
+      morseChars: word.split('').map(char => textToMorse(char, { code: codeName }))
+    });
+    index.set(word.length, entries);
+  });
+
+  indexes[codeName] = index;
+  return index;
+}
+
+/**
+ * Ranks the dictionary words closest to a keyed word
+ * @param {Object[]} tokens - decodeMorse results for one word
+ * @param {string} codeName - Code the word was keyed in
+ * @param {number} maxDistance - Largest total edit distance to consider
+ * @returns {{word: string, distance: number}[]} Closest first, then telegraph vocabulary, then most common
+ */
+function rankCandidates(tokens, codeName, maxDistance) {
+  const entries = getIndex(codeName).get(tokens.length) || [];
+
+  return entries
+    .map(entry => ({
+      word: entry.word,
+      rank: entry.rank,
+      distance: tokens.reduce((sum, token, i) =>
+        sum + morseEditDistance(token.morse, entry.morseChars[i], { transpositions: true }), 0)
+    }))
+    .filter(candidate => candidate.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.rank - b.rank)
+    .map(({ word, distance }) => ({ word, distance }));
+}
+
+/**
+ * Corrects one keyed word
+ * Words with an unknown pattern take the closest candidate within maxDistance.
+ * Words that decode but are not in the dictionary are only rewritten when a
+ * candidate is within maxRewriteDistance, so names and places survive.
+ * @param {Object[]} tokens - decodeMorse results for one word
+ * @param {Object} options - Correction options
+ * @returns {{original: string, text: string, corrected: boolean, distance: number,
+ *   candidates: {word: string, distance: number}[]}} Word result
+ */
+function correctWord(tokens, options) {
+  const original = tokens.map(token => token.valid ? token.char : '�').join('');
+  const keep = { original, text: original, corrected: false, distance: 0, candidates: [] };
+  const hasInvalid = tokens.some(token => !token.valid);
+
+  // The dictionary is English: other alphabets are left as keyed
+  if (options.alphabet !== 'latin') {
+    return keep;
+  }
+
+  // Only words of letters are looked up; numbers, punctuation and prosigns pass through
+  if (!hasInvalid && !/^[A-Z]+$/.test(original)) {
+    return keep;
+  }
+  if (!hasInvalid && getIndex(options.code).get(original.length)?.some(e => e.word === original)) {
+    return keep;
+  }
+
+  const candidates = rankCandidates(tokens, options.code, options.maxDistance)
+    .slice(0, options.maxCandidates);
+  const best = candidates[0];
+  const limit = hasInvalid ? options.maxDistance : options.maxRewriteDistance;
+
+  if (!best || best.distance > limit) {
+    return { ...keep, candidates };
+  }
+
+  return { original, text: best.word, corrected: true, distance: best.distance, candidates };
+}
+
+/**
+ * Proposes the most likely intended text of a Morse transmission
+ * Corrections stay within characters: a letter keyed as two (or two as one)
+ * is not recovered.
+ *
+ * @param {string} morse - Morse code string with spaces between characters
+ * @param {Object} [options] - Correction options
+ * @param {string} [options.code='itu'] - 'itu' or 'american'
+ * @param {string} [options.alphabet='latin'] - Alphabet keyed; only Latin words are corrected
+ * @param {boolean} [options.extended=false] - Decode non-English letters (É, Ü, Ñ, ...); they are left uncorrected
+ * @param {boolean} [options.prosigns=false] - Decode prosigns as <NAME> tokens, as for morseToText
+ * @param {number} [options.maxDistance=2] - Largest edit distance for a word with an unknown pattern
+ * @param {number} [options.maxRewriteDistance=1] - Largest edit distance to rewrite a word that decoded
+ * @param {number} [options.maxCandidates=3] - Candidates reported per word
+ * @returns {{text: string, original: string, corrected: boolean, words: Object[]}} Proposed text,
+ *   the plain decode (with '�' for unknown patterns), whether anything changed, and per-word results
+ */
+export function correctMorse(morse, options = {}) {
+  const settings = {
+    code: 'itu',
+    alphabet: 'latin',
+    maxDistance: 2,
+    maxRewriteDistance: 1,
+    maxCandidates: 3,
+    ...options
+  };
+
+  // Group tokens into words; consecutive separators leave empty words
+  const groups = [[]];
+  const decodeOptions = {
+    code: settings.code,
+    alphabet: settings.alphabet,
+    extended: settings.extended,
+    prosigns: settings.prosigns
+  };
+  decodeMorse(morse, decodeOptions).forEach(token => {
+    if (token.valid && token.char === ' ') {
+      groups.push([]);
+    } else {
+      groups[groups.length - 1].push(token);
+    }
+  });
+
+  const results = groups.map(tokens => tokens.length > 0 ? correctWord(tokens, settings) : null);
+  const words = results.filter(result => result !== null);
+
+  return {
+    text: results.map(result => result ? result.text : '').join(' '),
+    original: results.map(result => result ? result.original : '').join(' '),
+    corrected: words.some(word => word.corrected),
+    words
+  };
+}
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { correctMorse } from './morse-correction.js';
+import { textToMorse, morseToText } from './morse-lib.js';
+
+describe('Morse Correction - Unit Tests', () => {
+  it('should leave a correct transmission unchanged', () => {
+    const morse = textToMorse('ARRIVING TONIGHT STOP');
+    const result = correctMorse(morse);
+
+    expect(result.text).toBe('ARRIVING TONIGHT STOP');
+    expect(result.corrected).toBe(false);
+  });
+
+  it('should fix a letter keyed with two elements swapped', () => {
+    // LOVE with V (...-) keyed as F (..-.)
+    const morse = textToMorse('LOFE');
+    const result = correctMorse(morse);
+
+    expect(result.original).toBe('LOFE');
+    expect(result.text).toBe('LOVE');
+    expect(result.corrected).toBe(true);
+    expect(result.words[0]).toMatchObject({ original: 'LOFE', text: 'LOVE', distance: 1 });
+  });
+
+  it('should recover a word that contains an unknown pattern', () => {
+    // STOP with P (.--.) keyed as .---.
+    const result = correctMorse('... - --- .---.');
+
+    expect(result.original).toBe('STO�');
+    expect(result.text).toBe('STOP');
+  });
+
+  it('should prefer telegraph vocabulary between equal candidates', () => {
+    // LIME is one element from LINE (vocabulary) and from LIKE
+    const result = correctMorse(textToMorse('LIME'));
+
+    expect(result.words[0].candidates.slice(0, 2)).toEqual([
+      { word: 'LINE', distance: 1 },
+      { word: 'LIKE', distance: 1 }
+    ]);
+    expect(result.text).toBe('LINE');
+  });
+
+  it('should keep names that decode cleanly but are far from any word', () => {
+    const result = correctMorse(textToMorse('SAMUEL MORSE'));
+
+    expect(result.text).toBe('SAMUEL MORSE');
+    expect(result.corrected).toBe(false);
+  });
+
+  it('should pass numbers, punctuation and prosigns through', () => {
+    const morse = textToMorse('1865 STOP <SK>');
+
+    expect(correctMorse(morse).text).toBe('1865 STOP <SK>');
+  });
+
+  it('should leave an unknown pattern in place when nothing is close', () => {
+    const result = correctMorse('... - --- ...........');
+
+    expect(result.text).toBe('STO�');
+    expect(result.corrected).toBe(false);
+    expect(result.words[0].candidates).toEqual([]);
+  });
+
+  it('should report ranked candidates for each word', () => {
+    const result = correctMorse(textToMorse('LOFE'));
+    const candidates = result.words[0].candidates;
+
+    expect(candidates[0]).toEqual({ word: 'LOVE', distance: 1 });
+    expect(candidates.length).toBeLessThanOrEqual(3);
+  });
+
+  it('should keep word spacing the same as morseToText', () => {
+    const morse = '.-.. --- ..-. . / / ... - --- .--.';
+
+    expect(correctMorse(morse).original).toBe(morseToText(morse));
+    expect(correctMorse(morse).text).toBe('LOVE  STOP');
+  });
+
+  it('should correct American Morse', () => {
+    const american = { code: 'american' };
+    // SEND with D (-..) keyed as -.-
+    const result = correctMorse('...  .  -.  -.-', american);
+
+    expect(result.original).toBe('SENK');
+    expect(result.text).toBe('SEND');
+  });
+
+  it('should leave other alphabets uncorrected', () => {
+    const cyrillic = { alphabet: 'cyrillic' };
+    const result = correctMorse(textToMorse('ЛЮБЛЮ', cyrillic), cyrillic);
+
+    expect(result.text).toBe('ЛЮБЛЮ');
+    expect(result.corrected).toBe(false);
+  });
+
+  it('should handle empty input', () => {
+    expect(correctMorse('')).toEqual({ text: '', original: '', corrected: false, words: [] });
+  });
+});
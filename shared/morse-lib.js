@@ -1,4 +1,10 @@
-// Morse Engine - ITU Morse Code Translation Library
+// Morse Engine - ITU and American Morse Code Translation Library
+
+import cyrillic from './alphabets/cyrillic.js';
+import greek from './alphabets/greek.js';
+import hebrew from './alphabets/hebrew.js';
+import arabic from './alphabets/arabic.js';
+import wabun from './alphabets/wabun.js';
 
 // ITU Morse Code character mappings
 const TEXT_TO_MORSE_MAP = {
@@ -18,19 +24,392 @@ const TEXT_TO_MORSE_MAP = {
   ' ': '/'
 };
 
+// Non-English letters keyed on ITU lines. Only sent and decoded when the
+// extended option is set, since several share nothing with the 26-letter
+// alphabet a listener may expect.
+const EXTENDED_TEXT_TO_MORSE_MAP = {
+  'À': '.--.-', 'Ä': '.-.-',  'Ç': '-.-..', 'È': '.-..-', 'É': '..-..',
+  'Ñ': '--.--', 'Ö': '---.',  'Ü': '..--'
+};
+
+// American (Railroad) Morse character mappings, as keyed on US landlines.
+// A space inside a code is the longer intra-character space (C is '.. .'),
+// '_' is the long dash of L and '=' the longer dash of 0.
+const AMERICAN_TEXT_TO_MORSE_MAP = {
+  'A': '.-',    'B': '-...',  'C': '.. .',  'D': '-..',   'E': '.',
+  'F': '.-.',   'G': '--.',   'H': '....',  'I': '..',    'J': '-.-.',
+  'K': '-.-',   'L': '_',     'M': '--',    'N': '-.',    'O': '. .',
+  'P': '.....', 'Q': '..-.',  'R': '. ..',  'S': '...',   'T': '-',
+  'U': '..-',   'V': '...-',  'W': '.--',   'X': '.-..',  'Y': '.. ..',
+  'Z': '... .',
+  '0': '=',     '1': '.--.',  '2': '..-..', '3': '...-.', '4': '....-',
+  '5': '---',   '6': '......', '7': '--..', '8': '-....', '9': '-..-',
+  '.': '..--..', ',': '.-.-', '?': '-..-.', '!': '---.', '&': '. ...',
+  ' ': '/'
+};
+
+/**
+ * Builds the reverse (Morse to text) lookup for a character map
+ * @param {Object} map - Text to Morse mapping
+ * @returns {Object} Morse to text mapping
+ */
+function invertMap(map) {
+  return Object.entries(map)
+    .reduce((acc, [char, morse]) => {
+      acc[morse] = char;
+      return acc;
+    }, {});
+}
+
 // Reverse mapping for Morse to text
-const MORSE_TO_TEXT_MAP = Object.entries(TEXT_TO_MORSE_MAP)
-  .reduce((acc, [char, morse]) => {
-    acc[morse] = char;
+const MORSE_TO_TEXT_MAP = invertMap(TEXT_TO_MORSE_MAP);
+
+// Procedural signals (prosigns) are keyed as a single run-together character.
+// Written in text as <NAME>, e.g. <SK> for end of work.
+const PROSIGN_TO_MORSE_MAP = {
+  'AR': '.-.-.',     // End of message
+  'AS': '.-...',     // Wait
+  'BK': '-...-.-',   // Break
+  'BT': '-...-',     // Break between sections
+  'CL': '-.-..-..',  // Closing station
+  'CT': '-.-.-',     // Start of transmission
+  'DO': '-..---',    // Switch to Japanese Wabun
+  'HH': '........',  // Error
+  'KN': '-.--.',     // Go ahead, named station only
+  'SK': '...-.-',    // End of work
+  'SN': '...-.',     // Understood; also switches back from Wabun
+  'SOS': '...---...' // Distress
+};
+
+const MORSE_TO_PROSIGN_MAP = Object.entries(PROSIGN_TO_MORSE_MAP)
+  .reduce((acc, [name, morse]) => {
+    acc[morse] = `<${name}>`;
     return acc;
   }, {});
 
+// Letters and figures by their Morse, for spelling out ad-hoc prosigns
+const MORSE_TO_ALPHANUMERIC_MAP = invertMap(Object.fromEntries(
+  Object.entries(TEXT_TO_MORSE_MAP).filter(([char]) => /^[A-Z0-9]$/.test(char))
+));
+
+// No character is keyed longer than this, so a longer run can only be a prosign
+const LONGEST_CHARACTER = Math.max(...Object.values(TEXT_TO_MORSE_MAP).map(morse => morse.length));
+
+// Supported codes. Durations are in dot units; a space inside a character
+// (American only) takes intraCharGap units instead of elementGap.
+const CODES = {
+  itu: {
+    textToMorse: TEXT_TO_MORSE_MAP,
+    morseToText: MORSE_TO_TEXT_MAP,
+    extendedTextToMorse: EXTENDED_TEXT_TO_MORSE_MAP,
+    extendedMorseToText: invertMap(EXTENDED_TEXT_TO_MORSE_MAP),
+    prosigns: true,
+    charSeparator: ' ',
+    elementUnits: { '.': 1, '-': 3 },
+    elementGap: 1,
+    intraCharGap: 1,
+    charGap: 3,
+    wordGap: 7
+  },
+  american: {
+    textToMorse: AMERICAN_TEXT_TO_MORSE_MAP,
+    morseToText: invertMap(AMERICAN_TEXT_TO_MORSE_MAP),
+    extendedTextToMorse: {},
+    extendedMorseToText: {},
+    prosigns: false,
+    charSeparator: '  ',
+    elementUnits: { '.': 1, '-': 2, '_': 4, '=': 5 },
+    elementGap: 1,
+    intraCharGap: 2,
+    charGap: 3,
+    wordGap: 6
+  }
+};
+
+// Speed limits accepted by the timing options
+const TIMING_LIMITS = {
+  wpm: { min: 5, max: 60, default: 12 },
+  weight: { min: 25, max: 75, default: 50 },
+  dashRatio: { min: 2, max: 5 }
+};
+
+/**
+ * Lists the names of the supported Morse codes
+ * @returns {string[]} Code names accepted by the `code` option
+ */
+export function getSupportedCodes() {
+  return Object.keys(CODES);
+}
+
+/**
+ * Lists the names of the prosigns known by name
+ * @returns {string[]} Prosign names, written in text as <NAME>
+ */
+export function getProsigns() {
+  return Object.keys(PROSIGN_TO_MORSE_MAP);
+}
+
+/**
+ * Looks up a code definition by name
+ * @param {string} [name='itu'] - Code name
+ * @returns {Object} Code definition
+ */
+function getCode(name = 'itu') {
+  const code = CODES[name];
+  if (!code) {
+    throw new Error(`Unknown Morse code: ${name}`);
+  }
+  return code;
+}
+
+// Alphabets keyed with ITU timing, by name. 'latin' is each code's own table.
+const ALPHABETS = {};
+
+/**
+ * Adds an alphabet that textToMorse and morseToText accept as options.alphabet
+ * Its letters take over the Latin patterns they share; digits and punctuation
+ * keep their ITU codes. An alphabet with a shift pair is keyed alongside Latin
+ * letters instead: the `into` prosign switches to it, the `out` prosign back,
+ * and only the ITU characters whose patterns it leaves free work in both.
+ *
+ * @param {Object} definition - Alphabet definition
+ * @param {string} definition.name - Name used as options.alphabet
+ * @param {string} [definition.description] - Human-readable name
+ * @param {Object} definition.letters - Character to Morse mapping (uppercase where the script has case)
+ * @param {Object} [definition.aliases] - Characters keyed as another character, e.g. final letter forms
+ * @param {{into: string, out: string}} [definition.shift] - Prosign names that switch into and out of the alphabet
+ * @param {Function} [definition.prepare] - Rewrites text before encoding
+ * @param {Function} [definition.finish] - Rewrites decoded text
+ * @throws {Error} If the definition is incomplete or the name is taken
+ */
+export function registerAlphabet(definition) {
+  const { name, letters, shift } = definition || {};
+  if (typeof name !== 'string' || !name || !letters) {
+    throw new Error('Invalid alphabet: name and letters are required');
+  }
+  if (name === 'latin' || ALPHABETS[name]) {
+    throw new Error(`Alphabet already registered: ${name}`);
+  }
+  if (shift && !(PROSIGN_TO_MORSE_MAP[shift.into] && PROSIGN_TO_MORSE_MAP[shift.out])) {
+    throw new Error(`Invalid alphabet: unknown shift prosign for ${name}`);
+  }
+
+  let modes;
+  if (shift) {
+    const patterns = new Set(Object.values(letters));
+    const shared = Object.fromEntries(Object.entries(TEXT_TO_MORSE_MAP)
+      .filter(([char, morse]) => !/[A-Z]/.test(char) && !patterns.has(morse)));
+    const native = { ...shared, ...letters };
+
+    modes = [
+      { textToMorse: native, morseToText: invertMap(native), shiftIn: PROSIGN_TO_MORSE_MAP[shift.into] },
+      { ...CODES.itu, shiftIn: PROSIGN_TO_MORSE_MAP[shift.out] }
+    ];
+  } else {
+    modes = [{
+      textToMorse: { ...TEXT_TO_MORSE_MAP, ...letters },
+      morseToText: { ...MORSE_TO_TEXT_MAP, ...invertMap(letters) }
+    }];
+  }
+
+  ALPHABETS[name] = {
+    name,
+    description: definition.description || name,
+    aliases: definition.aliases || {},
+    prepare: definition.prepare || (text => text),
+    finish: definition.finish || (text => text),
+    modes
+  };
+}
+
+[cyrillic, greek, hebrew, arabic, wabun].forEach(registerAlphabet);
+
+/**
+ * Lists the names of the supported alphabets
+ * @returns {string[]} Alphabet names accepted by the `alphabet` option, 'latin' first
+ */
+export function getSupportedAlphabets() {
+  return ['latin', ...Object.keys(ALPHABETS)];
+}
+
+/**
+ * Looks up an alphabet for a code
+ * 'latin' is the code's own character table, read in a single mode.
+ * @param {string} [name='latin'] - Alphabet name
+ * @param {Object} code - Code definition
+ * @returns {Object} Alphabet with its modes, aliases and text hooks
+ * @throws {Error} If the alphabet is unknown or not keyed in this code
+ */
+function getAlphabet(name = 'latin', code) {
+  if (name === 'latin') {
+    return { name, aliases: {}, prepare: text => text, finish: text => text, modes: [code] };
+  }
+
+  const alphabet = ALPHABETS[name];
+  if (!alphabet) {
+    throw new Error(`Unknown alphabet: ${name}`);
+  }
+  if (code !== CODES.itu) {
+    throw new Error(`Alphabet ${name} is keyed in ITU Morse only`);
+  }
+  return alphabet;
+}
+
+/**
+ * Checks that a timing option is a number within its limits
+ * @param {string} name - Option name, for the error message
+ * @param {number} value - Option value
+ * @param {{min: number, max: number}} limits - Inclusive range
+ * @throws {RangeError} If the value is out of range
+ */
+function checkTimingOption(name, value, { min, max }) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new RangeError(`Invalid timing option: ${name} must be between ${min} and ${max}`);
+  }
+}
+
+/**
+ * Calculates element and gap durations for a keying speed
+ * Character speed follows the PARIS standard: one dot unit lasts 1200 / wpm ms.
+ * With Farnsworth timing, characters are keyed at `wpm` but the character and
+ * word gaps are stretched so the overall speed is `farnsworthWpm` (ARRL formula).
+ * Weight shifts time from each gap to the preceding mark: 50 is neutral, 60
+ * lengthens marks by a fifth of a unit.
+ *
+ * @param {Object} [options] - Timing options
+ * @param {string} [options.code='itu'] - 'itu' or 'american'
+ * @param {number} [options.wpm=12] - Character speed in words per minute (5-60)
+ * @param {number} [options.farnsworthWpm] - Effective speed for spacing, at most wpm (defaults to wpm)
+ * @param {number} [options.weight=50] - Mark/space weighting percentage (25-75)
+ * @param {number} [options.dashRatio] - Dash length in dot units (2-5, defaults to the code's dash)
+ * @returns {{marks: Object, elementGap: number, intraCharGap: number, charGap: number, wordGap: number, unit: number, wpm: number, farnsworthWpm: number}}
+ *   Durations in milliseconds, with marks keyed by element symbol, plus the resolved speeds
+ * @throws {RangeError} If an option is out of range
+ */
+export function getElementDurations(options = {}) {
+  const code = getCode(options.code);
+  const wpm = options.wpm ?? TIMING_LIMITS.wpm.default;
+  const weight = options.weight ?? TIMING_LIMITS.weight.default;
+  const farnsworthWpm = options.farnsworthWpm ?? wpm;
+
+  checkTimingOption('wpm', wpm, TIMING_LIMITS.wpm);
+  checkTimingOption('farnsworthWpm', farnsworthWpm, { min: TIMING_LIMITS.wpm.min, max: wpm });
+  checkTimingOption('weight', weight, TIMING_LIMITS.weight);
+  if (options.dashRatio !== undefined) {
+    checkTimingOption('dashRatio', options.dashRatio, TIMING_LIMITS.dashRatio);
+  }
+
+  const unit = 1200 / wpm;
+  // PARIS is 50 units: 31 within characters and 19 of character and word spacing
+  const spacingUnit = (60000 / farnsworthWpm - 31 * unit) / 19;
+  const extension = unit * (weight - 50) / 50;
+
+  const marks = {};
+  for (const [symbol, units] of Object.entries(code.elementUnits)) {
+    const markUnits = symbol === '-' && options.dashRatio !== undefined ? options.dashRatio : units;
+    marks[symbol] = markUnits * unit + extension;
+  }
+
+  return {
+    marks,
+    elementGap: code.elementGap * unit - extension,
+    intraCharGap: code.intraCharGap * unit - extension,
+    charGap: code.charGap * spacingUnit - extension,
+    wordGap: code.wordGap * spacingUnit - extension,
+    unit,
+    wpm,
+    farnsworthWpm
+  };
+}
+
+/**
+ * Splits a Morse string into character tokens, with '/' tokens between words
+ * ITU characters are separated by single spaces. American characters may
+ * contain single spaces, so they are separated by two or more.
+ * @param {string} morse - Morse code string
+ * @param {Object} code - Code definition
+ * @returns {{token: string, offset: number}[]} Tokens with their position in the input
+ */
+function tokenizeMorse(morse, code) {
+  const pattern = code.charSeparator === ' '
+    ? /[^ ]+/g
+    : /\/|[^\s/]+(?: [^\s/]+)*/g;
+
+  return Array.from(morse.matchAll(pattern), match => ({ token: match[0], offset: match.index }));
+}
+
+/**
+ * Counts the insertions, deletions and substitutions between two element strings
+ * @param {string} a - First Morse character
+ * @param {string} b - Second Morse character
+ * @param {Object} [options] - Distance options
+ * @param {boolean} [options.transpositions=false] - Count two swapped adjacent elements as one edit
+ * @returns {number} Edit distance
+ */
+export function morseEditDistance(a, b, options = {}) {
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        rows[i - 1][j] + 1,
+        current[j - 1] + 1,
+        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (options.transpositions && i > 1 && j > 1
+        && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], rows[i - 2][j - 2] + 1);
+      }
+    }
+    rows.push(current);
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Encodes a <NAME> prosign token, running its letters together without gaps
+ * @param {string} name - Prosign name between the angle brackets (uppercase)
+ * @returns {string|null} Morse for the prosign, or null if it cannot be encoded
+ */
+function prosignToMorse(name) {
+  if (PROSIGN_TO_MORSE_MAP[name]) {
+    return PROSIGN_TO_MORSE_MAP[name];
+  }
+
+  // Ad-hoc prosigns: any run of letters and digits keyed as one character
+  if (!/^[A-Z0-9]{2,}$/.test(name)) {
+    return null;
+  }
+
+  return name.split('').map(char => TEXT_TO_MORSE_MAP[char]).join('');
+}
+
+/**
+ * Looks up the Morse for one character in an alphabet mode
+ * @param {string} char - Uppercase character
+ * @param {Object} mode - Alphabet mode (or code definition)
+ * @param {Object} options - Encoding options
+ * @returns {string|undefined} Morse character, or undefined if the mode has none
+ */
+function encodeChar(char, mode, options) {
+  return mode.textToMorse[char]
+    || (options.extended && mode.extendedTextToMorse?.[char])
+    || undefined;
+}
+
 /**
  * Converts text to Morse code
+ * Prosigns written as <NAME> (e.g. <SK>, <AR>) are keyed without inter-character gaps.
  * @param {string} text - The text to convert (case-insensitive)
+ * @param {Object} [options] - Encoding options
+ * @param {string} [options.code='itu'] - 'itu' or 'american'
+ * @param {string} [options.alphabet='latin'] - Letters to key (see getSupportedAlphabets); ITU only
+ * @param {boolean} [options.extended=false] - Key non-English letters (É, Ü, Ñ, ...) with their ITU codes
  * @returns {string} Morse code representation with spaces between characters
  */
-export function textToMorse(text) {
+export function textToMorse(text, options = {}) {
   if (text === null || text === undefined) {
     return '';
   }
@@ -39,28 +418,211 @@ export function textToMorse(text) {
     return '';
   }
   
-  const upperText = text.toUpperCase();
+  const code = getCode(options.code);
+  const alphabet = getAlphabet(options.alphabet, code);
+  const upperText = alphabet.prepare(text).toUpperCase();
   const morseChars = [];
+  let mode = null;
   
   for (let i = 0; i < upperText.length; i++) {
-    const char = upperText[i];
-    const morse = TEXT_TO_MORSE_MAP[char];
-    
-    if (morse) {
-      morseChars.push(morse);
+    const char = alphabet.aliases[upperText[i]] ?? upperText[i];
+
+    if (char === '<' && code.prosigns) {
+      const close = upperText.indexOf('>', i + 1);
+      const prosign = close === -1 ? null : prosignToMorse(upperText.slice(i + 1, close));
+
+      if (prosign) {
+        morseChars.push(prosign);
+        i = close;
+        continue;
+      }
     }
+
+    // Stay in the current mode while it has the character, otherwise shift
+    const target = mode && encodeChar(char, mode, options)
+      ? mode
+      : alphabet.modes.find(candidate => encodeChar(char, candidate, options));
+
     // Skip unknown characters silently
+    if (!target) {
+      continue;
+    }
+
+    if (target !== mode && target.shiftIn) {
+      morseChars.push(target.shiftIn);
+    }
+    mode = target;
+    morseChars.push(encodeChar(char, mode, options));
   }
   
-  return morseChars.join(' ');
+  return morseChars.join(code.charSeparator);
+}
+
+/**
+ * Reads a run too long for any character as an ad-hoc prosign
+ * The run is spelled with the fewest letters and figures, letters preferred.
+ * Different letters can run together into the same signal (<VA> is keyed as
+ * <SK>), so this is one spelling of what was sent, not always the one used.
+ * @param {string} morseChar - Morse character token
+ * @returns {string|undefined} <NAME> token, or undefined if the run is not one
+ */
+function readAdHocProsign(morseChar) {
+  if (morseChar.length <= LONGEST_CHARACTER) {
+    return undefined;
+  }
+
+  // best[i] is the best spelling of the run from element i to the end
+  const best = new Array(morseChar.length + 1).fill(null);
+  best[morseChar.length] = { count: 0, figures: 0, name: '' };
+
+  for (let i = morseChar.length - 1; i >= 0; i--) {
+    // Longest letters first, so ties go to the spelling that starts longer
+    for (let length = Math.min(5, morseChar.length - i); length > 0; length--) {
+      const char = MORSE_TO_ALPHANUMERIC_MAP[morseChar.slice(i, i + length)];
+      const rest = best[i + length];
+      if (!char || !rest) {
+        continue;
+      }
+
+      const spelling = {
+        count: rest.count + 1,
+        figures: rest.figures + (/[0-9]/.test(char) ? 1 : 0),
+        name: char + rest.name
+      };
+      if (!best[i] || spelling.count < best[i].count
+        || (spelling.count === best[i].count && spelling.figures < best[i].figures)) {
+        best[i] = spelling;
+      }
+    }
+  }
+
+  return best[0] ? `<${best[0].name}>` : undefined;
+}
+
+/**
+ * Looks up the text for one Morse character
+ * @param {string} morseChar - Morse character token
+ * @param {Object} code - Code definition
+ * @param {Object} mode - Alphabet mode (or code definition) being read
+ * @param {Object} options - Decoding options
+ * @returns {string|undefined} Decoded character, prosign token, or undefined if invalid
+ */
+function decodeToken(morseChar, code, mode, options) {
+  const prosigns = code.prosigns ? MORSE_TO_PROSIGN_MAP : {};
+
+  return (options.prosigns && prosigns[morseChar])
+    || mode.morseToText[morseChar]
+    || (options.extended && mode.extendedMorseToText?.[morseChar])
+    || prosigns[morseChar]
+    || (options.adHocProsigns && code.prosigns ? readAdHocProsign(morseChar) : undefined);
+}
+
+/**
+ * Decodes each token of a Morse string, following alphabet shifts
+ * A shift prosign decodes to its <NAME> token and changes how the tokens
+ * after it are read. Reading starts in the alphabet's first mode.
+ * @param {string} morse - Morse code string
+ * @param {Object} code - Code definition
+ * @param {Object} alphabet - Alphabet from getAlphabet
+ * @param {Object} options - Decoding options
+ * @returns {{token: string, offset: number, char: string|undefined, mode: Object, shift: boolean}[]}
+ *   Tokens with their decoded character and the mode they were read in
+ */
+function readTokens(morse, code, alphabet, options) {
+  let mode = alphabet.modes[0];
+
+  return tokenizeMorse(morse, code).map(({ token, offset }) => {
+    const target = alphabet.modes.length > 1
+      && alphabet.modes.find(candidate => candidate.shiftIn === token);
+
+    if (target) {
+      mode = target;
+      return { token, offset, char: MORSE_TO_PROSIGN_MAP[token], mode, shift: true };
+    }
+
+    return { token, offset, char: decodeToken(token, code, mode, options), mode, shift: false };
+  });
+}
+
+/**
+ * Finds the valid characters closest to an invalid Morse character
+ * @param {string} morseChar - Morse character token
+ * @param {Object} code - Code definition
+ * @param {Object} mode - Alphabet mode (or code definition) the character was read in
+ * @param {Object} options - Decoding options
+ * @param {number} maxDistance - Largest edit distance to suggest
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {{char: string, morse: string, distance: number}[]} Nearest first
+ */
+function suggestCharacters(morseChar, code, mode, options, maxDistance, limit) {
+  const candidates = {
+    ...(code.prosigns ? MORSE_TO_PROSIGN_MAP : {}),
+    ...(options.extended ? mode.extendedMorseToText : {}),
+    ...mode.morseToText
+  };
+  delete candidates['/'];
+
+  return Object.entries(candidates)
+    .map(([morse, char]) => ({ char, morse, distance: morseEditDistance(morseChar, morse) }))
+    .filter(candidate => candidate.distance <= maxDistance)
+    // Same-length candidates first: a swapped element is the commonest slip
+    .sort((a, b) => a.distance - b.distance
+      || Math.abs(a.morse.length - morseChar.length) - Math.abs(b.morse.length - morseChar.length)
+      || a.morse.localeCompare(b.morse))
+    .slice(0, limit);
+}
+
+/**
+ * Decodes Morse code into per-character results
+ * Each token reports its source Morse, decoded character, validity and offset
+ * in the input. Invalid tokens carry the nearest valid characters by dot/dash
+ * edit distance, so a mis-keyed letter can be pointed out and corrected.
+ * Word separators decode to a ' ' token, and alphabet shifts to their
+ * prosign (e.g. '<DO>').
+ *
+ * @param {string} morse - Morse code string with spaces between characters
+ * @param {Object} [options] - Decoding options, as for morseToText
+ * @param {number} [options.maxDistance=2] - Largest edit distance to suggest
+ * @param {number} [options.maxSuggestions=3] - Suggestions per invalid token
+ * @returns {{morse: string, char: string|null, valid: boolean, offset: number,
+ *   suggestions: {char: string, morse: string, distance: number}[]}[]} One entry per token
+ */
+export function decodeMorse(morse, options = {}) {
+  if (typeof morse !== 'string') {
+    return [];
+  }
+
+  const code = getCode(options.code);
+  const alphabet = getAlphabet(options.alphabet, code);
+  const { maxDistance = 2, maxSuggestions = 3 } = options;
+
+  return readTokens(morse, code, alphabet, options).map(({ token, offset, char, mode }) => ({
+    morse: token,
+    char: char || null,
+    valid: Boolean(char),
+    offset,
+    suggestions: char ? [] : suggestCharacters(token, code, mode, options, maxDistance, maxSuggestions)
+  }));
 }
 
 /**
  * Converts Morse code to text
+ * Prosigns decode to their <NAME> token. Prosigns that share a pattern with a
+ * punctuation mark (AR/+, AS/&, BT/=, KN/() decode as punctuation unless
+ * options.prosigns is set. Runs too long for any character are read as ad-hoc
+ * prosigns only with options.adHocProsigns, as otherwise they mark a mis-key.
+ * Alphabet shift prosigns are not written out.
  * @param {string} morse - Morse code string with spaces between characters
+ * @param {Object} [options] - Decoding options
+ * @param {string} [options.code='itu'] - 'itu' or 'american'
+ * @param {string} [options.alphabet='latin'] - Letters to decode to (see getSupportedAlphabets); ITU only
+ * @param {boolean} [options.prosigns=false] - Prefer prosigns over punctuation for shared patterns
+ * @param {boolean} [options.adHocProsigns=false] - Read runs too long for any character as ad-hoc
+ *   prosigns, spelled with the fewest letters
+ * @param {boolean} [options.extended=false] - Decode non-English letters (É, Ü, Ñ, ...)
  * @returns {string} Decoded text in uppercase
  */
-export function morseToText(morse) {
+export function morseToText(morse, options = {}) {
   if (morse === null || morse === undefined) {
     return '';
   }
@@ -73,18 +635,15 @@ export function morseToText(morse) {
     return '';
   }
   
-  const morseChars = morse.split(' ');
+  const code = getCode(options.code);
+  const alphabet = getAlphabet(options.alphabet, code);
   const textChars = [];
   
-  for (let i = 0; i < morseChars.length; i++) {
-    const morseChar = morseChars[i];
-    
-    if (morseChar === '') {
-      continue; // Skip empty strings from multiple spaces
+  for (const { char, shift } of readTokens(morse, code, alphabet, options)) {
+    if (shift) {
+      continue;
     }
-    
-    const char = MORSE_TO_TEXT_MAP[morseChar];
-    
+
     if (char) {
       textChars.push(char);
     } else {
@@ -93,83 +652,119 @@ export function morseToText(morse) {
     }
   }
   
-  return textChars.join('');
+  return alphabet.finish(textChars.join(''));
 }
 
+// Event types for each element symbol
+const ELEMENT_TYPES = { '.': 'dot', '-': 'dash', '_': 'long-dash', '=': 'zero' };
+
 /**
- * Converts Morse code to timing array for audio playback
- * ITU timing rules:
- * - Dot: 1 unit (100ms)
- * - Dash: 3 units (300ms)
- * - Inter-element gap: 1 unit (100ms)
- * - Character gap: 3 units (300ms)
- * - Word gap: 7 units (700ms)
- * 
+ * Converts Morse code to a schedule of keying events
+ * Each event is a tone (on) or a silence (off) with its start time and
+ * duration, so a display can follow playback letter by letter. Events carry
+ * the index of the character (counting characters only, not word separators)
+ * and word they belong to; gaps belong to the character and word they follow,
+ * and a word gap before the first character has a charIndex of -1. Timing
+ * rules are those of morseToTiming.
+ *
  * @param {string} morse - Morse code string with spaces between characters
- * @returns {number[]} Array of timing values in milliseconds [tone, silence, tone, silence, ...]
+ * @param {Object} [options] - Timing options, as for getElementDurations
+ * @returns {{start: number, duration: number, on: boolean, type: string, charIndex: number, wordIndex: number}[]}
+ *   Events in order, in milliseconds. Types are 'dot', 'dash', 'long-dash' and
+ *   'zero' for tones, and 'element-gap', 'intra-char-gap', 'char-gap' and
+ *   'word-gap' for silences.
+ * @throws {RangeError} If a timing option is out of range
  */
-export function morseToTiming(morse) {
-  if (morse === null || morse === undefined) {
+export function morseToSchedule(morse, options = {}) {
+  if (typeof morse !== 'string' || morse.trim() === '') {
     return [];
   }
-  
-  if (typeof morse !== 'string') {
-    return [];
-  }
-  
-  if (morse.trim() === '') {
-    return [];
-  }
-  
-  const DOT_DURATION = 100;
-  const DASH_DURATION = 300;
-  const ELEMENT_GAP = 100;
-  const CHAR_GAP = 300;
-  const WORD_GAP = 700;
-  
-  const timing = [];
-  const morseChars = morse.split(' ');
-  
+
+  const code = getCode(options.code);
+  const durations = getElementDurations(options);
+  const gaps = {
+    'element-gap': Math.round(durations.elementGap),
+    'intra-char-gap': Math.round(durations.intraCharGap),
+    'char-gap': Math.round(durations.charGap),
+    'word-gap': Math.round(durations.wordGap)
+  };
+
+  const schedule = [];
+  let start = 0;
+  let charIndex = -1;
+  let wordIndex = 0;
+  let inWord = false;
+  const push = (type, on, duration) => {
+    schedule.push({ start, duration, on, type, charIndex, wordIndex });
+    start += duration;
+  };
+
+  const morseChars = tokenizeMorse(morse, code).map(({ token }) => token);
+
   for (let i = 0; i < morseChars.length; i++) {
     const morseChar = morseChars[i];
-    
-    if (morseChar === '') {
-      continue;
-    }
-    
-    // Handle word separator
+
     if (morseChar === '/') {
-      // Add word gap (only if not at the end)
       if (i < morseChars.length - 1) {
-        timing.push(0, WORD_GAP);
+        push('word-gap', false, gaps['word-gap']);
+      }
+      if (inWord) {
+        wordIndex++;
+        inWord = false;
       }
       continue;
     }
-    
-    // Process each dot/dash in the character
-    for (let j = 0; j < morseChar.length; j++) {
-      const symbol = morseChar[j];
-      
-      if (symbol === '.') {
-        timing.push(DOT_DURATION);
-      } else if (symbol === '-') {
-        timing.push(DASH_DURATION);
+
+    charIndex++;
+    inWord = true;
+    // American characters may contain spaces, which are longer gaps
+    const elements = morseChar.match(/\S\s*/g) || [];
+    for (let j = 0; j < elements.length; j++) {
+      const mark = durations.marks[elements[j][0]];
+      if (mark) {
+        push(ELEMENT_TYPES[elements[j][0]], true, Math.round(mark));
       }
-      
-      // Add inter-element gap if not the last element in character
-      if (j < morseChar.length - 1) {
-        timing.push(ELEMENT_GAP);
+      if (j < elements.length - 1) {
+        const type = elements[j].length > 1 ? 'intra-char-gap' : 'element-gap';
+        push(type, false, gaps[type]);
       }
     }
-    
-    // Add character gap if not the last character and next is not a word separator
-    if (i < morseChars.length - 1) {
-      const nextChar = morseChars[i + 1];
-      if (nextChar !== '/' && nextChar !== '') {
-        timing.push(CHAR_GAP);
-      }
+
+    if (i < morseChars.length - 1 && morseChars[i + 1] !== '/') {
+      push('char-gap', false, gaps['char-gap']);
     }
   }
-  
-  return timing;
+
+  return schedule;
+}
+
+/**
+ * Converts Morse code to timing array for audio playback
+ * Prosigns are a single Morse character, so they carry no character gaps.
+ * ITU timing rules:
+ * - Dot: 1 unit (100ms)
+ * - Dash: 3 units (300ms)
+ * - Inter-element gap: 1 unit (100ms)
+ * - Character gap: 3 units (300ms)
+ * - Word gap: 7 units (700ms)
+ *
+ * American timing rules:
+ * - Dot: 1 unit, dash: 2 units, long dash (L): 4 units, zero: 5 units
+ * - Inter-element gap: 1 unit, space inside a character: 2 units
+ * - Character gap: 3 units, word gap: 6 units
+ *
+ * A unit is 100ms at the default 12 WPM. Speed, Farnsworth spacing and
+ * weighting are described in getElementDurations. Durations are rounded to
+ * whole milliseconds.
+ * 
+ * @param {string} morse - Morse code string with spaces between characters
+ * @param {Object} [options] - Timing options, as for getElementDurations
+ * @returns {number[]} Array of timing values in milliseconds [tone, silence, tone, silence, ...]
+ *   A word gap is written as a zero-length tone followed by the gap, as
+ *   earlier releases did; morseToSchedule describes the same keying without it.
+ * @throws {RangeError} If a timing option is out of range
+ */
+export function morseToTiming(morse, options = {}) {
+  return morseToSchedule(morse, options)
+    .flatMap(event => event.type === 'word-gap' ? [0, event.duration] : [event.duration]);
 }
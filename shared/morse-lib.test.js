@@ -1,5 +1,17 @@
 import { describe, it, expect } from 'vitest';
-import { textToMorse, morseToText, morseToTiming } from './morse-lib.js';
+import {
+  textToMorse,
+  morseToText,
+  morseToTiming,
+  morseToSchedule,
+  getSupportedCodes,
+  getProsigns,
+  getSupportedAlphabets,
+  registerAlphabet,
+  getElementDurations,
+  decodeMorse,
+  morseEditDistance
+} from './morse-lib.js';
 
 describe('Morse Engine - Unit Tests', () => {
   describe('textToMorse', () => {
@@ -80,11 +92,77 @@ describe('Morse Engine - Unit Tests', () => {
     });
 
     it('should handle invalid Morse sequences with error marker', () => {
-      const result = morseToText('.- ........ -...');
+      const result = morseToText('.- ......... -...');
       expect(result).toContain('�');
     });
   });
 
+  describe('prosigns', () => {
+    it('should encode prosigns without inter-character gaps', () => {
+      expect(textToMorse('<SK>')).toBe('...-.-');
+      expect(textToMorse('<SOS>')).toBe('...---...');
+      expect(textToMorse('<HH>')).toBe('........');
+    });
+
+    it('should encode prosigns alongside ordinary text', () => {
+      expect(textToMorse('73 <SK>')).toBe('--... ...-- / ...-.-');
+      expect(textToMorse('msg ends <ar>')).toBe('-- ... --. / . -. -.. ... / .-.-.');
+    });
+
+    it('should run together the letters of an unnamed prosign', () => {
+      expect(textToMorse('<VA>')).toBe('...-.-');
+    });
+
+    it('should skip angle brackets that do not enclose a prosign', () => {
+      expect(textToMorse('A<B')).toBe('.- -...');
+      expect(textToMorse('<A>')).toBe('.-');
+    });
+
+    it('should decode unambiguous prosigns to their token', () => {
+      expect(morseToText('...-.-')).toBe('<SK>');
+      expect(morseToText('...---...')).toBe('<SOS>');
+      expect(morseToText('........')).toBe('<HH>');
+      expect(morseToText('--... ...-- / ...-.-')).toBe('73 <SK>');
+    });
+
+    it('should decode shared patterns as punctuation by default', () => {
+      expect(morseToText('.-.-.')).toBe('+');
+      expect(morseToText('-...-')).toBe('=');
+    });
+
+    it('should decode shared patterns as prosigns when requested', () => {
+      expect(morseToText('.-.-.', { prosigns: true })).toBe('<AR>');
+      expect(morseToText('-...-', { prosigns: true })).toBe('<BT>');
+      expect(morseToText('-.--.', { prosigns: true })).toBe('<KN>');
+    });
+
+    it('should round-trip every named prosign with prosigns preferred', () => {
+      expect(getProsigns()).toEqual(expect.arrayContaining(['AR', 'AS', 'BK', 'BT', 'CL', 'CT', 'HH', 'KN', 'SK', 'SN', 'SOS']));
+      for (const name of getProsigns()) {
+        expect(morseToText(textToMorse(`<${name}>`), { prosigns: true })).toBe(`<${name}>`);
+      }
+    });
+
+    it('should read runs too long for any character as ad-hoc prosigns when requested', () => {
+      const options = { adHocProsigns: true };
+      expect(morseToText(textToMorse('<XYZ>'), options)).toBe('<XYZ>');
+      expect(morseToText(textToMorse('MSG <XYZ>'), options)).toBe('MSG <XYZ>');
+      expect(decodeMorse('-..--.----..', options)[0].valid).toBe(true);
+    });
+
+    it('should keep mis-keyed characters invalid', () => {
+      expect(morseToText('..--.-.', { adHocProsigns: true })).toBe('�');
+      expect(morseToText('-..--.----..', { prosigns: true })).toBe('�');
+    });
+
+    it('should time a prosign as a single character', () => {
+      // SK: ... then .-. with element gaps only
+      expect(morseToTiming(textToMorse('<SK>'))).toEqual(
+        [100, 100, 100, 100, 100, 100, 300, 100, 100, 100, 300]
+      );
+    });
+  });
+
   describe('morseToTiming', () => {
     it('should generate timing array for a dot', () => {
       const timing = morseToTiming('.');
@@ -125,4 +203,381 @@ describe('Morse Engine - Unit Tests', () => {
       expect(timing).toEqual([100, 100, 300, 0, 700, 300, 100, 100, 100, 100, 100, 100]);
     });
   });
+
+  describe('morseToSchedule', () => {
+    it('should list each element and gap with its start time', () => {
+      expect(morseToSchedule('.- -')).toEqual([
+        { start: 0, duration: 100, on: true, type: 'dot', charIndex: 0, wordIndex: 0 },
+        { start: 100, duration: 100, on: false, type: 'element-gap', charIndex: 0, wordIndex: 0 },
+        { start: 200, duration: 300, on: true, type: 'dash', charIndex: 0, wordIndex: 0 },
+        { start: 500, duration: 300, on: false, type: 'char-gap', charIndex: 0, wordIndex: 0 },
+        { start: 800, duration: 300, on: true, type: 'dash', charIndex: 1, wordIndex: 0 }
+      ]);
+    });
+
+    it('should write a word gap as a silence, not a zero-length tone', () => {
+      const schedule = morseToSchedule('.- / -...');
+      const gap = schedule.find(event => event.type === 'word-gap');
+
+      expect(gap).toEqual({ start: 500, duration: 700, on: false, type: 'word-gap', charIndex: 0, wordIndex: 0 });
+      expect(schedule.every(event => event.duration > 0)).toBe(true);
+      expect(schedule[schedule.length - 1]).toMatchObject({ charIndex: 1, wordIndex: 1 });
+    });
+
+    it('should count characters and words across repeated separators', () => {
+      const schedule = morseToSchedule('/ . / / .');
+
+      expect(schedule[0]).toMatchObject({ type: 'word-gap', charIndex: -1, wordIndex: 0 });
+      expect(schedule.filter(event => event.on).map(event => [event.charIndex, event.wordIndex]))
+        .toEqual([[0, 0], [1, 1]]);
+    });
+
+    it('should alternate tones and silences', () => {
+      const schedule = morseToSchedule(textToMorse('SOS HELP'));
+
+      schedule.forEach((event, i) => {
+        expect(event.on).toBe(i % 2 === 0);
+        if (i > 0) {
+          expect(event.start).toBe(schedule[i - 1].start + schedule[i - 1].duration);
+        }
+      });
+    });
+
+    it('should carry the same durations as morseToTiming', () => {
+      const morse = textToMorse('CQ DE W1AW');
+      const options = { wpm: 20, farnsworthWpm: 10 };
+      const timing = morseToTiming(morse, options).filter(duration => duration > 0);
+
+      expect(morseToSchedule(morse, options).map(event => event.duration)).toEqual(timing);
+    });
+
+    it('should name American elements and spaces inside characters', () => {
+      const types = morseToSchedule('. .  _  =', { code: 'american' }).map(event => event.type);
+
+      expect(types).toEqual(['dot', 'intra-char-gap', 'dot', 'char-gap', 'long-dash', 'char-gap', 'zero']);
+    });
+
+    it('should return an empty schedule for empty or non-string input', () => {
+      expect(morseToSchedule('')).toEqual([]);
+      expect(morseToSchedule(null)).toEqual([]);
+    });
+  });
+
+  describe('American Morse', () => {
+    const american = { code: 'american' };
+
+    it('should list the supported codes', () => {
+      expect(getSupportedCodes()).toEqual(['itu', 'american']);
+    });
+
+    it('should throw for an unknown code', () => {
+      expect(() => textToMorse('A', { code: 'klingon' })).toThrow('Unknown Morse code');
+    });
+
+    it('should encode letters with intra-character spaces', () => {
+      expect(textToMorse('C', american)).toBe('.. .');
+      expect(textToMorse('ROY', american)).toBe('. ..  . .  .. ..');
+    });
+
+    it('should encode long dashes for L and 0', () => {
+      expect(textToMorse('L0', american)).toBe('_  =');
+    });
+
+    it('should separate characters by two spaces and words by a slash', () => {
+      expect(textToMorse('AT ONCE', american)).toBe('.-  -  /  . .  -.  .. .  .');
+    });
+
+    it('should decode spaced letters without splitting them', () => {
+      expect(morseToText('.. .', american)).toBe('C');
+      expect(morseToText('..  .', american)).toBe('IE');
+    });
+
+    it('should round-trip American text', () => {
+      const text = 'WESTERN UNION 1865, CHICAGO & ALTON!';
+      expect(morseToText(textToMorse(text, american), american)).toBe(text);
+    });
+
+    it('should not encode prosigns', () => {
+      expect(textToMorse('<SK>', american)).toBe('...  -.-');
+    });
+
+    it('should have unique codes for every character', () => {
+      const codes = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N', 'O', 'P', 'Q',
+        'R', 'S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z', '0', '1', '2', '3', '4', '5', '6', '7', '8', '9',
+        '.', ',', '?', '!', '&'].map(char => textToMorse(char, american));
+      expect(new Set(codes).size).toBe(codes.length);
+    });
+
+    it('should time intra-character spaces longer than element gaps', () => {
+      // C: dot, gap 1, dot, space 2, dot
+      expect(morseToTiming('.. .', american)).toEqual([100, 100, 100, 200, 100]);
+    });
+
+    it('should time American dashes and long dashes', () => {
+      // T, char gap, L, char gap, 0
+      expect(morseToTiming('-  _  =', american)).toEqual([200, 300, 400, 300, 500]);
+    });
+
+    it('should use a six unit word gap', () => {
+      expect(morseToTiming('.-  /  -', american)).toEqual([100, 100, 200, 0, 600, 200]);
+    });
+  });
+
+  describe('extended ITU letters', () => {
+    it('should skip accented letters unless asked', () => {
+      expect(textToMorse('É')).toBe('');
+      expect(textToMorse('É', { extended: true })).toBe('..-..');
+    });
+
+    it('should encode each extended letter', () => {
+      expect(textToMorse('ÀÄÇÈÉÑÖÜ', { extended: true })).toBe(
+        '.--.- .-.- -.-.. .-..- ..-.. --.-- ---. ..--'
+      );
+    });
+
+    it('should decode extended letters only when asked', () => {
+      expect(morseToText('..-- -... . .-.')).toBe('�BER');
+      expect(morseToText('..-- -... . .-.', { extended: true })).toBe('ÜBER');
+    });
+
+    it('should not change American Morse', () => {
+      expect(textToMorse('É', { code: 'american', extended: true })).toBe('');
+    });
+  });
+
+  describe('alphabets', () => {
+    it('should list Latin first, then the national alphabets', () => {
+      expect(getSupportedAlphabets()).toEqual(['latin', 'cyrillic', 'greek', 'hebrew', 'arabic', 'wabun']);
+    });
+
+    it('should round-trip Russian Cyrillic', () => {
+      const morse = textToMorse('Привет мир', { alphabet: 'cyrillic' });
+
+      expect(morse).toBe('.--. .-. .. .-- . - / -- .. .-.');
+      expect(morseToText(morse, { alphabet: 'cyrillic' })).toBe('ПРИВЕТ МИР');
+    });
+
+    it('should key Cyrillic letters with no Latin counterpart', () => {
+      expect(textToMorse('ЧШЮЯ', { alphabet: 'cyrillic' })).toBe('---. ---- ..-- .-.-');
+    });
+
+    it('should key Ё as Е', () => {
+      expect(textToMorse('Ёж', { alphabet: 'cyrillic' })).toBe('. ...-');
+    });
+
+    it('should round-trip Greek without accents', () => {
+      const morse = textToMorse('Καλημέρα', { alphabet: 'greek' });
+
+      expect(morse).toBe('-.- .- .-.. .... -- . .-. .-');
+      expect(morseToText(morse, { alphabet: 'greek' })).toBe('ΚΑΛΗΜΕΡΑ');
+    });
+
+    it('should key Hebrew final forms as their base letter', () => {
+      const morse = textToMorse('שלום', { alphabet: 'hebrew' });
+
+      expect(morse).toBe('... .-.. . --');
+      expect(morseToText(morse, { alphabet: 'hebrew' })).toBe('שלומ');
+    });
+
+    it('should round-trip Arabic', () => {
+      const morse = textToMorse('مرحبا', { alphabet: 'arabic' });
+
+      expect(morse).toBe('-- .-. .... -... .-');
+      expect(morseToText(morse, { alphabet: 'arabic' })).toBe('مرحبا');
+    });
+
+    it('should keep ITU digits and punctuation in national alphabets', () => {
+      expect(morseToText(textToMorse('ДА, 73', { alphabet: 'cyrillic' }), { alphabet: 'cyrillic' }))
+        .toBe('ДА, 73');
+    });
+
+    describe('Wabun', () => {
+      const wabun = { alphabet: 'wabun' };
+
+      it('should open kana with the DO prosign', () => {
+        expect(textToMorse('イロハ', wabun)).toBe('-..--- .- .-.- -...');
+      });
+
+      it('should switch back to Latin letters with SN', () => {
+        const morse = textToMorse('ア ABC', wabun);
+
+        expect(morse).toBe('-..--- --.-- / ...-. .- -... -.-.');
+        expect(morseToText(morse, wabun)).toBe('ア ABC');
+      });
+
+      it('should share digits between kana and Latin without a shift', () => {
+        expect(textToMorse('ア 1', wabun)).toBe('-..--- --.-- / .----');
+      });
+
+      it('should key hiragana as katakana', () => {
+        expect(morseToText(textToMorse('ありがとう', wabun), wabun)).toBe('アリガトウ');
+      });
+
+      it('should key voiced kana as the base kana and a mark', () => {
+        expect(textToMorse('ガパ', wabun)).toBe('-..--- .-.. .. -... ..--.');
+        expect(morseToText('.-.. .. -... ..--.', wabun)).toBe('ガパ');
+      });
+
+      it('should leave a mark that cannot combine as a separate character', () => {
+        expect(morseToText('--.-- ..', wabun)).toBe('ア゛');
+      });
+
+      it('should key small kana full size', () => {
+        expect(morseToText(textToMorse('ッ', wabun), wabun)).toBe('ツ');
+      });
+
+      it('should read patterns as kana until SN', () => {
+        expect(morseToText('.- ...-. .-', wabun)).toBe('イA');
+      });
+
+      it('should report the shifts in decodeMorse', () => {
+        expect(decodeMorse('-..--- .-', wabun).map(token => token.char)).toEqual(['<DO>', 'イ']);
+      });
+
+      it('should suggest kana for a mis-keyed kana', () => {
+        const [, token] = decodeMorse('-..--- ..-..-', wabun);
+
+        expect(token.valid).toBe(false);
+        expect(token.suggestions.map(suggestion => suggestion.char)).toEqual(['_', 'ヰ', 'ミ']);
+      });
+    });
+
+    it('should reject an unknown alphabet', () => {
+      expect(() => textToMorse('A', { alphabet: 'klingon' })).toThrow('Unknown alphabet: klingon');
+    });
+
+    it('should only key national alphabets in ITU Morse', () => {
+      expect(() => textToMorse('Д', { code: 'american', alphabet: 'cyrillic' }))
+        .toThrow('ITU Morse only');
+    });
+
+    it('should accept a registered alphabet', () => {
+      registerAlphabet({ name: 'test-runes', letters: { 'ᚠ': '..-.' } });
+
+      expect(textToMorse('ᚠ', { alphabet: 'test-runes' })).toBe('..-.');
+      expect(morseToText('..-.', { alphabet: 'test-runes' })).toBe('ᚠ');
+      expect(() => registerAlphabet({ name: 'test-runes', letters: {} })).toThrow('already registered');
+    });
+  });
+
+  describe('speed options', () => {
+    it('should default to 12 WPM with a 100ms unit', () => {
+      const durations = getElementDurations();
+      expect(durations.unit).toBe(100);
+      expect(durations.charGap).toBe(300);
+      expect(durations.wordGap).toBe(700);
+    });
+
+    it('should key at the requested character speed', () => {
+      // 25 WPM: 1200 / 25 = 48ms unit
+      expect(morseToTiming('.- / -', { wpm: 25 })).toEqual([48, 48, 144, 0, 336, 144]);
+    });
+
+    it('should stretch only character and word gaps with Farnsworth spacing', () => {
+      // 18/5: 66.7ms unit, spacing unit (12000 - 31 * 66.7) / 19 = 522.8ms
+      const timing = morseToTiming('.- -- / .', { wpm: 18, farnsworthWpm: 5 });
+      expect(timing).toEqual([67, 67, 200, 1568, 200, 67, 200, 0, 3660, 67]);
+    });
+
+    it('should keep a full PARIS word at the Farnsworth effective speed', () => {
+      // PARIS plus the word gap that follows it lasts one minute / effective WPM
+      const timing = morseToTiming('.--. .- .-. .. ... / .', { wpm: 20, farnsworthWpm: 10 });
+      const parisDuration = timing.slice(0, -1).reduce((sum, duration) => sum + duration, 0);
+      expect(parisDuration).toBeCloseTo(6000, -1);
+    });
+
+    it('should shift time from gaps to marks with weighting', () => {
+      expect(morseToTiming('.. -', { weight: 60 })).toEqual([120, 80, 120, 280, 320]);
+    });
+
+    it('should use a custom dash ratio', () => {
+      expect(morseToTiming('-.', { dashRatio: 4 })).toEqual([400, 100, 100]);
+    });
+
+    it('should apply speed to American Morse', () => {
+      // 24 WPM: 50ms unit
+      expect(morseToTiming('.. .  _', { code: 'american', wpm: 24 })).toEqual([50, 50, 50, 100, 50, 150, 200]);
+    });
+
+    it('should reject out-of-range options', () => {
+      expect(() => morseToTiming('.', { wpm: 0 })).toThrow(RangeError);
+      expect(() => morseToTiming('.', { wpm: 'fast' })).toThrow(RangeError);
+      expect(() => morseToTiming('.', { wpm: 10, farnsworthWpm: 20 })).toThrow('farnsworthWpm');
+      expect(() => morseToTiming('.', { weight: 90 })).toThrow('weight');
+      expect(() => morseToTiming('.', { dashRatio: 1 })).toThrow('dashRatio');
+    });
+  });
+
+  describe('decodeMorse', () => {
+    it('should return a result per character with its offset', () => {
+      expect(decodeMorse('.- -...')).toEqual([
+        { morse: '.-', char: 'A', valid: true, offset: 0, suggestions: [] },
+        { morse: '-...', char: 'B', valid: true, offset: 3, suggestions: [] }
+      ]);
+    });
+
+    it('should decode word separators as spaces', () => {
+      const tokens = decodeMorse('.- / -...');
+      expect(tokens.map(t => t.char)).toEqual(['A', ' ', 'B']);
+      expect(tokens[1].offset).toBe(3);
+    });
+
+    it('should keep offsets through runs of spaces', () => {
+      const tokens = decodeMorse('.-   -...');
+      expect(tokens.map(t => t.offset)).toEqual([0, 5]);
+    });
+
+    it('should mark an unknown pattern invalid with nearby suggestions', () => {
+      const [, bad] = decodeMorse('.- ..-.-. -...');
+
+      expect(bad.valid).toBe(false);
+      expect(bad.char).toBeNull();
+      expect(bad.offset).toBe(3);
+      expect(bad.suggestions[0]).toEqual({ char: ';', morse: '-.-.-.', distance: 1 });
+      expect(bad.suggestions.map(s => s.char)).toEqual([';', '@', '+']);
+    });
+
+    it('should suggest same-length characters first for a swapped element', () => {
+      // ..--. is one edit away from 2, ( and SN
+      const [token] = decodeMorse('..--.');
+      expect(token.suggestions[0].distance).toBe(1);
+      expect(token.suggestions.map(s => s.char)).toContain('2');
+    });
+
+    it('should limit suggestions by distance and count', () => {
+      const [token] = decodeMorse('---------------', { maxDistance: 1 });
+      expect(token.suggestions).toEqual([]);
+      expect(decodeMorse('..--.', { maxSuggestions: 1 })[0].suggestions).toHaveLength(1);
+    });
+
+    it('should decode American Morse tokens with their offsets', () => {
+      const tokens = decodeMorse('.. .  . .', { code: 'american' });
+      expect(tokens.map(t => [t.char, t.offset])).toEqual([['C', 0], ['O', 6]]);
+    });
+
+    it('should agree with morseToText', () => {
+      const morse = '.... . .-.. .-.. --- / ........ / ..--.. .-.-.-.-';
+      const text = decodeMorse(morse).map(t => t.valid ? t.char : '�').join('');
+      expect(text).toBe(morseToText(morse));
+    });
+
+    it('should return an empty list for invalid input', () => {
+      expect(decodeMorse(null)).toEqual([]);
+    });
+  });
+
+  describe('morseEditDistance', () => {
+    it('should count substitutions, insertions and deletions', () => {
+      expect(morseEditDistance('...-', '...-')).toBe(0);
+      expect(morseEditDistance('..-.', '...-')).toBe(2);
+      expect(morseEditDistance('...', '....')).toBe(1);
+      expect(morseEditDistance('.-', '')).toBe(2);
+    });
+
+    it('should count a swapped pair of elements as one edit when asked', () => {
+      expect(morseEditDistance('..-.', '...-', { transpositions: true })).toBe(1);
+      expect(morseEditDistance('-.', '.-', { transpositions: true })).toBe(1);
+      expect(morseEditDistance('...', '....', { transpositions: true })).toBe(1);
+    });
+  });
 });
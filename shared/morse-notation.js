@@ -0,0 +1,262 @@
+// Morse Notation - reads and writes the common ways of writing Morse down
+//
+// slash:   .- -... / -.-.        (what textToMorse produces)
+// pipe:    .- -... | -.-.
+// spaces:  .- -...   -.-.        (three or more spaces between words)
+// ditdah:  di-dah dah-di-di-dit / dah-di-dah-dit
+// binary:  1011100011101010100000001110101110100
+//
+// Binary is on-off keying with one digit per dot unit: 1 for key down, 0 for
+// key up. American Morse has spaces inside characters, so only the slash and
+// pipe notations apply to it.
+
+const NOTATIONS = ['slash', 'pipe', 'spaces', 'ditdah', 'binary'];
+const AMERICAN_NOTATIONS = ['slash', 'pipe'];
+
+// Symbols written between words, with a character gap either side
+const WORD_SYMBOLS = { slash: '/', pipe: '|' };
+
+// Spoken element names
+const SPOKEN_ELEMENTS = { 'dah': '-', 'da': '-', 'dit': '.', 'di': '.' };
+
+/**
+ * Lists the supported notations
+ * @param {string} [code='itu'] - 'itu' or 'american'
+ * @returns {string[]} Notation names accepted by parseMorse and formatMorse
+ */
+export function getSupportedNotations(code = 'itu') {
+  return code === 'american' ? [...AMERICAN_NOTATIONS] : [...NOTATIONS];
+}
+
+/**
+ * Checks that a notation can be used with a code
+ * @param {string} notation - Notation name
+ * @param {string} code - Code name
+ * @throws {Error} If the notation is unknown or not available for the code
+ */
+function checkNotation(notation, code) {
+  if (!NOTATIONS.includes(notation)) {
+    throw new Error(`Unknown notation: ${notation}`);
+  }
+  if (!getSupportedNotations(code).includes(notation)) {
+    throw new Error(`Notation ${notation} is not available in ${code} Morse`);
+  }
+}
+
+/**
+ * Guesses the notation a Morse string is written in
+ * @param {string} input - Morse in any supported notation
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.code='itu'] - 'itu' or 'american'
+ * @returns {string} Notation name; 'slash' when nothing else fits
+ */
+export function detectNotation(input, options = {}) {
+  const code = options.code || 'itu';
+  const text = typeof input === 'string' ? input.trim() : '';
+
+  if (code === 'itu') {
+    if (/^[01\s]+$/.test(text) && text.includes('1')) {
+      return 'binary';
+    }
+    if (/^[a-z\s/|-]+$/i.test(text) && /d[ai]/i.test(text)) {
+      return 'ditdah';
+    }
+  }
+  if (text.includes('|') && !text.includes('/')) {
+    return 'pipe';
+  }
+  if (code === 'itu' && !text.includes('/') && /\S {3,}\S/.test(text)) {
+    return 'spaces';
+  }
+  return 'slash';
+}
+
+/**
+ * Splits Morse written with word separators into words of characters
+ * @param {string} input - Morse string
+ * @param {RegExp} wordPattern - Word separator
+ * @param {RegExp} charPattern - Character separator
+ * @returns {string[][]} Characters of each non-empty word
+ */
+function splitWords(input, wordPattern, charPattern) {
+  return input
+    .split(wordPattern)
+    .map(word => word.trim().split(charPattern).filter(char => char !== ''))
+    .filter(word => word.length > 0);
+}
+
+/**
+ * Reads spoken dit-dah notation
+ * @param {string} input - e.g. 'di-dah dah-di-di-dit / dah'
+ * @returns {string[][]} Characters of each word, as dots and dashes
+ * @throws {Error} If an element is not dit, di, dah or da
+ */
+function readSpoken(input) {
+  return splitWords(input.toLowerCase(), /[/|]/, /\s+/).map(word => word.map(char =>
+    char.split('-').filter(element => element !== '').map(element => {
+      if (!SPOKEN_ELEMENTS[element]) {
+        throw new Error(`Invalid Morse notation: unknown element "${element}"`);
+      }
+      return SPOKEN_ELEMENTS[element];
+    }).join('')
+  ));
+}
+
+/**
+ * Reads binary on-off keying
+ * A run of two or more 1s is a dash. A run of two to four 0s separates
+ * characters and five or more separate words, so slightly uneven keying
+ * still reads.
+ * @param {string} input - Digits 1 and 0, whitespace ignored
+ * @returns {string[][]} Characters of each word, as dots and dashes
+ * @throws {Error} If anything but 1, 0 and whitespace is written
+ */
+function readBinary(input) {
+  const digits = input.replace(/\s+/g, '');
+  const stray = digits.match(/[^01]/);
+  if (stray) {
+    throw new Error(`Invalid Morse notation: unknown digit "${stray[0]}"`);
+  }
+
+  const words = [[]];
+  let char = '';
+  const runs = digits.replace(/^0+|0+$/g, '').match(/1+|0+/g) || [];
+
+  for (const run of runs) {
+    if (run[0] === '1') {
+      char += run.length >= 2 ? '-' : '.';
+    } else if (run.length >= 2) {
+      words[words.length - 1].push(char);
+      char = '';
+      if (run.length >= 5) {
+        words.push([]);
+      }
+    }
+  }
+  if (char) {
+    words[words.length - 1].push(char);
+  }
+
+  return words.filter(word => word.length > 0);
+}
+
+/**
+ * Writes words of ITU characters as binary on-off keying
+ * @param {string[][]} words - Characters of each word
+ * @returns {string} Binary string
+ */
+function writeBinary(words) {
+  return words
+    .map(word => word
+      .map(char => [...char].map(element => element === '-' ? '111' : '1').join('0'))
+      .join('000'))
+    .join('0000000');
+}
+
+/**
+ * Writes words of ITU characters as spoken dit-dah
+ * @param {string[][]} words - Characters of each word
+ * @returns {string} Dit-dah string
+ */
+function writeSpoken(words) {
+  return words
+    .map(word => word
+      .map(char => [...char]
+        .map((element, i) => element === '-' ? 'dah' : i === char.length - 1 ? 'dit' : 'di')
+        .join('-'))
+      .join(' '))
+    .join(' / ');
+}
+
+/**
+ * Writes words of characters in a notation
+ * @param {string[][]} words - Characters of each word
+ * @param {string} notation - Notation name
+ * @param {string} code - Code name
+ * @returns {string} Morse string
+ */
+function writeWords(words, notation, code) {
+  switch (notation) {
+    case 'binary':
+      return writeBinary(words);
+    case 'ditdah':
+      return writeSpoken(words);
+    case 'spaces':
+      return words.map(word => word.join(' ')).join('   ');
+    default: {
+      // American characters are two spaces apart, as textToMorse writes them
+      const charSeparator = code === 'american' ? '  ' : ' ';
+      return words
+        .map(word => word.join(charSeparator))
+        .join(`${charSeparator}${WORD_SYMBOLS[notation]}${charSeparator}`);
+    }
+  }
+}
+
+/**
+ * Reads Morse in any supported notation into words of characters
+ * @param {string} input - Morse string
+ * @param {string} notation - Notation name
+ * @param {string} code - Code name
+ * @returns {string[][]} Characters of each word
+ */
+function readWords(input, notation, code) {
+  // American characters contain single spaces; characters are two or more apart
+  const charPattern = code === 'american' ? /\s{2,}/ : /\s+/;
+
+  switch (notation) {
+    case 'binary':
+      return readBinary(input);
+    case 'ditdah':
+      return readSpoken(input);
+    case 'spaces':
+      return splitWords(input, /\s{3,}|[/|]/, /\s+/);
+    default:
+      return splitWords(input, /[/|]/, charPattern);
+  }
+}
+
+/**
+ * Reads Morse written in any supported notation
+ * Slash and pipe are read alike, and both accept either separator.
+ *
+ * @param {string} input - Morse string
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.notation='auto'] - Notation name, or 'auto' to detect it
+ * @param {string} [options.code='itu'] - 'itu' or 'american'
+ * @returns {string} Morse in slash notation, as morseToText expects
+ * @throws {Error} If the notation is unknown or the input does not fit it
+ */
+export function parseMorse(input, options = {}) {
+  const code = options.code || 'itu';
+  if (typeof input !== 'string') {
+    return '';
+  }
+
+  const notation = !options.notation || options.notation === 'auto'
+    ? detectNotation(input, { code })
+    : options.notation;
+  checkNotation(notation, code);
+
+  return writeWords(readWords(input, notation, code), 'slash', code);
+}
+
+/**
+ * Writes Morse in a notation
+ *
+ * @param {string} morse - Morse in slash notation, as textToMorse produces
+ * @param {string} [notation='slash'] - Notation to write
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.code='itu'] - 'itu' or 'american'
+ * @returns {string} Morse in the requested notation
+ * @throws {Error} If the notation is unknown or not available for the code
+ */
+export function formatMorse(morse, notation = 'slash', options = {}) {
+  const code = options.code || 'itu';
+  checkNotation(notation, code);
+  if (typeof morse !== 'string') {
+    return '';
+  }
+
+  return writeWords(readWords(morse, 'slash', code), notation, code);
+}
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseMorse,
+  formatMorse,
+  detectNotation,
+  getSupportedNotations
+} from './morse-notation.js';
+import { textToMorse, morseToTiming } from './morse-lib.js';
+
+describe('Morse Notation - Unit Tests', () => {
+  const sos = textToMorse('SOS HELP');
+
+  describe('formatMorse', () => {
+    it('should write slash notation unchanged', () => {
+      expect(formatMorse(sos)).toBe('... --- ... / .... . .-.. .--.');
+    });
+
+    it('should write pipe and triple-space notation', () => {
+      expect(formatMorse('.- / -', 'pipe')).toBe('.- | -');
+      expect(formatMorse('.- / -', 'spaces')).toBe('.-   -');
+    });
+
+    it('should write spoken dit-dah', () => {
+      expect(formatMorse('.- -... / -', 'ditdah')).toBe('di-dah dah-di-di-dit / dah');
+    });
+
+    it('should write binary with one digit per dot unit', () => {
+      // A, char gap, B, word gap, T
+      expect(formatMorse('.- -... / -', 'binary')).toBe('10111' + '000' + '111010101' + '0000000' + '111');
+    });
+
+    it('should take as many binary units as morseToTiming takes dot units', () => {
+      const binary = formatMorse(sos, 'binary');
+      const units = morseToTiming(sos).reduce((sum, duration) => sum + duration, 0) / 100;
+
+      expect(binary.length).toBe(units);
+    });
+
+    it('should keep American characters two spaces apart', () => {
+      expect(formatMorse('.. .  .-  /  -', 'pipe', { code: 'american' })).toBe('.. .  .-  |  -');
+    });
+
+    it('should reject unknown notations and ITU-only notations in American', () => {
+      expect(() => formatMorse('.-', 'semaphore')).toThrow('Unknown notation: semaphore');
+      expect(() => formatMorse('.-', 'binary', { code: 'american' })).toThrow('not available');
+    });
+  });
+
+  describe('parseMorse', () => {
+    it('should read every notation back to slash notation', () => {
+      for (const notation of getSupportedNotations()) {
+        expect(parseMorse(formatMorse(sos, notation), { notation })).toBe(sos);
+      }
+    });
+
+    it('should detect the notation when not told', () => {
+      for (const notation of getSupportedNotations()) {
+        expect(parseMorse(formatMorse(sos, notation))).toBe(sos);
+      }
+    });
+
+    it('should read the triple-space gaps of the telegraph key', () => {
+      expect(parseMorse('.... ..   - .... . .-. .   ')).toBe('.... .. / - .... . .-. .');
+    });
+
+    it('should tidy spacing and repeated separators', () => {
+      expect(parseMorse('  .-  -... / / -  ')).toBe('.- -... / -');
+    });
+
+    it('should read short forms and capitals of dit-dah', () => {
+      expect(parseMorse('DI-DAH da-di-di-dit')).toBe('.- -...');
+    });
+
+    it('should reject unknown spoken elements', () => {
+      expect(() => parseMorse('di-doh', { notation: 'ditdah' })).toThrow('unknown element "doh"');
+    });
+
+    it('should read slightly uneven binary keying', () => {
+      // Dash of two units, character gap of four, word gap of six
+      expect(parseMorse('1011' + '0000' + '1' + '000000' + '11')).toBe('.- . / -');
+    });
+
+    it('should ignore leading and trailing silence in binary', () => {
+      expect(parseMorse('000101000')).toBe('..');
+    });
+
+    it('should reject anything but 1 and 0 in binary', () => {
+      expect(() => parseMorse('10112', { notation: 'binary' })).toThrow('unknown digit "2"');
+      expect(() => parseMorse('101 x01', { notation: 'binary' })).toThrow('unknown digit "x"');
+    });
+
+    it('should read American Morse', () => {
+      const american = { code: 'american' };
+      const morse = textToMorse('CO OP', american);
+
+      expect(parseMorse(formatMorse(morse, 'pipe', american), american)).toBe(morse);
+    });
+
+    it('should return an empty string for non-string input', () => {
+      expect(parseMorse(null)).toBe('');
+    });
+  });
+
+  describe('detectNotation', () => {
+    it('should recognise each notation', () => {
+      expect(detectNotation('.- / -')).toBe('slash');
+      expect(detectNotation('.- | -')).toBe('pipe');
+      expect(detectNotation('.-   -')).toBe('spaces');
+      expect(detectNotation('di-dah dah')).toBe('ditdah');
+      expect(detectNotation('10111')).toBe('binary');
+    });
+
+    it('should take a single word as slash notation', () => {
+      expect(detectNotation('.- -...')).toBe('slash');
+    });
+
+    it('should only detect slash and pipe in American Morse', () => {
+      expect(detectNotation('.. .  .-', { code: 'american' })).toBe('slash');
+      expect(detectNotation('.-  |  -', { code: 'american' })).toBe('pipe');
+    });
+  });
+});
@@ -0,0 +1,180 @@
+// Telegram Format - the message envelope sent over the wire
+//
+// A formal telegram is sent as a preamble, the address, the text and the
+// signature, separated by BT and closed with AR:
+//
+//   NR 12 P CK 5 NEW YORK 1045 OCT 19 <BT> JOHN SMITH BOSTON <BT>
+//   ARRIVED SAFELY STOP LETTER FOLLOWS <BT> MARY <AR>
+//
+// The preamble gives the message number, precedence, check (the number of
+// words in the text), office of origin, time filed and date. The receiving
+// clerk counts the words of the text against the check. BT decodes as '='
+// and AR as '+' unless prosigns are asked for, so both are read.
+
+// Precedence as keyed in the preamble; routine is left out
+const PRECEDENCES = {
+  routine: 'R',
+  welfare: 'W',
+  priority: 'P',
+  emergency: 'EMERGENCY'
+};
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const PREAMBLE = /^NR (\d+)(?: (R|W|P|EMERGENCY))? CK (\d+) (.+?)(?: (\d{4}))?(?: ([A-Z]{3} \d{1,2}))?$/;
+const SEPARATOR = /\s*(?:<BT>|=)\s*/;
+const ENDING = /\s*(?:<AR>|\+)\s*$/;
+
+/**
+ * Lists the precedences
+ * @returns {string[]} Precedence names, lowest first
+ */
+export function getPrecedences() {
+  return Object.keys(PRECEDENCES);
+}
+
+/**
+ * Counts the words of a telegram's text, as the check does
+ * @param {string} text - Telegram text
+ * @returns {number} Number of words
+ */
+export function countCheckWords(text) {
+  if (typeof text !== 'string') {
+    return 0;
+  }
+  return text.split(/\s+/).filter(word => word !== '').length;
+}
+
+/**
+ * Stamps the time filed and date of a telegram
+ * @param {Date} [when=new Date()] - Moment the telegram was filed, in local time
+ * @returns {{filed: string, date: string}} Time as HHMM and date such as 'OCT 19'
+ */
+export function stampTelegram(when = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  return {
+    filed: `${pad(when.getHours())}${pad(when.getMinutes())}`,
+    date: `${MONTHS[when.getMonth()]} ${when.getDate()}`
+  };
+}
+
+/**
+ * Checks that a field is text the envelope can carry
+ * @param {string} name - Field name
+ * @param {*} value - Field value
+ * @param {boolean} [multiWord=true] - Whether the field may have several words
+ * @returns {string} The field in upper case with single spaces
+ * @throws {Error} If the field is empty or would break the envelope
+ */
+function checkField(name, value, multiWord = true) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`Invalid telegram: ${name} is required`);
+  }
+  const field = value.trim().toUpperCase().split(/\s+/).join(' ');
+  if (/<BT>|<AR>|[=+]/.test(field) || (!multiWord && field.includes(' '))) {
+    throw new Error(`Invalid telegram: ${name} cannot contain BT or AR`);
+  }
+  return field;
+}
+
+/**
+ * Writes a telegram in its envelope
+ * The check is counted from the text unless given.
+ *
+ * @param {Object} telegram - Telegram fields
+ * @param {number} telegram.number - Message number
+ * @param {string} [telegram.precedence='routine'] - 'routine', 'welfare', 'priority' or 'emergency'
+ * @param {number} [telegram.check] - Words in the text (counted when left out)
+ * @param {string} telegram.origin - Office of origin
+ * @param {string} [telegram.filed] - Time filed as HHMM
+ * @param {string} [telegram.date] - Date such as 'OCT 19'
+ * @param {string} telegram.address - Addressee and address
+ * @param {string} telegram.text - Message text
+ * @param {string} telegram.signature - Sender's signature
+ * @returns {string} The telegram as keyed, ending with <AR>
+ * @throws {Error} If a field is missing or malformed
+ */
+export function formatTelegram(telegram = {}) {
+  const { number, precedence = 'routine', filed, date } = telegram;
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error('Invalid telegram: number must be a positive whole number');
+  }
+  if (!PRECEDENCES[precedence]) {
+    throw new Error(`Invalid telegram: unknown precedence ${precedence}`);
+  }
+  if (filed !== undefined && !/^([01]\d|2[0-3])[0-5]\d$/.test(filed)) {
+    throw new Error('Invalid telegram: time filed must be HHMM');
+  }
+  if (date !== undefined && !new RegExp(`^(${MONTHS.join('|')}) \\d{1,2}$`).test(date)) {
+    throw new Error('Invalid telegram: date must be a month and day, such as OCT 19');
+  }
+
+  const origin = checkField('origin', telegram.origin);
+  const address = checkField('address', telegram.address);
+  const text = checkField('text', telegram.text);
+  const signature = checkField('signature', telegram.signature);
+  const check = telegram.check ?? countCheckWords(text);
+
+  const preamble = [
+    'NR', number,
+    ...(precedence !== 'routine' ? [PRECEDENCES[precedence]] : []),
+    'CK', check,
+    origin,
+    ...(filed ? [filed] : []),
+    ...(date ? [date] : [])
+  ].join(' ');
+
+  return `${preamble} <BT> ${address} <BT> ${text} <BT> ${signature} <AR>`;
+}
+
+/**
+ * Tells whether text starts like a telegram preamble
+ * @param {string} text - Text as received
+ * @returns {boolean} True when the text opens with NR and a number
+ */
+export function isTelegram(text) {
+  return typeof text === 'string' && /^\s*NR \d+ /i.test(text);
+}
+
+/**
+ * Reads a telegram out of its envelope and counts its text against the check
+ *
+ * @param {string} wire - Telegram as received, with BT as <BT> or '=' and AR as <AR> or '+'
+ * @returns {{number: number, precedence: string, check: number, origin: string,
+ *   filed: string|null, date: string|null, address: string, text: string, signature: string,
+ *   wordCount: number, checkMatches: boolean}} Telegram fields, the words counted in the
+ *   text, and whether they agree with the check
+ * @throws {Error} If the preamble or sections are malformed
+ */
+export function parseTelegram(wire) {
+  if (typeof wire !== 'string') {
+    throw new Error('Invalid telegram: not text');
+  }
+
+  const sections = wire.trim().toUpperCase().replace(ENDING, '').split(SEPARATOR);
+  if (sections.length !== 4 || sections.some(section => section === '')) {
+    throw new Error('Invalid telegram: expected preamble, address, text and signature separated by BT');
+  }
+
+  const [preamble, address, text, signature] = sections.map(section => section.split(/\s+/).join(' '));
+  const match = preamble.match(PREAMBLE);
+  if (!match) {
+    throw new Error(`Invalid telegram: unreadable preamble "${preamble}"`);
+  }
+
+  const [, number, precedence = 'R', check, origin, filed = null, date = null] = match;
+  const wordCount = countCheckWords(text);
+  return {
+    number: Number(number),
+    precedence: Object.keys(PRECEDENCES).find(name => PRECEDENCES[name] === precedence),
+    check: Number(check),
+    origin,
+    filed,
+    date,
+    address,
+    text,
+    signature,
+    wordCount,
+    checkMatches: wordCount === Number(check)
+  };
+}
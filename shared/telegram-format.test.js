@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatTelegram,
+  parseTelegram,
+  isTelegram,
+  stampTelegram,
+  countCheckWords,
+  getPrecedences
+} from './telegram-format.js';
+import { textToMorse, morseToText } from './morse-lib.js';
+
+describe('Telegram Format - Unit Tests', () => {
+  const telegram = {
+    number: 12,
+    precedence: 'priority',
+    origin: 'New York',
+    filed: '1045',
+    date: 'OCT 19',
+    address: 'John Smith 12 Main St Boston',
+    text: 'Arrived safely stop letter follows',
+    signature: 'Mary'
+  };
+  const wire = 'NR 12 P CK 5 NEW YORK 1045 OCT 19 <BT> JOHN SMITH 12 MAIN ST BOSTON <BT> '
+    + 'ARRIVED SAFELY STOP LETTER FOLLOWS <BT> MARY <AR>';
+
+  describe('formatTelegram', () => {
+    it('should write the preamble, sections and check count', () => {
+      expect(formatTelegram(telegram)).toBe(wire);
+    });
+
+    it('should leave out routine precedence and missing time and date', () => {
+      const { filed, date, ...untimed } = telegram;
+
+      expect(formatTelegram({ ...untimed, precedence: 'routine' }))
+        .toMatch(/^NR 12 CK 5 NEW YORK <BT> /);
+    });
+
+    it('should reject missing and malformed fields', () => {
+      expect(() => formatTelegram({ ...telegram, number: 0 })).toThrow('number must be a positive');
+      expect(() => formatTelegram({ ...telegram, precedence: 'urgent' })).toThrow('unknown precedence urgent');
+      expect(() => formatTelegram({ ...telegram, filed: '2561' })).toThrow('time filed must be HHMM');
+      expect(() => formatTelegram({ ...telegram, date: '19 OCT' })).toThrow('date must be a month and day');
+      expect(() => formatTelegram({ ...telegram, signature: '' })).toThrow('signature is required');
+      expect(() => formatTelegram({ ...telegram, text: 'TWO = THREE' })).toThrow('cannot contain BT or AR');
+    });
+  });
+
+  describe('parseTelegram', () => {
+    it('should read the fields back', () => {
+      expect(parseTelegram(wire)).toEqual({
+        number: 12,
+        precedence: 'priority',
+        check: 5,
+        origin: 'NEW YORK',
+        filed: '1045',
+        date: 'OCT 19',
+        address: 'JOHN SMITH 12 MAIN ST BOSTON',
+        text: 'ARRIVED SAFELY STOP LETTER FOLLOWS',
+        signature: 'MARY',
+        wordCount: 5,
+        checkMatches: true
+      });
+    });
+
+    it('should read a telegram decoded from Morse, with BT as = and AR as +', () => {
+      const received = morseToText(textToMorse(wire));
+
+      expect(received).toContain(' = ');
+      expect(parseTelegram(received)).toMatchObject({ number: 12, text: 'ARRIVED SAFELY STOP LETTER FOLLOWS' });
+    });
+
+    it('should detect a check count that does not match the text', () => {
+      const result = parseTelegram(wire.replace('CK 5', 'CK 6'));
+
+      expect(result.check).toBe(6);
+      expect(result.wordCount).toBe(5);
+      expect(result.checkMatches).toBe(false);
+    });
+
+    it('should read a preamble without precedence, time or date', () => {
+      expect(parseTelegram('NR 3 CK 1 BOSTON = SMITH = HELLO = JONES')).toMatchObject({
+        precedence: 'routine',
+        origin: 'BOSTON',
+        filed: null,
+        date: null
+      });
+    });
+
+    it('should reject malformed envelopes', () => {
+      expect(() => parseTelegram('NR 3 CK 1 BOSTON = SMITH = HELLO')).toThrow('expected preamble, address, text');
+      expect(() => parseTelegram('NR X CK 1 BOSTON = A = B = C')).toThrow('unreadable preamble');
+    });
+  });
+
+  describe('helpers', () => {
+    it('should tell a telegram from plain text', () => {
+      expect(isTelegram(wire)).toBe(true);
+      expect(isTelegram('NR OF MEN 12')).toBe(false);
+    });
+
+    it('should stamp the time filed and date', () => {
+      expect(stampTelegram(new Date(1865, 3, 9, 8, 5))).toEqual({ filed: '0805', date: 'APR 9' });
+    });
+
+    it('should count check words and list precedences', () => {
+      expect(countCheckWords('  ALL  WELL ')).toBe(2);
+      expect(getPrecedences()).toEqual(['routine', 'welfare', 'priority', 'emergency']);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+// Text Normalizer - prepares arbitrary Unicode text for a Morse line
+//
+// Characters with no Morse code are transliterated where a telegrapher would
+// have (é→E, ’→', —→-, ½→1/2) and reported where nothing fits, so nothing is
+// dropped without the sender knowing.
+
+import { textToMorse } from './morse-lib.js';
+
+// Transliterations that Unicode decomposition does not provide
+const TRANSLITERATIONS = {
+  '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'", '‹': "'", '›': "'", '`': "'",
+  '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"', '«': '"', '»': '"',
+  '‐': '-', '‑': '-', '‒': '-', '–': '-', '—': '-', '―': '-', '−': '-',
+  '…': '...', '⁄': '/', '÷': '/', '×': 'X', '*': 'X',
+  '%': '0/0', '‰': '0/00',
+  '[': '(', ']': ')', '{': '(', '}': ')',
+  '¿': '?', '¡': '!',
+  '€': 'EUR', '£': 'GBP', '¥': 'JPY', '¢': 'C',
+  'ß': 'SS', 'Æ': 'AE', 'æ': 'ae', 'Œ': 'OE', 'œ': 'oe', 'Ø': 'O', 'ø': 'o',
+  'Ð': 'D', 'ð': 'd', 'Đ': 'D', 'đ': 'd', 'Þ': 'TH', 'þ': 'th', 'Ł': 'L', 'ł': 'l',
+  'ı': 'i'
+};
+
+/**
+ * Checks whether a character can be keyed as-is
+ * Characters that uppercase to several letters (ß, ﬁ) are not, so the text
+ * shows what is actually sent.
+ * @param {string} char - Single character
+ * @param {Object} options - Encoding options for textToMorse
+ * @returns {boolean} True if textToMorse encodes it as one character
+ */
+function isEncodable(char, options) {
+  return char === ' '
+    || (char.toUpperCase().length === 1 && textToMorse(char, options) !== '');
+}
+
+/**
+ * Finds a keyable spelling for a character
+ * Tries the transliteration table, then Unicode compatibility decomposition
+ * with accents removed (so é becomes e and ½ becomes 1⁄2, then 1/2).
+ * @param {string} char - Single character with no Morse code
+ * @param {Object} options - Encoding options for textToMorse
+ * @returns {string|null} Replacement text, or null if none fits
+ */
+function transliterate(char, options) {
+  if (/\s/.test(char)) {
+    return ' ';
+  }
+
+  let replacement = TRANSLITERATIONS[char];
+  if (replacement === undefined) {
+    const decomposed = char.normalize('NFKD').replace(/\p{M}/gu, '');
+    if (decomposed === char || decomposed === '') {
+      return null;
+    }
+
+    replacement = [...decomposed]
+      .map(part => isEncodable(part, options) ? part : TRANSLITERATIONS[part] ?? part)
+      .join('');
+  }
+
+  return [...replacement].every(part => isEncodable(part, options)) ? replacement : null;
+}
+
+/**
+ * Rewrites text so every character can be keyed in Morse
+ * Prosigns written as <NAME> are kept when the code has them. Letter case is
+ * preserved; textToMorse is case-insensitive.
+ *
+ * @param {string} text - Text to normalize
+ * @param {Object} [options] - Encoding options, as for textToMorse
+ * @param {string} [options.code='itu'] - 'itu' or 'american'
+ * @param {boolean} [options.extended=false] - Keep letters with extended ITU codes (É, Ü, Ñ, ...)
+ *   instead of transliterating them
+ * @returns {{text: string, replacements: {index: number, char: string, replacement: string}[],
+ *   unencodable: {index: number, char: string}[]}} Keyable text, characters that were
+ *   transliterated, and characters that were dropped, each with its index in the input
+ */
+export function normalizeText(text, options = {}) {
+  const result = { text: '', replacements: [], unencodable: [] };
+  if (typeof text !== 'string') {
+    return result;
+  }
+
+  const pieces = [];
+  let index = 0;
+
+  while (index < text.length) {
+    // Keep prosigns whole; their brackets have no code of their own. Where the
+    // code has no prosigns the letters key separately, so the brackets are dropped.
+    const prosign = /^<([A-Za-z0-9]+)>/.exec(text.slice(index));
+    if (prosign && textToMorse(prosign[0], options) !== textToMorse(prosign[1], options)) {
+      pieces.push(prosign[0]);
+      index += prosign[0].length;
+      continue;
+    }
+
+    const char = String.fromCodePoint(text.codePointAt(index));
+
+    if (isEncodable(char, options)) {
+      pieces.push(char);
+    } else {
+      const replacement = transliterate(char, options);
+
+      if (replacement === null) {
+        result.unencodable.push({ index, char });
+      } else {
+        pieces.push(replacement);
+        result.replacements.push({ index, char, replacement });
+      }
+    }
+
+    index += char.length;
+  }
+
+  result.text = pieces.join('');
+  return result;
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeText } from './text-normalizer.js';
+import { textToMorse } from './morse-lib.js';
+
+describe('Text Normalizer - Unit Tests', () => {
+  it('should leave keyable text unchanged', () => {
+    const result = normalizeText('HELLO, WORLD? 73');
+
+    expect(result).toEqual({ text: 'HELLO, WORLD? 73', replacements: [], unencodable: [] });
+  });
+
+  it('should strip accents from letters', () => {
+    expect(normalizeText('Café naïve Ünïcödé').text).toBe('Cafe naive Unicode');
+  });
+
+  it('should transliterate typographic punctuation', () => {
+    expect(normalizeText('It’s “done” — really…').text).toBe('It\'s "done" - really...');
+  });
+
+  it('should spell out fractions, superscripts and percentages', () => {
+    expect(normalizeText('½ x² 50%').text).toBe('1/2 x2 500/0');
+  });
+
+  it('should expand letters with no single-letter spelling', () => {
+    expect(normalizeText('Straße Æsop Łódź').text).toBe('StraSSe AEsop Lodz');
+  });
+
+  it('should turn tabs, newlines and other spaces into plain spaces', () => {
+    expect(normalizeText('ONE\tTWO\nTHREE FOUR').text).toBe('ONE TWO THREE FOUR');
+  });
+
+  it('should report each replacement with its position', () => {
+    const result = normalizeText('Né—');
+
+    expect(result.replacements).toEqual([
+      { index: 1, char: 'é', replacement: 'e' },
+      { index: 2, char: '—', replacement: '-' }
+    ]);
+  });
+
+  it('should report characters it cannot encode', () => {
+    const result = normalizeText('SNOW ☃ 😀 STOP');
+
+    expect(result.text).toBe('SNOW   STOP');
+    expect(result.unencodable).toEqual([
+      { index: 5, char: '☃' },
+      { index: 7, char: '😀' }
+    ]);
+  });
+
+  it('should keep prosigns whole', () => {
+    const result = normalizeText('73 <SK>');
+
+    expect(result.text).toBe('73 <SK>');
+    expect(result.unencodable).toEqual([]);
+  });
+
+  it('should keep extended ITU letters when asked', () => {
+    const result = normalizeText('Señor Müller', { extended: true });
+
+    expect(result.text).toBe('Señor Müller');
+    expect(textToMorse(result.text, { extended: true })).toBe(
+      '... . --.-- --- .-. / -- ..-- .-.. .-.. . .-.'
+    );
+  });
+
+  it('should only keep characters the chosen code has', () => {
+    const result = normalizeText('“50%” <SK>', { code: 'american' });
+
+    expect(result.text).toBe('50 SK');
+    expect(result.unencodable.map(({ char }) => char)).toEqual(['“', '%', '”', '<', '>']);
+  });
+
+  it('should return empty results for non-string input', () => {
+    expect(normalizeText(null)).toEqual({ text: '', replacements: [], unencodable: [] });
+  });
+});
@@ -0,0 +1,381 @@
+// Adaptive Timing Decoder - the inverse of morseToTiming
+//
+// Classifies raw key-down/key-up durations into dots, dashes and gaps while
+// tracking the sender's speed, so a hand-keyed fist at any speed decodes.
+
+// Classification thresholds in dot units
+const DOT_DASH_THRESHOLD = 2;
+const ELEMENT_CHAR_THRESHOLD = 2;
+const WORD_TO_CHAR_RATIO = 7 / 3;
+
+// How quickly the speed estimate follows the sender (0 = never, 1 = instantly)
+const ADAPTATION_RATE = 0.25;
+
+// Speed range the estimate is held within: 5-60 WPM
+const MIN_UNIT = 1200 / 60;
+const MAX_UNIT = 1200 / 5;
+
+// Furthest character and word gaps are held to beyond standard timing, enough
+// for Farnsworth spacing at 5 WPM
+const MAX_SPACING = 6;
+
+/**
+ * Clamps a dot unit estimate to the supported speed range
+ * @param {number} unit - Dot unit in milliseconds
+ * @returns {number} Clamped unit
+ */
+function clampUnit(unit) {
+  return Math.min(MAX_UNIT, Math.max(MIN_UNIT, unit));
+}
+
+/**
+ * Clamps a gap stretch estimate to the supported spacing range
+ * @param {number} spacing - Gap stretch beyond standard timing
+ * @returns {number} Clamped spacing
+ */
+function clampSpacing(spacing) {
+  return Math.min(MAX_SPACING, Math.max(1, spacing));
+}
+
+/**
+ * Scores how cleanly a duration falls into its class
+ * 1 means exactly the ideal length, 0 means on (or past) the class boundary.
+ * @param {number} duration - Observed duration
+ * @param {number} ideal - Ideal duration for the class
+ * @param {number} boundary - Nearest class boundary
+ * @returns {number} Confidence between 0 and 1
+ */
+function scoreDuration(duration, ideal, boundary) {
+  const span = Math.abs(Math.log(boundary / ideal));
+  if (duration <= 0 || span === 0) {
+    return 0;
+  }
+  return Math.max(0, 1 - Math.abs(Math.log(duration / ideal)) / span);
+}
+
+/**
+ * Splits sorted values into two clusters, minimising spread in log space
+ * The spread of each candidate split is found from running sums of the logs
+ * and their squares, so every split point is tried in a single pass.
+ * @param {number[]} values - Positive values, sorted ascending
+ * @returns {{low: number[], high: number[]}} The two clusters (high may be empty)
+ */
+function splitClusters(values) {
+  const n = values.length;
+  const sums = [0];
+  const squares = [0];
+  values.forEach((value, i) => {
+    const log = Math.log(value);
+    sums.push(sums[i] + log);
+    squares.push(squares[i] + log * log);
+  });
+
+  // Sum of squared deviations from the mean of logs from..to (exclusive)
+  const spread = (from, to) => {
+    const sum = sums[to] - sums[from];
+    return squares[to] - squares[from] - sum * sum / (to - from);
+  };
+
+  let best = { cost: Infinity, index: n };
+  for (let i = 1; i < n; i++) {
+    const cost = spread(0, i) + spread(i, n);
+    if (cost < best.cost) {
+      best = { cost, index: i };
+    }
+  }
+
+  return { low: values.slice(0, best.index), high: values.slice(best.index) };
+}
+
+/**
+ * Averages an array of numbers
+ * @param {number[]} values - Values to average
+ * @returns {number} Mean value
+ */
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * Incremental decoder for a stream of key presses and pauses
+ * Feed mark (key down) and space (key up) durations as they happen; each call
+ * returns its classification and refines the speed estimate.
+ */
+export class AdaptiveTimingDecoder {
+  /**
+   * @param {Object} [options] - Decoder options
+   * @param {number} [options.wpm=12] - Expected starting speed in words per minute
+   * @param {number} [options.spacing=1] - Expected stretch of character and word gaps
+   *   beyond standard timing, as with Farnsworth spacing
+   */
+  constructor(options = {}) {
+    this.initialUnit = clampUnit(1200 / (options.wpm || 12));
+    this.initialSpacing = clampSpacing(options.spacing || 1);
+    this.reset();
+  }
+
+  /**
+   * Forgets everything decoded so far and returns to the starting speed
+   */
+  reset() {
+    this.unit = this.initialUnit;
+    this.spacing = this.initialSpacing;
+    this.clearText();
+  }
+
+  /**
+   * Forgets the Morse decoded so far and its confidence, keeping the speed
+   * and spacing estimates for the next message
+   */
+  clearText() {
+    this.words = [];
+    this.currentWord = [];
+    this.currentChar = '';
+    this.scores = [];
+  }
+
+  /**
+   * Estimated sending speed in words per minute
+   * @returns {number}
+   */
+  get wpm() {
+    return Math.round(1200 / this.unit * 10) / 10;
+  }
+
+  /**
+   * Mean classification confidence so far, between 0 and 1
+   * @returns {number}
+   */
+  get confidence() {
+    if (this.scores.length === 0) {
+      return 0;
+    }
+    return Math.round(mean(this.scores) * 100) / 100;
+  }
+
+  /**
+   * Morse decoded so far, with characters separated by spaces and words by ' / '
+   * @returns {string}
+   */
+  get morse() {
+    const words = [...this.words, [...this.currentWord, this.currentChar].filter(c => c)];
+    return words
+      .filter(word => word.length > 0)
+      .map(word => word.join(' '))
+      .join(' / ');
+  }
+
+  /**
+   * Ideal key-up lengths between characters and between words at the
+   * estimated speed and spacing
+   * @returns {{char: number, word: number}} Gap lengths in milliseconds
+   */
+  get gapLengths() {
+    const char = this.unit * 3 * this.spacing;
+    return { char, word: char * WORD_TO_CHAR_RATIO };
+  }
+
+  /**
+   * Key-up lengths past which a gap ends a character, and a word
+   * @returns {{char: number, word: number}} Thresholds in milliseconds
+   */
+  get gapThresholds() {
+    const { char: charGap, word: wordGap } = this.gapLengths;
+    const char = this.unit * ELEMENT_CHAR_THRESHOLD;
+    return { char, word: Math.max(char, Math.sqrt(charGap * wordGap)) };
+  }
+
+  /**
+   * Classifies a key-down duration and updates the speed estimate
+   * @param {number} duration - How long the key was held, in milliseconds
+   * @returns {string} '.' or '-'
+   */
+  addMark(duration) {
+    const threshold = this.unit * DOT_DASH_THRESHOLD;
+    const symbol = duration < threshold ? '.' : '-';
+    const ideal = symbol === '.' ? this.unit : this.unit * 3;
+
+    this.scores.push(scoreDuration(duration, ideal, threshold));
+    const observedUnit = symbol === '.' ? duration : duration / 3;
+    this.unit = clampUnit(this.unit + (observedUnit - this.unit) * ADAPTATION_RATE);
+
+    this.currentChar += symbol;
+    return symbol;
+  }
+
+  /**
+   * Classifies a key-up duration between two marks
+   * @param {number} duration - How long the key was up, in milliseconds
+   * @returns {string} 'element', 'char' or 'word'
+   */
+  addSpace(duration) {
+    const { char: charGap, word: wordGap } = this.gapLengths;
+    const { char: charThreshold, word: wordThreshold } = this.gapThresholds;
+    let gap;
+
+    if (duration < charThreshold) {
+      gap = 'element';
+      this.scores.push(scoreDuration(duration, this.unit, charThreshold));
+    } else if (duration < wordThreshold) {
+      gap = 'char';
+      this.scores.push(Math.min(
+        scoreDuration(duration, charGap, charThreshold),
+        scoreDuration(duration, charGap, wordThreshold)
+      ));
+      this.adaptSpacing(duration / charGap);
+    } else {
+      gap = 'word';
+      this.scores.push(scoreDuration(duration, wordGap, wordThreshold));
+      this.adaptSpacing(duration / wordGap);
+    }
+
+    if (gap !== 'element' && this.currentChar) {
+      this.currentWord.push(this.currentChar);
+      this.currentChar = '';
+    }
+    if (gap === 'word' && this.currentWord.length > 0) {
+      this.words.push(this.currentWord);
+      this.currentWord = [];
+    }
+
+    return gap;
+  }
+
+  /**
+   * Forgets the word being keyed, as when the receiving operator breaks in to
+   * have it sent again; the speed estimate is kept
+   */
+  dropWord() {
+    this.currentWord = [];
+    this.currentChar = '';
+  }
+
+  /**
+   * Moves the gap stretch estimate toward an observed gap
+   * @param {number} ratio - Observed gap divided by the expected gap
+   */
+  adaptSpacing(ratio) {
+    this.spacing = clampSpacing(this.spacing * (1 + (ratio - 1) * ADAPTATION_RATE));
+  }
+}
+
+/**
+ * Reads alternating on/off durations into separate mark and space events
+ * Values alternate key-down, key-up starting with key-down. A zero is skipped
+ * and the value after it is always a key-up, so morseToTiming's word gap
+ * marker (0, gap) reads back as a single pause.
+ * @param {number[]} durations - Durations in milliseconds
+ * @returns {{on: boolean, duration: number}[]} Events in order
+ * @throws {RangeError} If a duration is negative or not a number
+ */
+function readEvents(durations) {
+  const events = [];
+  let on = true;
+
+  for (const duration of durations) {
+    if (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0) {
+      throw new RangeError('Invalid duration: timings must be non-negative numbers');
+    }
+
+    if (duration === 0) {
+      on = false;
+      continue;
+    }
+
+    const last = events[events.length - 1];
+    if (last && last.on === on) {
+      last.duration += duration;
+    } else {
+      events.push({ on, duration });
+    }
+    on = !on;
+  }
+
+  // Leading and trailing silence carry no information
+  while (events.length > 0 && !events[0].on) {
+    events.shift();
+  }
+  while (events.length > 0 && !events[events.length - 1].on) {
+    events.pop();
+  }
+
+  return events;
+}
+
+/**
+ * Estimates the dot unit and gap stretch of a complete recording
+ * Marks are split into dot and dash clusters; if all marks are alike, the
+ * shortest pause decides whether they are dots or dashes.
+ * @param {{on: boolean, duration: number}[]} events - Mark and space events
+ * @param {number} fallbackUnit - Unit to use when the marks give no clue
+ * @returns {{unit: number, spacing: number}} Starting estimates
+ */
+function estimateSpeed(events, fallbackUnit) {
+  const marks = events.filter(e => e.on).map(e => e.duration).sort((a, b) => a - b);
+  const spaces = events.filter(e => !e.on).map(e => e.duration).sort((a, b) => a - b);
+  const { low, high } = splitClusters(marks);
+  let unit;
+
+  if (high.length > 0 && mean(high) / mean(low) >= 2) {
+    unit = (low.reduce((a, b) => a + b, 0) + high.reduce((a, b) => a + b, 0) / 3) / marks.length;
+  } else if (spaces.length > 0) {
+    unit = mean(marks) / spaces[0] >= DOT_DASH_THRESHOLD ? mean(marks) / 3 : mean(marks);
+  } else {
+    unit = mean(marks) < fallbackUnit * DOT_DASH_THRESHOLD ? fallbackUnit : mean(marks) / 3;
+  }
+  unit = clampUnit(unit);
+
+  const gaps = spaces.filter(space => space >= unit * ELEMENT_CHAR_THRESHOLD);
+  if (gaps.length === 0) {
+    return { unit, spacing: 1 };
+  }
+
+  // One kind of gap: character gaps unless they are word-length at this speed
+  const clusters = splitClusters(gaps);
+  const charGap = clusters.high.length > 0 && mean(clusters.high) / mean(clusters.low) >= 1.8
+    ? mean(clusters.low)
+    : mean(gaps) < unit * 5 ? mean(gaps) : mean(gaps) / WORD_TO_CHAR_RATIO;
+
+  return { unit, spacing: clampSpacing(charGap / (unit * 3)) };
+}
+
+/**
+ * Decodes raw key timings into Morse code
+ * The sender's speed is estimated from the whole recording, then each element
+ * is classified in order while the estimate adapts to speed changes.
+ *
+ * @param {number[]} durations - Alternating key-down/key-up durations in milliseconds
+ * @param {Object} [options] - Decoder options
+ * @param {number} [options.wpm=12] - Speed to assume when the timings are ambiguous (e.g. a single element)
+ * @returns {{morse: string, wpm: number|null, confidence: number}} Morse with characters separated by
+ *   spaces and words by ' / ', estimated speed, and mean classification confidence (0-1)
+ * @throws {RangeError} If a duration is negative or not a number
+ */
+export function timingToMorse(durations, options = {}) {
+  if (!Array.isArray(durations)) {
+    return { morse: '', wpm: null, confidence: 0 };
+  }
+
+  const events = readEvents(durations);
+  if (events.length === 0) {
+    return { morse: '', wpm: null, confidence: 0 };
+  }
+
+  const fallbackUnit = clampUnit(1200 / (options.wpm || 12));
+  const { unit, spacing } = estimateSpeed(events, fallbackUnit);
+  const decoder = new AdaptiveTimingDecoder({ wpm: 1200 / unit, spacing });
+
+  for (const event of events) {
+    if (event.on) {
+      decoder.addMark(event.duration);
+    } else {
+      decoder.addSpace(event.duration);
+    }
+  }
+
+  return {
+    morse: decoder.morse,
+    wpm: decoder.wpm,
+    confidence: decoder.confidence
+  };
+}
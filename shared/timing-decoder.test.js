@@ -0,0 +1,185 @@
+import { describe, it, expect } from 'vitest';
+import { timingToMorse, AdaptiveTimingDecoder } from './timing-decoder.js';
+import { textToMorse, morseToTiming } from './morse-lib.js';
+
+describe('Timing Decoder - Unit Tests', () => {
+  describe('timingToMorse', () => {
+    it('should decode the output of morseToTiming', () => {
+      const morse = textToMorse('HELLO WORLD');
+      const result = timingToMorse(morseToTiming(morse));
+
+      expect(result.morse).toBe(morse);
+      expect(result.wpm).toBe(12);
+      expect(result.confidence).toBe(1);
+    });
+
+    it('should decode at 25 WPM without being told the speed', () => {
+      const morse = textToMorse('CQ CQ DE W1AW');
+      const result = timingToMorse(morseToTiming(morse, { wpm: 25 }));
+
+      expect(result.morse).toBe(morse);
+      expect(result.wpm).toBeCloseTo(25, 0);
+    });
+
+    it('should decode Farnsworth spacing as character gaps', () => {
+      const morse = textToMorse('PARIS PARIS');
+      const result = timingToMorse(morseToTiming(morse, { wpm: 18, farnsworthWpm: 5 }));
+
+      expect(result.morse).toBe(morse);
+    });
+
+    it('should decode an uneven hand-keyed fist', () => {
+      // S O S with dots and dashes off by up to 30%
+      const result = timingToMorse([
+        90, 110, 120, 80, 100, 350,
+        280, 120, 330, 90, 310, 260,
+        110, 100, 95, 120, 130
+      ]);
+
+      expect(result.morse).toBe('... --- ...');
+      expect(result.confidence).toBeGreaterThan(0.5);
+      expect(result.confidence).toBeLessThan(1);
+    });
+
+    it('should follow a sender who speeds up', () => {
+      const slow = morseToTiming(textToMorse('PARIS'), { wpm: 12 });
+      const fast = morseToTiming(textToMorse('PARIS PARIS'), { wpm: 18 });
+      const result = timingToMorse([...slow, 0, 700, ...fast]);
+
+      expect(result.morse).toBe(textToMorse('PARIS PARIS PARIS'));
+      expect(result.wpm).toBeGreaterThan(16);
+    });
+
+    it('should tell an all-dash character from dots using the pauses', () => {
+      // O at 25 WPM: 144ms dashes with 48ms gaps
+      expect(timingToMorse([144, 48, 144, 48, 144]).morse).toBe('---');
+      // S at 25 WPM
+      expect(timingToMorse([48, 48, 48, 48, 48]).morse).toBe('...');
+    });
+
+    it('should use the fallback speed for a single element', () => {
+      expect(timingToMorse([150]).morse).toBe('.');
+      expect(timingToMorse([150], { wpm: 20 }).morse).toBe('-');
+    });
+
+    it('should ignore leading and trailing silence', () => {
+      expect(timingToMorse([0, 500, 100, 100, 300, 900]).morse).toBe('.-');
+    });
+
+    it('should return an empty result for empty or invalid input', () => {
+      expect(timingToMorse([])).toEqual({ morse: '', wpm: null, confidence: 0 });
+      expect(timingToMorse(null)).toEqual({ morse: '', wpm: null, confidence: 0 });
+    });
+
+    it('should reject negative or non-numeric durations', () => {
+      expect(() => timingToMorse([100, -5, 100])).toThrow(RangeError);
+      expect(() => timingToMorse([100, 'long'])).toThrow(RangeError);
+    });
+  });
+
+  describe('AdaptiveTimingDecoder', () => {
+    it('should classify presses against a 200ms threshold at 12 WPM', () => {
+      const decoder = new AdaptiveTimingDecoder();
+
+      expect(decoder.addMark(199)).toBe('.');
+      decoder.reset();
+      expect(decoder.addMark(200)).toBe('-');
+    });
+
+    it('should classify pauses as element, character and word gaps', () => {
+      const decoder = new AdaptiveTimingDecoder();
+      decoder.addMark(100);
+
+      expect(decoder.addSpace(100)).toBe('element');
+      expect(decoder.addSpace(300)).toBe('char');
+      expect(decoder.addSpace(700)).toBe('word');
+    });
+
+    it('should accumulate Morse as elements arrive', () => {
+      const decoder = new AdaptiveTimingDecoder();
+      [100, 100, 300, 300, 300, 700, 300].forEach((duration, i) => {
+        if (i % 2 === 0) {
+          decoder.addMark(duration);
+        } else {
+          decoder.addSpace(duration);
+        }
+      });
+
+      expect(decoder.morse).toBe('.- - / -');
+    });
+
+    it('should move its speed estimate toward the sender', () => {
+      const decoder = new AdaptiveTimingDecoder({ wpm: 12 });
+      for (let i = 0; i < 20; i++) {
+        decoder.addMark(60);
+      }
+
+      expect(decoder.wpm).toBeCloseTo(20, 0);
+    });
+
+    it('should keep the estimate within 5-60 WPM', () => {
+      const decoder = new AdaptiveTimingDecoder();
+      for (let i = 0; i < 50; i++) {
+        decoder.addMark(5);
+      }
+
+      expect(decoder.wpm).toBe(60);
+    });
+
+    it('should give the gap thresholds addSpace classifies by', () => {
+      const decoder = new AdaptiveTimingDecoder();
+      decoder.addMark(100);
+      const { char, word } = decoder.gapThresholds;
+
+      expect(char).toBe(200);
+      expect(decoder.addSpace(char - 1)).toBe('element');
+      expect(decoder.addSpace(char)).toBe('char');
+      expect(decoder.addSpace(word)).toBe('word');
+    });
+
+    it('should drop the word being keyed and keep the words before it', () => {
+      const decoder = new AdaptiveTimingDecoder();
+      [100, 700, 300, 300, 100].forEach((duration, i) => {
+        if (i % 2 === 0) {
+          decoder.addMark(duration);
+        } else {
+          decoder.addSpace(duration);
+        }
+      });
+      decoder.dropWord();
+
+      expect(decoder.morse).toBe('.');
+      expect(decoder.wpm).toBe(12);
+    });
+
+    it('should hold the spacing estimate within range however long the gaps run', () => {
+      const decoder = new AdaptiveTimingDecoder();
+      for (let i = 0; i < 20; i++) {
+        decoder.addMark(100);
+        decoder.addSpace(decoder.gapLengths.word * 3);
+      }
+
+      expect(decoder.spacing).toBe(6);
+      expect(decoder.gapLengths.char).toBe(1800);
+    });
+
+    it('should forget the text but keep the speed when cleared', () => {
+      const decoder = new AdaptiveTimingDecoder();
+      [60, 60, 180, 420, 60].forEach((duration, i) => {
+        if (i % 2 === 0) {
+          decoder.addMark(duration);
+        } else {
+          decoder.addSpace(duration);
+        }
+      });
+      const { wpm, spacing } = decoder;
+      decoder.clearText();
+
+      expect(decoder.morse).toBe('');
+      expect(decoder.confidence).toBe(0);
+      expect(decoder.wpm).toBe(wpm);
+      expect(decoder.spacing).toBe(spacing);
+      expect(wpm).toBeGreaterThan(12);
+    });
+  });
+});
@@ -69,8 +69,9 @@ describe('Backend API - Property-Based Tests', () => {
           return false;
         }
         
-        // Check that morse and text are equivalent when decoded/encoded
-        const decodedMorse = morseToText(data.reply_morse);
+        // Check that morse and text are equivalent when decoded/encoded; the
+        // server reads prosigns as <NAME> tokens, so the reply is read alike
+        const decodedMorse = morseToText(data.reply_morse, { prosigns: true });
         const encodedText = textToMorse(data.reply_text);
         
         const morseMatchesText = decodedMorse === data.reply_text;
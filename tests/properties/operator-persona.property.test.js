@@ -1,12 +1,16 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi, afterEach } from 'vitest';
 import fc from 'fast-check';
 import { 
   enforceUppercase, 
   replacePeriods, 
   checkBrevity,
   countWords,
-  applyOperatorPersona 
+  applyOperatorPersona,
+  abbreviateForWire,
+  invokeOperatorAI,
+  streamOperatorAI
 } from '../../server/operator-persona.js';
+import { MockProvider } from '../../server/llm-providers/mock.js';
 
 describe('Operator Persona - Property-Based Tests', () => {
   // Feature: telegraph-ai-agent, Property 13: Response Uppercase Enforcement
@@ -174,4 +178,165 @@ describe('Operator Persona - Property-Based Tests', () => {
       { numRuns: 100 }
     );
   });
+
+  // Additional property: Abbreviating never costs words
+  it('Property: Abbreviated persona text is uppercase and no longer than plain', () => {
+    const wordGen = fc.constantFrom(
+      'message', 'received', 'transmit', 'tomorrow', 'please', 'confirm',
+      'arriving', 'train', 'stop', 'immediately', 'answer', 'home'
+    );
+    const textGen = fc.array(wordGen, { minLength: 1, maxLength: 20 }).map(words => words.join(' '));
+
+    fc.assert(
+      fc.property(textGen, (text) => {
+        const plain = applyOperatorPersona(text);
+        const abbreviated = applyOperatorPersona(text, { abbreviate: true });
+
+        return !/[a-z]/.test(abbreviated)
+          && countWords(abbreviated) <= countWords(plain)
+          && abbreviated.length <= plain.length;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should use telegraph office abbreviations only', () => {
+    expect(abbreviateForWire('MESSAGE RECEIVED STOP THANK YOU')).toBe('MSG RECD STOP THANK YOU');
+  });
+
+  describe('conversation history', () => {
+    afterEach(() => {
+      vi.unstubAllEnvs();
+      vi.unstubAllGlobals();
+    });
+
+    it('should give the provider the earlier turns, the summary and the message', async () => {
+      const provider = new MockProvider({ script: { replies: ['noted.'] } });
+      const turns = [
+        { role: 'user', text: 'HELLO' },
+        { role: 'operator', text: 'HELLO STOP' }
+      ];
+
+      const reply = await invokeOperatorAI('GOODBYE', { provider, history: { summary: 'SENDER: HI', turns } });
+
+      expect(reply).toBe('NOTED STOP');
+      expect(provider.requests).toHaveLength(1);
+      expect(provider.requests[0].turns).toEqual(turns);
+      expect(provider.requests[0].message).toBe('GOODBYE');
+      expect(provider.requests[0].instructions).toContain('Earlier in this conversation: SENDER: HI');
+    });
+
+    it('should echo the message when the provider fails', async () => {
+      const provider = { name: 'broken', generate: async () => { throw new Error('line down'); } };
+
+      expect(await invokeOperatorAI('HELLO', { provider })).toBe('RECEIVED YOUR MESSAGE STOP HELLO STOP');
+    });
+
+    it('should not answer for a missing cassette', async () => {
+      const miss = Object.assign(new Error('No cassette for this request'), { code: 'CASSETTE_MISS' });
+      const provider = { name: 'cassette (replay)', generate: async () => { throw miss; } };
+
+      await expect(invokeOperatorAI('HELLO', { provider })).rejects.toThrow('No cassette');
+    });
+
+    it('should pass the session history and summary to the model', async () => {
+      vi.stubEnv('GEMINI_API_KEY', 'test-key');
+      const fetchMock = vi.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ candidates: [{ content: { parts: [{ text: 'YES STOP' }] } }] })
+      });
+      vi.stubGlobal('fetch', fetchMock);
+
+      const reply = await invokeOperatorAI('AND TOMORROW', {
+        history: {
+          summary: 'SENDER: WHAT OF THE WEATHER',
+          turns: [
+            { role: 'user', text: 'IS IT RAINING' },
+            { role: 'operator', text: 'RAINING STOP' }
+          ]
+        }
+      });
+
+      const { contents } = JSON.parse(fetchMock.mock.calls[0][1].body);
+      expect(reply).toBe('YES STOP');
+      expect(contents.map(({ role }) => role)).toEqual(['user', 'model', 'user']);
+      expect(contents[2].parts[0].text).toContain('Earlier in this conversation: SENDER: WHAT OF THE WEATHER');
+      expect(contents[2].parts[0].text).toContain('User message: AND TOMORROW');
+    });
+  });
+
+  describe('streamed replies', () => {
+    const collect = async words => {
+      const collected = [];
+      for await (const word of words) {
+        collected.push(word);
+      }
+      return collected;
+    };
+
+    // A provider writing the reply in the given pieces
+    const writing = pieces => ({
+      name: 'pieces',
+      generate: async () => pieces.join(''),
+      stream: async function* () {
+        yield* pieces;
+      }
+    });
+
+    it('Streamed replies are held to the persona as whole replies are, however they are split', async () => {
+      const wordGen = fc.constantFrom('hello', 'Message', 'received.', 'tomorrow', '.', 'STOP', 'arrived', 'safely.');
+      const replyGen = fc.array(wordGen, { minLength: 1, maxLength: 30 }).map(words => words.join(' '));
+
+      await fc.assert(
+        fc.asyncProperty(replyGen, fc.array(fc.nat(), { maxLength: 8 }), fc.boolean(), async (reply, cuts, abbreviate) => {
+          const points = [...new Set(cuts.map(cut => cut % (reply.length + 1)))].sort((a, b) => a - b);
+          const pieces = [0, ...points].map((point, i) => reply.slice(point, [...points, reply.length][i]));
+
+          const streamed = await collect(streamOperatorAI('HELLO', { provider: writing(pieces), abbreviate }));
+          const whole = await invokeOperatorAI('HELLO', { provider: writing([reply]), abbreviate });
+
+          expect(streamed).toEqual(whole.split(/\s+/));
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should take the whole reply from providers that cannot stream', async () => {
+      const provider = { name: 'whole', generate: async () => 'Arrived safely. Letter follows.' };
+
+      expect(await collect(streamOperatorAI('HELLO', { provider })))
+        .toEqual(['ARRIVED', 'SAFELY', 'STOP', 'LETTER', 'FOLLOWS', 'STOP']);
+    });
+
+    it('should echo the message when the provider fails before writing', async () => {
+      const provider = { name: 'broken', generate: async () => { throw new Error('line down'); } };
+
+      expect(await collect(streamOperatorAI('HELLO', { provider })))
+        .toEqual(['RECEIVED', 'YOUR', 'MESSAGE', 'STOP', 'HELLO', 'STOP']);
+    });
+
+    it('should not answer for a missing cassette', async () => {
+      const miss = Object.assign(new Error('No cassette for this request'), { code: 'CASSETTE_MISS' });
+      const provider = { name: 'cassette (replay)', stream: async function* () { throw miss; } };
+
+      await expect(collect(streamOperatorAI('HELLO', { provider }))).rejects.toThrow('No cassette');
+    });
+
+    it('should close a reply broken off part way with STOP', async () => {
+      const provider = {
+        name: 'breaking',
+        stream: async function* () {
+          yield 'ARRIVED SAFELY ';
+          yield 'LET';
+          throw new Error('line down');
+        }
+      };
+
+      expect(await collect(streamOperatorAI('HELLO', { provider }))).toEqual(['ARRIVED', 'SAFELY', 'STOP']);
+    });
+
+    it('should refuse an empty message', async () => {
+      await expect(collect(streamOperatorAI('  '))).rejects.toThrow('Invalid user message');
+    });
+  });
 });